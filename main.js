@@ -8,6 +8,11 @@ window.OrbitControls = OrbitControls;
 // Import our game components
 import { Game } from './src/game.js';
 import { UI } from './src/ui.js';
+import { DeckBuilder } from './src/deckBuilder.js';
+import { CampaignScreen } from './src/campaignScreen.js';
+import { MapEditor } from './src/mapEditor.js';
+import { MultiplayerClient, MatchModes } from './src/multiplayer.js';
+import { ReplayCommands } from './src/replay.js';
 
 // Three.js version info removed for production
 
@@ -323,10 +328,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup high scores functionality
     setupHighScoresSystem();
 
+    // Prefill the seed from the URL (?seed=123) so shared runs can be replayed
+    const seedInput = document.getElementById('seed-input');
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (seedInput && urlSeed) {
+        seedInput.value = urlSeed;
+    }
+
     // Setup the start button event listener
     document.getElementById('start-button').addEventListener('click', async () => {
         const username = document.getElementById('username').value || 'Player';
-        await window.game.start(username);
+        const seed = seedInput ? seedInput.value : null;
+        await window.game.start(username, { seed });
 
         // Hide the overlay
         const overlay = document.getElementById('game-overlay');
@@ -338,6 +351,137 @@ document.addEventListener('DOMContentLoaded', () => {
         overlay.style.display = 'none';
     });
 
+    // Endless mode: the standard waves, then generated ones until the lives run out
+    document.getElementById('endless-button').addEventListener('click', async () => {
+        const username = document.getElementById('username').value || 'Player';
+        const seed = seedInput ? seedInput.value : null;
+        await window.game.start(username, { seed, endless: true });
+
+        const overlay = document.getElementById('game-overlay');
+        overlay.classList.add('hidden');
+        overlay.style.display = 'none';
+    });
+
+    // Resume a run saved in localStorage (button only shows when a save exists)
+    window.game.updateResumeButton();
+    document.getElementById('resume-button').addEventListener('click', async () => {
+        if (!await window.game.resumeSavedRun()) {
+            window.game.updateResumeButton();
+            return;
+        }
+
+        const overlay = document.getElementById('game-overlay');
+        overlay.classList.add('hidden');
+        overlay.style.display = 'none';
+    });
+
+    // Campaign screen (hand-authored levels, each unlocked by completing the one before)
+    window.campaignScreen = new CampaignScreen(window.game);
+    document.getElementById('campaign-button').addEventListener('click', () => {
+        window.campaignScreen.open();
+    });
+
+    // Deck builder screen (edits the decks saved in the player profile)
+    window.deckBuilder = new DeckBuilder(window.game);
+    document.getElementById('deck-builder-button').addEventListener('click', () => {
+        window.deckBuilder.open();
+    });
+
+    // Map editor screen (the map single-player runs are played on)
+    window.mapEditor = new MapEditor(window.game);
+    document.getElementById('map-editor-button').addEventListener('click', () => {
+        window.mapEditor.open();
+    });
+
+    // Versus and co-op matches: queue on the server, then start the shared seed once paired
+    const multiplayer = new MultiplayerClient(window.game);
+    const matchLobby = document.getElementById('match-lobby-screen');
+    const matchStatus = document.getElementById('match-lobby-status');
+
+    multiplayer.onWaiting = () => {
+        matchStatus.textContent = multiplayer.isCoop ? 'Waiting for a partner...' : 'Waiting for an opponent...';
+    };
+    multiplayer.onDisconnect = () => {
+        matchStatus.textContent = 'Could not reach the match server.';
+    };
+    multiplayer.onMatchStart = async ({ seed, otherPlayer }) => {
+        matchStatus.textContent = `Matched with ${otherPlayer}!`;
+
+        const username = document.getElementById('username').value || 'Player';
+        await window.game.start(username, { seed, multiplayer });
+
+        matchLobby.classList.add('hidden');
+        const overlay = document.getElementById('game-overlay');
+        overlay.classList.add('hidden');
+        overlay.style.display = 'none';
+    };
+
+    const openMatchLobby = (mode) => {
+        const isCoop = mode === MatchModes.COOP;
+        document.getElementById('match-lobby-title').textContent = isCoop ? 'Co-op' : 'Versus';
+        document.getElementById('versus-rules').classList.toggle('hidden', isCoop);
+        document.getElementById('coop-rules').classList.toggle('hidden', !isCoop);
+
+        document.getElementById('start-screen').classList.add('hidden');
+        matchLobby.classList.remove('hidden');
+        matchStatus.textContent = 'Connecting...';
+
+        multiplayer.connect(mode, document.getElementById('username').value || 'Player');
+    };
+
+    document.getElementById('versus-button').addEventListener('click', () => openMatchLobby(MatchModes.VERSUS));
+    document.getElementById('coop-button').addEventListener('click', () => openMatchLobby(MatchModes.COOP));
+
+    document.getElementById('match-cancel-button').addEventListener('click', () => {
+        multiplayer.leave();
+        matchLobby.classList.add('hidden');
+        document.getElementById('start-screen').classList.remove('hidden');
+    });
+
+    // Load a replay file and watch it from the start menu
+    const replayFileInput = document.createElement('input');
+    replayFileInput.type = 'file';
+    replayFileInput.accept = '.json,application/json';
+    replayFileInput.style.display = 'none';
+    document.body.appendChild(replayFileInput);
+
+    document.getElementById('watch-replay-button').addEventListener('click', () => {
+        replayFileInput.click();
+    });
+
+    replayFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        replayFileInput.value = '';
+        if (!file) return;
+
+        let replay;
+        try {
+            replay = JSON.parse(await file.text());
+        } catch (err) {
+            alert('Could not read the replay file.');
+            return;
+        }
+
+        if (!await window.game.startReplay(replay)) {
+            alert('This replay file is not valid.');
+            return;
+        }
+
+        const overlay = document.getElementById('game-overlay');
+        overlay.classList.add('hidden');
+        overlay.style.display = 'none';
+    });
+
+    // Save the run when the tab is hidden or closed so it can be resumed later
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            window.game.saveRun();
+        }
+    });
+    window.addEventListener('beforeunload', () => {
+        window.game.saveRun();
+    });
+
     // We'll handle the restart button in the Game class
     // Do not reload the page as we want to maintain the game state properly
 
@@ -350,7 +494,9 @@ document.addEventListener('DOMContentLoaded', () => {
         'd': false,
         'D': false,
         'c': false,
-        'C': false
+        'C': false,
+        'p': false,
+        'P': false
     };
 
     // Map number keys to tower types - this allows easier configuration
@@ -381,6 +527,7 @@ document.addEventListener('DOMContentLoaded', () => {
             else switch(event.key) {
                 case 'Escape':
                     window.ui.cancelTowerPlacement();
+                    window.ui.hideTowerPanel();
                     break;
                 case 'd':
                 case 'D':
@@ -390,6 +537,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 case 'C':
                     window.game.toggleCardDebugMode(); // Card debug mode shortcut
                     break;
+                case 'p':
+                case 'P':
+                    window.game.togglePause();
+                    break;
             }
         }
     });
@@ -456,9 +607,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Setup Send Next Wave button
     document.getElementById('send-next-wave-button').addEventListener('click', () => {
-        // Only allow if game is started
-        if (window.game && window.game.gameStarted && !window.game.gameOver) {
-            window.game.startWave(true); // Force send the next wave
+        // Force send the next wave (ignored before the game starts, after it ends and in replays)
+        if (window.game) {
+            window.game.dispatchCommand(ReplayCommands.SEND_WAVE);
         }
     });
 
@@ -566,6 +717,10 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Function to setup high scores system
+    // Leaderboard filters and page shown on the high scores screen
+    const SCORES_PER_PAGE = 20;
+    const leaderboardState = { category: 'standard', period: 'all', victoryOnly: false, page: 0, total: 0 };
+
     function setupHighScoresSystem() {
         // Setup high scores button
         document.getElementById('show-rankings-button').addEventListener('click', () => {
@@ -574,9 +729,54 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('high-scores-screen').classList.remove('hidden');
 
             // Populate high scores
+            leaderboardState.page = 0;
+            displayHighScores();
+        });
+
+        // Standard (ranked by score) or endless (ranked by highest wave) runs
+        document.querySelectorAll('.leaderboard-category').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.leaderboard-category').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                leaderboardState.category = button.dataset.category;
+                leaderboardState.page = 0;
+                displayHighScores();
+            });
+        });
+
+        // Time window tabs
+        document.querySelectorAll('.leaderboard-period').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.leaderboard-period').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                leaderboardState.period = button.dataset.period;
+                leaderboardState.page = 0;
+                displayHighScores();
+            });
+        });
+
+        document.getElementById('leaderboard-victory-only').addEventListener('change', (e) => {
+            leaderboardState.victoryOnly = e.target.checked;
+            leaderboardState.page = 0;
             displayHighScores();
         });
 
+        document.getElementById('leaderboard-prev-button').addEventListener('click', () => {
+            if (leaderboardState.page > 0) {
+                leaderboardState.page--;
+                displayHighScores();
+            }
+        });
+
+        document.getElementById('leaderboard-next-button').addEventListener('click', () => {
+            if ((leaderboardState.page + 1) * SCORES_PER_PAGE < leaderboardState.total) {
+                leaderboardState.page++;
+                displayHighScores();
+            }
+        });
+
         // Setup back button from high scores
         document.getElementById('back-to-start-button').addEventListener('click', () => {
             // Return to start screen
@@ -683,11 +883,12 @@ document.addEventListener('DOMContentLoaded', () => {
             highScoresList.appendChild(loadingMessage);
 
             // Try to get scores from the server first
-            fetch('/api/scores?limit=50')
+            fetch(`/api/scores?${getLeaderboardQuery()}&limit=${SCORES_PER_PAGE}&offset=${leaderboardState.page * SCORES_PER_PAGE}`)
                 .then(response => {
                     if (!response.ok) {
                         throw new Error(`HTTP error! status: ${response.status}`);
                     }
+                    leaderboardState.total = parseInt(response.headers.get('X-Total-Count'), 10) || 0;
                     return response.json();
                 })
                 .then(serverScores => {
@@ -697,6 +898,13 @@ document.addEventListener('DOMContentLoaded', () => {
                     if (serverScores && serverScores.length > 0) {
                         // Render server scores
                         renderScoresList(highScoresList, serverScores, "Global Rankings");
+                        updateLeaderboardPagination();
+                        displayPersonalBest();
+                    } else if (leaderboardState.category !== 'standard' || leaderboardState.period !== 'all' ||
+                        leaderboardState.victoryOnly) {
+                        // Nothing matches the filters (local scores can't be filtered the same way)
+                        renderScoresList(highScoresList, [], "Global Rankings");
+                        updateLeaderboardPagination();
                     } else {
                         // Fallback to localStorage
                         const localScores = JSON.parse(localStorage.getItem('towerDefenseHighScores') || '[]');
@@ -712,6 +920,8 @@ document.addEventListener('DOMContentLoaded', () => {
                     // Fallback to localStorage
                     const localScores = JSON.parse(localStorage.getItem('towerDefenseHighScores') || '[]');
                     renderScoresList(highScoresList, localScores, "Player Rankings (Server Unavailable)");
+                    leaderboardState.total = 0;
+                    updateLeaderboardPagination();
                 });
         } catch (err) {
             console.error("Error displaying high scores:", err);
@@ -722,6 +932,48 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function getLeaderboardQuery() {
+        const params = new URLSearchParams({ category: leaderboardState.category, period: leaderboardState.period });
+        if (leaderboardState.victoryOnly) {
+            params.set('victory', 'true');
+        }
+        return params.toString();
+    }
+
+    function updateLeaderboardPagination() {
+        const pageCount = Math.ceil(leaderboardState.total / SCORES_PER_PAGE);
+        document.getElementById('leaderboard-page').textContent =
+            pageCount > 1 ? `Page ${leaderboardState.page + 1} of ${pageCount}` : '';
+        document.getElementById('leaderboard-prev-button').disabled = leaderboardState.page === 0;
+        document.getElementById('leaderboard-next-button').disabled = leaderboardState.page + 1 >= pageCount;
+    }
+
+    // Show the best run and rank for the name typed on the start screen,
+    // even when it isn't on the current page
+    function displayPersonalBest() {
+        const personalBest = document.getElementById('leaderboard-personal-best');
+        personalBest.textContent = '';
+
+        const username = document.getElementById('username').value;
+        if (!username) return;
+
+        fetch(`/api/scores/player/${encodeURIComponent(username)}?${getLeaderboardQuery()}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                personalBest.textContent = data.best ?
+                    `Your best: ${data.best.score} (${data.best.victory ? 'Victory' : 'Wave ' + data.best.wave}) - Rank ${data.rank} of ${data.total}` :
+                    `No runs for ${data.username} yet`;
+            })
+            .catch(error => {
+                console.error("Error fetching personal best:", error);
+            });
+    }
+
     // Helper function to render scores list
     function renderScoresList(container, scores, title) {
         // Add title
@@ -760,7 +1012,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const durationInfo = score.duration ?
                 ` - ${Math.floor(score.duration/60)}m ${score.duration%60}s` : '';
 
-            entry.textContent = `${index + 1}. ${score.username} - ${score.score} (${score.victory ? 'Victory' : 'Wave ' + score.wave}${durationInfo}) - ${dateString} ${timeString}`;
+            entry.textContent = `${score.rank || index + 1}. ${score.username} - ${score.score} (${score.victory ? 'Victory' : 'Wave ' + score.wave}${durationInfo}) - ${dateString} ${timeString}`;
 
             container.appendChild(entry);
         });
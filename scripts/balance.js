@@ -0,0 +1,350 @@
+// Balance simulator - plays simulated games of the current rules headlessly
+// with scripted tower-building strategies and reports how the waves went.
+//
+//   node scripts/balance.js --games 20 --strategy mixed --settings tower_defense_settings.json
+//
+// Options:
+//   --games N          games per strategy (default 10)
+//   --strategy NAME    one of the strategies below, or "all" (default)
+//   --settings FILE    settings exported from the debug panel (Export Settings)
+//   --map FILE         map exported from the map editor (default map otherwise)
+//   --level ID         play a campaign level (its map, waves, gold and lives) instead
+//   --endless          keep generating waves after the standard ones (use --max-minutes to cap games)
+//   --seed SEED        first seed; game i plays seed + i (default 1)
+//   --format json|csv  report format (default json)
+//   --out FILE         write the report to a file instead of stdout
+//   --max-minutes N    give up on a game after N simulated minutes (default 60)
+//   --verbose          keep the game's console logging (errors are always shown)
+
+import fs from 'fs';
+import { Simulation } from '../src/simulation/simulation.js';
+import { GameEvents } from '../src/simulation/events.js';
+import { Tower } from '../src/entities/tower.js';
+import { Map } from '../src/map.js';
+import { getCampaignLevel, getCampaignLevels } from '../src/campaign.js';
+import { SIMULATION_STEP_MS } from '../src/simulationClock.js';
+
+// Scripted players. build is the order towers are bought in (repeating),
+// maxTowers caps how many are built and upgrade spends leftover gold on tiers.
+const Strategies = {
+    arrows: {
+        description: 'Arrow towers along the path whenever there is gold for one',
+        build: ['arrow']
+    },
+    cannons: {
+        description: 'Saves up for cannon towers only',
+        build: ['cannon']
+    },
+    mixed: {
+        description: 'Arrow, double arrow and cannon towers in turn',
+        build: ['arrow', 'doubleArrow', 'cannon']
+    },
+    upgrade: {
+        description: 'Six double arrow towers, then upgrades them',
+        build: ['doubleArrow'],
+        maxTowers: 6,
+        upgrade: true
+    }
+};
+
+const SPEND_INTERVAL_STEPS = 30; // The bot looks at its gold every half second
+const COVERAGE_RADIUS = 2.5; // Path cells within this many grid cells count as covered
+
+function parseArgs(argv) {
+    const options = {
+        games: 10,
+        strategy: 'all',
+        settings: null,
+        map: null,
+        level: null,
+        endless: false,
+        seed: 1,
+        format: 'json',
+        out: null,
+        maxMinutes: 60,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--games': options.games = parseInt(value, 10); i++; break;
+            case '--strategy': options.strategy = value; i++; break;
+            case '--settings': options.settings = value; i++; break;
+            case '--map': options.map = value; i++; break;
+            case '--level': options.level = value; i++; break;
+            case '--endless': options.endless = true; break;
+            case '--seed': options.seed = parseInt(value, 10); i++; break;
+            case '--format': options.format = value; i++; break;
+            case '--out': options.out = value; i++; break;
+            case '--max-minutes': options.maxMinutes = parseFloat(value); i++; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.games) || options.games < 1) {
+        throw new Error('--games must be a positive number');
+    }
+    if (options.strategy !== 'all' && !Strategies[options.strategy]) {
+        throw new Error(`Unknown strategy "${options.strategy}" (${Object.keys(Strategies).join(', ')} or all)`);
+    }
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error('--format must be json or csv');
+    }
+
+    return options;
+}
+
+// Free cells next to the current path, the ones covering the most path first
+function findBuildCells(sim) {
+    const map = sim.map;
+    const path = map.pathWaypoints || [];
+    const onPath = new Set(path.map(point => `${point.x},${point.z}`));
+    const cells = [];
+
+    for (let gridY = 0; gridY < map.gridHeight; gridY++) {
+        for (let gridX = 0; gridX < map.gridWidth; gridX++) {
+            if (map.grid[gridY][gridX] !== 1 || onPath.has(`${gridX},${gridY}`)) continue;
+
+            const coverage = path.filter(point =>
+                Math.hypot(point.x - gridX, point.z - gridY) <= COVERAGE_RADIUS).length;
+            if (coverage > 0) {
+                cells.push({ gridX, gridY, coverage });
+            }
+        }
+    }
+
+    return cells.sort((a, b) => b.coverage - a.coverage);
+}
+
+// Spend the bot's gold the way its strategy says to
+async function spendGold(sim, strategy) {
+    while (!sim.gameOver) {
+        const canBuild = !strategy.maxTowers || sim.towers.length < strategy.maxTowers;
+
+        if (canBuild) {
+            const towerType = strategy.build[sim.towers.length % strategy.build.length];
+            if (sim.player.gold < Tower.getCost(towerType)) return; // Save up for it
+
+            let placed = false;
+            for (const cell of findBuildCells(sim).slice(0, 10)) {
+                if (await sim.placeTower(towerType, cell.gridX, cell.gridY)) {
+                    placed = true;
+                    break;
+                }
+            }
+            if (!placed) return;
+        } else if (strategy.upgrade) {
+            // Cheapest affordable upgrade first
+            const tower = sim.towers
+                .filter(tower => tower.getNextTier() && tower.getNextTier().goldCost <= sim.player.gold)
+                .sort((a, b) => a.getNextTier().goldCost - b.getNextTier().goldCost)[0];
+            if (!tower || !sim.upgradeTower(tower)) return;
+        } else {
+            return;
+        }
+    }
+}
+
+// Play one game and collect per-wave numbers
+async function playGame(strategy, seed, settings, { layout, level, endless }, maxSteps) {
+    const sim = new Simulation();
+    sim.applySettingsSnapshot(settings);
+
+    const waves = {};
+    const lastWave = () => waves[Math.max(...Object.keys(waves).map(Number))];
+
+    sim.events.on(GameEvents.WAVE_STARTED, ({ waveNumber }) => {
+        waves[waveNumber] = {
+            spawned: 0,
+            leaked: 0,
+            goldAtStart: sim.player.gold,
+            goldAtEnd: null,
+            livesLost: 0,
+            cleared: false
+        };
+    });
+    sim.events.on(GameEvents.ENEMY_SPAWNED, ({ enemy }) => {
+        const wave = waves[enemy.waveNumber] || lastWave();
+        if (wave) wave.spawned++;
+    });
+    sim.events.on(GameEvents.ENEMY_REACHED_END, ({ enemy, lifeLost }) => {
+        const wave = waves[enemy.waveNumber] || lastWave();
+        if (!wave) return;
+
+        wave.leaked++;
+        if (lifeLost) wave.livesLost++;
+    });
+    sim.events.on(GameEvents.WAVE_COMPLETED, ({ waveNumber }) => {
+        const wave = waves[waveNumber];
+        if (!wave) return;
+
+        wave.cleared = true;
+        wave.goldAtEnd = sim.player.gold;
+    });
+
+    let victory = false;
+    sim.events.on(GameEvents.GAME_OVER, (result) => {
+        victory = result.victory;
+    });
+
+    await sim.startRun({ seed, username: 'BalanceBot', layout, level, endless });
+    const startingLives = sim.player.lives;
+
+    await spendGold(sim, strategy);
+    sim.startWave();
+
+    while (!sim.gameOver && sim.clock.stepCount < maxSteps) {
+        sim.advance(SPEND_INTERVAL_STEPS);
+        await spendGold(sim, strategy);
+    }
+
+    // A wave still running when the game ended
+    Object.values(waves).forEach(wave => {
+        if (wave.goldAtEnd === null) wave.goldAtEnd = sim.player.gold;
+    });
+
+    return {
+        seed,
+        victory,
+        timedOut: !sim.gameOver,
+        wavesCleared: Object.values(waves).filter(wave => wave.cleared).length,
+        livesLost: startingLives - sim.player.lives,
+        towersBuilt: sim.runStats.towersPlaced,
+        waves
+    };
+}
+
+// null when no game got that far, so unplayed waves don't read as perfect ones
+const average = values => values.length > 0 ?
+    values.reduce((sum, value) => sum + value, 0) / values.length : null;
+const round = value => value === null ? null : Math.round(value * 1000) / 1000;
+
+// Sum up one strategy's games
+function summarize(strategyName, games, waveCount) {
+    const waves = [];
+    for (let waveNumber = 1; waveNumber <= waveCount; waveNumber++) {
+        const played = games.map(game => game.waves[waveNumber]).filter(Boolean);
+
+        waves.push({
+            wave: waveNumber,
+            gamesReached: played.length,
+            clearRate: round(played.filter(wave => wave.cleared).length / games.length),
+            leakRate: round(average(played.map(wave => wave.spawned > 0 ? wave.leaked / wave.spawned : 0))),
+            avgLeaked: round(average(played.map(wave => wave.leaked))),
+            avgLivesLost: round(average(played.map(wave => wave.livesLost))),
+            avgGoldAtStart: round(average(played.map(wave => wave.goldAtStart))),
+            avgGoldAtEnd: round(average(played.map(wave => wave.goldAtEnd)))
+        });
+    }
+
+    return {
+        strategy: strategyName,
+        description: Strategies[strategyName].description,
+        games: games.length,
+        winRate: round(games.filter(game => game.victory).length / games.length),
+        avgLivesLost: round(average(games.map(game => game.livesLost))),
+        avgWavesCleared: round(average(games.map(game => game.wavesCleared))),
+        avgTowersBuilt: round(average(games.map(game => game.towersBuilt))),
+        timedOut: games.filter(game => game.timedOut).length,
+        waves
+    };
+}
+
+function toCsv(results) {
+    const columns = ['strategy', 'games', 'winRate', 'avgLivesLost', 'wave', 'gamesReached', 'clearRate',
+        'leakRate', 'avgLeaked', 'avgWaveLivesLost', 'avgGoldAtStart', 'avgGoldAtEnd'];
+    const rows = [columns.join(',')];
+
+    results.strategies.forEach(result => {
+        result.waves.forEach(wave => {
+            rows.push([
+                result.strategy, result.games, result.winRate, result.avgLivesLost,
+                wave.wave, wave.gamesReached, wave.clearRate, wave.leakRate, wave.avgLeaked,
+                wave.avgLivesLost, wave.avgGoldAtStart, wave.avgGoldAtEnd
+            ].join(','));
+        });
+    });
+
+    return rows.join('\n') + '\n';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const settings = options.settings ?
+        JSON.parse(fs.readFileSync(options.settings, 'utf8')) : null;
+    const layout = options.map ?
+        JSON.parse(fs.readFileSync(options.map, 'utf8')) : null;
+    const mapErrors = layout ? Map.validateLayout(layout) : [];
+    if (mapErrors.length > 0) {
+        throw new Error(`Invalid map ${options.map}: ${mapErrors.join(', ')}`);
+    }
+
+    const level = options.level ? getCampaignLevel(options.level) : null;
+    if (options.level && !level) {
+        const ids = getCampaignLevels().map(campaignLevel => campaignLevel.id);
+        throw new Error(`Unknown level ${options.level} (one of: ${ids.join(', ')})`);
+    }
+    if (level && layout) {
+        throw new Error('--map and --level cannot be used together');
+    }
+    if (level && options.endless) {
+        throw new Error('--level and --endless cannot be used together');
+    }
+
+    // Keep stdout for the report. Errors from inside the games still show on stderr,
+    // so a report built from broken games doesn't pass for a valid one.
+    const log = console.error.bind(console);
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const strategyNames = options.strategy === 'all' ? Object.keys(Strategies) : [options.strategy];
+    const maxSteps = Math.ceil(options.maxMinutes * 60 * 1000 / SIMULATION_STEP_MS);
+
+    // The rules every game is played with, in the same format as the export
+    const rules = new Simulation();
+    rules.applySettingsSnapshot(settings);
+    if (level) rules.applyLevel(level);
+
+    const results = {
+        settings: rules.getSettingsSnapshot(),
+        map: layout ? options.map : level ? `level ${level.id}` : 'default',
+        endless: options.endless,
+        strategies: []
+    };
+
+    for (const strategyName of strategyNames) {
+        const games = [];
+        for (let i = 0; i < options.games; i++) {
+            games.push(await playGame(Strategies[strategyName], options.seed + i, settings,
+                { layout, level, endless: options.endless }, maxSteps));
+            log(`${strategyName}: game ${i + 1}/${options.games} done`);
+        }
+
+        // Endless games have no last wave: report up to the furthest one reached
+        const waveCount = options.endless ?
+            Math.max(...games.map(game => Math.max(0, ...Object.keys(game.waves).map(Number)))) :
+            rules.maxWaves;
+        results.strategies.push(summarize(strategyName, games, waveCount));
+    }
+
+    const report = options.format === 'csv' ? toCsv(results) : JSON.stringify(results, null, 2) + '\n';
+    if (options.out) {
+        fs.writeFileSync(options.out, report);
+        log(`Report written to ${options.out}`);
+    } else {
+        process.stdout.write(report);
+    }
+}
+
+main().catch(err => {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+});
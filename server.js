@@ -4,7 +4,13 @@ import sqlite3 from 'sqlite3';
 const { Database } = sqlite3.verbose();
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { WebSocketServer, WebSocket } from 'ws';
+import { Player } from './src/player.js';
+import { CardCatalog } from './src/cards.js';
+import { Map as GameMap } from './src/map.js';
+import { verifyRunSummary } from './src/runVerification.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -45,6 +51,58 @@ const db = new Database(dbPath, (err) => {
     )`, (err) => {
       if (err) {
         console.error('Error creating scores table:', err.message);
+        return;
+      }
+
+      // Each run token can only be used for one score (older databases lack the column)
+      db.run(`ALTER TABLE scores ADD COLUMN run_id TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error('Error adding run_id column:', err.message);
+          return;
+        }
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_scores_run_id ON scores (run_id)`, (err) => {
+          if (err) {
+            console.error('Error creating run_id index:', err.message);
+          }
+        });
+      });
+
+      // Leaderboard category (see SCORE_CATEGORIES); older scores are all standard runs
+      db.run(`ALTER TABLE scores ADD COLUMN category TEXT NOT NULL DEFAULT 'standard'`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error('Error adding category column:', err.message);
+        }
+      });
+    });
+
+    // Player profiles: progression plus decks (JSON columns hold the Player.serialize shape)
+    db.run(`CREATE TABLE IF NOT EXISTS players (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      level INTEGER NOT NULL DEFAULT 1,
+      xp INTEGER NOT NULL DEFAULT 0,
+      gold INTEGER NOT NULL DEFAULT 0,
+      gems INTEGER NOT NULL DEFAULT 0,
+      stats TEXT NOT NULL,
+      collection TEXT NOT NULL,
+      decks TEXT NOT NULL,
+      current_deck_index INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`, (err) => {
+      if (err) {
+        console.error('Error creating players table:', err.message);
+      }
+    });
+
+    // Runs that already awarded XP: each run token counts towards a profile once
+    db.run(`CREATE TABLE IF NOT EXISTS run_results (
+      run_id TEXT PRIMARY KEY,
+      player_id TEXT NOT NULL,
+      datetime TEXT NOT NULL
+    )`, (err) => {
+      if (err) {
+        console.error('Error creating run_results table:', err.message);
       }
     });
   }
@@ -54,8 +112,9 @@ const db = new Database(dbPath, (err) => {
 // Set up CORS with more specific options
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*', // Ideally replace with specific domains in production
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PUT'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Total-Count'],
   credentials: true,
   maxAge: 86400 // 24 hours
 }));
@@ -118,14 +177,81 @@ app.use((req, res, next) => {
 // Serve static files
 app.use(express.static('./dist'));
 
+// Run tokens: signed at game start, required to submit a score
+const RUN_TOKEN_SECRET = process.env.RUN_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const RUN_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Saved runs can be resumed days later
+if (!process.env.RUN_TOKEN_SECRET) {
+  console.warn('RUN_TOKEN_SECRET not set - run tokens will be invalid after a restart');
+}
+
+const signRunToken = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', RUN_TOKEN_SECRET).update(body).digest('base64url');
+  return `${body}.${signature}`;
+};
+
+// Returns the token payload, or null if the token is malformed, forged or expired
+const verifyRunToken = (token) => {
+  if (typeof token !== 'string' || token.length > 512) return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', RUN_TOKEN_SECRET).update(body).digest('base64url'));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (Date.now() - payload.issuedAt > RUN_TOKEN_MAX_AGE) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Leaderboards: standard runs rank by score, endless runs by the highest wave reached, then score
+const SCORE_CATEGORIES = {
+  standard: { order: 'score DESC, id ASC' },
+  endless: { order: 'wave DESC, score DESC, id ASC' }
+};
+const getScoreCategory = (category) => SCORE_CATEGORIES[category] ? category : 'standard';
+
+// API endpoint to start a run: returns a signed token to submit the score with.
+// The token fixes the leaderboard category the score goes to.
+app.post('/api/runs', (req, res) => {
+  const seed = parseInt(req.body.seed, 10);
+
+  const token = signRunToken({
+    runId: crypto.randomUUID(),
+    seed: isNaN(seed) ? null : seed,
+    category: getScoreCategory(req.body.category),
+    issuedAt: Date.now()
+  });
+
+  res.status(201).json({ token });
+});
+
 // API endpoint to save score
 app.post('/api/scores', (req, res) => {
-  const { username, score, wave, victory, duration, gameData } = req.body;
+  const { username, score, wave, victory, duration, gameData, runToken, summary } = req.body;
   
   // Enhanced validation
   if (!username || score === undefined || wave === undefined) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
+
+  // Scores must come from a run started through /api/runs
+  const tokenPayload = verifyRunToken(runToken);
+  if (!tokenPayload) {
+    return res.status(403).json({ error: 'Invalid or expired run token' });
+  }
+  if (tokenPayload.seed !== null && gameData && Number(gameData.seed) !== tokenPayload.seed) {
+    return res.status(403).json({ error: 'Run token does not match this run' });
+  }
+  if (!summary || typeof summary !== 'object') {
+    return res.status(400).json({ error: 'Missing run summary' });
+  }
   
   // Data validation and sanitization
   const sanitizedUsername = username.toString().substring(0, 30).replace(/[^\w\s]/gi, ''); // Alphanumeric only, max 30 chars
@@ -133,6 +259,7 @@ app.post('/api/scores', (req, res) => {
   const sanitizedWave = parseInt(wave, 10);
   const sanitizedVictory = Boolean(victory);
   const sanitizedDuration = parseInt(duration || 0, 10);
+  const category = getScoreCategory(tokenPayload.category);
   
   // Additional numeric bounds validation
   if (isNaN(sanitizedScore) || sanitizedScore < 0 || sanitizedScore > 1000000) {
@@ -146,13 +273,25 @@ app.post('/api/scores', (req, res) => {
   if (isNaN(sanitizedDuration) || sanitizedDuration < 0 || sanitizedDuration > 86400) { // Max 24 hours
     return res.status(400).json({ error: 'Invalid duration value' });
   }
+
+  // Reject runs that couldn't have happened
+  const verificationError = verifyRunSummary({
+    score: sanitizedScore,
+    wave: sanitizedWave,
+    victory: sanitizedVictory,
+    duration: sanitizedDuration,
+    category
+  }, summary, tokenPayload);
+  if (verificationError) {
+    return res.status(422).json({ error: verificationError });
+  }
   
   // Get client IP (for optional tracking and rate limiting)
   const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
   
   // Store score in database with prepared statement and sanitized values
-  const query = `INSERT INTO scores (username, score, wave, victory, datetime, duration, ip_address) 
-                VALUES (?, ?, ?, ?, ?, ?, ?)`;
+  const query = `INSERT INTO scores (username, score, wave, victory, datetime, duration, ip_address, run_id, category) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
   
   db.run(query, [
     sanitizedUsername, 
@@ -161,54 +300,462 @@ app.post('/api/scores', (req, res) => {
     sanitizedVictory ? 1 : 0, 
     new Date().toISOString(),
     sanitizedDuration,
-    ip
+    ip,
+    tokenPayload.runId,
+    category
   ], function(err) {
+    if (err && err.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A score was already submitted for this run' });
+    }
     if (err) {
       console.error('Error saving score:', err.message);
       return res.status(500).json({ error: 'Failed to save score' });
     }
     
-    // Return success response with the inserted ID (not exposing internal DB details)
-    res.status(201).json({ 
-      success: true, 
-      message: 'Score saved successfully'
+    // Return where the run landed on its category's all-time board (not exposing internal DB details)
+    const allTime = buildScoreFilter({ category });
+    const insertedRow = { id: this.lastID, score: sanitizedScore, wave: sanitizedWave };
+    getScoreRank(allTime, insertedRow, (err, rank) => {
+      countScores(allTime, (countErr, total) => {
+        res.status(201).json({ 
+          success: true, 
+          message: 'Score saved successfully',
+          rank: err ? null : rank,
+          total: countErr ? null : total
+        });
+      });
     });
   });
 });
 
+// Leaderboard helpers
+const LEADERBOARD_WINDOWS = {
+  daily: 24 * 60 * 60 * 1000,     // Rolling last 24 hours
+  weekly: 7 * 24 * 60 * 60 * 1000 // Rolling last 7 days
+};
+
+// WHERE clause shared by leaderboard queries: category, time window and victory-only
+const buildScoreFilter = ({ category, period, victory }) => {
+  const conditions = ['category = ?'];
+  const params = [getScoreCategory(category)];
+
+  if (LEADERBOARD_WINDOWS[period]) {
+    conditions.push('datetime >= ?');
+    params.push(new Date(Date.now() - LEADERBOARD_WINDOWS[period]).toISOString());
+  }
+  if (victory === 'true' || victory === '1') {
+    conditions.push('victory = 1');
+  }
+
+  return { category: getScoreCategory(category), conditions, params };
+};
+
+const toWhereClause = (conditions) => conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+// Rank of a scores row within the filter. Ties go to the earlier run, matching the leaderboard order.
+const getScoreRank = (filter, { id, score, wave }, callback) => {
+  let ahead = '(score > ? OR (score = ? AND id < ?))';
+  let aheadParams = [score, score, id];
+  if (filter.category === 'endless') {
+    ahead = `(wave > ? OR (wave = ? AND ${ahead}))`;
+    aheadParams = [wave, wave, ...aheadParams];
+  }
+
+  const where = toWhereClause([...filter.conditions, ahead]);
+  db.get(`SELECT COUNT(*) AS ahead FROM scores ${where}`, [...filter.params, ...aheadParams], (err, row) => {
+    callback(err, row ? row.ahead + 1 : null);
+  });
+};
+
+const countScores = (filter, callback) => {
+  db.get(`SELECT COUNT(*) AS total FROM scores ${toWhereClause(filter.conditions)}`, filter.params, (err, row) => {
+    callback(err, row ? row.total : 0);
+  });
+};
+
+const sanitizeScoreRow = (row) => ({
+  username: row.username,
+  score: row.score,
+  wave: row.wave,
+  victory: Boolean(row.victory),
+  datetime: row.datetime,
+  duration: row.duration || 0
+});
+
 // API endpoint to get high scores
+// Query: limit, offset, category (standard|endless), period (daily|weekly|all), victory (true to show only wins).
+// The total number of matching runs is returned in the X-Total-Count header.
 app.get('/api/scores', (req, res) => {
   // Sanitize and validate the limit parameter
   let limit = parseInt(req.query.limit, 10) || 20;
+  let offset = parseInt(req.query.offset, 10) || 0;
   
   // Apply reasonable bounds
   if (isNaN(limit) || limit < 1) limit = 20;
   if (limit > 100) limit = 100; // Cap at 100 records max
+  if (isNaN(offset) || offset < 0) offset = 0;
+
+  const filter = buildScoreFilter(req.query);
   
   // Use prepared statement for security
   db.all(`SELECT username, score, wave, victory, datetime, duration 
           FROM scores 
-          ORDER BY score DESC 
-          LIMIT ?`, [limit], (err, rows) => {
+          ${toWhereClause(filter.conditions)}
+          ORDER BY ${SCORE_CATEGORIES[filter.category].order} 
+          LIMIT ? OFFSET ?`, [...filter.params, limit, offset], (err, rows) => {
     if (err) {
       console.error('Error fetching scores:', err.message);
       return res.status(500).json({ error: 'Failed to fetch scores' });
     }
-    
-    // Add cache control headers for better performance
-    res.set('Cache-Control', 'public, max-age=60'); // Cache for 60 seconds
-    
-    // Return sanitized data
-    const sanitizedRows = rows.map(row => ({
-      username: row.username,
-      score: row.score,
-      wave: row.wave,
-      victory: Boolean(row.victory),
-      datetime: row.datetime,
-      duration: row.duration || 0
-    }));
-    
-    res.json(sanitizedRows);
+
+    countScores(filter, (err, total) => {
+      if (err) {
+        console.error('Error counting scores:', err.message);
+        return res.status(500).json({ error: 'Failed to fetch scores' });
+      }
+
+      // Add cache control headers for better performance
+      res.set('Cache-Control', 'public, max-age=60'); // Cache for 60 seconds
+      res.set('X-Total-Count', String(total));
+
+      // Return sanitized data with each run's position on the board
+      res.json(rows.map((row, index) => ({
+        ...sanitizeScoreRow(row),
+        rank: offset + index + 1
+      })));
+    });
+  });
+});
+
+// API endpoint to get a player's best run and its rank (same filters as /api/scores)
+app.get('/api/scores/player/:username', (req, res) => {
+  const sanitizedUsername = req.params.username.toString().substring(0, 30).replace(/[^\w\s]/gi, '');
+  if (!sanitizedUsername) {
+    return res.status(400).json({ error: 'Invalid username' });
+  }
+
+  const filter = buildScoreFilter(req.query);
+  const where = toWhereClause([...filter.conditions, 'username = ?']);
+
+  db.get(`SELECT id, username, score, wave, victory, datetime, duration
+          FROM scores
+          ${where}
+          ORDER BY ${SCORE_CATEGORIES[filter.category].order}
+          LIMIT 1`, [...filter.params, sanitizedUsername], (err, best) => {
+    if (err) {
+      console.error('Error fetching personal best:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch personal best' });
+    }
+
+    countScores(filter, (err, total) => {
+      if (err) {
+        console.error('Error counting scores:', err.message);
+        return res.status(500).json({ error: 'Failed to fetch personal best' });
+      }
+
+      res.set('Cache-Control', 'public, max-age=60');
+
+      if (!best) {
+        return res.json({ username: sanitizedUsername, best: null, rank: null, total });
+      }
+
+      getScoreRank(filter, best, (err, rank) => {
+        if (err) {
+          console.error('Error ranking personal best:', err.message);
+          return res.status(500).json({ error: 'Failed to fetch personal best' });
+        }
+
+        res.json({ username: sanitizedUsername, best: sanitizeScoreRow(best), rank, total });
+      });
+    });
+  });
+});
+
+// Player profile helpers
+const MAX_DECKS = 10;
+const MAX_DECK_CARDS = 30;
+const PROFILE_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+const sanitizeUsername = (username) => (username || 'Player').toString().substring(0, 30).replace(/[^\w\s]/gi, '') || 'Player';
+
+// Validate decks sent by the client; returns null if anything is malformed
+const sanitizeDecks = (decks) => {
+  if (!Array.isArray(decks) || decks.length === 0 || decks.length > MAX_DECKS) return null;
+
+  const sanitizeCardIds = (cardIds) => {
+    if (!Array.isArray(cardIds) || cardIds.length > MAX_DECK_CARDS) return null;
+    return cardIds.every(cardId => typeof cardId === 'string' && /^\w{1,40}$/.test(cardId)) ? cardIds : null;
+  };
+
+  const sanitized = [];
+  for (const deck of decks) {
+    if (!deck || typeof deck !== 'object') return null;
+
+    const towerCards = sanitizeCardIds(deck.towerCards || []);
+    const spellCards = sanitizeCardIds(deck.spellCards || []);
+    const enemyCards = sanitizeCardIds(deck.enemyCards || []);
+    if (!towerCards || !spellCards || !enemyCards ||
+        towerCards.length + spellCards.length + enemyCards.length > MAX_DECK_CARDS) {
+      return null;
+    }
+
+    sanitized.push({
+      name: (deck.name || 'Deck').toString().substring(0, 30),
+      locked: Boolean(deck.locked),
+      towerCards,
+      spellCards,
+      enemyCards
+    });
+  }
+  return sanitized;
+};
+
+// Convert a players row to the Player.serialize shape the client expects
+const rowToProfile = (row) => ({
+  id: row.id,
+  username: row.username,
+  level: row.level,
+  xp: row.xp,
+  gold: row.gold,
+  gems: row.gems,
+  stats: JSON.parse(row.stats),
+  collection: JSON.parse(row.collection),
+  currentDeckIndex: row.current_deck_index,
+  decks: JSON.parse(row.decks)
+});
+
+// XP for a finished run: waves reached, score and a victory bonus
+const calculateRunXp = ({ score, wave, victory }) => wave * 20 + Math.floor(score / 50) + (victory ? 100 : 0);
+
+const getPlayerRow = (id, callback) => {
+  if (!PROFILE_ID_PATTERN.test(id)) {
+    return callback(null, null);
+  }
+  db.get('SELECT * FROM players WHERE id = ?', [id], callback);
+};
+
+// API endpoint to create a player profile
+app.post('/api/players', (req, res) => {
+  const { username, decks, currentDeckIndex } = req.body;
+
+  const sanitizedDecks = sanitizeDecks(decks);
+  if (!sanitizedDecks) {
+    return res.status(400).json({ error: 'Invalid decks' });
+  }
+
+  let sanitizedDeckIndex = parseInt(currentDeckIndex || 0, 10);
+  if (isNaN(sanitizedDeckIndex) || sanitizedDeckIndex < 0 || sanitizedDeckIndex >= sanitizedDecks.length) {
+    sanitizedDeckIndex = 0;
+  }
+
+  // Start from a fresh Player so defaults (level, stats) match the client
+  const player = new Player(crypto.randomUUID(), sanitizeUsername(username));
+  const now = new Date().toISOString();
+
+  const query = `INSERT INTO players (id, username, level, xp, gold, gems, stats, collection, decks, current_deck_index, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+  db.run(query, [
+    player.id,
+    player.username,
+    player.level,
+    player.xp,
+    player.gold,
+    player.gems,
+    JSON.stringify(player.stats),
+    JSON.stringify(player.collection),
+    JSON.stringify(sanitizedDecks),
+    sanitizedDeckIndex,
+    now,
+    now
+  ], (err) => {
+    if (err) {
+      console.error('Error creating player:', err.message);
+      return res.status(500).json({ error: 'Failed to create player' });
+    }
+
+    getPlayerRow(player.id, (err, row) => {
+      if (err || !row) {
+        return res.status(500).json({ error: 'Failed to create player' });
+      }
+      res.status(201).json(rowToProfile(row));
+    });
+  });
+});
+
+// API endpoint to fetch a player profile
+app.get('/api/players/:id', (req, res) => {
+  getPlayerRow(req.params.id, (err, row) => {
+    if (err) {
+      console.error('Error fetching player:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch player' });
+    }
+    if (!row) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(rowToProfile(row));
+  });
+});
+
+// API endpoint to update the editable parts of a profile (name and decks).
+// Progression only changes through /results so it can't be set directly.
+app.put('/api/players/:id', (req, res) => {
+  const { username, decks, currentDeckIndex } = req.body;
+
+  getPlayerRow(req.params.id, (err, row) => {
+    if (err) {
+      console.error('Error fetching player:', err.message);
+      return res.status(500).json({ error: 'Failed to update player' });
+    }
+    if (!row) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const sanitizedDecks = decks === undefined ? JSON.parse(row.decks) : sanitizeDecks(decks);
+    if (!sanitizedDecks) {
+      return res.status(400).json({ error: 'Invalid decks' });
+    }
+
+    let sanitizedDeckIndex = currentDeckIndex === undefined ? row.current_deck_index : parseInt(currentDeckIndex, 10);
+    if (isNaN(sanitizedDeckIndex) || sanitizedDeckIndex < 0 || sanitizedDeckIndex >= sanitizedDecks.length) {
+      sanitizedDeckIndex = 0;
+    }
+
+    const sanitizedName = username === undefined ? row.username : sanitizeUsername(username);
+
+    db.run(`UPDATE players SET username = ?, decks = ?, current_deck_index = ?, updated_at = ? WHERE id = ?`, [
+      sanitizedName,
+      JSON.stringify(sanitizedDecks),
+      sanitizedDeckIndex,
+      new Date().toISOString(),
+      row.id
+    ], (err) => {
+      if (err) {
+        console.error('Error updating player:', err.message);
+        return res.status(500).json({ error: 'Failed to update player' });
+      }
+
+      res.json(rowToProfile({
+        ...row,
+        username: sanitizedName,
+        decks: JSON.stringify(sanitizedDecks),
+        current_deck_index: sanitizedDeckIndex
+      }));
+    });
+  });
+});
+
+// API endpoint to record a finished run: bumps stats and awards XP. Like scores, results
+// need the run's token and a summary that passes verifyRunSummary, and count once per run.
+app.post('/api/players/:id/results', (req, res) => {
+  const { score, wave, victory, duration, runToken, summary, towersPlaced, spellsCast } = req.body;
+
+  const tokenPayload = verifyRunToken(runToken);
+  if (!tokenPayload) {
+    return res.status(403).json({ error: 'Invalid or expired run token' });
+  }
+  if (!summary || typeof summary !== 'object') {
+    return res.status(400).json({ error: 'Missing run summary' });
+  }
+
+  const sanitizedScore = parseInt(score, 10);
+  const sanitizedWave = parseInt(wave, 10);
+  const sanitizedVictory = Boolean(victory);
+  const sanitizedDuration = parseInt(duration || 0, 10);
+  const counters = {
+    towersPlaced: parseInt(towersPlaced || 0, 10),
+    enemiesDefeated: parseInt(summary.kills, 10),
+    spellsCast: parseInt(spellsCast || 0, 10)
+  };
+
+  if (isNaN(sanitizedScore) || sanitizedScore < 0 || sanitizedScore > 1000000) {
+    return res.status(400).json({ error: 'Invalid score value' });
+  }
+
+  if (isNaN(sanitizedWave) || sanitizedWave < 0 || sanitizedWave > 100) {
+    return res.status(400).json({ error: 'Invalid wave value' });
+  }
+
+  if (isNaN(sanitizedDuration) || sanitizedDuration < 0 || sanitizedDuration > 86400) {
+    return res.status(400).json({ error: 'Invalid duration value' });
+  }
+
+  if (Object.values(counters).some(value => isNaN(value) || value < 0 || value > 10000)) {
+    return res.status(400).json({ error: 'Invalid stats values' });
+  }
+
+  // XP is only awarded for runs that could have happened
+  const verificationError = verifyRunSummary({
+    score: sanitizedScore,
+    wave: sanitizedWave,
+    victory: sanitizedVictory,
+    duration: sanitizedDuration,
+    category: getScoreCategory(tokenPayload.category)
+  }, summary, tokenPayload);
+  if (verificationError) {
+    return res.status(422).json({ error: verificationError });
+  }
+
+  getPlayerRow(req.params.id, (err, row) => {
+    if (err) {
+      console.error('Error fetching player:', err.message);
+      return res.status(500).json({ error: 'Failed to record result' });
+    }
+    if (!row) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    db.run(`INSERT INTO run_results (run_id, player_id, datetime) VALUES (?, ?, ?)`, [
+      tokenPayload.runId,
+      row.id,
+      new Date().toISOString()
+    ], (err) => {
+      if (err && err.code === 'SQLITE_CONSTRAINT') {
+        return res.status(409).json({ error: 'A result was already recorded for this run' });
+      }
+      if (err) {
+        console.error('Error recording result:', err.message);
+        return res.status(500).json({ error: 'Failed to record result' });
+      }
+
+      const player = new Player(row.id, row.username);
+      player.level = row.level;
+      player.xp = row.xp;
+      player.stats = { ...player.stats, ...JSON.parse(row.stats) };
+
+      player.updateStat('matchesPlayed', 1);
+      player.updateStat(sanitizedVictory ? 'wins' : 'losses', 1);
+      Object.keys(counters).forEach(stat => player.updateStat(stat, counters[stat]));
+
+      const xpGained = calculateRunXp({ score: sanitizedScore, wave: sanitizedWave, victory: sanitizedVictory });
+      const levelsGained = player.addXp(xpGained);
+
+      db.run(`UPDATE players SET level = ?, xp = ?, stats = ?, updated_at = ? WHERE id = ?`, [
+        player.level,
+        player.xp,
+        JSON.stringify(player.stats),
+        new Date().toISOString(),
+        row.id
+      ], (err) => {
+        if (err) {
+          console.error('Error recording result:', err.message);
+          return res.status(500).json({ error: 'Failed to record result' });
+        }
+
+        res.json({
+          xpGained,
+          levelsGained,
+          profile: rowToProfile({
+            ...row,
+            level: player.level,
+            xp: player.xp,
+            stats: JSON.stringify(player.stats)
+          })
+        });
+      });
+    });
   });
 });
 
@@ -226,11 +773,313 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Resource not found' });
 });
 
+// Multiplayer matches over WebSocket (/ws)
+// Players queue per mode and are paired in join order.
+// - versus: each player defends their own map. The server relays enemy cards and
+//   decides the winner from the lives the players report.
+// - coop: both players defend one map. The server keeps the shared grid and is the
+//   only one that can accept a tower placement, one at a time.
+const MATCH_MODES = ['versus', 'coop'];
+const matchQueues = { versus: [], coop: [] };
+const cardCatalog = new CardCatalog();
+const ID_PATTERN = /^\w{1,40}$/;
+
+const sendMessage = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const getOthers = (socket) => socket.match ? socket.match.players.filter(player => player !== socket) : [];
+
+const startMatch = (mode, players) => {
+  const match = {
+    id: crypto.randomUUID(),
+    mode,
+    seed: crypto.randomInt(0, 0xFFFFFFFF), // Both players play the same map and waves
+    players,
+    over: false
+  };
+
+  if (mode === 'coop') {
+    // Shared grid (no enemies server-side, so placements only need to keep the entry-exit path open)
+    match.map = new GameMap({ enemies: [] });
+    match.map.createGridData();
+    match.owners = {}; // "x,y" -> playerId of the tower on that cell
+    match.gridQueue = Promise.resolve(); // Grid changes are applied one at a time
+  }
+
+  players.forEach((socket, index) => {
+    socket.match = match;
+    socket.playerId = `p${index + 1}`;
+    socket.status = { lives: null, wave: 1, score: 0, finished: false };
+  });
+
+  players.forEach(socket => sendMessage(socket, {
+    type: 'matchStart',
+    matchId: match.id,
+    mode,
+    seed: match.seed,
+    playerId: socket.playerId,
+    otherPlayer: getOthers(socket)[0].username
+  }));
+
+  console.log(`Started ${mode} match ${match.id}: ${players.map(socket => socket.username).join(' and ')}`);
+};
+
+// Versus: winner is null for a draw
+const endVersusMatch = (match, winner, reason) => {
+  if (match.over) return;
+  match.over = true;
+
+  match.players.forEach(socket => {
+    sendMessage(socket, {
+      type: 'matchOver',
+      winner: winner ? winner.username : null,
+      youWon: socket === winner,
+      draw: !winner,
+      reason
+    });
+    socket.match = null;
+  });
+};
+
+// Co-op: the team wins or loses together
+const endCoopMatch = (match, victory, reason) => {
+  if (match.over) return;
+  match.over = true;
+
+  match.players.forEach(socket => {
+    sendMessage(socket, { type: 'matchOver', youWon: victory, draw: false, winner: null, reason });
+    socket.match = null;
+  });
+};
+
+// Both players cleared every wave: most lives left wins, then score
+const decideFinishedMatch = (match) => {
+  const [first, second] = match.players;
+  const compare = (first.status.lives - second.status.lives) || (first.status.score - second.status.score);
+  endVersusMatch(match, compare > 0 ? first : compare < 0 ? second : null, 'finished');
+};
+
+const readStatus = (message) => ({
+  lives: Math.max(0, parseInt(message.lives, 10) || 0),
+  wave: Math.max(1, parseInt(message.wave, 10) || 1),
+  score: Math.max(0, parseInt(message.score, 10) || 0)
+});
+
+const readGridCell = (map, message) => {
+  const gridX = parseInt(message.gridX, 10);
+  const gridY = parseInt(message.gridY, 10);
+  if (!(gridX >= 0 && gridX < map.gridWidth && gridY >= 0 && gridY < map.gridHeight)) return null;
+  return { gridX, gridY, key: `${gridX},${gridY}` };
+};
+
+// Status updates are shared the same way in both modes
+const updateStatus = (socket, message) => {
+  const finished = message.type === 'finished';
+  socket.status = { ...socket.status, ...readStatus(message), finished: socket.status.finished || finished };
+
+  getOthers(socket).forEach(other => sendMessage(other, {
+    type: 'otherStatus',
+    ...readStatus(message),
+    finished: socket.status.finished
+  }));
+};
+
+const handleVersusMessage = (socket, message) => {
+  const match = socket.match;
+  const opponent = getOthers(socket)[0];
+
+  switch (message.type) {
+    case 'enemyCard': {
+      // Only enemy cards can be sent; the opponent spawns it in their next wave
+      const card = cardCatalog.enemies[message.cardId];
+      if (!card) return;
+
+      sendMessage(opponent, { type: 'incomingEnemy', cardId: card.id, from: socket.username });
+      break;
+    }
+
+    case 'status':
+      updateStatus(socket, message);
+      if (socket.status.lives <= 0) {
+        endVersusMatch(match, opponent, 'defeated');
+      }
+      break;
+
+    case 'finished':
+      updateStatus(socket, message);
+      if (opponent.status.finished) {
+        decideFinishedMatch(match);
+      }
+      break;
+  }
+};
+
+const handleCoopMessage = (socket, message) => {
+  const match = socket.match;
+
+  switch (message.type) {
+    case 'placeTower': {
+      const cell = readGridCell(match.map, message);
+      const towerType = String(message.towerType || '');
+      const cardId = message.cardId ? String(message.cardId) : null;
+      const requestId = parseInt(message.requestId, 10) || 0;
+
+      if (!cell || !ID_PATTERN.test(towerType) || (cardId && !ID_PATTERN.test(cardId))) {
+        return sendMessage(socket, { type: 'placementResult', requestId, ok: false });
+      }
+
+      // Queued so two requests can't both pass canPlaceTower against the same grid
+      match.gridQueue = match.gridQueue.then(async () => {
+        const ok = !match.over && await match.map.canPlaceTower(cell.gridX, cell.gridY);
+        if (ok) {
+          match.map.placeTower(cell.gridX, cell.gridY);
+          match.owners[cell.key] = socket.playerId;
+        }
+
+        sendMessage(socket, { type: 'placementResult', requestId, ok });
+        if (ok) {
+          getOthers(socket).forEach(other => sendMessage(other, {
+            type: 'towerPlaced',
+            gridX: cell.gridX,
+            gridY: cell.gridY,
+            towerType,
+            cardId,
+            owner: socket.playerId,
+            ownerName: socket.username
+          }));
+        }
+      }).catch(err => console.error('Error placing co-op tower:', err));
+      break;
+    }
+
+    // Sell, upgrade or retarget a tower the player owns
+    case 'towerAction': {
+      const cell = readGridCell(match.map, message);
+      if (!cell || !['sellTower', 'upgradeTower', 'setTargeting'].includes(message.action)) return;
+
+      match.gridQueue = match.gridQueue.then(() => {
+        if (match.over || match.owners[cell.key] !== socket.playerId) return;
+
+        if (message.action === 'sellTower') {
+          match.map.grid[cell.gridY][cell.gridX] = 1;
+          match.map.pathfindingHelper.updateGrid();
+          delete match.owners[cell.key];
+        }
+
+        getOthers(socket).forEach(other => sendMessage(other, {
+          type: 'towerAction',
+          action: message.action,
+          gridX: cell.gridX,
+          gridY: cell.gridY,
+          mode: typeof message.mode === 'string' ? message.mode.substring(0, 20) : undefined
+        }));
+      });
+      break;
+    }
+
+    case 'status':
+      updateStatus(socket, message);
+      if (socket.status.lives <= 0) {
+        endCoopMatch(match, false, 'defeated');
+      }
+      break;
+
+    case 'finished':
+      updateStatus(socket, message);
+      if (match.players.every(player => player.status.finished)) {
+        endCoopMatch(match, true, 'finished');
+      }
+      break;
+  }
+};
+
+// A player left mid-match: versus is forfeited, co-op carries on with the partner
+const leaveMatch = (socket) => {
+  const match = socket.match;
+  const others = getOthers(socket);
+  socket.match = null;
+
+  if (match.mode === 'versus') {
+    endVersusMatch(match, others[0] || null, 'forfeit');
+    return;
+  }
+
+  match.players = others;
+  match.players.forEach(other => sendMessage(other, { type: 'otherLeft', username: socket.username }));
+
+  if (match.players.length === 0) {
+    match.over = true;
+  } else if (match.players.every(player => player.status.finished)) {
+    endCoopMatch(match, true, 'finished');
+  }
+};
+
+const leaveQueue = (socket) => {
+  MATCH_MODES.forEach(mode => {
+    matchQueues[mode] = matchQueues[mode].filter(queued => queued !== socket);
+  });
+};
+
+const handleSocketMessage = (socket, data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (err) {
+    return;
+  }
+  if (!message || typeof message.type !== 'string') return;
+
+  if (message.type === 'join') {
+    if (socket.match || !MATCH_MODES.includes(message.mode)) return;
+
+    leaveQueue(socket);
+    socket.username = sanitizeUsername(message.username);
+
+    const queue = matchQueues[message.mode];
+    const other = queue.shift();
+    if (other) {
+      startMatch(message.mode, [other, socket]);
+    } else {
+      queue.push(socket);
+      sendMessage(socket, { type: 'waiting', mode: message.mode });
+    }
+    return;
+  }
+
+  const match = socket.match;
+  if (!match || match.over) return;
+
+  if (match.mode === 'coop') {
+    handleCoopMessage(socket, message);
+  } else {
+    handleVersusMessage(socket, message);
+  }
+};
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+const wss = new WebSocketServer({ server, path: '/ws', maxPayload: 4 * 1024 });
+
+wss.on('connection', (socket) => {
+  socket.match = null;
+  socket.username = 'Player';
+
+  socket.on('message', (data) => handleSocketMessage(socket, data.toString()));
+
+  socket.on('close', () => {
+    leaveQueue(socket);
+    if (socket.match && !socket.match.over) {
+      leaveMatch(socket);
+    }
+  });
+});
+
 // Close database connection when server shuts down
 process.on('SIGINT', () => {
   db.close((err) => {
@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import { GameEvents } from './simulation/events.js';
+import { getUnits } from './units.js';
+
+// How long the bar stays up after a boss falls
+const DEFEATED_BAR_TIME = 4000; // ms
+
+// Ground ring size for abilities without a radius of their own (adds)
+const ADDS_WARNING_RADIUS = 1;
+
+// Visuals for authored bosses: the health bar across the top of the screen and the
+// warning rings their telegraphed abilities draw on the ground. The gameplay side
+// lives in entities/boss.js; this follows its events.
+export class BossDisplay {
+    constructor(game) {
+        this.game = game;
+        this.boss = null; // Boss the bar is showing
+        this.warnings = []; // Telegraphed abilities still to go off: { boss, position, mesh, startTime, delay }
+        this.effects = []; // Death reward bursts
+        this.hideTimer = null;
+
+        this.bar = document.getElementById('boss-bar');
+        this.nameElement = document.getElementById('boss-bar-name');
+        this.phaseElement = document.getElementById('boss-bar-phase');
+        this.trackElement = document.getElementById('boss-bar-track');
+        this.fillElement = document.getElementById('boss-bar-fill');
+        this.statusElement = document.getElementById('boss-bar-status');
+
+        this.subscribeToSimulation(game.events);
+    }
+
+    subscribeToSimulation(events) {
+        events.on(GameEvents.BOSS_SPAWNED, ({ boss }) => this.show(boss));
+
+        events.on(GameEvents.ENEMY_DAMAGED, ({ enemy }) => {
+            if (enemy === this.boss) this.updateHealth();
+        });
+
+        events.on(GameEvents.BOSS_PHASE_CHANGED, ({ boss, phase }) => {
+            if (boss !== this.boss) return;
+            this.updatePhase();
+            this.setStatus(`Phase ${phase + 1} - ${boss.name} is enraged!`, 'enraged');
+        });
+
+        events.on(GameEvents.BOSS_ABILITY_TELEGRAPHED, ({ boss, ability, position, delay }) => {
+            this.warnings.push(this.createWarning(boss, ability, position, delay));
+            if (boss === this.boss) this.setStatus(`Incoming: ${this.describeAbility(ability)}`, 'warning');
+        });
+
+        events.on(GameEvents.BOSS_ABILITY_USED, ({ boss, ability, position, towers }) => {
+            this.removeWarnings(warning => warning.position === position);
+            if (boss !== this.boss) return;
+
+            if (ability.type === 'disableTowers') {
+                const count = towers.length;
+                this.setStatus(`${count} tower${count === 1 ? '' : 's'} disabled for ${ability.duration}s`, 'warning');
+            } else {
+                this.setStatus('');
+            }
+        });
+
+        events.on(GameEvents.BOSS_DEFEATED, ({ boss, reward, manaReward }) => {
+            const effect = this.game.renderer?.createSpecialEffect('goldRush', { x: boss.position.x, y: 1, z: boss.position.z });
+            if (effect) this.effects.push(effect);
+            if (boss !== this.boss) return;
+
+            this.fillElement.style.width = '0%';
+            this.bar.classList.add('defeated');
+            this.setStatus(`${boss.name} defeated! +${reward} gold, +${manaReward} mana`, 'defeated');
+            this.hideTimer = this.game.clock.setTimeout(() => this.hide(), DEFEATED_BAR_TIME);
+        });
+
+        events.on(GameEvents.ENEMY_REMOVED, ({ enemy }) => {
+            // Abilities still being telegraphed die with their boss
+            this.removeWarnings(warning => warning.boss === enemy);
+
+            // A defeated boss's bar lingers to show the reward; a leaked one goes at once
+            if (enemy === this.boss && enemy.health > 0) this.hide();
+        });
+    }
+
+    show(boss) {
+        if (this.hideTimer !== null) {
+            this.game.clock.clearTimeout(this.hideTimer);
+            this.hideTimer = null;
+        }
+        this.boss = boss;
+
+        this.nameElement.textContent = boss.name;
+        this.bar.classList.remove('hidden', 'defeated', 'enraged');
+
+        // Mark where each phase starts
+        this.trackElement.querySelectorAll('.boss-bar-threshold').forEach(marker => marker.remove());
+        boss.phases.forEach(phase => {
+            const marker = document.createElement('div');
+            marker.className = 'boss-bar-threshold';
+            marker.style.left = `${phase.health * 100}%`;
+            this.trackElement.appendChild(marker);
+        });
+
+        this.updateHealth();
+        this.updatePhase();
+        this.setStatus('');
+    }
+
+    hide() {
+        this.boss = null;
+        this.hideTimer = null;
+        this.bar.classList.add('hidden');
+    }
+
+    updateHealth() {
+        const share = Math.max(0, this.boss.health / this.boss.maxHealth);
+        this.fillElement.style.width = `${share * 100}%`;
+    }
+
+    updatePhase() {
+        this.phaseElement.textContent = `Phase ${this.boss.phase + 1}/${this.boss.phases.length + 1}`;
+        this.bar.classList.toggle('enraged', this.boss.phase > 0);
+    }
+
+    setStatus(text, type = '') {
+        this.statusElement.textContent = text;
+        this.statusElement.className = type;
+    }
+
+    describeAbility(ability) {
+        switch (ability.type) {
+            case 'spawnAdds': {
+                const enemy = getUnits().enemies[ability.enemy];
+                return `summoning ${ability.count} ${enemy?.name || ability.enemy}${ability.count === 1 ? '' : 's'}`;
+            }
+            case 'disableTowers':
+                return `disabling towers within ${ability.radius} tiles`;
+            default:
+                return ability.type;
+        }
+    }
+
+    // A pulsing ring where the ability will land
+    createWarning(boss, ability, position, delay) {
+        const radius = ability.radius || ADDS_WARNING_RADIUS;
+        const geometry = new THREE.RingGeometry(radius * 0.85, radius, 48);
+        const material = new THREE.MeshBasicMaterial({
+            color: ability.type === 'disableTowers' ? 0xFF1744 : 0xFF9100,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(position.x, 0.1, position.z);
+        this.game.renderer?.scene.add(mesh);
+
+        return { boss, position, mesh, startTime: this.game.clock.now(), delay: delay * 1000 };
+    }
+
+    removeWarnings(predicate) {
+        this.warnings = this.warnings.filter(warning => {
+            if (!predicate(warning)) return true;
+            this.game.renderer?.scene.remove(warning.mesh);
+            warning.mesh.geometry.dispose();
+            warning.mesh.material.dispose();
+            return false;
+        });
+    }
+
+    update() {
+        const now = this.game.clock.now();
+        this.effects = this.effects.filter(effect => !effect.update(now));
+
+        // Rings pulse faster as their ability gets closer
+        this.warnings.forEach(warning => {
+            const progress = Math.min(1, (now - warning.startTime) / warning.delay);
+            const pulse = Math.sin(progress * progress * Math.PI * 12);
+            warning.mesh.material.opacity = 0.45 + 0.35 * pulse;
+        });
+    }
+
+    // Drop the bar and rings left over from a previous run
+    reset() {
+        this.removeWarnings(() => true);
+        this.effects = [];
+        this.hide();
+    }
+}
@@ -0,0 +1,156 @@
+import trainingGrounds from './data/levels/01_training_grounds.json' with { type: 'json' };
+import riverCrossing from './data/levels/02_river_crossing.json' with { type: 'json' };
+import theGauntlet from './data/levels/03_the_gauntlet.json' with { type: 'json' };
+import { Map as GameMap } from './map.js';
+import { getUnits } from './units.js';
+
+// Campaign levels in the order they unlock. Each level (data/levels/*.json) has:
+//   id, name, description
+//   layout         map in the map editor's format (see Map.createDefaultLayout)
+//   startingGold, startingLives
+//   waves          wave settings, one entry per wave (same fields as the debug panel's,
+//                  plus an optional flyingChance: share of enemies sent as flyers,
+//                  and an optional boss: a bosses id from data/units.json)
+//   allowedTowers  tower ids from data/units.json (left out: every tower)
+//   powerCards     power ids from data/units.json (left out: every power)
+//   starLives      lives left needed for 2 and 3 stars (any win is worth 1)
+const LEVEL_FILES = [trainingGrounds, riverCrossing, theGauntlet];
+
+// localStorage key for completion and stars per level id
+const PROGRESS_STORAGE_KEY = 'campaignProgress';
+
+const WAVE_FIELDS = {
+    enemyHealth: 'number',
+    enemySpeed: 'number',
+    enemyCount: 'number',
+    goldMultiplier: 'number',
+    spawnBoss: 'boolean',
+    batchSpawning: 'boolean'
+};
+
+// List every problem in a level definition (empty when it's valid). Whether enemies
+// can get through the layout is up to the author - check it in the map editor.
+export function validateLevel(level) {
+    const errors = [];
+    const units = getUnits();
+    const isCount = value => Number.isInteger(value) && value >= 0;
+
+    ['id', 'name', 'description'].forEach(field => {
+        if (typeof level[field] !== 'string' || !level[field]) errors.push(`${field}: must be a string`);
+    });
+
+    GameMap.validateLayout(level.layout).forEach(error => errors.push(`layout: ${error}`));
+
+    if (!isCount(level.startingGold)) errors.push('startingGold: must be a whole number');
+    if (!isCount(level.startingLives) || level.startingLives < 1) errors.push('startingLives: must be at least 1');
+
+    if (!Array.isArray(level.waves) || level.waves.length === 0) {
+        errors.push('waves: must list at least one wave');
+    } else {
+        level.waves.forEach((wave, index) => {
+            Object.entries(WAVE_FIELDS).forEach(([field, type]) => {
+                if (typeof wave[field] !== type) errors.push(`waves[${index}].${field}: must be a ${type}`);
+            });
+            if (wave.flyingChance !== undefined &&
+                !(typeof wave.flyingChance === 'number' && wave.flyingChance >= 0 && wave.flyingChance <= 1)) {
+                errors.push(`waves[${index}].flyingChance: must be a number from 0 to 1`);
+            }
+            if (wave.boss !== undefined && !units.bosses[wave.boss]) {
+                errors.push(`waves[${index}].boss: unknown boss "${wave.boss}"`);
+            }
+        });
+    }
+
+    if (level.allowedTowers !== undefined &&
+        (!Array.isArray(level.allowedTowers) || !level.allowedTowers.every(id => units.towers[id]))) {
+        errors.push('allowedTowers: must list tower ids from data/units.json');
+    }
+    if (level.powerCards !== undefined &&
+        (!Array.isArray(level.powerCards) || !level.powerCards.every(id => units.powerCards[id]))) {
+        errors.push('powerCards: must list power ids from data/units.json');
+    }
+
+    const [twoStars, threeStars] = Array.isArray(level.starLives) ? level.starLives : [];
+    if (!isCount(twoStars) || !isCount(threeStars) || twoStars > threeStars || threeStars > level.startingLives) {
+        errors.push('starLives: must be [lives for 2 stars, lives for 3 stars], at most startingLives');
+    }
+
+    return errors;
+}
+
+let levels = null;
+
+// The campaign levels, validated on first use
+export function getCampaignLevels() {
+    if (!levels) {
+        const errors = [];
+        const ids = new Set();
+        LEVEL_FILES.forEach((level, index) => {
+            validateLevel(level).forEach(error => errors.push(`${level.id || `level ${index + 1}`}: ${error}`));
+            if (ids.has(level.id)) errors.push(`${level.id}: duplicate level id`);
+            ids.add(level.id);
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid campaign level:\n  ${errors.join('\n  ')}`);
+        }
+        levels = LEVEL_FILES;
+    }
+    return levels;
+}
+
+export function getCampaignLevel(id) {
+    return getCampaignLevels().find(level => level.id === id) || null;
+}
+
+// The level after this one, or null at the end of the campaign
+export function getNextLevel(id) {
+    const campaign = getCampaignLevels();
+    const index = campaign.findIndex(level => level.id === id);
+    return index !== -1 ? campaign[index + 1] || null : null;
+}
+
+// 0 for a loss, otherwise 1-3 by the lives left at the end
+export function getStarRating(level, victory, livesLeft) {
+    if (!victory) return 0;
+
+    const [twoStars, threeStars] = level.starLives;
+    if (livesLeft >= threeStars) return 3;
+    if (livesLeft >= twoStars) return 2;
+    return 1;
+}
+
+// { [levelId]: { completed, stars } } for the levels played so far
+export function loadCampaignProgress() {
+    try {
+        return JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error('Failed to load campaign progress:', e);
+        return {};
+    }
+}
+
+// Keep a level's best result. Returns the level's progress afterwards.
+export function recordLevelResult(levelId, stars) {
+    const progress = loadCampaignProgress();
+    const previous = progress[levelId] || { completed: false, stars: 0 };
+
+    progress[levelId] = {
+        completed: previous.completed || stars > 0,
+        stars: Math.max(previous.stars, stars)
+    };
+
+    try {
+        localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+    } catch (e) {
+        console.error('Failed to save campaign progress:', e);
+    }
+    return progress[levelId];
+}
+
+// The first level is always open; the others open once the one before is completed
+export function isLevelUnlocked(levelId, progress = loadCampaignProgress()) {
+    const campaign = getCampaignLevels();
+    const index = campaign.findIndex(level => level.id === levelId);
+    return index === 0 || (index > 0 && !!progress[campaign[index - 1].id]?.completed);
+}
@@ -0,0 +1,77 @@
+import { getCampaignLevels, loadCampaignProgress, isLevelUnlocked } from './campaign.js';
+
+// Pre-game level select: lists the campaign levels with their best star rating,
+// and starts the chosen one once the level before it has been completed
+export class CampaignScreen {
+    constructor(game) {
+        this.game = game;
+
+        this.screen = document.getElementById('campaign-screen');
+        if (!this.screen) return;
+
+        this.list = document.getElementById('campaign-level-list');
+
+        document.getElementById('campaign-back-button').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    open() {
+        this.render();
+
+        document.getElementById('start-screen').classList.add('hidden');
+        this.screen.classList.remove('hidden');
+    }
+
+    close() {
+        this.screen.classList.add('hidden');
+        document.getElementById('start-screen').classList.remove('hidden');
+    }
+
+    render() {
+        const progress = loadCampaignProgress();
+        this.list.innerHTML = '';
+
+        getCampaignLevels().forEach((level, index) => {
+            const unlocked = isLevelUnlocked(level.id, progress);
+            const stars = progress[level.id]?.stars || 0;
+
+            const entry = document.createElement('button');
+            entry.className = 'campaign-level';
+            entry.disabled = !unlocked;
+
+            const name = document.createElement('div');
+            name.className = 'campaign-level-name';
+            name.textContent = `${index + 1}. ${level.name}`;
+            entry.appendChild(name);
+
+            const description = document.createElement('div');
+            description.className = 'campaign-level-description';
+            description.textContent = unlocked ? level.description : 'Complete the previous level to unlock';
+            entry.appendChild(description);
+
+            const rating = document.createElement('div');
+            rating.className = 'level-stars';
+            rating.textContent = '★'.repeat(stars) + '☆'.repeat(3 - stars);
+            entry.appendChild(rating);
+
+            if (unlocked) {
+                entry.addEventListener('click', () => this.play(level));
+            }
+            this.list.appendChild(entry);
+        });
+    }
+
+    async play(level) {
+        const username = document.getElementById('username').value || 'Player';
+        this.screen.classList.add('hidden');
+        document.getElementById('start-screen').classList.remove('hidden');
+
+        await this.game.start(username, { level });
+
+        // Hide the overlay
+        const overlay = document.getElementById('game-overlay');
+        overlay.classList.add('hidden');
+        overlay.style.display = 'none';
+    }
+}
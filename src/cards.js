@@ -1,4 +1,5 @@
 import { ElementTypes, ElementStyles, ElementEffects } from './elements.js';
+import { getUnits } from './units.js';
 
 // Card rarity definitions
 export const CardRarity = {
@@ -64,6 +65,8 @@ export class TowerCard extends Card {
         
         // Special ability if any
         this.specialAbility = specialAbility;
+
+        this.towerType = id; // Tower built when the card is played
     }
 
     // Get adjusted stats based on rarity
@@ -111,6 +114,8 @@ export class EnemyCard extends Card {
         this.health = health;
         this.speed = speed;
         this.reward = reward; // Gold reward when defeated
+
+        this.enemyType = id; // Enemy spawned when the card is sent
     }
 
     // Get adjusted stats based on rarity
@@ -135,301 +140,37 @@ export class CardCatalog {
     }
 
     initializeCards() {
-        // Initialize with default cards
-        this.initializeTowerCards();
-        this.initializeSpellCards();
-        this.initializeEnemyCards();
-    }
-
-    initializeTowerCards() {
-        // Add tower cards for each element
-        
-        // FIRE TOWERS
-        this.addTower(
-            'fire_basic',
-            'Flame Thrower',
-            CardRarity.COMMON,
-            ElementTypes.FIRE,
-            2, // Lower cost for basic towers (was 10)
-            'Basic fire tower that deals burn damage',
-            10, // damage
-            2,  // range
-            1.0, // fire rate
-            'Has a 20% chance to apply burn effect'
-        );
-
-        this.addTower(
-            'fire_advanced',
-            'Inferno Cannon',
-            CardRarity.UNCOMMON,
-            ElementTypes.FIRE,
-            4, // Lowered cost (was 25)
-            'Advanced fire tower with area damage',
-            15, // damage
-            2.5,  // range
-            0.8, // fire rate
-            'Attacks hit all enemies in a small radius'
-        );
-
-        // WATER TOWERS
-        this.addTower(
-            'water_basic',
-            'Frost Shooter',
-            CardRarity.COMMON,
-            ElementTypes.WATER,
-            2, // Lowered cost (was 10)
-            'Basic water tower that slows enemies',
-            8, // damage
-            2,  // range
-            1.1, // fire rate
-            'Has a 30% chance to slow enemies'
-        );
-
-        this.addTower(
-            'water_advanced',
-            'Tidal Cannon',
-            CardRarity.UNCOMMON,
-            ElementTypes.WATER,
-            4, // Lowered cost (was 25)
-            'Advanced water tower with chain attacks',
-            12, // damage
-            2.3,  // range
-            0.9, // fire rate
-            'Attacks can chain to an additional enemy'
-        );
-
-        // EARTH TOWERS
-        this.addTower(
-            'earth_basic',
-            'Stone Launcher',
-            CardRarity.COMMON,
-            ElementTypes.EARTH,
-            3, // Lowered cost (was 10)
-            'Basic earth tower with high damage',
-            12, // damage
-            1.8,  // range
-            0.8, // fire rate
-            'Provides small armor buff to nearby towers'
-        );
-
-        this.addTower(
-            'earth_advanced',
-            'Mountain Catapult',
-            CardRarity.UNCOMMON,
-            ElementTypes.EARTH,
-            5, // Lowered cost (was 25)
-            'Advanced earth tower with resource generation',
-            18, // damage
-            2,  // range
-            0.7, // fire rate
-            'Generates 1 gold every 10 seconds'
-        );
-
-        // AIR TOWERS
-        this.addTower(
-            'air_basic',
-            'Wind Shooter',
-            CardRarity.COMMON,
-            ElementTypes.AIR,
-            2, // Lowered cost (was 10)
-            'Basic air tower with fast attacks',
-            6, // damage
-            2.2,  // range
-            1.5, // fire rate
-            'Has a 15% chance for critical hits (2x damage)'
-        );
-
-        this.addTower(
-            'air_advanced',
-            'Cyclone Blaster',
-            CardRarity.UNCOMMON,
-            ElementTypes.AIR,
-            4, // Lowered cost (was 25)
-            'Advanced air tower with evasion aura',
-            10, // damage
-            2.5,  // range
-            1.8, // fire rate
-            'Nearby towers have 10% evasion chance'
-        );
-
-        // SHADOW TOWERS
-        this.addTower(
-            'shadow_basic',
-            'Dark Bolt Shooter',
-            CardRarity.COMMON,
-            ElementTypes.SHADOW,
-            3, // Lowered cost (was 10)
-            'Basic shadow tower with debuff effects',
-            9, // damage
-            2.2,  // range
-            1.0, // fire rate
-            'Has a 20% chance to weaken enemies'
-        );
-
-        this.addTower(
-            'shadow_advanced',
-            'Void Cannon',
-            CardRarity.UNCOMMON,
-            ElementTypes.SHADOW,
-            5, // Lowered cost (was 25)
-            'Advanced shadow tower with drain effects',
-            14, // damage
-            2.3,  // range
-            0.9, // fire rate
-            'Recovers 10% of damage dealt as player health'
-        );
-
-        // Rare dual-element towers (one for each combination)
-        this.addTower(
-            'fire_water',
-            'Steam Generator',
-            CardRarity.RARE,
-            [ElementTypes.FIRE, ElementTypes.WATER],
-            7, // Lowered cost (was 50)
-            'Dual fire/water tower with steam attacks',
-            20, // damage
-            2.5,  // range
-            1.0, // fire rate
-            'Attacks apply both burn and slow effects'
-        );
-
-        // Add more towers as needed...
-    }
-
-    initializeSpellCards() {
-        // Basic element spells
-        this.addSpell(
-            'fire_wave',
-            'Fire Wave',
-            CardRarity.COMMON,
-            ElementTypes.FIRE,
-            4, // Lowered cost (was 30)
-            'Sends a wave of fire across the map',
-            'damage',
-            2, // duration
-            3  // radius
-        );
-
-        this.addSpell(
-            'water_freeze',
-            'Frost Nova',
-            CardRarity.COMMON,
-            ElementTypes.WATER,
-            3, // Lowered cost (was 25)
-            'Freezes enemies in an area',
-            'freeze',
-            3, // duration
-            2.5  // radius
-        );
-        
-        // Add Earth spell
-        this.addSpell(
-            'earth_shield',
-            'Stone Shield',
-            CardRarity.UNCOMMON,
-            ElementTypes.EARTH,
-            5,
-            'Creates protective shields around towers',
-            'shield',
-            5, // duration
-            2.5  // radius
-        );
-        
-        // Add Air spell
-        this.addSpell(
-            'air_haste',
-            'Wind Rush',
-            CardRarity.UNCOMMON,
-            ElementTypes.AIR,
-            4,
-            'Increases attack speed of all towers',
-            'haste',
-            4, // duration
-            3  // radius
-        );
-        
-        // Add Shadow spell
-        this.addSpell(
-            'shadow_drain',
-            'Void Drain',
-            CardRarity.RARE,
-            ElementTypes.SHADOW,
-            6,
-            'Weakens all enemies and restores mana',
-            'drain',
-            3, // duration
-            4  // radius
-        );
-
-        // Add more spells as needed...
-    }
-
-    initializeEnemyCards() {
-        // Basic element enemies
-        this.addEnemy(
-            'fire_imp',
-            'Fire Imp',
-            CardRarity.COMMON,
-            ElementTypes.FIRE,
-            2, // Lowered cost (was 15)
-            'Basic fire enemy with fast movement',
-            10, // health
-            2.0, // speed
-            5   // reward
-        );
-
-        this.addEnemy(
-            'water_elemental',
-            'Water Elemental',
-            CardRarity.COMMON,
-            ElementTypes.WATER,
-            3, // Lowered cost (was 20)
-            'Water enemy with high health',
-            25, // health
-            0.8, // speed
-            8   // reward
-        );
-        
-        // Add Earth enemy
-        this.addEnemy(
-            'earth_golem',
-            'Earth Golem',
-            CardRarity.UNCOMMON,
-            ElementTypes.EARTH,
-            5,
-            'Slow but extremely tough earth enemy',
-            40, // health
-            0.6, // speed
-            12   // reward
-        );
-        
-        // Add Air enemy
-        this.addEnemy(
-            'air_wisp',
-            'Air Wisp',
-            CardRarity.UNCOMMON, 
-            ElementTypes.AIR,
-            4,
-            'Very fast but fragile air enemy',
-            8, // health
-            2.5, // speed
-            10   // reward
-        );
-        
-        // Add Shadow enemy
-        this.addEnemy(
-            'shadow_wraith',
-            'Shadow Wraith',
-            CardRarity.RARE,
-            ElementTypes.SHADOW,
-            6,
-            'Powerful shadow enemy that drains tower energy',
-            30, // health
-            1.2, // speed
-            15   // reward
-        );
-
-        // Add more enemies as needed...
+        // Cards are defined in data/units.json
+        const units = getUnits();
+
+        Object.entries(units.towerCards).forEach(([id, card]) => {
+            const tower = units.towers[card.tower];
+            const towerCard = this.addTower(
+                id, card.name, card.rarity, card.element, card.manaCost, card.description,
+                card.damage ?? tower.damage,
+                card.range ?? tower.range,
+                card.fireRate ?? tower.fireRate,
+                card.specialAbility !== undefined ? card.specialAbility : tower.specialAbility
+            );
+            towerCard.towerType = card.tower;
+        });
+
+        Object.entries(units.spells).forEach(([id, spell]) => {
+            this.addSpell(
+                id, spell.name, spell.rarity, spell.element, spell.manaCost, spell.description,
+                spell.effect, spell.duration, spell.radius
+            );
+        });
+
+        // Enemy cards send their enemy type, so they show that enemy's stats
+        Object.entries(units.enemyCards).forEach(([id, card]) => {
+            const enemy = units.enemies[card.enemy];
+            const enemyCard = this.addEnemy(
+                id, enemy.name, card.rarity, enemy.element, card.manaCost, card.description,
+                enemy.health, enemy.speed, enemy.reward
+            );
+            enemyCard.enemyType = card.enemy;
+        });
     }
 
     addTower(id, name, rarity, element, cost, description, damage, range, fireRate, specialAbility) {
@@ -463,6 +204,27 @@ export class CardCatalog {
     }
 }
 
+// Fisher-Yates shuffle in place. Pass Game.rng's next() to keep runs reproducible.
+export function shuffleCards(cards, random = Math.random) {
+    for (let i = cards.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    return cards;
+}
+
+// Number of cards a custom deck must hold
+export const DECK_SIZE = 30;
+
+// How many copies of the same card a deck may hold, by rarity
+export const MaxCopiesByRarity = {
+    [CardRarity.COMMON]: 3,
+    [CardRarity.UNCOMMON]: 3,
+    [CardRarity.RARE]: 2,
+    [CardRarity.EPIC]: 1,
+    [CardRarity.LEGENDARY]: 1
+};
+
 // Player's deck of cards
 export class Deck {
     constructor(name = 'Default Deck') {
@@ -470,12 +232,43 @@ export class Deck {
         this.towerCards = [];
         this.spellCards = [];
         this.enemyCards = [];
-        this.maxCards = 30; // Maximum deck size
+        this.maxCards = DECK_SIZE; // Maximum deck size
+        this.locked = false; // Built-in decks (the starter deck) can't be edited
     }
 
-    addCard(card) {
+    // Rebuild a deck from a list of card ids (unknown ids are skipped)
+    static fromCardIds(name, cardIds, catalog) {
+        const deck = new Deck(name);
+        cardIds.forEach(cardId => {
+            const card = catalog.getCardById(cardId);
+            if (card) deck.addCard(card);
+        });
+        return deck;
+    }
+
+    static getMaxCopies(card) {
+        return MaxCopiesByRarity[card.rarity] || 1;
+    }
+
+    countCopies(cardId) {
+        return this.getAllCards().filter(card => card.id === cardId).length;
+    }
+
+    // Why a card can't be added, or null if it can
+    getAddCardError(card) {
         if (this.getTotalCards() >= this.maxCards) {
-            console.warn('Deck is full, cannot add more cards');
+            return 'Deck is full';
+        }
+        if (this.countCopies(card.id) >= Deck.getMaxCopies(card)) {
+            return `Only ${Deck.getMaxCopies(card)} ${card.rarity} copies allowed`;
+        }
+        return null;
+    }
+
+    addCard(card) {
+        const error = this.getAddCardError(card);
+        if (error) {
+            console.warn(`Cannot add ${card.name} to deck: ${error}`);
             return false;
         }
 
@@ -525,19 +318,42 @@ export class Deck {
         return this.towerCards.length + this.spellCards.length + this.enemyCards.length;
     }
 
-    shuffle() {
-        // Fisher-Yates shuffle algorithm
-        const shuffle = array => {
-            for (let i = array.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [array[i], array[j]] = [array[j], array[i]];
+    // List the problems keeping this deck from being played (empty when valid)
+    validate() {
+        // Built-in decks are always playable
+        if (this.locked) return [];
+
+        const errors = [];
+        const total = this.getTotalCards();
+        if (total !== this.maxCards) {
+            errors.push(`Deck needs exactly ${this.maxCards} cards (has ${total})`);
+        }
+        if (this.towerCards.length === 0) {
+            errors.push('Deck needs at least one tower card');
+        }
+
+        const checked = new Set();
+        this.getAllCards().forEach(card => {
+            if (checked.has(card.id)) return;
+            checked.add(card.id);
+
+            const copies = this.countCopies(card.id);
+            if (copies > Deck.getMaxCopies(card)) {
+                errors.push(`${card.name}: ${copies} copies (max ${Deck.getMaxCopies(card)})`);
             }
-            return array;
-        };
+        });
 
-        this.towerCards = shuffle(this.towerCards);
-        this.spellCards = shuffle(this.spellCards);
-        this.enemyCards = shuffle(this.enemyCards);
+        return errors;
+    }
+
+    getAllCards() {
+        return [...this.towerCards, ...this.spellCards, ...this.enemyCards];
+    }
+
+    shuffle(random = Math.random) {
+        this.towerCards = shuffleCards(this.towerCards, random);
+        this.spellCards = shuffleCards(this.spellCards, random);
+        this.enemyCards = shuffleCards(this.enemyCards, random);
     }
 
     // Create a starter deck with some basic cards
@@ -563,7 +379,8 @@ export class Deck {
         // Add some basic enemies for multiplayer
         deck.addCard(catalog.getCardById('fire_imp'));
         deck.addCard(catalog.getCardById('water_elemental'));
-        
+
+        deck.locked = true;
         return deck;
     }
 }
@@ -0,0 +1,18 @@
+// Damage types and how enemy defenses soften them
+
+export const DamageTypes = {
+    PHYSICAL: 'physical',   // Arrows and shells - blunted by armor
+    MAGICAL: 'magical'      // Elemental towers and burns - blunted by magic resistance
+};
+
+// Defense that halves damage. Each point of armor or resistance is worth a little
+// less than the one before, so stacking defense never makes an enemy immune.
+export const DEFENSE_HALVING_POINT = 100;
+
+// How long armor stays cracked after a shredding hit
+export const SHRED_DURATION = 4; // seconds
+
+// Share of damage that gets through the given armor or magic resistance
+export function getDefenseMultiplier(defense) {
+    return DEFENSE_HALVING_POINT / (DEFENSE_HALVING_POINT + Math.max(0, defense));
+}
@@ -0,0 +1,276 @@
+import { CardCatalog, CardType, CardRarity, Deck } from './cards.js';
+import { ElementTypes } from './elements.js';
+import { Player } from './player.js';
+
+// Pre-game deck builder: browse the card catalog, edit decks and pick the one to play
+export class DeckBuilder {
+    constructor(game) {
+        this.game = game;
+        this.cardCatalog = new CardCatalog();
+        this.player = null;
+        this.editingIndex = 0; // Deck shown in the builder (not necessarily the one played)
+        this.filters = { type: 'all', element: 'all', rarity: 'all' };
+
+        this.screen = document.getElementById('deck-builder-screen');
+        if (!this.screen) return;
+
+        this.setupFilters();
+        this.setupControls();
+    }
+
+    async open() {
+        this.player = await Player.loadOrCreate(this.cardCatalog, this.getUsername());
+        this.editingIndex = this.player.currentDeckIndex;
+
+        document.getElementById('start-screen').classList.add('hidden');
+        this.screen.classList.remove('hidden');
+        this.render();
+    }
+
+    close() {
+        this.screen.classList.add('hidden');
+        document.getElementById('start-screen').classList.remove('hidden');
+    }
+
+    getUsername() {
+        const input = document.getElementById('username');
+        return (input && input.value) || 'Player';
+    }
+
+    getEditingDeck() {
+        return this.player.decks[this.editingIndex] || null;
+    }
+
+    save() {
+        this.player.saveProfile();
+    }
+
+    setupFilters() {
+        const options = {
+            'deck-filter-type': Object.values(CardType),
+            'deck-filter-element': Object.values(ElementTypes),
+            'deck-filter-rarity': Object.values(CardRarity)
+        };
+
+        for (const selectId in options) {
+            const select = document.getElementById(selectId);
+            options[selectId].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+                select.appendChild(option);
+            });
+        }
+
+        document.getElementById('deck-filter-type').addEventListener('change', (e) => {
+            this.filters.type = e.target.value;
+            this.renderCollection();
+        });
+        document.getElementById('deck-filter-element').addEventListener('change', (e) => {
+            this.filters.element = e.target.value;
+            this.renderCollection();
+        });
+        document.getElementById('deck-filter-rarity').addEventListener('change', (e) => {
+            this.filters.rarity = e.target.value;
+            this.renderCollection();
+        });
+    }
+
+    setupControls() {
+        document.getElementById('deck-select').addEventListener('change', (e) => {
+            this.editingIndex = parseInt(e.target.value, 10);
+            this.render();
+        });
+
+        document.getElementById('deck-name-input').addEventListener('change', (e) => {
+            const deck = this.getEditingDeck();
+            const name = e.target.value.trim();
+            if (!deck || deck.locked || !name) {
+                e.target.value = deck ? deck.name : '';
+                return;
+            }
+
+            deck.name = name;
+            this.save();
+            this.renderDeckSelect();
+        });
+
+        document.getElementById('new-deck-button').addEventListener('click', () => {
+            this.editingIndex = this.player.addDeck(new Deck(`Deck ${this.player.decks.length + 1}`));
+            this.save();
+            this.render();
+        });
+
+        // Copy the shown deck (handy for building on top of the starter deck)
+        document.getElementById('copy-deck-button').addEventListener('click', () => {
+            const source = this.getEditingDeck();
+            if (!source) return;
+
+            const copy = new Deck(`${source.name} Copy`);
+            source.getAllCards().forEach(card => copy.addCard(card));
+            this.editingIndex = this.player.addDeck(copy);
+            this.save();
+            this.render();
+        });
+
+        document.getElementById('delete-deck-button').addEventListener('click', () => {
+            const deck = this.getEditingDeck();
+            if (!deck || deck.locked) return;
+            if (!confirm(`Delete "${deck.name}"?`)) return;
+
+            this.player.removeDeck(this.editingIndex);
+            this.editingIndex = this.player.currentDeckIndex;
+            this.save();
+            this.render();
+        });
+
+        document.getElementById('use-deck-button').addEventListener('click', () => {
+            const deck = this.getEditingDeck();
+            if (!deck || deck.validate().length > 0) return;
+
+            this.player.setCurrentDeck(this.editingIndex);
+            this.save();
+            this.render();
+        });
+
+        document.getElementById('deck-builder-back-button').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    addCard(card) {
+        const deck = this.getEditingDeck();
+        if (!deck || deck.locked || !deck.addCard(card)) return;
+
+        this.afterDeckChange();
+    }
+
+    removeCard(card) {
+        const deck = this.getEditingDeck();
+        if (!deck || deck.locked || !deck.removeCard(card.id, card.type)) return;
+
+        this.afterDeckChange();
+    }
+
+    afterDeckChange() {
+        // The played deck must stay valid; switch back to the starter deck if an edit broke it
+        if (this.editingIndex === this.player.currentDeckIndex &&
+            this.getEditingDeck().validate().length > 0) {
+            this.player.setCurrentDeck(0);
+        }
+
+        this.save();
+        this.render();
+    }
+
+    render() {
+        this.renderDeckSelect();
+        this.renderCollection();
+        this.renderDeck();
+    }
+
+    renderDeckSelect() {
+        const select = document.getElementById('deck-select');
+        select.innerHTML = '';
+
+        this.player.decks.forEach((deck, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = deck.name + (index === this.player.currentDeckIndex ? ' (playing)' : '');
+            select.appendChild(option);
+        });
+        select.value = this.editingIndex;
+
+        const deck = this.getEditingDeck();
+        const nameInput = document.getElementById('deck-name-input');
+        nameInput.value = deck ? deck.name : '';
+        nameInput.disabled = !deck || deck.locked;
+
+        document.getElementById('delete-deck-button').disabled = !deck || deck.locked;
+    }
+
+    getFilteredCards() {
+        const { towers, spells, enemies } = this.cardCatalog.getAllCards();
+        return [...towers, ...spells, ...enemies].filter(card =>
+            (this.filters.type === 'all' || card.type === this.filters.type) &&
+            (this.filters.element === 'all' || card.element === this.filters.element) &&
+            (this.filters.rarity === 'all' || card.rarity === this.filters.rarity)
+        );
+    }
+
+    renderCollection() {
+        const container = document.getElementById('deck-builder-collection');
+        container.innerHTML = '';
+
+        const deck = this.getEditingDeck();
+        const cards = this.getFilteredCards();
+
+        if (cards.length === 0) {
+            container.innerHTML = '<div class="deck-builder-empty">No cards match these filters</div>';
+            return;
+        }
+
+        cards.forEach(card => {
+            const copies = deck ? deck.countCopies(card.id) : 0;
+            const error = !deck || deck.locked ? 'Starter deck can\'t be edited' : deck.getAddCardError(card);
+
+            const row = this.createCardRow(card, `${copies}/${Deck.getMaxCopies(card)}`);
+            row.classList.toggle('disabled', !!error);
+            row.title = error || `Add ${card.name}`;
+            row.addEventListener('click', () => this.addCard(card));
+            container.appendChild(row);
+        });
+    }
+
+    renderDeck() {
+        const container = document.getElementById('deck-builder-deck');
+        container.innerHTML = '';
+
+        const deck = this.getEditingDeck();
+        if (!deck) return;
+
+        document.getElementById('deck-builder-count').textContent =
+            `${deck.getTotalCards()}/${deck.maxCards} cards`;
+
+        // One row per card with its copy count
+        const seen = new Set();
+        deck.getAllCards().forEach(card => {
+            if (seen.has(card.id)) return;
+            seen.add(card.id);
+
+            const row = this.createCardRow(card, `x${deck.countCopies(card.id)}`);
+            row.classList.toggle('disabled', deck.locked);
+            row.title = deck.locked ? 'Starter deck can\'t be edited' : `Remove ${card.name}`;
+            row.addEventListener('click', () => this.removeCard(card));
+            container.appendChild(row);
+        });
+
+        // Validation
+        const errors = deck.validate();
+        const errorList = document.getElementById('deck-builder-errors');
+        errorList.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('div');
+            item.textContent = error;
+            errorList.appendChild(item);
+        });
+
+        const useButton = document.getElementById('use-deck-button');
+        const isPlaying = this.editingIndex === this.player.currentDeckIndex;
+        useButton.disabled = errors.length > 0 || isPlaying;
+        useButton.textContent = isPlaying ? 'Playing This Deck' : 'Use This Deck';
+    }
+
+    createCardRow(card, countLabel) {
+        const row = document.createElement('div');
+        row.className = 'deck-builder-card';
+        row.style.borderLeftColor = `#${card.getElementStyles().color.toString(16).padStart(6, '0')}`;
+        row.innerHTML = `
+            <span class="deck-builder-card-cost">${card.cost}</span>
+            <span class="deck-builder-card-name">${card.name}</span>
+            <span class="deck-builder-card-meta">${card.type} · ${card.rarity}</span>
+            <span class="deck-builder-card-count">${countLabel}</span>
+        `;
+        return row;
+    }
+}
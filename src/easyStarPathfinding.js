@@ -7,6 +7,10 @@ export class EasyStarPathfinding {
         this.easystar = new EasyStar.js();
         this.initialized = false;
 
+        // Answer paths inside calculate() rather than on a later timer tick, so
+        // runs replay the same whatever the frame rate
+        this.easystar.enableSync();
+
         // Set acceptable tiles (1 is for path in our grid system)
         this.easystar.setAcceptableTiles([1]);
 
@@ -35,90 +39,91 @@ export class EasyStarPathfinding {
 
     // Find a path from start to end using EasyStar A* algorithm
     findPath(startPoint, endPoint) {
-        return new Promise((resolve) => {
-            if (!this.initialized) {
-                this.setGrid(this.map.grid);
-            }
+        return Promise.resolve(this.findPathSync(startPoint, endPoint));
+    }
 
-            // Ensure valid coordinates
-            const startX = Math.floor(startPoint.x);
-            const startZ = Math.floor(startPoint.z);
-            const endX = Math.floor(endPoint.x);
-            const endZ = Math.floor(endPoint.z);
-
-            // Check if coordinates are within grid bounds
-            if (startX < 0 || startX >= this.map.gridWidth ||
-                startZ < 0 || startZ >= this.map.gridHeight ||
-                endX < 0 || endX >= this.map.gridWidth ||
-                endZ < 0 || endZ >= this.map.gridHeight) {
-                console.log("Pathfinding error: Coordinates out of bounds", {startX, startZ, endX, endZ});
-
-                // Try to find valid coordinates within bounds
-                const validStart = this.getValidPointInBounds(startX, startZ);
-                const validEnd = this.getValidPointInBounds(endX, endZ);
-
-                if (validStart && validEnd) {
-                    console.log("Using corrected coordinates for pathfinding",
-                        {startX: validStart.x, startZ: validStart.z, endX: validEnd.x, endZ: validEnd.z});
-
-                    // Use the valid coordinates instead
-                    return this.findPathWithValidCoords(validStart.x, validStart.z, validEnd.x, validEnd.z)
-                        .then(resolve);
-                }
+    // Same as findPath, answered at once. Gameplay asks through this so a path is
+    // ready within the simulation step that needs it.
+    findPathSync(startPoint, endPoint) {
+        if (!this.initialized) {
+            this.setGrid(this.map.grid);
+        }
 
-                return resolve([]);
+        // Ensure valid coordinates
+        const startX = Math.floor(startPoint.x);
+        const startZ = Math.floor(startPoint.z);
+        const endX = Math.floor(endPoint.x);
+        const endZ = Math.floor(endPoint.z);
+
+        // Check if coordinates are within grid bounds
+        if (startX < 0 || startX >= this.map.gridWidth ||
+            startZ < 0 || startZ >= this.map.gridHeight ||
+            endX < 0 || endX >= this.map.gridWidth ||
+            endZ < 0 || endZ >= this.map.gridHeight) {
+            console.log("Pathfinding error: Coordinates out of bounds", {startX, startZ, endX, endZ});
+
+            // Try to find valid coordinates within bounds
+            const validStart = this.getValidPointInBounds(startX, startZ);
+            const validEnd = this.getValidPointInBounds(endX, endZ);
+
+            if (validStart && validEnd) {
+                console.log("Using corrected coordinates for pathfinding",
+                    {startX: validStart.x, startZ: validStart.z, endX: validEnd.x, endZ: validEnd.z});
+
+                // Use the valid coordinates instead
+                return this.findPathWithValidCoords(validStart.x, validStart.z, validEnd.x, validEnd.z);
             }
 
-            // Check if start and end are walkable
-            if (this.map.grid[startZ][startX] !== 1 || this.map.grid[endZ][endX] !== 1) {
-                // Try to find nearest walkable cell
-                const nearestStart = this.findNearestWalkableCell(startX, startZ);
-                const nearestEnd = this.findNearestWalkableCell(endX, endZ);
+            return [];
+        }
 
-                if (!nearestStart || !nearestEnd) {
-                    console.log("Pathfinding error: No walkable cells near start or end");
-                    return resolve([]);
-                }
+        // Check if start and end are walkable
+        if (this.map.grid[startZ][startX] !== 1 || this.map.grid[endZ][endX] !== 1) {
+            // Try to find nearest walkable cell
+            const nearestStart = this.findNearestWalkableCell(startX, startZ);
+            const nearestEnd = this.findNearestWalkableCell(endX, endZ);
 
-                console.log("Using nearest walkable cells for pathfinding");
-                return this.findPathWithValidCoords(nearestStart.x, nearestStart.z, nearestEnd.x, nearestEnd.z)
-                    .then(resolve);
+            if (!nearestStart || !nearestEnd) {
+                console.log("Pathfinding error: No walkable cells near start or end");
+                return [];
             }
 
-            // Use the valid coordinates to find a path
-            this.findPathWithValidCoords(startX, startZ, endX, endZ).then(resolve);
-        });
+            console.log("Using nearest walkable cells for pathfinding");
+            return this.findPathWithValidCoords(nearestStart.x, nearestStart.z, nearestEnd.x, nearestEnd.z);
+        }
+
+        // Use the valid coordinates to find a path
+        return this.findPathWithValidCoords(startX, startZ, endX, endZ);
     }
 
     // Helper method to find a path with validated coordinates
     findPathWithValidCoords(startX, startZ, endX, endZ) {
-        return new Promise((resolve) => {
-            // Double-check everything is still valid
-            if (startX < 0 || startX >= this.map.gridWidth ||
-                startZ < 0 || startZ >= this.map.gridHeight ||
-                endX < 0 || endX >= this.map.gridWidth ||
-                endZ < 0 || endZ >= this.map.gridHeight) {
-                return resolve([]);
+        // Double-check everything is still valid
+        if (startX < 0 || startX >= this.map.gridWidth ||
+            startZ < 0 || startZ >= this.map.gridHeight ||
+            endX < 0 || endX >= this.map.gridWidth ||
+            endZ < 0 || endZ >= this.map.gridHeight) {
+            return [];
+        }
+
+        // EasyStar runs in sync mode, so calculate() calls back before returning
+        let formattedPath = [];
+        this.easystar.findPath(startX, startZ, endX, endZ, (path) => {
+            if (path === null) {
+                console.log(`No path found from (${startX},${startZ}) to (${endX},${endZ})`);
+            } else {
+                // Convert path to our format
+                formattedPath = path.map(point => ({
+                    x: point.x,
+                    z: point.y // EasyStar uses y for the second coordinate
+                }));
             }
+        });
 
-            // EasyStar is asynchronous, so we use a promise
-            this.easystar.findPath(startX, startZ, endX, endZ, (path) => {
-                if (path === null) {
-                    console.log(`No path found from (${startX},${startZ}) to (${endX},${endZ})`);
-                    resolve([]); // No path found, return empty array
-                } else {
-                    // Convert path to our format
-                    const formattedPath = path.map(point => ({
-                        x: point.x,
-                        z: point.y // EasyStar uses y for the second coordinate
-                    }));
-                    resolve(formattedPath);
-                }
-            });
+        // Calculate the path
+        this.easystar.calculate();
 
-            // Calculate the path
-            this.easystar.calculate();
-        });
+        return formattedPath;
     }
 
     // Get a valid point within bounds
@@ -180,6 +185,7 @@ export class EasyStarPathfinding {
 
         // Create a temporary EasyStar instance with the modified grid
         const tempEasyStar = new EasyStar.js();
+        tempEasyStar.enableSync();
         tempEasyStar.setAcceptableTiles([1]);
         tempEasyStar.setGrid(tempGrid);
 
@@ -114,11 +114,8 @@ export const ElementEffects = {
         speedModifier: 0.6 // 60% of normal speed
     },
     [ElementTypes.EARTH]: {
-        name: 'Armor',
-        description: 'Provides defensive buff to nearby towers',
-        duration: 5, // seconds
-        radius: 2, // grid cells
-        damageReduction: 0.2 // 20% damage reduction
+        name: 'Bedrock',
+        description: 'Strengthens neighbouring towers (see the synergies in data/units.json)'
     },
     [ElementTypes.AIR]: {
         name: 'Swift',
@@ -0,0 +1,131 @@
+import { Enemy } from './enemy.js';
+import { getUnits } from '../units.js';
+import { GameEvents } from '../simulation/events.js';
+
+// An authored boss from the bosses section of data/units.json, sent by a wave's `boss`
+// setting. Its phases start as its health drops past their thresholds: each one can
+// enrage it and telegraph an ability, which goes off once the warning runs out.
+export class Boss extends Enemy {
+    static getDefinition(bossId) {
+        return getUnits().bosses[bossId] || null;
+    }
+
+    // Rebuild a boss from Boss.serialize() output, phase and pending abilities included
+    static deserialize(game, data) {
+        const boss = new Boss(game, data.bossId, data.position);
+        boss.restore(data);
+        return boss;
+    }
+
+    constructor(game, bossId, startPosition) {
+        const definition = Boss.getDefinition(bossId);
+
+        // Bosses wear the golem model in their element
+        super(game, `${definition.element}_golem`, startPosition, definition.element);
+
+        this.bossId = bossId;
+        this.name = definition.name;
+        this.element = definition.element;
+        this.scale = definition.scale;
+
+        // Authored stats replace the wave's multipliers; global difficulty still applies
+        const difficulty = game.difficultySettings;
+        this.maxHealth = definition.health * (difficulty?.enemyHealthMultiplier ?? 1);
+        this.health = this.maxHealth;
+        this.baseSpeed = definition.speed * (difficulty?.enemySpeedMultiplier ?? 1);
+        this.speed = this.baseSpeed;
+        this.reward = definition.reward;
+        this.manaReward = definition.manaReward;
+        this.armor = definition.armor || 0;
+        this.magicResist = definition.magicResist || 0;
+
+        // Phases are a boss's only tricks, whatever enemy shares its model's type id
+        this.abilities = {};
+        this.shield = 0;
+
+        this.phases = definition.phases;
+        this.phase = 0; // Phases entered so far
+        this.telegraphTime = definition.telegraph;
+        this.telegraphs = []; // Abilities waiting to go off: { ability, position, remaining }
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            bossId: this.bossId,
+            phase: this.phase,
+            telegraphs: this.telegraphs.map(({ ability, position, remaining }) =>
+                ({ ability: { ...ability }, position: { ...position }, remaining }))
+        };
+    }
+
+    // Phases already entered stay entered (baseSpeed carries their speed-ups)
+    restore(data) {
+        super.restore(data);
+        this.phase = data.phase;
+        this.telegraphs = data.telegraphs.map(telegraph => ({ ...telegraph, position: { ...telegraph.position } }));
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+        if (this.health <= 0 || this.reachedEnd) return;
+
+        for (let i = this.telegraphs.length - 1; i >= 0; i--) {
+            const telegraph = this.telegraphs[i];
+            telegraph.remaining -= deltaTime;
+
+            if (telegraph.remaining <= 0) {
+                this.telegraphs.splice(i, 1);
+                this.useAbility(telegraph.ability, telegraph.position);
+            }
+        }
+    }
+
+    takeDamage(amount, isFromEffect = false, damageType = null) {
+        super.takeDamage(amount, isFromEffect, damageType);
+
+        // One hit can carry it past more than one threshold
+        while (this.health > 0 && this.phase < this.phases.length &&
+               this.health <= this.maxHealth * this.phases[this.phase].health) {
+            this.enterPhase(this.phases[this.phase]);
+        }
+    }
+
+    enterPhase(phase) {
+        this.phase++;
+        this.baseSpeed *= phase.speedMultiplier;
+        this.calculateCurrentSpeed();
+        this.game.events.emit(GameEvents.BOSS_PHASE_CHANGED, { boss: this, phase: this.phase });
+
+        // Abilities land where they were announced, so players can see them coming
+        if (phase.ability) {
+            const position = { ...this.position };
+            this.telegraphs.push({ ability: phase.ability, position, remaining: this.telegraphTime });
+            this.game.events.emit(GameEvents.BOSS_ABILITY_TELEGRAPHED, {
+                boss: this,
+                ability: phase.ability,
+                position,
+                delay: this.telegraphTime
+            });
+        }
+    }
+
+    useAbility(ability, position) {
+        let towers = [];
+
+        switch (ability.type) {
+            case 'spawnAdds':
+                this.game.spawnMinions(this, ability.enemy, ability.count);
+                break;
+
+            case 'disableTowers':
+                towers = this.game.towers.filter(tower =>
+                    this.game.calculateDistance(position, tower.position) <= ability.radius
+                );
+                towers.forEach(tower => tower.disable(ability.duration));
+                break;
+        }
+
+        this.game.events.emit(GameEvents.BOSS_ABILITY_USED, { boss: this, ability, position, towers });
+    }
+}
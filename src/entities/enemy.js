@@ -1,6 +1,40 @@
-import { ElementTypes, ElementStyles, ElementEffects } from '../elements.js';
+import { ElementTypes } from '../elements.js';
+import { getUnits } from '../units.js';
+import { DamageTypes, getDefenseMultiplier } from '../damage.js';
+import { GameEvents } from '../simulation/events.js';
+
+// Stats for enemy types missing from data/units.json
+const DEFAULT_ENEMY = {
+    health: 100,
+    speed: 3,
+    reward: 10,
+    element: ElementTypes.NEUTRAL
+};
+
+// Height flyers hover at, high enough to read as airborne over towers
+export const FLYING_ALTITUDE = 1.5;
 
 export class Enemy {
+    // One line per ability of an enemy type, for the debug showcase
+    static describeAbilities(abilities = {}) {
+        const lines = [];
+        const { heal, shield, split, summon } = abilities;
+        const enemies = getUnits().enemies;
+
+        if (heal) lines.push(`Heals allies within ${heal.radius} for ${Math.round(heal.percent * 100)}% every ${heal.interval}s`);
+        if (shield) lines.push(`Shield absorbs ${shield.amount} damage`);
+        if (split) lines.push(`Splits into ${split.count} ${enemies[split.into].name} on death`);
+        if (summon) lines.push(`Summons ${summon.count} ${enemies[summon.minion].name} every ${summon.interval}s (up to ${summon.max})`);
+        return lines;
+    }
+
+    // Rebuild an enemy from Enemy.serialize() output (used when resuming a run saved mid-wave)
+    static deserialize(game, data) {
+        const enemy = new Enemy(game, data.type, data.position, data.element);
+        enemy.restore(data);
+        return enemy;
+    }
+
     constructor(game, type, startPosition, element = ElementTypes.NEUTRAL, stats = null) {
         this.game = game;
         this.type = type;
@@ -18,11 +52,28 @@ export class Enemy {
             this.setStats();
         }
 
+        // Flyers skip the maze and cross the map above it
+        const definition = getUnits().enemies[String(type)];
+        this.flying = !!definition?.flying;
+        if (this.flying) {
+            this.position.y = FLYING_ALTITUDE;
+        }
+
+        // Armor softens physical damage, magic resistance magical damage
+        this.armor = definition?.armor || 0;
+        this.magicResist = definition?.magicResist || 0;
+
+        // Ability kits from data/units.json (heal, shield, split, summon)
+        this.abilities = definition?.abilities || {};
+        this.shield = this.abilities.shield?.amount || 0;
+        this.healTimer = 0;
+        this.summonTimer = 0;
+        this.minionsSummoned = 0;
+
         // Enemy state
         this.currentPathIndex = 0;
         this.reachedEnd = false;
         this.pathWaypoints = [];
-        this.isPathfinding = false;
 
         // Target is the bottom of the map (any valid exit point)
         this.targetPosition = this.findExitPoint();
@@ -36,101 +87,19 @@ export class Enemy {
         // Status effects
         this.statusEffects = [];
 
-        // Create 3D representation using the enemy instance manager
-        if (this.game && this.game.renderer) {
-            this.enemyInstance = this.game.renderer.createEnemy(this);
-
-            // Log an error if enemy instance couldn't be created
-            if (!this.enemyInstance) {
-                console.error(`Failed to create enemy instance for type: ${this.type}`);
-            }
-        } else {
-            console.error("Game or renderer not available when creating enemy");
-        }
-
         // Path recalculation timer
         this.lastPathRecalcTime = 0;
         this.pathRecalcInterval = 2000; // 2 seconds
     }
 
     setStats() {
-
-        // Ensure type is a string before doing string operations
-        const enemyType = String(this.type);
-
-        switch (enemyType) {
-            case 'simple':
-                this.health = 100;
-                this.maxHealth = 100;
-                this.baseSpeed = 3; // Units per second
-                this.reward = 10;
-                this.element = ElementTypes.NEUTRAL;
-                break;
-
-            case 'elephant':
-                this.health = 250;
-                this.maxHealth = 250;
-                this.baseSpeed = 1.5; // Units per second
-                this.reward = 25;
-                this.element = ElementTypes.EARTH;
-                break;
-
-            case 'pirate':
-                this.health = 400;
-                this.maxHealth = 400;
-                this.baseSpeed = 1; // Units per second
-                this.reward = 50;
-                this.element = ElementTypes.WATER;
-                break;
-
-            // Elemental enemy types
-            case 'fire_imp':
-                this.health = 80;
-                this.maxHealth = 80;
-                this.baseSpeed = 4; // Fast
-                this.reward = 15;
-                this.element = ElementTypes.FIRE;
-                break;
-
-            case 'water_elemental':
-                this.health = 150;
-                this.maxHealth = 150;
-                this.baseSpeed = 2;
-                this.reward = 20;
-                this.element = ElementTypes.WATER;
-                break;
-
-            case 'earth_golem':
-                this.health = 300;
-                this.maxHealth = 300;
-                this.baseSpeed = 1;
-                this.reward = 30;
-                this.element = ElementTypes.EARTH;
-                break;
-
-            case 'air_wisp':
-                this.health = 50;
-                this.maxHealth = 50;
-                this.baseSpeed = 5; // Very fast
-                this.reward = 25;
-                this.element = ElementTypes.AIR;
-                break;
-
-            case 'shadow_wraith':
-                this.health = 200;
-                this.maxHealth = 200;
-                this.baseSpeed = 2.5;
-                this.reward = 35;
-                this.element = ElementTypes.SHADOW;
-                break;
-
-            default:
-                this.health = 100;
-                this.maxHealth = 100;
-                this.baseSpeed = 3;
-                this.reward = 10;
-                this.element = ElementTypes.NEUTRAL;
-        }
+        // Stats based on enemy type (types missing from data/units.json get the defaults)
+        const definition = getUnits().enemies[String(this.type)] || DEFAULT_ENEMY;
+        this.health = definition.health;
+        this.maxHealth = definition.health;
+        this.baseSpeed = definition.speed; // Units per second
+        this.reward = definition.reward;
+        this.element = definition.element;
 
         // Apply per-wave and global difficulty settings to scale enemy stats
         if (this.game.waveSettings && this.game.currentWave > 0 &&
@@ -157,7 +126,6 @@ export class Enemy {
 
         // Final sanity check to ensure reward is valid no matter what
         if (isNaN(this.reward) || !isFinite(this.reward) || this.reward <= 0) {
-            console.warn("Invalid enemy reward detected, resetting to default value");
             this.reward = this.type.includes('golem') ? 50 :
                          this.type.includes('pirate') ? 25 :
                          this.type.includes('elephant') ? 15 : 10; // Default fallback values by type
@@ -170,10 +138,11 @@ export class Enemy {
 
         // Update status effects
         this.updateStatusEffects(deltaTime);
+        this.updateAbilities(deltaTime);
 
-        // Periodically recalculate path to account for new tower placements
-        const now = performance.now();
-        if (now - this.lastPathRecalcTime > this.pathRecalcInterval) {
+        // Periodically recalculate path to account for new tower placements (flyers don't care)
+        const now = this.game.clock.now();
+        if (!this.flying && now - this.lastPathRecalcTime > this.pathRecalcInterval) {
             this.lastPathRecalcTime = now;
             this.calculatePath();
         }
@@ -181,116 +150,18 @@ export class Enemy {
         // Move along path
         this.followPath(deltaTime);
 
-        // Check if at the bottom edge of the map (reached end)
-        if (!this.reachedEnd && this.position.z > (this.game.map.gridHeight / 2) - 1.5) {
+        // Check if an exit was reached
+        if (!this.reachedEnd && this.game.map.isAtExit(this.position)) {
             this.reachedEnd = true;
 
             // Hide the enemy more effectively by moving it far away
             this.position.y = -100;
             this.position.x = 9999;
             this.position.z = 9999;
-
-            // Update instance position immediately
-            if (this.enemyInstance) {
-                // Update the instance object's position
-                this.enemyInstance.position.set(this.position.x, this.position.y, this.position.z);
-
-                // Update the rendered position
-                if (this.enemyInstance.baseType && this.enemyInstance.elementType &&
-                    this.enemyInstance.instanceIndex !== undefined) {
-                    this.game.renderer.enemyManager.updateEnemyPosition(
-                        this.enemyInstance.baseType,
-                        this.enemyInstance.elementType,
-                        this.enemyInstance.instanceIndex,
-                        this.position
-                    );
-                }
-
-                // Hide effects and health bar
-                if (this.enemyInstance.effectMeshes) {
-                    for (const effect in this.enemyInstance.effectMeshes) {
-                        if (this.enemyInstance.effectMeshes[effect]) {
-                            this.enemyInstance.effectMeshes[effect].visible = false;
-                        }
-                    }
-                }
-                if (this.enemyInstance.healthBar && this.enemyInstance.healthBar.group) {
-                    this.enemyInstance.healthBar.group.visible = false;
-                }
-            }
-        }
-
-        // Update instance position
-        if (this.enemyInstance) {
-            // Update the instance object's position (this is used by the EnemyInstanceManager)
-            this.enemyInstance.position.set(this.position.x, this.position.y, this.position.z);
-
-            // Update the actual rendered position in the instanced mesh
-            if (this.enemyInstance.baseType && this.enemyInstance.elementType && this.enemyInstance.instanceIndex !== undefined) {
-                this.game.renderer.enemyManager.updateEnemyPosition(
-                    this.enemyInstance.baseType,
-                    this.enemyInstance.elementType,
-                    this.enemyInstance.instanceIndex,
-                    this.position,
-                    this.enemyInstance.shadowIndex
-                );
-            }
-
-            // Update health bar
-            const healthPercent = this.health / this.maxHealth;
-            this.game.renderer.updateHealth(this, healthPercent);
-        }
-        // Legacy support for old mesh-based enemies
-        else if (this.mesh) {
-            this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-
-            // Update health bar
-            const healthPercent = this.health / this.maxHealth;
-            this.game.renderer.updateHealthBar(this.healthBar, healthPercent);
-        }
-    }
-
-    // Simplified update method for performance optimization with distant enemies
-    updateSimple(deltaTime) {
-        // Check if reached the end
-        if (this.reachedEnd) return;
-
-        // Skip status effects for better performance
-
-        // Move along path
-        this.followPath(deltaTime);
-
-        // Check if at the bottom edge of the map (reached end)
-        if (!this.reachedEnd && this.position.z > (this.game.map.gridHeight / 2) - 1.5) {
-            this.reachedEnd = true;
-        }
-
-        // Only update mesh position (no health bar update)
-        if (this.enemyInstance) {
-            this.enemyInstance.position.set(this.position.x, this.position.y, this.position.z);
-
-            // Update the actual rendered position in the instanced mesh
-            if (this.enemyInstance.baseType && this.enemyInstance.elementType && this.enemyInstance.instanceIndex !== undefined) {
-                this.game.renderer.enemyManager.updateEnemyPosition(
-                    this.enemyInstance.baseType,
-                    this.enemyInstance.elementType,
-                    this.enemyInstance.instanceIndex,
-                    this.position,
-                    this.enemyInstance.shadowIndex
-                );
-            }
-        } else if (this.mesh) {
-            this.mesh.position.set(this.position.x, this.position.y, this.position.z);
         }
     }
 
     updateStatusEffects(deltaTime) {
-        // Skip status effect processing if FPS is low for performance
-        if (this.game.fpsCounter && this.game.fpsCounter.value < 30 && Math.random() < 0.7) {
-            // Process only 30% of the time at low FPS to improve performance
-            return;
-        }
-
         // Process all active status effects
         for (let i = this.statusEffects.length - 1; i >= 0; i--) {
             const effect = this.statusEffects[i];
@@ -304,38 +175,26 @@ export class Enemy {
                     // Apply periodic damage from burn
                     effect.timeSinceLastTick += deltaTime;
                     if (effect.timeSinceLastTick >= effect.tickInterval) {
-                        this.takeDamage(effect.damagePerTick, true); // true = from DOT effect
+                        this.takeDamage(effect.damagePerTick, true, DamageTypes.MAGICAL); // true = from DOT effect
                         effect.timeSinceLastTick = 0;
-
-                        // Skip visual effects when FPS is low
-                        if (!(this.game.fpsCounter && this.game.fpsCounter.value < 45)) {
-                            this.createBurnEffectVisual();
-                        }
                     }
                     break;
 
                 case 'slow':
                     // Speed reduction is applied when calculating movement speed
-                    // Visual effect is handled when the effect is applied
                     break;
 
                 case 'weaken':
                     // Damage reduction is applied when taking damage
                     break;
+
+                case 'shred':
+                    // Armor reduction is applied when taking damage
+                    break;
             }
 
             // Remove expired effects
             if (effect.remainingDuration <= 0) {
-                // Handle cleanup when effect expires
-                if (effect.type === 'slow') {
-                    // Remove slow effect visual
-                    if (this.mesh && this.mesh.userData.slowEffect) {
-                        this.mesh.remove(this.mesh.userData.slowEffect);
-                        delete this.mesh.userData.slowEffect;
-                    }
-                }
-
-                // Remove the effect
                 this.statusEffects.splice(i, 1);
             }
         }
@@ -344,6 +203,40 @@ export class Enemy {
         this.calculateCurrentSpeed();
     }
 
+    // Healers and summoners act once every interval
+    updateAbilities(deltaTime) {
+        const { heal, summon } = this.abilities;
+
+        if (heal) {
+            this.healTimer += deltaTime;
+            if (this.healTimer >= heal.interval) {
+                this.healTimer = 0;
+                this.healAllies(heal);
+            }
+        }
+
+        if (summon && this.minionsSummoned < summon.max) {
+            this.summonTimer += deltaTime;
+            if (this.summonTimer >= summon.interval) {
+                this.summonTimer = 0;
+
+                const count = Math.min(summon.count, summon.max - this.minionsSummoned);
+                this.minionsSummoned += count;
+                this.game.spawnMinions(this, summon.minion, count);
+            }
+        }
+    }
+
+    healAllies({ radius, percent }) {
+        for (const ally of this.game.enemies) {
+            if (ally === this || ally.reachedEnd || ally.health <= 0) continue;
+
+            if (this.game.calculateDistance(this.position, ally.position) <= radius) {
+                ally.health = Math.min(ally.maxHealth, ally.health + ally.maxHealth * percent);
+            }
+        }
+    }
+
     calculateCurrentSpeed() {
         // Start with base speed
         let currentSpeed = this.baseSpeed;
@@ -359,6 +252,27 @@ export class Enemy {
         this.speed = currentSpeed;
     }
 
+    // Distance left to walk along the current path (used by tower targeting)
+    getRemainingPathDistance() {
+        if (!this.pathWaypoints || this.currentPathIndex >= this.pathWaypoints.length) {
+            // No path yet - fall back to the distance from the exit edge
+            return (this.game.map.gridHeight / 2) - this.position.z;
+        }
+
+        let remaining = 0;
+        let previous = this.position;
+        for (let i = this.currentPathIndex; i < this.pathWaypoints.length; i++) {
+            const waypoint = this.pathWaypoints[i];
+            remaining += Math.sqrt(
+                Math.pow(waypoint.x - previous.x, 2) +
+                Math.pow(waypoint.z - previous.z, 2)
+            );
+            previous = waypoint;
+        }
+
+        return remaining;
+    }
+
     followPath(deltaTime) {
         // Check if we have a path
         if (!this.pathWaypoints || this.pathWaypoints.length === 0) {
@@ -390,65 +304,14 @@ export class Enemy {
 
             // Check if we've reached the end of the path
             if (this.currentPathIndex >= this.pathWaypoints.length) {
-                // We've reached the end of the path - check if at bottom edge
-                if (Math.floor(this.position.z) >= this.game.map.gridHeight - 2) {
+                // We've reached the end of the path - check if it ends at an exit
+                if (this.game.map.isAtExit(this.position)) {
                     this.reachedEnd = true;
 
-                    // Hide the enemy by moving it far away - not just below ground
+                    // Move it far away so nothing can still target it
                     this.position.y = -9999;
                     this.position.x = 9999; // Move far away horizontally too
                     this.position.z = 9999;
-
-                    // Force update the renderer position immediately
-                    if (this.enemyInstance) {
-                        // Update the instance object's position
-                        this.enemyInstance.position.set(this.position.x, this.position.y, this.position.z);
-
-                        // Update the rendered position
-                        if (this.enemyInstance.baseType && this.enemyInstance.elementType &&
-                            this.enemyInstance.instanceIndex !== undefined) {
-                            this.game.renderer.enemyManager.updateEnemyPosition(
-                                this.enemyInstance.baseType,
-                                this.enemyInstance.elementType,
-                                this.enemyInstance.instanceIndex,
-                                this.position
-                            );
-                        }
-
-                        // Explicitly remove all effect meshes
-                        if (this.enemyInstance.effectMeshes) {
-                            for (const effectType in this.enemyInstance.effectMeshes) {
-                                if (this.enemyInstance.effectMeshes[effectType]) {
-                                    // Move effect far away
-                                    this.enemyInstance.effectMeshes[effectType].position.set(9999, -9999, 9999);
-
-                                    // Ensure it's not visible
-                                    this.enemyInstance.effectMeshes[effectType].visible = false;
-
-                                    // For particles, also clear positions
-                                    if (effectType === 'particles' &&
-                                        this.enemyInstance.effectMeshes[effectType].geometry &&
-                                        this.enemyInstance.effectMeshes[effectType].geometry.attributes &&
-                                        this.enemyInstance.effectMeshes[effectType].geometry.attributes.position) {
-
-                                        const positions = this.enemyInstance.effectMeshes[effectType].geometry.attributes.position.array;
-                                        for (let i = 0; i < positions.length; i += 3) {
-                                            positions[i] = 9999;
-                                            positions[i+1] = -9999;
-                                            positions[i+2] = 9999;
-                                        }
-                                        this.enemyInstance.effectMeshes[effectType].geometry.attributes.position.needsUpdate = true;
-                                    }
-                                }
-                            }
-                        }
-
-                        // Hide health bar
-                        if (this.enemyInstance.healthBar && this.enemyInstance.healthBar.group) {
-                            this.enemyInstance.healthBar.group.visible = false;
-                            this.enemyInstance.healthBar.group.position.set(9999, -9999, 9999);
-                        }
-                    }
                 } else {
                     // Not at bottom yet, recalculate path
                     this.calculatePath(0);
@@ -481,15 +344,6 @@ export class Enemy {
         this.position.x = validPosition.x;
         this.position.y = validPosition.y;
         this.position.z = validPosition.z;
-
-        // Rotate enemy to face movement direction (for diagonal movement)
-        if (this.mesh && (direction.x !== 0 || direction.z !== 0)) {
-            // Calculate angle from direction vector (in radians)
-            const angle = Math.atan2(direction.x, direction.z);
-
-            // Set the y-rotation of the mesh to face the movement direction
-            this.mesh.rotation.y = angle;
-        }
     }
 
     // Alternative version of ensurePositionInBounds that takes a new position
@@ -510,21 +364,31 @@ export class Enemy {
         return validPosition;
     }
 
-    takeDamage(amount, isFromEffect = false) {
-        // Apply damage
-        this.health -= amount;
+    // Armor left after shredding hits (never below zero)
+    getArmor() {
+        const shred = this.statusEffects.find(effect => effect.type === 'shred');
+        return Math.max(0, this.armor - (shred ? shred.armorReduction : 0));
+    }
 
-        // Update health bar
-        if (this.health > 0) {
-            const healthPercent = this.health / this.maxHealth;
-            this.game.renderer.updateHealth(this, healthPercent);
+    // Untyped damage (powers) ignores armor and magic resistance
+    takeDamage(amount, isFromEffect = false, damageType = null) {
+        if (damageType === DamageTypes.PHYSICAL) {
+            amount *= getDefenseMultiplier(this.getArmor());
+        } else if (damageType === DamageTypes.MAGICAL) {
+            amount *= getDefenseMultiplier(this.magicResist);
         }
+        this.game.events.emit(GameEvents.ENEMY_DAMAGED, { enemy: this, amount, damageType, isFromEffect });
 
-        // Create damage indicator (smaller or no indicators for effect damage)
-        if (!isFromEffect) {
-            this.createHitEffect(amount);
+        // Shield bearers soak damage up before it reaches their health
+        if (this.shield > 0) {
+            const absorbed = Math.min(this.shield, amount);
+            this.shield -= absorbed;
+            amount -= absorbed;
         }
 
+        // Apply damage
+        this.health -= amount;
+
         // Check if defeated
         if (this.health <= 0) {
             this.game.defeatEnemy(this);
@@ -540,243 +404,98 @@ export class Enemy {
             existingEffect.duration = effectParams.duration || existingEffect.duration;
             // Update other params as needed
             Object.assign(existingEffect, effectParams);
+            existingEffect.remainingDuration = existingEffect.duration;
         } else {
-            // Add new effect
+            // Add new effect (burns tick from the moment they land)
             this.statusEffects.push({
                 type: effectType,
-                ...effectParams
+                timeSinceLastTick: 0,
+                ...effectParams,
+                remainingDuration: effectParams.duration
             });
-
-            // Create visual effect based on type
-            switch (effectType) {
-                case 'burn':
-                    this.createBurnEffectVisual();
-                    break;
-                case 'slow':
-                    this.createSlowEffectVisual(effectParams.duration);
-                    break;
-                case 'weaken':
-                    this.createWeakenEffectVisual(effectParams.duration);
-                    break;
-            }
         }
 
         // Recalculate speed (for slow effects)
         this.calculateCurrentSpeed();
     }
 
-    // Method to recalculate the path when a tower is placed
-    async recalculatePath() {
-        // Clear the current path
-        this.pathWaypoints = [];
-        this.currentPathIndex = 0;
-
-        // Skip recalculation if enemy has reached the end
-        if (this.reachedEnd) return;
-
-        // Track pathfinding calls for debugging
-        if (this.game._pathfindingCalls !== undefined) {
-            this.game._pathfindingCalls++;
-        }
-
-        // Check for a cached path first (based on start and end positions)
-        const startX = Math.round(this.position.x);
-        const startZ = Math.round(this.position.z);
-        const endX = Math.round(this.targetPosition.x);
-        const endZ = Math.round(this.targetPosition.z);
-
-        const pathKey = `${startX},${startZ}-${endX},${endZ}`;
-
-        // Make sure we're using a proper JavaScript Map object and not a regular object
-        if (this.game.cachedPaths && typeof this.game.cachedPaths.has === 'function' && this.game.cachedPaths.has(pathKey)) {
-            // Use cached path
-            this.path = [...this.game.cachedPaths.get(pathKey)];
-            return;
-        }
-
-        // Check if too many pathfinding calls recently - use simpler path if FPS is low
-        if (this.game.fpsCounter && this.game.fpsCounter.value < 30) {
-            // Simple direct path for performance
-            this.path = [
-                { x: this.position.x, y: this.position.z },
-                { x: endX, y: endZ }
-            ];
-            return;
-        }
-
-        // Calculate a new path
-        await this.calculatePath(0); // Start with recursion depth 0
-
-        // Cache the path for reuse if we have a valid Map object
-        if (this.path && this.path.length > 0 && this.game.cachedPaths && typeof this.game.cachedPaths.set === 'function') {
-            try {
-                // Store path copy in cache
-                this.game.cachedPaths.set(pathKey, [...this.path]);
-
-                // Limit cache size to prevent memory issues
-                if (this.game.cachedPaths.size > 100 && typeof this.game.cachedPaths.keys === 'function') {
-                    // Remove oldest entry (first key)
-                    const keysIterator = this.game.cachedPaths.keys();
-                    const firstItem = keysIterator.next();
-                    if (firstItem && !firstItem.done && firstItem.value) {
-                        this.game.cachedPaths.delete(firstItem.value);
-                    }
-                }
-            } catch (e) {
-                // If any error occurs with the cache, just ignore it
-                // This is only an optimization, not critical functionality
-            }
-        }
-    }
-
-    createHitEffect(damageAmount) {
-        // Completely disable hit effects for maximum performance
-        // Just return immediately without creating any visual effects
-        return;
-
-        /* All hit effect code removed for performance */
-
-    }
-
-    createBurnEffectVisual() {
-        if (!this.mesh) return;
+    findExitPoint() {
+        // Find all walkable exit points of the map
+        const map = this.game.map;
+        const validExitPoints = map.getExitPoints().filter(cell => map.grid[cell.z][cell.x] === 1);
 
-        // Remove existing burn effect if any
-        if (this.mesh.userData.burnEffect) {
-            this.mesh.remove(this.mesh.userData.burnEffect);
+        // If no exit points found, return a default one
+        if (validExitPoints.length === 0) {
+            return map.getEndPoint();
         }
 
-        // Create a fire/burn effect
-        const burnGeometry = new THREE.SphereGeometry(0.55, 16, 16);
-        const burnMaterial = new THREE.MeshBasicMaterial({
-            color: ElementStyles[ElementTypes.FIRE].color,
-            transparent: true,
-            opacity: 0.3,
-            blending: THREE.AdditiveBlending
-        });
-
-        const burnEffect = new THREE.Mesh(burnGeometry, burnMaterial);
-        this.mesh.add(burnEffect);
-
-        // Store reference
-        this.mesh.userData.burnEffect = burnEffect;
-
-        if (burnEffect) {
-            // Animate pulsing
-            let startTime = performance.now();
-
-            // Add to game's animation system instead of creating a new loop
-            const animationId = this.game.addAnimationEffect({
-                startTime: startTime,
-                duration: Infinity, // Runs until explicitly removed
-                update: (progress) => {
-                    if (!this.mesh || !this.mesh.userData.burnEffect) return true; // Complete if mesh or effect is gone
-
-                    const time = performance.now() - startTime;
-                    const scale = 1 + 0.2 * Math.sin(time * 0.005);
-
-                    burnEffect.scale.set(scale, scale, scale);
-
-                    // Check if the burn effect is still active
-                    const hasBurnEffect = this.statusEffects.some(effect => effect.type === 'burn');
-
-                    if (!hasBurnEffect) {
-                        // Remove effect when burn wears off
-                        this.mesh.remove(burnEffect);
-                        delete this.mesh.userData.burnEffect;
-                        delete this.mesh.userData.burnEffectAnimationId;
-                        return true; // Animation complete
-                    }
-
-                    return false; // Animation still running
-                }
-            });
-
-            // Store animation ID for potential early cancellation
-            this.mesh.userData.burnEffectAnimationId = animationId;
-        }
+        // Choose a random exit point
+        const randomIndex = Math.floor(this.game.rng.next() * validExitPoints.length);
+        return validExitPoints[randomIndex];
     }
 
-    createSlowEffectVisual(duration) {
-        if (!this.mesh) return;
-
-        // Remove existing slow effect if any
-        if (this.mesh.userData.slowEffect) {
-            this.mesh.remove(this.mesh.userData.slowEffect);
-        }
-
-        // Create a blue aura to indicate slow effect
-        const slowGeometry = new THREE.SphereGeometry(0.5, 16, 16);
-        const slowMaterial = new THREE.MeshBasicMaterial({
-            color: ElementStyles[ElementTypes.WATER].color,
-            transparent: true,
-            opacity: 0.3,
-            wireframe: true
-        });
-
-        const slowEffect = new THREE.Mesh(slowGeometry, slowMaterial);
-        this.mesh.add(slowEffect);
-
-        // Store reference
-        this.mesh.userData.slowEffect = slowEffect;
+    // Plain data needed to rebuild this enemy with Enemy.deserialize()
+    serialize() {
+        return {
+            type: this.type,
+            element: this.element,
+            position: { ...this.position },
+            health: this.health,
+            maxHealth: this.maxHealth,
+            baseSpeed: this.baseSpeed,
+            reward: this.reward,
+            scale: this.scale ?? null,
+            waveNumber: this.waveNumber,
+            isExtra: !!this.isExtra,
+            shield: this.shield,
+            healTimer: this.healTimer,
+            summonTimer: this.summonTimer,
+            minionsSummoned: this.minionsSummoned,
+            statusEffects: this.statusEffects.map(effect => ({ ...effect })),
+            targetPosition: { ...this.targetPosition },
+            pathWaypoints: this.pathWaypoints.map(waypoint => ({ ...waypoint })),
+            currentPathIndex: this.currentPathIndex,
+            lastPathRecalcTime: this.lastPathRecalcTime
+        };
     }
 
-    createWeakenEffectVisual(duration) {
-        if (!this.mesh) return;
-
-        // Create a purple aura to indicate weaken effect
-        const weakenGeometry = new THREE.SphereGeometry(0.45, 16, 16);
-        const weakenMaterial = new THREE.MeshBasicMaterial({
-            color: ElementStyles[ElementTypes.SHADOW].color,
-            transparent: true,
-            opacity: 0.3
-        });
+    // Put back the state saved by serialize() over a freshly built enemy
+    restore(data) {
+        this.position = { ...data.position };
+        this.health = data.health;
+        this.maxHealth = data.maxHealth;
+        this.baseSpeed = data.baseSpeed;
+        this.reward = data.reward;
+        if (data.scale !== null) {
+            this.scale = data.scale;
+        }
+        this.waveNumber = data.waveNumber;
+        this.isExtra = data.isExtra;
+        this.shield = data.shield;
+        this.healTimer = data.healTimer;
+        this.summonTimer = data.summonTimer;
+        this.minionsSummoned = data.minionsSummoned;
+        this.statusEffects = data.statusEffects.map(effect => ({ ...effect }));
+        this.targetPosition = { ...data.targetPosition };
+        this.pathWaypoints = data.pathWaypoints.map(waypoint => ({ ...waypoint }));
+        this.currentPathIndex = data.currentPathIndex;
+        this.lastPathRecalcTime = data.lastPathRecalcTime;
 
-        const weakenEffect = new THREE.Mesh(weakenGeometry, weakenMaterial);
-        this.mesh.add(weakenEffect);
-
-        // Remove effect after duration
-        setTimeout(() => {
-            if (this.mesh) {
-                this.mesh.remove(weakenEffect);
-            }
-        }, duration * 1000);
+        this.calculateCurrentSpeed();
     }
 
-    findExitPoint() {
-        // Find all valid exit points at the bottom of the map
-        const validExitPoints = [];
-        const bottomRow = this.game.map.gridHeight - 1;
-
-        for (let x = 0; x < this.game.map.gridWidth; x++) {
-            if (this.game.map.grid[bottomRow][x] === 1) {
-                validExitPoints.push({ x, z: bottomRow });
-            }
-        }
-
-        // If no exit points found, return a default one
-        if (validExitPoints.length === 0) {
-            return { x: Math.floor(this.game.map.gridWidth / 2), z: bottomRow };
+    // Path to the target exit, found within the current step
+    calculatePath(recursionDepth = 0) {
+        if (this.flying) {
+            this.flyToExit();
+            return;
         }
 
-        // Choose a random exit point
-        const randomIndex = Math.floor(Math.random() * validExitPoints.length);
-        return validExitPoints[randomIndex];
-    }
-
-    async calculatePath(recursionDepth = 0) {
         // Track pathfinding calls for debugging
         if (this.game._pathfindingCalls !== undefined) {
             this.game._pathfindingCalls++;
         }
 
-        // Skip expensive pathfinding if FPS is low
-        if (this.game.fpsCounter && this.game.fpsCounter.value < 25) {
-            // Use simpler path calculation during performance issues
-            this.findFallbackPath();
-            return;
-        }
-
         // Prevent stack overflow with a recursion limit
         const MAX_RECURSION_DEPTH = 3;
         if (recursionDepth >= MAX_RECURSION_DEPTH) {
@@ -785,11 +504,6 @@ export class Enemy {
             return;
         }
 
-        // If already pathfinding, don't start another calculation
-        if (this.isPathfinding) return;
-
-        this.isPathfinding = true;
-
         try {
             // Make sure the enemy is inside the grid bounds
             const validPosition = this.ensurePositionInBounds();
@@ -797,39 +511,17 @@ export class Enemy {
             // Get current grid position
             const gridPos = this.game.map.worldToGrid(validPosition.x, validPosition.z);
 
-            // Set timeout for pathfinding to avoid getting stuck
-            let pathFound = false;
-            const pathfindingTimeout = setTimeout(() => {
-                if (!pathFound) {
-                    this.isPathfinding = false;
-                    // Pathfinding timed out, use direct path
-                    this.findFallbackPath();
-                }
-            }, 3000); // 3 seconds timeout
-
             // Calculate a path to the target
-            const path = await this.game.map.pathfindingHelper.findPath(
+            const path = this.game.map.pathfindingHelper.findPathSync(
                 { x: gridPos.x, z: gridPos.y },
                 this.targetPosition
             );
 
-            // Clear timeout
-            clearTimeout(pathfindingTimeout);
-            pathFound = true;
-
             // If no path is found, try a different exit point
             if (!path || path.length === 0) {
-                // No path found, try alternate exit or use fallback
-                if (this.game.fpsCounter && this.game.fpsCounter.value < 30) {
-                    // Skip retries during low performance, use direct path
-                    this.findFallbackPath();
-                } else {
-                    // Try a different exit point
-                    this.targetPosition = this.findExitPoint();
-                    this.isPathfinding = false;
-                    // Call again with increased recursion depth
-                    return this.calculatePath(recursionDepth + 1);
-                }
+                this.targetPosition = this.findExitPoint();
+                this.calculatePath(recursionDepth + 1);
+                return;
             }
 
             // Convert grid positions to world positions
@@ -839,15 +531,8 @@ export class Enemy {
 
             // Reset path following
             this.currentPathIndex = 0;
-
-            // Update path debug visualization if in debug mode
-            if (this.game.debugMode && this.pathVisualization) {
-                this.updatePathVisualization();
-            }
         } catch (error) {
             console.error("Error calculating path:", error);
-        } finally {
-            this.isPathfinding = false;
         }
     }
 
@@ -867,7 +552,6 @@ export class Enemy {
 
         // If position was changed, update the actual position
         if (validPosition.x !== this.position.x || validPosition.z !== this.position.z) {
-            console.log(`Corrected enemy position from (${this.position.x}, ${this.position.z}) to (${validPosition.x}, ${validPosition.z})`);
             this.position.x = validPosition.x;
             this.position.z = validPosition.z;
         }
@@ -875,6 +559,12 @@ export class Enemy {
         return validPosition;
     }
 
+    // Flyers head in a straight line for their exit, over towers and obstacles
+    flyToExit() {
+        this.pathWaypoints = [this.game.map.gridToWorld(this.targetPosition.x, this.targetPosition.z)];
+        this.currentPathIndex = 0;
+    }
+
     // Create a fallback path when pathfinding fails
     findFallbackPath() {
         // Find the nearest exit point
@@ -888,6 +578,5 @@ export class Enemy {
         ];
 
         this.currentPathIndex = 0;
-        console.log("Created fallback direct path to exit");
     }
 }
\ No newline at end of file
@@ -1,50 +1,77 @@
 import { Projectile } from './projectile.js';
 import { ElementTypes, ElementalAdvantages, ElementEffects } from '../elements.js';
-import * as THREE from 'three';
+import { GameEvents } from '../simulation/events.js';
+import { getUnits } from '../units.js';
+import { DamageTypes } from '../damage.js';
+import { NO_SYNERGY_BONUS, combineSynergyBonuses } from '../synergies.js';
+
+// How a tower picks between enemies in range
+export const TargetingModes = {
+    FIRST: 'first',           // Closest to the exit along its path
+    LAST: 'last',             // Furthest from the exit
+    STRONGEST: 'strongest',   // Highest current health
+    WEAKEST: 'weakest',       // Lowest current health
+    CLOSEST: 'closest',       // Closest to the tower
+    ELEMENTAL: 'elemental'    // Best elemental advantage for this tower
+};
+
+// Which enemies a tower can shoot: walkers, flyers or both
+export const TargetLayers = {
+    GROUND: 'ground',
+    AIR: 'air',
+    BOTH: 'both'
+};
+
+// Stats for tower types missing from data/units.json
+const DEFAULT_TOWER = {
+    damage: 20,
+    range: 3,
+    fireRate: 1,
+    height: 0.8,
+    projectileType: 'neutral',
+    areaOfEffect: false,
+    aoeRadius: 0,
+    specialAbility: null,
+    targets: TargetLayers.BOTH,
+    damageType: DamageTypes.PHYSICAL,
+    element: ElementTypes.NEUTRAL
+};
 
 export class Tower {
+    // Tower stats from data/units.json (null for unknown types)
+    static getDefinition(towerType) {
+        return getUnits().towers[towerType] || null;
+    }
+
     // Static method to get the cost of a tower type
     static getCost(towerType) {
-        const costs = {
-            // Basic towers
-            'arrow': 10,
-            'doubleArrow': 25,
-            'cannon': 50,
-
-            // Elemental basic towers
-            'fire_basic': 15,
-            'water_basic': 15,
-            'earth_basic': 20,
-            'air_basic': 15,
-            'shadow_basic': 20,
-
-            // Elemental advanced towers
-            'fire_advanced': 35,
-            'water_advanced': 35,
-            'earth_advanced': 45,
-            'air_advanced': 30,
-            'shadow_advanced': 40
-        };
+        const definition = Tower.getDefinition(towerType);
+        return definition ? definition.goldCost : 20; // Default cost if tower type not found
+    }
+
+    // Upgrade tiers above level 1. Multipliers scale the tower's level 1 stats,
+    // goldCost is paid for gold-bought towers and manaCost for towers played from cards
+    static getUpgradeTiers(towerType) {
+        const definition = Tower.getDefinition(towerType);
+        if (definition && definition.upgrades) {
+            return definition.upgrades;
+        }
+
+        // Towers without their own tiers price their upgrades from their build cost
+        const baseCost = Tower.getCost(towerType);
+        return [
+            { level: 2, damage: 1.5, range: 1.1, fireRate: 1.2, goldCost: Math.round(baseCost * 1.2), manaCost: 3 },
+            { level: 3, damage: 2.2, range: 1.2, fireRate: 1.4, goldCost: Math.round(baseCost * 2.4), manaCost: 5 }
+        ];
+    }
 
-        return costs[towerType] || 20; // Default cost if tower type not found
+    static getMaxLevel(towerType) {
+        return Tower.getUpgradeTiers(towerType).length + 1;
     }
 
     // Static method to create a tower
     static async create(game, towerType, gridX, gridY) {
-        // Determine default element based on tower type
-        let element = ElementTypes.NEUTRAL;
-        if (towerType.startsWith('fire_')) {
-            element = ElementTypes.FIRE;
-        } else if (towerType.startsWith('water_')) {
-            element = ElementTypes.WATER;
-        } else if (towerType.startsWith('earth_')) {
-            element = ElementTypes.EARTH;
-        } else if (towerType.startsWith('air_')) {
-            element = ElementTypes.AIR;
-        } else if (towerType.startsWith('shadow_')) {
-            element = ElementTypes.SHADOW;
-        }
-
+        const element = Tower.getDefinition(towerType)?.element || ElementTypes.NEUTRAL;
         const position = game.map.gridToWorld(gridX, gridY);
         const tower = new Tower(game, towerType, position, { gridX, gridY }, element);
 
@@ -54,6 +81,30 @@ export class Tower {
         return tower;
     }
 
+    // Rebuild a tower from Tower.serialize() output (used when resuming a saved run).
+    // The map cell is expected to be restored already, so the grid is not touched here.
+    static deserialize(game, data) {
+        const { gridX, gridY } = data.gridPosition;
+        const position = game.map.gridToWorld(gridX, gridY);
+        const tower = new Tower(game, data.type, position, { gridX, gridY }, data.element);
+
+        tower.element = data.element;
+        tower.damage = data.damage;
+        tower.range = data.range;
+        tower.fireRate = data.fireRate;
+        tower.specialAbility = data.specialAbility;
+        tower.level = data.level;
+        tower.baseStats = data.baseStats;
+        tower.upgradeGoldSpent = data.upgradeGoldSpent;
+        tower.upgradeManaSpent = data.upgradeManaSpent || 0;
+        tower.targetingMode = data.targetingMode;
+        if (data.cardId) {
+            tower.cardId = data.cardId;
+        }
+
+        return tower;
+    }
+
     constructor(game, type, position, gridPosition, element = ElementTypes.NEUTRAL, stats = null) {
         this.game = game;
         this.type = type;
@@ -74,8 +125,19 @@ export class Tower {
             this.setStats();
         }
 
+        // Upgrade state
+        this.level = 1;
+        this.baseStats = null; // Level 1 stats, captured on the first upgrade
+        this.upgradeGoldSpent = 0;
+        this.upgradeManaSpent = 0; // Card towers upgrade with mana
+
+        // Targeting priority, changed from the tower panel
+        this.targetingMode = TargetingModes.CLOSEST;
+
         // Tower state
         this.lastFireTime = 0;
+        this.disabledUntil = 0; // Simulated ms a boss ability keeps it from firing until
+        this.currentTarget = null; // Enemy the turret faces (picked every step by Simulation.updateTowers)
         this.empowered = false;
         this.empowermentMultiplier = 1;
         this.empowermentEndTime = 0;
@@ -87,62 +149,18 @@ export class Tower {
         this.shield = 0; // Damage reduction percentage (0.5 = 50% reduction)
         this.hasteMultiplier = 1.0; // Attack speed multiplier (1.5 = 50% faster)
 
-        // Create 3D representation using instanced meshes
-        this.towerInstance = this.game.renderer.createTower(this);
-
-        if (!this.towerInstance) {
-            console.error(`Failed to create tower instance for type: ${this.type}`);
-        } else {
-            console.log(`Tower instance created for type: ${this.type}`);
-        }
-
-        // For debugging
-        // console.log("Tower created at:", position, "with height:", this.height, "element:", this.element);
+        // Adjacency bonuses, kept up to date by the simulation as towers come and go
+        this.synergies = []; // [{ id, synergy, partners }]
+        this.synergyBonus = { ...NO_SYNERGY_BONUS };
     }
 
     setStats() {
-        // Legacy method to set stats based on tower type
-        switch (this.type) {
-            case 'arrow':
-                this.damage = 20;
-                this.range = 3;
-                this.fireRate = 1; // Shots per second
-                this.height = 0.8;
-                this.projectileType = 'arrow';
-                this.areaOfEffect = false;
-                this.specialAbility = null;
-                break;
-
-            case 'doubleArrow':
-                this.damage = 15;
-                this.range = 4;
-                this.fireRate = 2; // Shots per second
-                this.height = 1;
-                this.projectileType = 'doubleArrow';
-                this.areaOfEffect = false;
-                this.specialAbility = 'doubleShot'; // 30% chance of firing 2 shots
-                break;
-
-            case 'cannon':
-                this.damage = 50;
-                this.range = 2.5;
-                this.fireRate = 0.5; // Shots per second
-                this.height = 0.7;
-                this.projectileType = 'cannon';
-                this.areaOfEffect = true;
-                this.aoeRadius = 1.2;
-                this.specialAbility = null;
-                break;
-
-            default:
-                this.damage = 20;
-                this.range = 3;
-                this.fireRate = 1;
-                this.height = 0.8;
-                this.projectileType = 'arrow';
-                this.areaOfEffect = false;
-                this.specialAbility = null;
-        }
+        // Stats based on tower type
+        const definition = Tower.getDefinition(this.type) || DEFAULT_TOWER;
+        this.damage = definition.damage;
+        this.range = definition.range;
+        this.fireRate = definition.fireRate; // Shots per second
+        this.specialAbility = definition.specialAbility;
 
         // Set additional properties based on type
         this.setAdditionalStats();
@@ -150,100 +168,42 @@ export class Tower {
 
     setAdditionalStats() {
         // Set visual and projectile properties based on tower type
-        switch (this.type) {
-            case 'arrow':
-                this.height = 0.8;
-                this.projectileType = 'arrow';
-                this.areaOfEffect = false;
-                break;
-
-            case 'doubleArrow':
-                this.height = 1;
-                this.projectileType = 'doubleArrow';
-                this.areaOfEffect = false;
-                break;
-
-            case 'cannon':
-                this.height = 0.7;
-                this.projectileType = 'cannon';
-                this.areaOfEffect = true;
-                this.aoeRadius = 1.2;
-                break;
-
-            // Add cases for elemental tower types
-            case 'fire_basic':
-            case 'fire_advanced':
-                this.height = 0.9;
-                this.projectileType = 'fire';
-                this.areaOfEffect = (this.type === 'fire_advanced');
-                this.aoeRadius = (this.type === 'fire_advanced') ? 1.0 : 0;
-                this.element = ElementTypes.FIRE;
-                break;
-
-            case 'water_basic':
-            case 'water_advanced':
-                this.height = 0.85;
-                this.projectileType = 'water';
-                this.areaOfEffect = false;
-                this.element = ElementTypes.WATER;
-                break;
-
-            case 'earth_basic':
-            case 'earth_advanced':
-                this.height = 1.1;
-                this.projectileType = 'earth';
-                this.areaOfEffect = false;
-                this.element = ElementTypes.EARTH;
-                break;
-
-            case 'air_basic':
-            case 'air_advanced':
-                this.height = 0.75;
-                this.projectileType = 'air';
-                this.areaOfEffect = false;
-                this.element = ElementTypes.AIR;
-                break;
+        const definition = Tower.getDefinition(this.type) || DEFAULT_TOWER;
+        this.height = definition.height;
+        this.projectileType = definition.projectileType;
+        this.areaOfEffect = definition.areaOfEffect;
+        this.aoeRadius = definition.aoeRadius;
+        this.targets = definition.targets;
+        this.damageType = definition.damageType;
+        this.armorShred = definition.armorShred || 0;
+
+        // Elemental tower types keep their element whatever card built them
+        if (definition.element !== ElementTypes.NEUTRAL) {
+            this.element = definition.element;
+        }
+    }
 
-            case 'shadow_basic':
-            case 'shadow_advanced':
-                this.height = 0.8;
-                this.projectileType = 'shadow';
-                this.areaOfEffect = false;
-                this.element = ElementTypes.SHADOW;
-                break;
+    // Whether this tower can shoot the enemy at all (flyers need an anti-air tower)
+    canTarget(enemy) {
+        if (this.targets === TargetLayers.BOTH) return true;
+        return enemy.flying ? this.targets === TargetLayers.AIR : this.targets === TargetLayers.GROUND;
+    }
 
-            default:
-                this.height = 0.8;
-                this.projectileType = 'neutral';
-                this.areaOfEffect = false;
-        }
+    // Active synergies from findSynergies (see Simulation.refreshSynergies)
+    setSynergies(synergies) {
+        this.synergies = synergies;
+        this.synergyBonus = combineSynergyBonuses(synergies);
     }
 
     update(deltaTime) {
         // Check if empowerment has ended
-        if (this.empowered && performance.now() > this.empowermentEndTime) {
+        if (this.empowered && this.game.clock.now() > this.empowermentEndTime) {
             this.empowered = false;
             this.empowermentMultiplier = 1;
         }
 
         // Update applied effects
         this.updateEffects(deltaTime);
-
-        // Update visual effects - ensure range indicators are only visible in debug mode
-        if (this.towerInstance && this.towerInstance.topGroup &&
-            this.towerInstance.topGroup.userData.rangeIndicator) {
-            // Force the visibility to match debug mode exactly
-            const rangeIndicator = this.towerInstance.topGroup.userData.rangeIndicator;
-            if (rangeIndicator.visible !== this.game.debugMode) {
-                rangeIndicator.visible = this.game.debugMode;
-            }
-        }
-
-        // Always check for targets and rotate toward them if there are enemies in range
-        const target = this.game.findClosestEnemyInRange(this.position, this.range);
-        if (target && this.towerInstance) {
-            this.rotateTowardTarget(target);
-        }
     }
 
     updateEffects(deltaTime) {
@@ -273,12 +233,23 @@ export class Tower {
     }
 
     canFire() {
-        const now = performance.now();
+        const now = this.game.clock.now();
+        if (this.isDisabled()) return false;
+
         const fireInterval = 1000 / this.getModifiedFireRate(); // Convert rate to interval in ms
 
         return now - this.lastFireTime >= fireInterval;
     }
 
+    // Boss abilities can switch a tower off for a while
+    disable(duration) {
+        this.disabledUntil = Math.max(this.disabledUntil, this.game.clock.now() + duration * 1000);
+    }
+
+    isDisabled() {
+        return this.game.clock.now() < this.disabledUntil;
+    }
+
     getModifiedFireRate() {
         let rate = this.fireRate * this.empowermentMultiplier;
 
@@ -299,29 +270,22 @@ export class Tower {
 
     fire(target) {
         // Record fire time
-        this.lastFireTime = performance.now();
+        this.lastFireTime = this.game.clock.now();
 
-        // Rotate tower nose toward the target
-        this.rotateTowardTarget(target);
+        // Face the target
+        this.currentTarget = target;
 
         // Create projectile
         this.createProjectile(target);
-
-        // Play tower shoot sound effect if available
-        if (window.playSound) {
-            window.playSound('towerShoot');
-        }
+        this.game.events.emit(GameEvents.TOWER_FIRED, { tower: this, target });
 
         // Apply special abilities
-        if (this.specialAbility === 'doubleShot' && Math.random() < 0.3) {
+        if (this.specialAbility === 'doubleShot' && this.game.rng.next() < 0.3) {
             // 30% chance of firing second shot
-            setTimeout(() => {
+            this.game.clock.setTimeout(() => {
                 if (target.health > 0 && !target.reachedEnd) {
                     this.createProjectile(target);
-                    // Play sound for second shot too
-                    if (window.playSound) {
-                        window.playSound('towerShoot');
-                    }
+                    this.game.events.emit(GameEvents.TOWER_FIRED, { tower: this, target });
                 }
             }, 150); // Small delay between shots
         }
@@ -330,13 +294,56 @@ export class Tower {
         this.applyElementalSpecialEffects(target);
     }
 
-    rotateTowardTarget(target) {
-        if (!target || !this.towerInstance) return;
+    getNextTier() {
+        return Tower.getUpgradeTiers(this.type).find(tier => tier.level === this.level + 1) || null;
+    }
+
+    // Towers played from cards are upgraded and refunded in mana, the rest in gold
+    getCurrency() {
+        return this.cardId ? 'mana' : 'gold';
+    }
+
+    upgrade() {
+        const tier = this.getNextTier();
+        if (!tier) return false;
+
+        // Keep the level 1 stats so tier multipliers don't compound
+        if (!this.baseStats) {
+            this.baseStats = {
+                damage: this.damage,
+                range: this.range,
+                fireRate: this.fireRate
+            };
+        }
 
-        const targetPosition = target.position;
+        this.level = tier.level;
+        this.damage = this.baseStats.damage * tier.damage;
+        this.range = this.baseStats.range * tier.range;
+        this.fireRate = this.baseStats.fireRate * tier.fireRate;
 
-        // Use renderer's method to rotate tower
-        this.game.renderer.rotateTowerToTarget(this.towerInstance, targetPosition);
+        // Swap the turret for this tier's model
+        this.game.events.emit(GameEvents.TOWER_UPGRADED, { tower: this });
+
+        return true;
+    }
+
+    // Plain data needed to rebuild this tower with Tower.deserialize()
+    serialize() {
+        return {
+            type: this.type,
+            gridPosition: { gridX: this.gridPosition.gridX, gridY: this.gridPosition.gridY },
+            element: this.element,
+            damage: this.damage,
+            range: this.range,
+            fireRate: this.fireRate,
+            specialAbility: this.specialAbility,
+            level: this.level,
+            baseStats: this.baseStats ? { ...this.baseStats } : null,
+            upgradeGoldSpent: this.upgradeGoldSpent,
+            upgradeManaSpent: this.upgradeManaSpent,
+            targetingMode: this.targetingMode,
+            cardId: this.cardId || null
+        };
     }
 
     applyElementalSpecialEffects(target) {
@@ -344,23 +351,25 @@ export class Tower {
         switch (this.element) {
             case ElementTypes.FIRE:
                 // Fire towers have a chance to apply burn effect
-                if (Math.random() < 0.2) {
+                if (this.game.rng.next() < 0.2) {
                     target.applyStatusEffect('burn', ElementEffects[ElementTypes.FIRE]);
+                    this.spreadBurn(target, ElementEffects[ElementTypes.FIRE]);
                 }
                 break;
 
             case ElementTypes.WATER:
                 // Water towers have a chance to apply slow effect
-                if (Math.random() < 0.3) {
-                    target.applyStatusEffect('slow', ElementEffects[ElementTypes.WATER]);
+                if (this.game.rng.next() < 0.3) {
+                    const slow = ElementEffects[ElementTypes.WATER];
+                    target.applyStatusEffect('slow', {
+                        ...slow,
+                        duration: slow.duration * this.synergyBonus.slowDuration
+                    });
                 }
                 break;
 
             case ElementTypes.EARTH:
-                // Earth towers provide armor buff to nearby towers
-                if (Math.random() < 0.15) {
-                    this.applyEarthArmorBuff();
-                }
+                // Earth towers help their neighbours through synergies instead
                 break;
 
             case ElementTypes.AIR:
@@ -369,42 +378,28 @@ export class Tower {
 
             case ElementTypes.SHADOW:
                 // Shadow towers have a chance to apply weaken effect
-                if (Math.random() < 0.2) {
+                if (this.game.rng.next() < 0.2) {
                     target.applyStatusEffect('weaken', ElementEffects[ElementTypes.SHADOW]);
                 }
                 break;
         }
     }
 
-    applyEarthArmorBuff() {
-        // Find nearby towers and buff them
-        const earthEffect = ElementEffects[ElementTypes.EARTH];
-        const buffRadius = earthEffect.radius;
-
-        for (const tower of this.game.towers) {
-            if (tower !== this) {
-                const distance = this.game.calculateDistance(this.position, tower.position);
-                if (distance <= buffRadius) {
-                    // Apply armor buff
-                    tower.appliedEffects.push({
-                        type: 'armor',
-                        value: 1 - earthEffect.damageReduction, // Convert to damage multiplier
-                        remainingDuration: earthEffect.duration
-                    });
+    // Burn synergies set enemies around a burning target alight too
+    spreadBurn(target, burn) {
+        const radius = this.synergyBonus.burnSpread;
+        if (radius <= 0) return;
 
-                    // Visual effect could be added here
-                }
+        for (const enemy of this.game.enemies) {
+            if (enemy === target || enemy.health <= 0 || enemy.reachedEnd || !this.canTarget(enemy)) continue;
+
+            if (this.game.calculateDistance(target.position, enemy.position) <= radius) {
+                enemy.applyStatusEffect('burn', burn);
             }
         }
     }
 
     createProjectile(target) {
-        // Skip creating projectile if too many exist and FPS is low
-        if (this.game.projectiles.length > this.game.maxActiveProjectiles &&
-            this.game.fpsCounter && this.game.fpsCounter.value < 30) {
-            return; // Skip firing during performance issues
-        }
-
         // Calculate projectile starting position
         const startPosition = {
             x: this.position.x,
@@ -415,24 +410,26 @@ export class Tower {
         // Calculate applied damage with elemental advantage
         const damage = this.calculateDamage(target);
 
-        // Get projectile from the pool using our new method
-        const projectile = this.game.getProjectileFromPool(
+        const projectile = this.game.spawnProjectile(
             this.projectileType,
             startPosition,
             target,
             damage,
             this.areaOfEffect,
-            this.element
+            this.element,
+            this.damageType
         );
 
         // Set the tower as the origin tower for range checking
         if (projectile) {
             projectile.originTower = this;
+            projectile.armorShred = this.armorShred + this.synergyBonus.armorShred;
         }
 
         return projectile;
     }
 
+    // Damage before the target's armor or magic resistance, which it applies on being hit
     calculateDamage(target) {
         let damage = this.damage * this.empowermentMultiplier;
 
@@ -447,6 +444,7 @@ export class Tower {
                 damage *= effect.value;
             }
         });
+        damage *= this.synergyBonus.damage;
 
         // Apply armor effects if target has any
         if (target.appliedEffects) {
@@ -471,7 +469,7 @@ export class Tower {
         }
 
         // Air towers have a chance for critical hits
-        if (this.element === ElementTypes.AIR && Math.random() < 0.15) {
+        if (this.element === ElementTypes.AIR && this.game.rng.next() < 0.15) {
             damage *= 2; // Critical hit
             // Could add critical hit visual
         }
@@ -482,7 +480,7 @@ export class Tower {
     applyEmpowerment(multiplier, duration) {
         this.empowered = true;
         this.empowermentMultiplier = multiplier;
-        this.empowermentEndTime = performance.now() + (duration * 1000);
+        this.empowermentEndTime = this.game.clock.now() + (duration * 1000);
 
         // Visual effects handled by renderer in the render loop
     }
@@ -536,12 +534,4 @@ export class Tower {
             }
         }
     }
-
-    // Add cleanup method to properly remove tower
-    cleanup() {
-        if (this.towerInstance) {
-            this.game.renderer.removeTower(this.towerInstance);
-            this.towerInstance = null;
-        }
-    }
-}
\ No newline at end of file
+}
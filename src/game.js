@@ -1,54 +1,49 @@
 import { Renderer } from './renderer.js';
-import { Map } from './map.js';
 import { PowerCards } from './powerCards.js';
+import { BossDisplay } from './bossDisplay.js';
 import { Enemy } from './entities/enemy.js';
-import { Tower } from './entities/tower.js';
 import { TCGIntegration } from './tcg-integration.js';
 import { UI } from './ui.js';
-import { ElementTypes, ElementEffects, ElementStyles } from './elements.js';
-import { Projectile } from './entities/projectile.js';
-
-export class Game {
+import { ElementTypes, ElementStyles } from './elements.js';
+import { SIMULATION_STEP_MS } from './simulationClock.js';
+import { SeededRandom } from './random.js';
+import { ReplayCommands, ReplayRecorder, ReplayPlayer } from './replay.js';
+import { MatchModes } from './multiplayer.js';
+import { Simulation } from './simulation/simulation.js';
+import { GameEvents } from './simulation/events.js';
+import { Map as GameMap } from './map.js';
+import { getCampaignLevel, getNextLevel, getStarRating, recordLevelResult } from './campaign.js';
+import { getUnits } from './units.js';
+
+// The browser game: runs the simulation from the animation frame loop and
+// turns its events into visuals, sounds and DOM updates
+export class Game extends Simulation {
     constructor(canvas) {
+        super();
+
         this.canvas = canvas;
         this.renderer = new Renderer(canvas, this);
-        this.map = new Map(this);
-        this.enemies = [];
-        this.towers = [];
-        this.projectiles = [];
         this.powerCards = new PowerCards(this);
+        this.bossDisplay = new BossDisplay(this);
+
+        // Fixed-step loop state (the clock itself lives in the simulation)
+        this.stepAccumulator = 0; // Real time (scaled by speed) not yet simulated
+        this.maxStepsPerFrame = 12; // Cap catch-up work after a slow frame
 
-        // Object pools for entity recycling
-        this.enemyPool = [];
-        this.projectilePool = [];
-        this.particlePool = [];
+        // Replays: commands of the current run are recorded, or played back in viewer mode
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        this.lastReplay = null; // Finished recording of the previous run
 
         // Animation system
         this.animations = [];
         this.animationIdCounter = 0;
 
-        // Maximum number of entities to keep performance stable
-        this.maxActiveProjectiles = 100; // Reduced limit to prevent visual clutter
-        this.maxActiveEnemies = 150;
-
-        // Pathfinding optimization
-        this.cachedPaths = new Map(); // Store paths by grid coordinates - using JavaScript's Map() object
-        this.pathRecalcFrequency = 500; // ms between path recalculations
-        this._pathfindingCalls = 0; // For debugging
-
         // Performance optimization settings
         this.lowQualityMode = false;
         this.maxParticles = 200;
         this.enemyUpdateSkipRate = 3; // Default: update 1/3 of distant enemies
 
-        // Game state
-        this.player = {
-            username: '',
-            gold: 100,
-            lives: 10,
-            score: 0
-        };
-
         // Performance monitoring
         this.fpsCounter = {
             element: null,
@@ -58,74 +53,92 @@ export class Game {
         };
         this.createFpsCounter();
 
-        // Game timing tracking for score multiplier
-        this.gameStartTime = 0;
-        this.waveStartTimes = {};
-
-        this.currentWave = 1;
-        this.maxWaves = 6; // Increased from 3 to 6 waves
-        this.waveInProgress = false;
-        this.gameStarted = false;
-        this.gameOver = false;
-        this.debugMode = false;
-        this.cardDebugMode = false; // New debug mode for testing cards
-        this.isMultiplayer = false; // Will be used for TCG enemy cards
-
-        // Progressive difficulty tracking
-        this.consecutiveWavesWithoutLosses = 0; // Track waves completed without losing lives
-        this.initialLives = 10; // Store initial lives value
-        this.difficultyIncreaseActive = false; // Track if difficulty has been increased
-
-        // Game balance settings
-        this.difficultySettings = {
-            enemyHealthMultiplier: 1.0,    // Base multiplier for enemy health
-            enemySpeedMultiplier: 1.0,     // Base multiplier for enemy speed
-            goldMultiplier: 1.0,           // Base multiplier for gold rewards
-            towerDamageMultiplier: 1.0,    // Base multiplier for tower damage
-            waveSpeedMultiplier: 1.0,       // Base multiplier for spawn rate
-            spawnIntervalMultiplier: 1.0,  // Controls time between enemy spawns
-            randomFactorMultiplier: 0.2,   // Random variation in enemy stats (0-1)
-            bossHealthMultiplier: 3.0,     // Base multiplier for boss health
-            bossSpeedMultiplier: 0.7,      // Base multiplier for boss speed (slower but tougher)
-            lateStageBossBonus: 2.0        // Additional multiplier for bosses in waves 4-6
-        };
-
-        // Per-wave difficulty settings
-        this.waveSettings = [
-            { enemyHealth: 1.0, enemySpeed: 1.0, enemyCount: 15, goldMultiplier: 1.0, spawnBoss: false, batchSpawning: false },  // Wave 1
-            { enemyHealth: 1.2, enemySpeed: 1.0, enemyCount: 30, goldMultiplier: 1.2, spawnBoss: false, batchSpawning: false },  // Wave 2
-            { enemyHealth: 1.75, enemySpeed: 1.25, enemyCount: 50, goldMultiplier: 1.4, spawnBoss: false, batchSpawning: true },   // Wave 3
-            { enemyHealth: 4.5, enemySpeed: 1.4, enemyCount: 70, goldMultiplier: 1.5, spawnBoss: true, batchSpawning: true },    // Wave 4 - Much higher health, more enemies
-            { enemyHealth: 4.5, enemySpeed: 1.4, enemyCount: 90, goldMultiplier: 1.6, spawnBoss: true, batchSpawning: true },    // Wave 5 - Significantly increased health and count
-            { enemyHealth: 5.0, enemySpeed: 1.4, enemyCount: 110, goldMultiplier: 1.6, spawnBoss: true, batchSpawning: true }     // Wave 6 - Massive wave with very tough enemies
-        ];
-
         // Game timing
         this.lastFrameTime = 0;
-        this.deltaTime = 0;
-        this.enemySpawnInterval = 1000; // ms
-        this.lastEnemySpawnTime = 0;
-        // Enemy counts now defined in waveSettings
-        this.enemiesSpawned = 0;
-        this.enemiesDefeated = 0;
 
-        // Track active waves for multi-wave support
-        this.activeWaves = [];
-        this.wavesCompleted = 0;
+        this.scoreSubmission = null; // Pending score submission, resolves with the run's rank
 
         // Bind methods
         this.update = this.update.bind(this);
-        this.startWave = this.startWave.bind(this);
 
         // UI and TCG System will be initialized after map is ready
         this.tcgIntegration = null;
 
-        // Initialize projectile pool
-        this.projectilePool = [];
-        this.maxPoolSize = 300; // Maximum size of the projectile pool
+        this.subscribeToSimulation();
     }
 
-    async start(username) {
+    // Feedback for what happens in the simulation: sounds, effects, messages and saves
+    subscribeToSimulation() {
+        const events = this.events;
+
+        events.on(GameEvents.TOWER_FIRED, () => {
+            if (window.playSound) {
+                window.playSound('towerShoot');
+            }
+        });
+
+        events.on(GameEvents.ENEMY_REACHED_END, ({ lifeLost }) => {
+            if (!lifeLost) return;
+
+            this.createLifeFlashEffect();
+            if (window.playSound) {
+                window.playSound('loseLife');
+            }
+        });
+
+        events.on(GameEvents.ENEMY_DEFEATED, ({ enemy, manaBonus }) => {
+            this.createMoneyWinEffect(enemy);
+
+            if (manaBonus) {
+                this.clock.setTimeout(() => {
+                    this.createManaBonusEffect(enemy.position);
+                }, 1000);
+            }
+        });
+
+        events.on(GameEvents.PROJECTILE_EXPIRED, ({ projectile }) => {
+            // For projectiles with area effect, create a small impact effect
+            if (projectile.areaOfEffect > 0 && Math.random() < 0.5) {
+                this.createProjectileExplosionEffect(projectile);
+            }
+        });
+
+        events.on(GameEvents.TOWER_SOLD, ({ tower, refund, currency }) => {
+            this.createFloatingTextEffect(tower.position, refund, currency);
+        });
+
+        events.on(GameEvents.WAVE_COMPLETED, ({ waveNumber, bonus }) => {
+            this.showWaveCompletionMessage(bonus, waveNumber);
+        });
+        events.on(GameEvents.DIFFICULTY_INCREASED, () => this.showDifficultyIncreaseMessage());
+
+        events.on(GameEvents.WAVE_STARTED, () => this.updateUI());
+        events.on(GameEvents.STATS_CHANGED, () => this.updateUI());
+        events.on(GameEvents.RUN_CHECKPOINT, () => this.saveRun());
+
+        events.on(GameEvents.GAME_OVER, ({ victory }) => {
+            if (victory) {
+                this.createFireworksEffect();
+            } else {
+                this.createGameOverEffect();
+            }
+            this.endGame(victory);
+        });
+
+        events.on(GameEvents.ENEMY_CARD_RECEIVED, ({ card, from }) => {
+            this.ui?.showMatchMessage(`${from} sent a ${card.name}!`);
+        });
+        events.on(GameEvents.ENEMY_CARD_SENT, ({ card }) => {
+            this.ui?.showMatchMessage(`Sent a ${card.name} to ${this.multiplayer.otherPlayer}`);
+        });
+    }
+
+    // options.seed starts from a given seed, options.savedRun resumes a saved run,
+    // options.replay plays back a recorded run instead of taking player input,
+    // options.multiplayer plays a match through a connected MultiplayerClient,
+    // options.level plays a campaign level (see campaign.js) and options.endless
+    // keeps generating waves after the standard ones until the lives run out
+    async start(username, { seed = null, savedRun = null, replay = null, multiplayer = null, level = null, endless = false } = {}) {
         console.log("=== GAME START/RESTART SEQUENCE INITIATED ===");
 
         // Clean up any previous game state first
@@ -147,57 +160,114 @@ export class Game {
         this.gameOver = false;
         this.lastFrameTime = performance.now();
 
+        // Seed the run: use the requested seed, or roll a new one
+        const runSeed = seed !== null && String(seed).trim() !== '' ?
+            SeededRandom.parseSeed(seed) : SeededRandom.generateSeed();
+        this.rng.setSeed(runSeed);
+        console.log("Run seed:", runSeed);
+
+        // Restart the simulation clock for the new run
+        // (pending timers are dropped, so clear any leftover countdown overlay)
+        this.clock.reset();
+        this.stepAccumulator = 0;
+        this.animations = [];
+        this.powers.reset();
+        this.powerCards.reset();
+        this.bossDisplay.reset();
+        this.ui?.powerCards.forEach(card => card.classList.remove('cooldown'));
+        this.countdownActive = false;
+        this.countdownElement?.remove();
+        this.ui?.updateSpeedControls();
+
         // Record game start time for scoring
-        this.gameStartTime = performance.now();
+        this.gameStartTime = this.clock.now();
         this.waveStartTimes = {};
 
-        // Load saved wave settings if available
-        this.loadWaveSettings();
-
-        // Make sure map is initialized - add explicit await to ensure it completes
-        console.log("Initializing map");
+        // Campaign levels bring their own waves, gold and lives; replays and resumed runs
+        // keep the level they were started on. Standard runs use the saved wave settings.
+        if (replay) {
+            level = getCampaignLevel(replay.level);
+        } else if (savedRun) {
+            level = getCampaignLevel(savedRun.level);
+        } else if (multiplayer) {
+            level = null;
+        }
+        this.applyLevel(level);
+        if (!level) {
+            this.loadWaveSettings();
+        }
+
+        // Endless mode is for standard single-player runs, and sticks with replays and resumed runs
+        if (replay) {
+            endless = !!replay.endless;
+        } else if (savedRun) {
+            endless = !!savedRun.endless;
+        }
+        this.setEndless(endless && !level && !multiplayer);
+
+        // Multiplayer matches depend on the other player's actions, so they
+        // aren't recorded, saved or ranked
+        this.multiplayer = multiplayer;
+        this.isMultiplayer = multiplayer?.mode === MatchModes.VERSUS;
+        this.pendingSentEnemies = [];
+        this.ui?.updateMatchPanel();
+
+        // Replays and resumed runs are played on the map they started on; other
+        // single-player runs use the level's map or the map editor's, if one was saved
+        let layout = null;
+        if (replay) {
+            layout = replay.map || null;
+        } else if (savedRun) {
+            layout = savedRun.map?.layout || null;
+        } else if (level) {
+            layout = level.layout;
+        } else if (!multiplayer) {
+            layout = this.loadCustomMap();
+        }
         try {
-            let mapPath = null;
-
-            if (this.gameStarted && this.map) {
-                // If restarting, use the reset method instead of initialize
-                console.log("Resetting existing map");
-                await this.map.reset();
-
-                // Ensure the map is recreated in the renderer if it was removed
-                if (!this.renderer.scene.children.find(child => child.userData && child.userData.ground)) {
-                    console.log("Map not found in scene, recreating...");
-                    const gridSize = { width: this.map.gridWidth, height: this.map.gridHeight };
-                    this.map.mapGroup = this.renderer.createMap(this.map.grid, gridSize);
-                }
-
-                mapPath = this.map.path;
-            } else {
-                // First time start - initialize the map
-                await this.map.initialize();
-                mapPath = this.map.path;
-            }
+            this.map.setLayout(layout);
+        } catch (e) {
+            console.error('Failed to use the custom map - playing the default one:', e);
+            layout = null;
+            this.map.setLayout(null);
+        }
 
-            console.log("Map initialized, path length:", mapPath ? mapPath.length : "path not set");
+        // Replays run with the settings they were recorded with. New runs are
+        // recorded; resumed runs start mid-way, so they can't be replayed.
+        this.replayPlayer = replay ? new ReplayPlayer(replay) : null;
+        if (replay) {
+            this.applySettingsSnapshot(replay.settings);
+        }
+        this.replayRecorder = !replay && !savedRun && !multiplayer ?
+            new ReplayRecorder(runSeed, username, this.getSettingsSnapshot(), {
+                level: level?.id || null,
+                endless: this.endless,
+                map: layout
+            }) : null;
+        this.ui?.updateReplayBanner();
 
-            if (!mapPath || !Array.isArray(mapPath) || mapPath.length === 0) {
-                console.error("Map initialization failed to create valid path - retrying");
-                // Force recreate the path
-                mapPath = await this.map.recreatePathWaypoints();
-                console.log("Map path after retry:", mapPath ? mapPath.length : "path still not set");
-            }
-        } catch (err) {
-            console.error("Error initializing map:", err);
+        // New runs get a fresh score token; resumed runs keep theirs (restored from the save).
+        // Campaign levels and custom maps aren't ranked; endless runs have a leaderboard of their own.
+        this.runToken = null;
+        this.scoreSubmission = null;
+        if (!replay && !savedRun && !multiplayer && !level && !layout) {
+            this.requestRunToken(runSeed, this.getScoreCategory());
         }
 
+        // Make sure map is initialized - add explicit await to ensure it completes
+        // (the renderer rebuilds the map and path line from the map events)
+        console.log("Initializing map");
+        await this.prepareMap();
+
         // Initialize TCG system
         if (!this.tcgIntegration) {
             this.tcgIntegration = new TCGIntegration(this);
-        } else {
-            // Reset existing TCG integration
-            this.tcgIntegration.reset();
         }
 
+        // Load the player's profile (picks up deck builder changes), then deal the first hand
+        await this.tcgIntegration.loadPlayer();
+        this.cards.reset();
+
         // Initialize UI if it wasn't created yet (in case this was called directly)
         if (!this.ui) {
             this.ui = new UI(this);
@@ -205,6 +275,7 @@ export class Game {
 
         // Update UI
         this.updateUI();
+        this.ui.showLevelRules();
 
         // Create difficulty controls in the debug panel
         this.createDifficultyControls();
@@ -229,10 +300,15 @@ export class Game {
 
         // Only start the first wave if we have a valid map path
         if (this.map.path && Array.isArray(this.map.path) && this.map.path.length > 0) {
-        // Start the first wave after a short delay
-        setTimeout(() => {
-                this.startCountdown(20);
-            }, 1000);
+            if (savedRun) {
+                // Continue a saved run instead of starting from wave 1
+                await this.restoreRunState(savedRun);
+            } else {
+                // Start the first wave after a short delay
+                this.clock.setTimeout(() => {
+                    this.startCountdown(20);
+                }, 1000);
+            }
         } else {
             console.error("Cannot start game wave - map path is not properly initialized");
         }
@@ -281,13 +357,13 @@ export class Game {
 
         this.countdownElement = countdownEl;
         // Update countdown every second
-        this.countdownInterval = setInterval(() => {
+        this.countdownInterval = this.clock.setInterval(() => {
             this.countdownTimer--;
             secondsEl.textContent = this.countdownTimer;
 
 
             if (this.countdownTimer <= 0) {
-                clearInterval(this.countdownInterval);
+                this.clock.clearInterval(this.countdownInterval);
                 this.countdownActive = false;
                 countdownEl.remove();
                 this.startWave(); // Start the game after countdown
@@ -350,12 +426,12 @@ export class Game {
         // Update FPS counter
         this.updateFpsCounter(currentTime);
 
-        // Calculate time delta
-        this.deltaTime = (currentTime - this.lastFrameTime) / 1000; // convert to seconds
+        // Calculate real time delta (capped so a backgrounded tab doesn't fast-forward the run)
+        const realDeltaMs = Math.min(currentTime - this.lastFrameTime, 250);
         this.lastFrameTime = currentTime;
 
         // Debug logging every 3 seconds to track entity counts
-        if (Math.floor(currentTime / 3000) !== Math.floor((currentTime - this.deltaTime * 1000) / 3000)) {
+        if (Math.floor(currentTime / 3000) !== Math.floor((currentTime - realDeltaMs) / 3000)) {
             console.log(`Entity counts: Enemies=${this.enemies.length}, Towers=${this.towers.length}, Projectiles=${this.projectiles.length}`);
 
             // Check if entities are being properly created and rendered
@@ -380,156 +456,32 @@ export class Game {
             }
 
             if (document.getElementById('debug-infinite-mana')?.checked && this.tcgIntegration) {
-                this.tcgIntegration.mana = this.tcgIntegration.absoluteMaxMana;
+                this.cards.mana = this.cards.absoluteMaxMana;
                 this.tcgIntegration.updateManaDisplay();
             }
         }
+        // Read by the simulation when an enemy reaches the end
+        this.infiniteLives = this.cardDebugMode && !!document.getElementById('debug-infinite-lives')?.checked;
 
-        // Process animations
-        this.updateAnimations(currentTime);
+        // Advance the simulation in fixed steps, as many as the elapsed time
+        // (scaled by game speed) allows, so runs play out the same at any frame rate
+        if (!this.clock.paused) {
+            this.stepAccumulator += realDeltaMs * this.clock.speed;
 
-        // Spawn enemies for active waves
-        if (this.waveInProgress) {
-            const now = currentTime;
-
-            // Debug - detect missing spawns
-            if (this.lastEnemySpawnTime + this.enemySpawnInterval*2 < currentTime &&
-                this.enemiesSpawned < this.waveSettings[this.currentWave - 1].enemyCount &&
-                this.enemies.length < 5) {
-                console.warn("Enemy spawning seems delayed. Forcing spawn check.");
-                this.lastEnemySpawnTime = currentTime - this.enemySpawnInterval;
-            }
+            let steps = 0;
+            while (this.stepAccumulator >= SIMULATION_STEP_MS && !this.gameOver) {
+                // Replays feed recorded commands in and wait for them to land
+                if (this.replayPlayer && !this.replayPlayer.applyDueCommands(this)) break;
 
-            // Process each active wave
-            for (let i = 0; i < this.activeWaves.length; i++) {
-                const waveInfo = this.activeWaves[i];
-
-                // Skip waves that are already complete
-                if (waveInfo.completed) continue;
-
-                const waveIndex = waveInfo.waveNumber - 1;
-                if (waveIndex < this.waveSettings.length) {
-                    const waveSettings = this.waveSettings[waveIndex];
-                    const enemyCount = waveSettings.enemyCount;
-
-                    if (waveInfo.enemiesSpawned < enemyCount) {
-                        // Determine if this is the final enemy in the wave and it should be a boss
-                        const isBossSpawn = waveSettings.spawnBoss && waveInfo.enemiesSpawned === enemyCount - 1;
-
-                        // Adjust spawn interval based on difficulty settings and batch logic
-                        let adjustedInterval = this.enemySpawnInterval / this.difficultySettings.waveSpeedMultiplier;
-
-                        // Apply spawn interval multiplier (additional control)
-                        adjustedInterval = adjustedInterval / this.difficultySettings.spawnIntervalMultiplier;
-
-                        // Apply batch spawning logic if enabled for this wave
-                        if (waveSettings.batchSpawning) {
-                            // For waves 4-6, use enhanced challenging batch spawning
-                            if (waveInfo.waveNumber >= 3) {
-                                // More intense spawning patterns for higher waves
-                                const waveIntensity = waveInfo.waveNumber - 3; // 1 for wave 4, 2 for wave 5, 3 for wave 6
-
-                                // Larger batch sizes for higher waves with random variation
-                                const baseBatchSize = 5 + waveIntensity; // 6, 7, 8 for waves 4, 5, 6
-                                const randomVariation = Math.floor(Math.random() * 3); // 0, 1, or 2
-                                const batchSize = baseBatchSize + randomVariation;
-
-                                const batchPosition = waveInfo.enemiesSpawned % (batchSize + Math.ceil(waveIntensity * 0.5));
-
-                                if (batchPosition < batchSize) {
-                                    // Near-simultaneous spawning - extremely fast within batch
-                                    adjustedInterval = adjustedInterval * (0.15 - (waveIntensity * 0.03)); // 0.15, 0.12, 0.09
-                                } else {
-                                    // Longer delay between batches to create distinct waves of enemies
-                                    adjustedInterval = adjustedInterval * (2.5 + (waveIntensity * 0.5)); // 3.0, 3.5, 4.0
-                                }
-
-                                // Every ~3 batches, add a surprise burst (1 in 3 chance when between batches)
-                                if (batchPosition >= batchSize && Math.random() < 0.3) {
-                                    // Surprise burst - no delay
-                                    adjustedInterval = 0;
-                                }
-                            } else {
-                                // Original logic for waves 1-3
-                                const batchSize = 6;
-                                const batchPosition = waveInfo.enemiesSpawned % (batchSize + 1);
-
-                                if (batchPosition < batchSize) {
-                                    // Within a batch - spawn quickly
-                                    adjustedInterval = adjustedInterval * 0.25; // Even faster spawns within a batch
-                                } else {
-                                    // Between batches - longer delay
-                                    adjustedInterval = adjustedInterval * 2.5; // Longer delay between batches
-                                }
-                            }
-                        }
-
-                        // Skip delay for boss spawn to make it more dramatic (regardless of batch settings)
-                        if (isBossSpawn) {
-                            adjustedInterval = adjustedInterval * 2.5; // Dramatic pause before boss
-                        }
-
-                        // For waves after the first active wave, add a small additional delay
-                        if (i > 0) {
-                            adjustedInterval *= 1.2;
-                        }
-
-                        if (now - waveInfo.lastSpawnTime > adjustedInterval) {
-                            this.spawnEnemy(isBossSpawn, waveInfo);
-                            waveInfo.lastSpawnTime = now;
-
-                            // Also update the global last spawn time for backward compatibility
-                            if (waveInfo.waveNumber === this.currentWave) {
-                                this.lastEnemySpawnTime = now;
-                            }
-                        }
-                    }
+                if (steps >= this.maxStepsPerFrame) {
+                    // Too far behind - drop the backlog instead of spiralling
+                    this.stepAccumulator = 0;
+                    break;
                 }
-            }
-        }
 
-        // Check completion of all active waves
-        if (this.waveInProgress) {
-            // The individual enemy updates will trigger checkWaveCompletion
-            // We'll also check if all active waves are complete
-            if (this.activeWaves.length > 0 &&
-                this.activeWaves.every(w => w.completed ||
-                    (w.enemiesSpawned >= this.waveSettings[w.waveNumber - 1]?.enemyCount && w.enemiesAlive === 0))) {
-
-                // If all waves are done, update game state
-                if (this.activeWaves.every(w => w.completed)) {
-                    this.waveInProgress = false;
-
-                    // If current wave is the max wave and all are complete, trigger victory
-                    if (this.currentWave >= this.maxWaves) {
-                        this.victory();
-                    }
-                }
-            }
-        }
-
-        // Update game entities
-        this.updateEnemies();
-        this.updateTowers();
-        this.updateProjectiles();
-        this.powerCards.update(this.deltaTime);
-
-        // Update TCG system if initialized
-        if (this.tcgIntegration) {
-            // Check if it's time to regenerate mana
-            const now = performance.now();
-            if (now - this.tcgIntegration.lastManaRegenTime >= this.tcgIntegration.manaRegenInterval) {
-                // Regenerate mana if below max
-                if (this.tcgIntegration.mana < this.tcgIntegration.maxMana) {
-                    this.tcgIntegration.mana = Math.min(
-                        this.tcgIntegration.maxMana,
-                        this.tcgIntegration.mana + this.tcgIntegration.manaRegenAmount
-                    );
-                    // Update the UI
-                    this.tcgIntegration.updateManaDisplay();
-                }
-                // Reset timer
-                this.tcgIntegration.lastManaRegenTime = now;
+                this.stepAccumulator -= SIMULATION_STEP_MS;
+                this.step();
+                steps++;
             }
         }
 
@@ -547,1151 +499,254 @@ export class Game {
         requestAnimationFrame(this.update);
     }
 
-    startWave(forceSend = false) {
-        // If forceSend is true, we'll start the next wave even if a wave is in progress
-        // If a wave is already in progress and forceSend is false, we don't start another wave
-        if (this.waveInProgress && !forceSend) return;
-
-        // If we're already on the max wave and have sent all waves, don't allow more
-        const nextWaveNumber = forceSend && this.waveInProgress ?
-            this.currentWave + 1 : this.currentWave;
-
-        if (nextWaveNumber > this.maxWaves) {
-            // Status log removed
-            return;
-        }
-
-        // Record wave start time for scoring
-        const now = performance.now();
-        this.waveStartTimes[nextWaveNumber] = now;
-
-        // Set up wave tracking info
-        const waveInfo = {
-            waveNumber: nextWaveNumber,
-            enemiesSpawned: 0,
-            enemiesAlive: 0,
-            enemiesDefeated: 0,
-            startTime: now,
-            lastSpawnTime: now,
-            completed: false
-        };
-
-        // Add this wave to active waves
-        this.activeWaves.push(waveInfo);
-
-        // If we're force-sending and there's a wave in progress, increment the current wave
-        if (forceSend && this.waveInProgress) {
-            this.currentWave = nextWaveNumber;
-            // Manually trigger TCG turn start when forcing next wave
-            if (this.tcgIntegration) {
-                this.tcgIntegration.startTurn();
-            }
-        }
-
-        // Initialize tracking variables for the new wave
-        this.waveInProgress = true;
-        this.enemiesSpawned = 0;
-        this.enemiesDefeated = 0;
-        this.lastEnemySpawnTime = now;
+    updateSimulation(now) {
+        // Process animations
+        this.updateAnimations(now);
 
-        // Update UI with current wave/max waves format
-        document.getElementById('wave-number').textContent = `${this.currentWave}/${this.maxWaves}`;
+        super.updateSimulation(now);
 
-        // Status log removed
-        // Status log removed
+        // Power card visuals follow the heroes and effects they show
+        this.powerCards.update();
+        this.bossDisplay.update();
     }
 
-    // Check if a specific wave is complete
-    checkWaveCompletion(waveNumber) {
-        const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
-        if (!waveInfo || waveInfo.completed) return;
-
-        const waveIndex = waveInfo.waveNumber - 1;
-        if (waveIndex >= this.waveSettings.length) return;
-
-        const enemyCount = this.waveSettings[waveIndex].enemyCount;
-
-        // Add extensive debug logging to track wave completion
-        // console.log(`[WAVE DEBUG] Checking completion for wave ${waveNumber}:
-        // - Enemies spawned: ${waveInfo.enemiesSpawned}/${enemyCount}
-        // - Enemies still alive: ${waveInfo.enemiesAlive}
-        // - Enemies defeated: ${waveInfo.enemiesDefeated}
-        // - Enemies reached end: ${waveInfo.enemiesSpawned - waveInfo.enemiesAlive - waveInfo.enemiesDefeated}
-        // - Wave already completed: ${waveInfo.completed}`);
-
-        // Check if all enemies for this wave have been spawned and defeated/reached end
-        if (waveInfo.enemiesSpawned >= enemyCount && waveInfo.enemiesAlive === 0) {
-            // Status log removed
-
-            // Record wave completion time for scoring
-            const waveCompletionTime = performance.now();
-            const waveStartTime = this.waveStartTimes[waveNumber] || this.gameStartTime;
-            const waveDuration = waveCompletionTime - waveStartTime;
-            // Status log removed
-
-            // Mark wave as completed
-            waveInfo.completed = true;
-            waveInfo.completionTime = waveCompletionTime;
-            waveInfo.duration = waveDuration;
-            this.wavesCompleted++;
-
-            // Call completeWave to give rewards
-            this.completeWave(waveInfo.waveNumber);
-
-            // If this completed wave is the current wave and not the last wave,
-            // prepare to start the next wave if no waves were force-sent
-            if (waveInfo.waveNumber === this.currentWave && waveInfo.waveNumber < this.maxWaves) {
-                // Status log removed
-                // Start next wave after delay, but only if no other uncompleted waves
-                const nextWave = this.currentWave + 1;
-                this.currentWave = nextWave;
-
-                // Check if we should auto-start the next wave
-                const shouldAutoStart = this.activeWaves.length <= 1 ||
-                                       this.activeWaves.every(w => w.completed);
-
-                if (shouldAutoStart) {
-                    // Status log removed
-                    setTimeout(() => {
-                        // Double-check we're not already in progress when timeout fires
-                        if (!this.waveInProgress) {
-                            this.startWave();
-                        } else {
-                            // Status log removed
-                        }
-                    }, 5000);
-                } else {
-                    // Status log removed
-                }
-            }
-        }
-    }
-
-    completeWave(waveNumber = this.currentWave) {
-        // Find wave info object
-        const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
-        if (!waveInfo) return;
-
-        // If all active waves are completed, set waveInProgress to false
-        if (this.activeWaves.every(w => w.completed)) {
-            this.waveInProgress = false;
-        }
-
-        // Determine wave index
-        const waveIndex = waveNumber - 1;
-        if (waveIndex >= this.waveSettings.length) return;
-
-        // Reward player for completing the wave
-        // Scale rewards for later waves to provide better economy
-        let baseWaveBonus;
-        switch (waveNumber) {
-            case 1:
-                baseWaveBonus = 50;
-                break;
-            case 2:
-                baseWaveBonus = 100;
-                break;
-            case 3:
-                baseWaveBonus = 150;
-                break;
-            case 4:
-                baseWaveBonus = 220;
-                break;
-            case 5:
-                baseWaveBonus = 300;
-                break;
-            case 6:
-                baseWaveBonus = 400;
-                break;
-            default:
-                baseWaveBonus = waveNumber * 50;
-        }
-
-        // Calculate time-based speed bonus multiplier
-        let timeMultiplier = 1.0;
-
-        // Calculate wave duration in seconds
-        const now = performance.now();
-        const waveStartTime = this.waveStartTimes[waveNumber] || this.gameStartTime;
-        const waveDuration = (now - waveStartTime) / 1000; // in seconds
-
-        // Calculate expected time to complete wave based on enemy count and base stats
-        // This is a rough estimation, adjust based on your game balance
-        const enemyCount = this.waveSettings[waveIndex].enemyCount;
-        const expectedSeconds = 45 + (enemyCount * 1.5); // Base time + time per enemy
-
-        if (waveDuration < expectedSeconds * 0.7) {
-            // Very fast completion (30% faster than expected) - 50% bonus
-            timeMultiplier = 1.5;
-            // Status log removed
-        } else if (waveDuration < expectedSeconds * 0.85) {
-            // Fast completion (15% faster than expected) - 25% bonus
-            timeMultiplier = 1.25;
-            // Status log removed
-        } else if (waveDuration < expectedSeconds) {
-            // Better than expected completion - 10% bonus
-            timeMultiplier = 1.1;
-            // Status log removed
-        }
-
-        // Apply gold multipliers
-        let waveBonus = baseWaveBonus;
-
-        // Apply per-wave gold multiplier if available
-        if (this.waveSettings[waveIndex].goldMultiplier) {
-            waveBonus = Math.round(waveBonus * this.waveSettings[waveIndex].goldMultiplier);
-        }
-
-        // Apply global gold multiplier
-        waveBonus = Math.round(waveBonus * this.difficultySettings.goldMultiplier);
-
-        // Apply time multiplier to score (not gold)
-        const timeBonus = Math.round(waveBonus * timeMultiplier) - waveBonus;
-
-        // Add rewards
-        this.player.gold += waveBonus;
-        this.player.score += waveBonus + timeBonus;
-
-        // Store time data for final scoring
-        waveInfo.timeBonus = timeBonus;
-        waveInfo.timeMultiplier = timeMultiplier;
-
-        // Show wave completion bonus message
-        this.showWaveCompletionMessage(waveBonus, waveNumber);
-
-        // Track consecutive waves without life loss and increase difficulty
-        // Check if player lost lives during this wave
-        if (this.player.lives === this.initialLives) {
-            // No life lost this wave
-            this.consecutiveWavesWithoutLosses++;
-            // Status log removed
-
-            // If player completed 2 consecutive waves without losing lives, increase difficulty
-            if (this.consecutiveWavesWithoutLosses >= 2 && !this.difficultyIncreaseActive) {
-                this.difficultyIncreaseActive = true;
-
-                // Increase enemy health and speed for next wave only
-                const originalHealthMultiplier = this.difficultySettings.enemyHealthMultiplier;
-                const originalSpeedMultiplier = this.difficultySettings.enemySpeedMultiplier;
-
-                // Apply stronger bonuses
-                this.difficultySettings.enemyHealthMultiplier *= 1.33; // 33% more health
-                this.difficultySettings.enemySpeedMultiplier *= 1.15; // 15% more speed
-
-                // Status log removed
-
-                // Show message about increasing difficulty
-                this.showDifficultyIncreaseMessage();
-            }
-        } else {
-            // Reset consecutive wave counter if lives were lost
-            if (this.difficultyIncreaseActive) {
-                // Reset difficulty if it was increased
-                this.difficultySettings.enemyHealthMultiplier /= 1.5;
-                this.difficultySettings.enemySpeedMultiplier /= 1.2;
-                // Status log removed
-                this.difficultyIncreaseActive = false;
-            }
-            this.consecutiveWavesWithoutLosses = 0;
-            // Status log removed
+    resetGameState() {
+        super.resetGameState();
 
-            // Update initial lives count for next wave
-            this.initialLives = this.player.lives;
+        // Removal events already cleared the entities, now start from an empty scene
+        if (this.renderer) {
+            this.renderer.cleanupScene();
+            this.renderer.initializeInstanceManagers();
         }
 
-        // Update UI
         this.updateUI();
-
-        // Give TCG rewards and start new turn if TCG system is active
-        // Only do this for the current wave, not for force-sent waves that complete
-        if (this.tcgIntegration && waveNumber === this.currentWave) {
-            // Start a new TCG turn (refresh mana, draw a card)
-            this.tcgIntegration.startTurn();
-        }
-
-        // Check if all waves completed
-        if (waveNumber >= this.maxWaves && this.activeWaves.every(w => w.completed)) {
-            this.victory();
-        }
     }
 
-    spawnEnemy(isBoss = false, waveInfo = null) {
-        // Determine enemy type based on wave and add elemental enemies in later waves
-        let enemyType;
-        let elementType = ElementTypes.NEUTRAL;
-        let isSpecialEnemy = false; // Track if this is a special enemy (boss or elemental)
-
-        // In card debug mode, spawn a variety of enemies to test against
-        if (this.cardDebugMode) {
-            // During debug mode, cycle through all enemy types to see them all
-            const enemyTypes = ['simple', 'elephant', 'pirate', 'golem'];
-            const totalEnemies = this.enemies.length + this.enemiesSpawned;
-            enemyType = enemyTypes[totalEnemies % enemyTypes.length];
-
-            // Also cycle through elements
-            const elements = [
-                ElementTypes.FIRE,
-                ElementTypes.WATER,
-                ElementTypes.EARTH,
-                ElementTypes.AIR,
-                ElementTypes.SHADOW
-            ];
-
-            // Apply elements to every other enemy
-            if (totalEnemies % 2 === 0) {
-                elementType = elements[Math.floor(totalEnemies / 2) % elements.length];
-            }
-        }
-        // Normal enemy spawning logic
-        else {
-            // Determine enemy type based on wave
-            if (this.currentWave === 1) {
-                enemyType = 'simple';
-            } else if (this.currentWave === 2) {
-                enemyType = Math.random() > 0.5 ? 'simple' : 'elephant';
-
-                // 20% chance for elemental enemy at wave 2
-                if (Math.random() < 0.2) {
-                    elementType = this.getRandomElement();
-                }
-            } else if (this.currentWave === 3) {
-                // Wave 3 - mix of all base enemy types
-                const rand = Math.random();
-                if (rand < 0.3) enemyType = 'simple';
-                else if (rand < 0.7) enemyType = 'elephant';
-                else enemyType = 'pirate';
-
-                // 35% chance for elemental enemy at wave 3
-                if (Math.random() < 0.35) {
-                    elementType = this.getRandomElement();
-                }
-            } else if (this.currentWave === 4) {
-                // Wave 4 - mainly stronger enemies
-                const rand = Math.random();
-                if (rand < 0.2) enemyType = 'simple';
-                else if (rand < 0.6) enemyType = 'elephant';
-                else enemyType = 'pirate';
-
-                // 50% chance for elemental enemy at wave 4
-                if (Math.random() < 0.5) {
-                    elementType = this.getRandomElement();
-                }
-            } else if (this.currentWave === 5) {
-                // Wave 5 - stronger enemies with elementals
-                const rand = Math.random();
-                if (rand < 0.1) enemyType = 'simple';
-                else if (rand < 0.5) enemyType = 'elephant';
-                else enemyType = 'pirate';
-
-                // 75% chance for elemental enemy at wave 5
-                if (Math.random() < 0.75) {
-                    elementType = this.getRandomElement();
-
-                    // 25% chance to spawn a golem (special enemy)
-                    if (Math.random() < 0.25) {
-                        enemyType = 'golem';
-                    }
-                }
-            } else {
-                // Wave 6 (final wave) - mostly powerful enemies
-                const rand = Math.random();
-                if (rand < 0.1) enemyType = 'elephant';
-                else if (rand < 0.6) enemyType = 'pirate';
-                else enemyType = 'golem';
-
-                // 90% chance for elemental enemy at wave 6
-                if (Math.random() < 0.9) {
-                    elementType = this.getRandomElement();
-                }
-            }
-        }
-
-        // If it's an elemental enemy, add the element type to the name
-        if (elementType !== ElementTypes.NEUTRAL) {
-            enemyType = `${elementType}_${enemyType}`;
-        }
-
-        // If this is a boss, override the enemy type and make it special
-        if (isBoss) {
-            enemyType = 'golem'; // Use golem as base boss type
-            isSpecialEnemy = true;
-
-            // Always give boss an element
-            if (elementType === ElementTypes.NEUTRAL) {
-                elementType = this.getRandomElement();
-            }
-        }
-
-        // Find valid entry points at the top of the map
-        const validEntryPoints = [];
-        for (let x = 0; x < this.map.gridWidth; x++) {
-            if (this.map.grid[0][x] === 1) {
-                validEntryPoints.push({ x, z: 0 });
-            }
-        }
-
-        let startGridPoint;
-
-        // Enhanced spawn patterns for waves 4-6
-        if (waveInfo && waveInfo.waveNumber >= 4) {
-            // Get the number of entry points available
-            const numEntryPoints = validEntryPoints.length;
-
-            // For later waves, we want to bias spawns toward the edges to make defense harder
-            const waveIntensity = waveInfo.waveNumber - 3; // 1 for wave 4, 2 for wave 5, 3 for wave 6
-
-            // Different spawn patterns for each late-game wave
-            if (waveInfo.waveNumber === 4) {
-                // Wave 4: Favor left/right sides and sometimes center
-                const spawnPattern = waveInfo.enemiesSpawned % 5; // 0,1,2,3,4
-
-                if (spawnPattern === 0) {
-                    // Left side
-                    const leftIndex = Math.floor(numEntryPoints * 0.25);
-                    startGridPoint = validEntryPoints[leftIndex];
-                } else if (spawnPattern === 1) {
-                    // Right side
-                    const rightIndex = Math.floor(numEntryPoints * 0.75);
-                    startGridPoint = validEntryPoints[rightIndex];
-                } else {
-                    // Random but weighted toward edges
-                    const useEdge = Math.random() < 0.6;
-                    if (useEdge) {
-                        // Choose left or right edge
-                        const useLeft = Math.random() < 0.5;
-                        const edgeIndex = useLeft ?
-                            Math.floor(numEntryPoints * 0.1) :
-                            Math.floor(numEntryPoints * 0.9);
-                        startGridPoint = validEntryPoints[edgeIndex];
-                    } else {
-                        // Use center-ish
-                        const centerIndex = Math.floor(numEntryPoints * 0.5) + Math.floor(Math.random() * 3) - 1;
-                        startGridPoint = validEntryPoints[Math.min(Math.max(0, centerIndex), numEntryPoints - 1)];
-                    }
-                }
-            } else if (waveInfo.waveNumber === 5) {
-                // Wave 5: Create groups from multiple entry points simultaneously
-                // Divide enemies into groups of 4
-                const groupSize = 4;
-                const groupNumber = Math.floor(waveInfo.enemiesSpawned / groupSize);
-                const positionInGroup = waveInfo.enemiesSpawned % groupSize;
-
-                // Each group gets its own spawn point
-                if (positionInGroup === 0) {
-                    // Start of a new group - select a spawn point based on sequence
-                    const spawnSequence = groupNumber % 3; // 0,1,2
-
-                    if (spawnSequence === 0) {
-                        // Left side
-                        const leftIndex = Math.floor(numEntryPoints * 0.2);
-                        waveInfo.currentSpawnPoint = validEntryPoints[leftIndex];
-                    } else if (spawnSequence === 1) {
-                        // Right side
-                        const rightIndex = Math.floor(numEntryPoints * 0.8);
-                        waveInfo.currentSpawnPoint = validEntryPoints[rightIndex];
-                    } else {
-                        // Center
-                        const centerIndex = Math.floor(numEntryPoints * 0.5);
-                        waveInfo.currentSpawnPoint = validEntryPoints[centerIndex];
-                    }
-                }
-
-                // Use the group's spawn point for all enemies in the group
-                startGridPoint = waveInfo.currentSpawnPoint;
-            } else { // Wave 6
-                // Wave 6: Complete chaos - true multi-point spawning
-                // Group size decreases as wave progresses to create more chaos
-                const initialGroupSize = 3;
-                const spawnedRatio = waveInfo.enemiesSpawned / this.waveSettings[5].enemyCount;
-                const adaptiveGroupSize = Math.max(1, Math.floor(initialGroupSize * (1 - spawnedRatio)));
-
-                const groupNumber = Math.floor(waveInfo.enemiesSpawned / adaptiveGroupSize);
-                const positionInGroup = waveInfo.enemiesSpawned % adaptiveGroupSize;
-
-                if (positionInGroup === 0) {
-                    // Calculate a new spawn point for this group
-                    // As wave progresses, make spawn points more random to overwhelm player
-                    if (spawnedRatio < 0.3) {
-                        // Early wave 6: Mainly from sides
-                        const useLeft = Math.random() < 0.5;
-                        const edgeIndex = useLeft ?
-                            Math.floor(numEntryPoints * 0.15) :
-                            Math.floor(numEntryPoints * 0.85);
-                        waveInfo.currentSpawnPoint = validEntryPoints[edgeIndex];
-                    } else if (spawnedRatio < 0.7) {
-                        // Mid wave 6: From all areas, but more from unexpected places
-                        const rand = Math.random();
-                        let index;
-                        if (rand < 0.3) {
-                            // Left third
-                            index = Math.floor(Math.random() * (numEntryPoints / 3));
-                        } else if (rand < 0.6) {
-                            // Right third
-                            index = Math.floor((numEntryPoints * 2/3) + Math.random() * (numEntryPoints / 3));
-                        } else {
-                            // Center
-                            index = Math.floor((numEntryPoints / 3) + Math.random() * (numEntryPoints / 3));
-                        }
-                        waveInfo.currentSpawnPoint = validEntryPoints[Math.min(index, numEntryPoints - 1)];
-                    } else {
-                        // Late wave 6: Complete chaos - totally random
-                        const index = Math.floor(Math.random() * numEntryPoints);
-                        waveInfo.currentSpawnPoint = validEntryPoints[index];
-                    }
-                }
-
-                // Use the group's spawn point
-                startGridPoint = waveInfo.currentSpawnPoint;
-            }
-        } else {
-            // For waves 1-3, use simple random entry point
-            const randomEntryIndex = Math.floor(Math.random() * validEntryPoints.length);
-            startGridPoint = validEntryPoints[randomEntryIndex];
-        }
-
-        // Convert grid position to world position
-        const startWorldPoint = this.map.gridToWorld(startGridPoint.x, startGridPoint.z);
-
-        // Determine which wave this enemy belongs to
-        const waveNumber = waveInfo ? waveInfo.waveNumber : this.currentWave;
-        const waveIndex = waveNumber - 1;
-
-        // Create and add enemy - with destination set to the bottom of the map
-        const enemy = new Enemy(this, enemyType, startWorldPoint, elementType);
-
-        // Associate enemy with its wave
-        enemy.waveNumber = waveNumber;
-
-        // Apply boss stats if this is a boss
-        if (isBoss) {
-            // Apply boss stat multipliers
-            let healthMultiplier = this.difficultySettings.bossHealthMultiplier;
-            let rewardMultiplier = 3; // Base reward multiplier for bosses
-
-            // Apply additional late stage boss bonus for waves 4-6
-            if (waveNumber >= 4) {
-                healthMultiplier *= this.difficultySettings.lateStageBossBonus;
-
-                // Each wave gets progressively harder
-                const extraWaveScaling = (waveNumber - 3) * 0.5; // 0.5 for wave 4, 1.0 for wave 5, 1.5 for wave 6
-                healthMultiplier *= (1.0 + extraWaveScaling);
-
-                // More gold for late game bosses
-                rewardMultiplier = 3 + (waveNumber - 3); // 4x for wave 4, 5x for wave 5, 6x for wave 6
-
-                // Bigger visual size for late-game bosses
-                if (enemy.enemyInstance) {
-                    // Scale increases with wave number: 1.8x for wave 4, 2.1x for wave 5, 2.4x for wave 6
-                    const lateGameBossScale = 1.5 + ((waveNumber - 3) * 0.3);
-                    // Update scale via instance manager
-                    if (this.renderer.enemyInstanceManager &&
-                        enemy.enemyInstance.baseType &&
-                        enemy.enemyInstance.elementType &&
-                        enemy.enemyInstance.instanceIndex !== undefined) {
-                        // Track scaling in enemy instance
-                        enemy.enemyInstance.scale = lateGameBossScale;
-                    }
-                }
-            } else {
-                // Normal boss size for early waves
-                if (enemy.enemyInstance) {
-                    // Track scaling in enemy instance
-                    enemy.enemyInstance.scale = 1.5;
-                }
-            }
-
-            // Apply final multipliers
-            enemy.maxHealth *= healthMultiplier;
-            enemy.health = enemy.maxHealth;
-            enemy.baseSpeed *= this.difficultySettings.bossSpeedMultiplier;
-            enemy.reward *= rewardMultiplier;
-        }
-
-        // Apply randomness to enemy stats if enabled
-        if (this.difficultySettings.randomFactorMultiplier > 0 && !isBoss) {
-            const randomRange = this.difficultySettings.randomFactorMultiplier;
-
-            // Generate random variation within the range [-randomRange/2, +randomRange]
-            // This creates more positive than negative variation for a slight challenge increase
-            const healthVariation = 1.0 + (Math.random() * randomRange - randomRange/3);
-            const speedVariation = 1.0 + (Math.random() * randomRange - randomRange/3);
-
-            // Apply random variations
-            enemy.maxHealth *= healthVariation;
-            enemy.health = enemy.maxHealth;
-            enemy.baseSpeed *= speedVariation;
-        }
-
-        // Apply per-wave gold multiplier based on the enemy's wave number
-        const enemyWaveIndex = waveNumber - 1;
-        if (enemyWaveIndex < this.waveSettings.length) {
-            const waveGoldMultiplier = this.waveSettings[enemyWaveIndex].goldMultiplier;
-            enemy.reward = Math.ceil(enemy.reward * waveGoldMultiplier * this.difficultySettings.goldMultiplier);
-        }
-
-        this.enemies.push(enemy);
-
-        // Update wave info
-        if (waveInfo) {
-            waveInfo.enemiesSpawned++;
-            waveInfo.enemiesAlive++;
-        } else {
-            this.enemiesSpawned++;
-        }
-
-        // Debug step - verify the enemy has a valid visual representation
-        if (enemy && !enemy.enemyInstance) {
-            console.warn("Enemy created but missing visual instance! Attempting to recreate.");
-            // Attempt to create visual representation
-            enemy.enemyInstance = this.renderer.createEnemy(enemy);
-            if (!enemy.enemyInstance) {
-                console.error("Failed to create enemy visual representation on second attempt!");
-            } else {
-                console.log("Successfully recreated enemy visual representation.");
-            }
-        }
+    clearAllEntities() {
+        // The tower panel would point at a removed tower
+        this.ui?.hideTowerPanel();
 
-        return enemy;
+        super.clearAllEntities();
     }
 
-    updateEnemies() {
-        // Performance optimization based on FPS and enemy count
-        const enemyCount = this.enemies.length;
-
-        // Use adaptive update frequency based on current FPS
-        const fpsValue = this.fpsCounter.value || 60;
-        const shouldOptimize = (fpsValue < 40 && enemyCount > 20);
-
-        // Collect position updates for batch processing
-        const positionUpdates = [];
-
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-            const enemy = this.enemies[i];
+    async restoreRunState(state) {
+        await super.restoreRunState(state);
 
-            // Store previous position for checking movement
-            const prevPosition = { x: enemy.position.x, y: enemy.position.y, z: enemy.position.z };
-
-            // Normal update
-            enemy.update(this.deltaTime);
-
-            // Add to batch position updates if position changed
-            if (prevPosition.x !== enemy.position.x ||
-                prevPosition.y !== enemy.position.y ||
-                prevPosition.z !== enemy.position.z) {
-                positionUpdates.push({ enemy, position: enemy.position });
-            }
-
-            // Check if enemy reached the end
-            if (enemy.reachedEnd) {
-                // Check for infinite lives in debug mode
-                const hasInfiniteLives = this.cardDebugMode &&
-                    document.getElementById('debug-infinite-lives')?.checked;
-
-                if (!hasInfiniteLives) {
-                    this.player.lives -= 1;
-
-                    // Create life flash effect
-                    this.createLifeFlashEffect();
-
-                    // Play lose life sound effect
-                    if (window.playSound) {
-                        window.playSound('loseLife');
-                    }
-                }
-
-                // Update wave info
-                const waveNumber = enemy.waveNumber || this.currentWave;
-                const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
-
-                if (waveInfo) {
-                    waveInfo.enemiesAlive--;
-                }
-
-                // Remove enemy from scene
-                this.removeEnemyVisuals(enemy);
-
-                // Remove from array
-                this.enemies.splice(i, 1);
-                this.updateUI();
-
-                // Check wave completion
-                this.checkWaveCompletion(waveNumber);
-
-                // Check if game over (skip if infinite lives enabled)
-                if (this.player.lives <= 0 && !hasInfiniteLives) {
-                    this.gameOver = true;
-                    this.createGameOverEffect();
-                    this.endGame(false);
-                }
-            }
+        // Between waves: give the player a moment before the next wave starts
+        if (!this.waveInProgress) {
+            this.startCountdown(10);
         }
 
-        // Update enemy visuals in batch for better performance
-        if (positionUpdates.length > 0 && this.renderer.enemyInstanceManager) {
-            this.renderer.enemyInstanceManager.batchUpdatePositions(positionUpdates);
-        }
+        console.log(`Resumed saved run at wave ${this.currentWave} (seed ${state.seed})`);
     }
 
-    // Handle enemy defeat (called from enemy.takeDamage)
-    defeatEnemy(enemy) {
-        // Ensure the enemy exists and isn't already processed
-        if (!enemy || enemy.isDefeated) return;
-        enemy.isDefeated = true;
-
-        // Calculate reward (with all multipliers)
-        let baseReward = Math.round(enemy.reward || 10);
-
-        // Apply wave gold multiplier
-        const waveIndex = this.currentWave - 1;
-        let finalReward = baseReward;
-        if (waveIndex < this.waveSettings.length && this.waveSettings[waveIndex].goldMultiplier) {
-            finalReward = Math.round(finalReward * this.waveSettings[waveIndex].goldMultiplier);
-        }
-
-        // Apply global gold multiplier
-        if (this.difficultySettings && this.difficultySettings.goldMultiplier) {
-            finalReward = Math.round(finalReward * this.difficultySettings.goldMultiplier);
-        }
-
-        // Add the gold reward
-        const oldGold = this.player.gold;
-        this.player.gold += finalReward;
-        this.player.score += finalReward;
-
-        // Ensure the gold is a valid number
-        if (isNaN(this.player.gold)) {
-            console.error("[GOLD DEBUG] Gold became NaN! Resetting to previous value");
-            this.player.gold = oldGold;
-        }
-
-        // Track enemy defeat
-        this.enemiesDefeated++;
-
-        // TCG mana bonus for special enemies
-        if (this.tcgIntegration && (
-            enemy.type.includes('elemental') ||
-            enemy.type.includes('fire') ||
-            enemy.type.includes('water') ||
-            enemy.type.includes('earth') ||
-            enemy.type.includes('air') ||
-            enemy.type.includes('shadow') ||
-            enemy.type.includes('golem')
-        )) {
-            // Special enemy defeated - give mana bonus
-            const manaBonus = 2;
-            this.tcgIntegration.mana = Math.min(
-                this.tcgIntegration.maxMana,
-                this.tcgIntegration.mana + manaBonus
-            );
-            this.tcgIntegration.updateManaDisplay();
-
-            // Visual effect for mana bonus
-            setTimeout(() => {
-                this.createManaBonusEffect(enemy.position);
-            }, 1000);
-        }
-
-        // Update wave info
-        const waveNumber = enemy.waveNumber || this.currentWave;
-        const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
-
-        if (waveInfo) {
-            waveInfo.enemiesAlive--;
-            waveInfo.enemiesDefeated++;
-        }
-
-        // Create money effect when enemy dies
-        this.createMoneyWinEffect(enemy);
-
-        // Remove enemy visuals
-        this.removeEnemyVisuals(enemy);
+    updateDifficultySettings(settings) {
+        super.updateDifficultySettings(settings);
+        this.updateDifficultyUI();
+    }
 
-        // Remove from enemies array
-        const index = this.enemies.indexOf(enemy);
-        if (index !== -1) {
-            this.enemies.splice(index, 1);
-        }
+    togglePause() {
+        if (!this.gameStarted || this.gameOver) return;
 
-        // Update UI
-        this.updateUI();
+        this.clock.togglePause();
+        this.ui?.updateSpeedControls();
+    }
 
-        // Check wave completion
-        this.checkWaveCompletion(waveNumber);
+    setGameSpeed(speed) {
+        this.clock.setSpeed(speed);
+        this.ui?.updateSpeedControls();
     }
 
-    // Helper method to remove enemy visual elements
-    removeEnemyVisuals(enemy) {
-        // Clean up instance-based enemy
-        if (enemy.enemyInstance) {
-            this.renderer.removeEnemy(enemy);
+    // The server ended the multiplayer match (or the connection dropped)
+    onMatchOver(result) {
+        if (!this.gameOver && this.gameStarted) {
+            // Still standing: the match ended on the other player's side
+            this.gameOver = true;
+            this.endGame(result.youWon);
+            return;
         }
-        // Legacy cleanup for mesh-based enemies
-        else if (enemy.mesh) {
-            this.renderer.scene.remove(enemy.mesh);
-
-            // Clean up geometries and materials
-            if (enemy.mesh.geometry) {
-                enemy.mesh.geometry.dispose();
-            }
-
-            if (enemy.mesh.material) {
-                if (Array.isArray(enemy.mesh.material)) {
-                    enemy.mesh.material.forEach(m => m.dispose());
-                } else {
-                    enemy.mesh.material.dispose();
-                }
-            }
 
-            enemy.mesh = null;
-        }
+        // Already on the end screen (lost, or waiting after clearing every wave)
+        document.getElementById('result-message').textContent = this.getMatchResultText();
     }
 
-    updateTowers() {
-        for (const tower of this.towers) {
-            tower.update(this.deltaTime);
+    getMatchResultText() {
+        const result = this.multiplayer?.result;
+        if (!result) {
+            return this.multiplayer?.isCoop ?
+                'Waiting for your partner to clear the waves...' :
+                'Waiting for your opponent to finish...';
+        }
 
-            // Check for targets if tower is not on cooldown
-            if (tower.canFire()) {
-                const target = this.findTarget(tower);
-                if (target) {
-                    tower.fire(target);
-                }
-            }
+        if (result.reason === 'disconnected') return 'Disconnected from the match';
+        if (this.multiplayer.isCoop) return result.youWon ? 'Victory Together!' : 'Defeat';
+        if (result.draw) return 'Draw!';
+        if (result.youWon) {
+            return result.reason === 'forfeit' ? `${this.multiplayer.otherPlayer} left - You Win!` : 'You Win!';
         }
+        return `${result.winner} Wins`;
     }
 
-    updateProjectiles() {
-        // Simple projectile management without complex pooling
-        // This is a more reliable approach when debugging projectile issues
+    // Entry point for every player action. Runs the command and records it for
+    // the replay; player input is ignored while watching a replay.
+    async dispatchCommand(type, payload = {}) {
+        if (this.replayPlayer || !this.gameStarted || this.gameOver) return false;
 
-        // Log for debugging - once per second to avoid console spam
-        if (!this._lastProjectileDebugTime || performance.now() - this._lastProjectileDebugTime > 1000) {
-            // console.log(`Active projectiles: ${this.projectiles.length}`);
-            this._lastProjectileDebugTime = performance.now();
-        }
+        const success = await this.executeCommand(type, payload);
 
-        // Enforce maximum projectiles limit for performance
-        if (this.projectiles.length > this.maxActiveProjectiles) {
-            // Remove oldest projectiles when there are too many
-            const excessCount = this.projectiles.length - this.maxActiveProjectiles;
-            for (let i = 0; i < excessCount; i++) {
-                // Mark oldest projectiles as hit to be removed
-                if (i < this.projectiles.length) {
-                    this.projectiles[i].hit = true;
-                }
-            }
+        if (success && this.replayRecorder) {
+            this.replayRecorder.record(this.clock.stepCount, type, payload);
         }
 
-        // Count active and removed projectiles for debugging
-        let activeCount = 0;
-        let removedCount = 0;
-
-        // Update all projectiles
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            const projectile = this.projectiles[i];
-
-            // Skip updates for invalid projectiles
-            if (!projectile) {
-                this.projectiles.splice(i, 1);
-                continue;
-            }
-
-            // Ensure projectile mesh is in scene
-            if (projectile.mesh && !this.renderer.scene.children.includes(projectile.mesh)) {
-                // console.log(`Adding missing projectile mesh back to scene`);
-                this.renderer.scene.add(projectile.mesh);
-            }
-
-            // Update projectile position and state
-            projectile.update(this.deltaTime);
-            activeCount++;
-
-            // Check if projectile hit a target or is out of bounds
-            if (projectile.hit || projectile.isOutOfBounds()) {
-                // Log hit status for debugging
-                if (projectile.hit) {
-                    // console.log(`Projectile hit target or was manually marked as hit`);
-                } else {
-                    // console.log(`Projectile out of bounds and being removed`);
-                }
-
-                // Remove mesh from scene
-                if (projectile.mesh) {
-                    this.renderer.scene.remove(projectile.mesh);
-
-                    // Immediately dispose resources
-                    if (projectile.mesh.geometry) {
-                        projectile.mesh.geometry.dispose();
-                    }
-
-                    if (projectile.mesh.material) {
-                        if (Array.isArray(projectile.mesh.material)) {
-                            projectile.mesh.material.forEach(m => m.dispose());
-                        } else {
-                            projectile.mesh.material.dispose();
-                        }
-                    }
-                }
-
-                // Remove from array - no object pooling for now
-                this.projectiles.splice(i, 1);
-                removedCount++;
-            }
+        // Co-op: the partner mirrors changes to our towers
+        const towerCommands = [ReplayCommands.SELL_TOWER, ReplayCommands.UPGRADE_TOWER, ReplayCommands.SET_TARGETING];
+        if (success && this.multiplayer?.isCoop && towerCommands.includes(type)) {
+            this.multiplayer.sendTowerAction(type, payload);
         }
 
-        // Add debug info to FPS counter
-        if (this.fpsCounter && this.fpsCounter.element) {
-            this.fpsCounter.element.textContent = `FPS: ${this.fpsCounter.value}`; // Simplified display
-        }
+        return success;
     }
 
-    findTarget(tower) {
-        // Simple targeting - find closest enemy in range
-        let closestEnemy = null;
-        let closestDistance = Infinity;
-
-        for (const enemy of this.enemies) {
-            const distance = this.calculateDistance(tower.position, enemy.position);
-            if (distance <= tower.range && distance < closestDistance) {
-                closestEnemy = enemy;
-                closestDistance = distance;
-            }
+    // Play a campaign level (see campaign.js)
+    async startLevel(level) {
+        // Coming from the end screen: clear the finished run first
+        if (this.gameOver) {
+            this.resetGameState();
         }
 
-        return closestEnemy;
+        await this.start(this.player.username || 'Player', { level });
     }
 
-    async placeTower(towerType, gridX, gridY, skipGoldCost = false) {
-        // Status log removed
-
-        // Check if cell is empty and tower can be placed
-        if (!await this.map.canPlaceTower(gridX, gridY)) {
-            // Status log removed
-            return false;
+    showLevelResult(container, stars) {
+        const result = document.createElement('div');
+        result.className = 'level-result';
+
+        const title = document.createElement('div');
+        title.textContent = this.level.name;
+        result.appendChild(title);
+
+        const rating = document.createElement('div');
+        rating.className = 'level-stars';
+        rating.textContent = '★'.repeat(stars) + '☆'.repeat(3 - stars);
+        result.appendChild(rating);
+
+        const nextLevel = getNextLevel(this.level.id);
+        if (stars > 0 && nextLevel && !this.replayPlayer) {
+            const nextButton = document.createElement('button');
+            nextButton.className = 'secondary-button';
+            nextButton.textContent = `Next Level: ${nextLevel.name}`;
+            nextButton.addEventListener('click', () => {
+                const overlay = document.getElementById('game-overlay');
+                document.getElementById('end-screen').classList.add('hidden');
+                overlay.classList.add('hidden');
+                overlay.style.display = 'none';
+                this.startLevel(nextLevel);
+            });
+            result.appendChild(nextButton);
         }
 
-        // Get tower cost based on type - add support for elemental towers
-        const costs = {
-            // Basic towers
-            'arrow': 10,
-            'doubleArrow': 25,
-            'cannon': 50,
-
-            // Elemental basic towers
-            'fire_basic': 15,
-            'water_basic': 15,
-            'earth_basic': 20,
-            'air_basic': 15,
-            'shadow_basic': 20,
-
-            // Elemental advanced towers
-            'fire_advanced': 35,
-            'water_advanced': 35,
-            'earth_advanced': 45,
-            'air_advanced': 30,
-            'shadow_advanced': 40
-        };
-
-        const cost = costs[towerType] || 20; // Default cost if tower type not found
+        container.appendChild(result);
+    }
 
-        // Check if player has enough gold (when not skipping cost check)
-        if (!skipGoldCost && this.player.gold < cost) {
-            // Status log removed
+    // Play back a recorded run in viewer mode
+    async startReplay(replay) {
+        if (!ReplayPlayer.isValid(replay)) {
+            console.error('Invalid replay file');
             return false;
         }
 
-        // Create tower - determine default element based on tower type
-        let element = ElementTypes.NEUTRAL;
-        if (towerType.startsWith('fire_')) {
-            element = ElementTypes.FIRE;
-        } else if (towerType.startsWith('water_')) {
-            element = ElementTypes.WATER;
-        } else if (towerType.startsWith('earth_')) {
-            element = ElementTypes.EARTH;
-        } else if (towerType.startsWith('air_')) {
-            element = ElementTypes.AIR;
-        } else if (towerType.startsWith('shadow_')) {
-            element = ElementTypes.SHADOW;
-        }
-
-        const position = this.map.gridToWorld(gridX, gridY);
-        const tower = new Tower(this, towerType, position, { gridX, gridY }, element);
-
-        // Update map grid and game state
-        this.map.placeTower(gridX, gridY);
-        this.towers.push(tower);
-
-        // Deduct gold (when not skipping cost) with debug logging
-        if (!skipGoldCost) {
-            const oldGold = this.player.gold;
-            this.player.gold -= cost;
-
-            // Status log removed
-            // Status log removed
-
-            // Ensure gold is a valid number
-            if (isNaN(this.player.gold)) {
-                console.error("[GOLD DEBUG] Gold became NaN during tower placement! Resetting to previous value");
-                this.player.gold = oldGold;
-            }
-
-            this.updateUI();
-        } else {
-            // Status log removed
+        // Coming from the end screen: clear the finished run first
+        if (this.gameOver) {
+            this.resetGameState();
         }
 
-        // Status log removed
+        await this.start(replay.username, { seed: replay.seed, replay });
         return true;
     }
 
-    activatePowerCard(cardType, cost) {
-        if (this.player.gold < cost) return false;
-
-        // Attempt to activate the power card
-        const success = this.powerCards.activate(cardType);
-
-        if (success) {
-            // Deduct gold
-            this.player.gold -= cost;
-            this.updateUI();
-        }
-
-        return success;
-    }
-
-    updateUI() {
-        // Update UI with current values
-        document.getElementById('gold-amount').textContent = this.player.gold;
-        document.getElementById('lives-amount').textContent = this.player.lives;
-        document.getElementById('wave-number').textContent = `${this.currentWave}/${this.maxWaves}`;
-
-        // Debug log to track gold updates
-        // Status log removed
-    }
-
-    victory() {
-        this.gameOver = true;
-
-        // Create fireworks for victory
-        this.createFireworksEffect();
-
-        this.endGame(true);
-    }
-
-    resetGameState() {
-        // Clean up any remaining meshes in the scene first
-        // This prevents duplicate map generation
-        if (this.renderer && this.renderer.scene) {
-            // Keep only essential elements (ground, lights)
-            this.renderer.cleanupScene();
-
-            // Explicitly reinitialize instance managers
-            this.renderer.initializeInstanceManagers();
-        }
+    downloadReplay(replay) {
+        const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(replay));
 
-        // Clear all game entities
-        this.clearAllEntities();
-
-        // Reset player stats
-        this.player.gold = 100;
-        this.player.lives = this.initialLives || 10; // Use initialLives if set, fallback to 5
-        this.player.score = 0;
-
-        // Reset wave counters
-        this.currentWave = 1;
-        this.waveInProgress = false;
-        this.enemiesSpawned = 0;
-        this.enemiesDefeated = 0;
-        this.activeWaves = [];
-        this.wavesCompleted = 0;
-
-        // Reset game flags
-        this.gameOver = false;
-        this.gameStarted = false;
+        const downloadLink = document.createElement('a');
+        downloadLink.setAttribute("href", dataStr);
+        downloadLink.setAttribute("download", `greendefense_replay_${replay.seed}.json`);
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+    }
 
-        // Reset the UI
-        this.updateUI();
+    updateUI() {
+        // Update UI with current values
+        document.getElementById('gold-amount').textContent = this.player.gold;
+        document.getElementById('lives-amount').textContent = this.player.lives;
+        document.getElementById('wave-number').textContent = this.getWaveLabel();
 
-        // Reset the map
-        if (this.map) {
-            // Status log removed
-            this.map.reset();
-            // Status log removed
-        }
+        // Let the other player (and the server, which decides the match) know our lives
+        this.multiplayer?.sendStatus({
+            lives: this.player.lives,
+            wave: this.currentWave,
+            score: this.player.score
+        });
 
-        // Reset TCG if active
-        if (this.tcgIntegration) {
-            this.tcgIntegration.reset();
+        // Keep upgrade/sell prices in the tower panel in sync with gold
+        if (this.ui) {
+            this.ui.updateTowerPanel();
         }
 
-        console.log("Game state reset complete. Lives:", this.player.lives);
+        // Debug log to track gold updates
+        // Status log removed
     }
 
-    clearAllEntities() {
-        // Clean up all entities properly
+    // Wave counter for the HUD; endless runs have no last wave to count towards
+    getWaveLabel() {
+        return this.endless ? `${this.currentWave} (Endless)` : `${this.currentWave}/${this.maxWaves}`;
+    }
 
-        // Clean up enemies
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-            if (this.enemies[i].mesh) {
-                this.renderer.scene.remove(this.enemies[i].mesh);
+    endGame(isVictory) {
+        const runResult = {
+            score: this.player.score,
+            wave: this.currentWave,
+            lives: this.player.lives,
+            victory: isVictory
+        };
 
-                // Dispose geometries and materials to free memory
-                if (this.enemies[i].mesh.geometry) {
-                    this.enemies[i].mesh.geometry.dispose();
-                }
+        let profileUpdate = null;
 
-                if (this.enemies[i].mesh.material) {
-                    if (Array.isArray(this.enemies[i].mesh.material)) {
-                        this.enemies[i].mesh.material.forEach(m => m.dispose());
-                    } else {
-                        this.enemies[i].mesh.material.dispose();
-                    }
-                }
-            }
-        }
-        this.enemies = [];
-
-        // Clean up towers using the new tower cleanup method
-        for (let i = this.towers.length - 1; i >= 0; i--) {
-            if (this.towers[i].cleanup) {
-                this.towers[i].cleanup();
-            } else if (this.towers[i].towerInstance) {
-                this.renderer.removeTower(this.towers[i].towerInstance);
-            } else if (this.towers[i].mesh) {
-                // Fallback for compatibility with old tower system
-                this.renderer.scene.remove(this.towers[i].mesh);
+        if (this.replayPlayer) {
+            // Watching a replay: compare against the recorded outcome instead of saving anything
+            this.replayResultMatches = this.replayPlayer.matchesResult(runResult);
+        } else {
+            // Cleared every wave in a match: the server decides once the other player is done too
+            if (this.multiplayer?.inMatch && isVictory) {
+                this.multiplayer.sendFinished({
+                    lives: this.player.lives,
+                    wave: this.currentWave,
+                    score: this.player.score
+                });
             }
-        }
-        this.towers = [];
-
-        // Clean up projectiles
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            if (this.projectiles[i].mesh) {
-                this.renderer.scene.remove(this.projectiles[i].mesh);
 
-                // Dispose geometries and materials to free memory
-                if (this.projectiles[i].mesh.geometry) {
-                    this.projectiles[i].mesh.geometry.dispose();
-                }
+            // A finished run can't be resumed (matches leave a saved solo run alone)
+            if (!this.multiplayer) {
+                this.clearSavedRun();
+            }
 
-                if (this.projectiles[i].mesh.material) {
-                    if (Array.isArray(this.projectiles[i].mesh.material)) {
-                        this.projectiles[i].mesh.material.forEach(m => m.dispose());
-                    } else {
-                        this.projectiles[i].mesh.material.dispose();
-                    }
-                }
+            // Add the run to the player's profile stats and award XP (the server only
+            // takes results of runs it issued a token for)
+            if (this.runToken) {
+                profileUpdate = this.cards.player?.recordRunResult({ ...runResult, ...this.runStats, ...this.getRunReport() });
             }
+
+            // Keep the finished recording so it can be watched or downloaded
+            this.lastReplay = this.replayRecorder ? this.replayRecorder.finish(runResult) : null;
+            this.replayRecorder = null;
         }
-        this.projectiles = [];
 
-        // Force garbage collection
-        if (window.gc) {
-            window.gc();
+        // Campaign levels keep their best star rating
+        const stars = this.level ? getStarRating(this.level, isVictory, this.player.lives) : 0;
+        if (this.level && !this.replayPlayer && stars > 0) {
+            recordLevelResult(this.level.id, stars);
         }
-    }
 
-    endGame(isVictory) {
         const overlay = document.getElementById('game-overlay');
         const startScreen = document.getElementById('start-screen');
         const endScreen = document.getElementById('end-screen');
@@ -1704,8 +759,11 @@ export class Game {
         setTimeout(() => {
             // Status log removed
 
-            // Save score to ranking system
-            this.savePlayerScore(isVictory);
+            // Save score to ranking system (replays were already scored when recorded,
+            // multiplayer matches aren't ranked)
+            if (!this.replayPlayer && !this.multiplayer) {
+                this.savePlayerScore(isVictory);
+            }
 
             // Show overlay
             overlay.style.display = '';
@@ -1725,14 +783,90 @@ export class Game {
             }, 0);
 
             // Set result message
-            if (isVictory) {
+            if (this.replayPlayer) {
+                resultMessage.textContent = 'Replay Finished';
+            } else if (this.multiplayer) {
+                resultMessage.textContent = this.getMatchResultText();
+            } else if (isVictory) {
                 resultMessage.textContent = 'Victory!';
             } else {
                 resultMessage.textContent = 'Game Over';
             }
 
-            // Display score
-            scoreDisplay.textContent = `${this.player.username}'s Score: ${this.player.score}`;
+            // Display score (endless runs are ranked by the wave they got to first)
+            scoreDisplay.textContent = this.endless ?
+                `${this.player.username} reached endless wave ${this.currentWave} - Score: ${this.player.score}` :
+                `${this.player.username}'s Score: ${this.player.score}`;
+
+            // Tower tier summary
+            const towerStats = this.getTowerTierStats();
+            if (towerStats.towersBuilt > 0) {
+                const tierSummary = document.createElement('div');
+                tierSummary.style.marginTop = '10px';
+                tierSummary.style.fontSize = '0.9rem';
+                tierSummary.textContent = `Towers: ${Object.keys(towerStats.towersByTier)
+                    .map(level => `Lv${level} x${towerStats.towersByTier[level]}`)
+                    .join(', ')} - ${towerStats.upgradesPurchased} upgrades`;
+                scoreDisplay.appendChild(tierSummary);
+            }
+
+            // Run seed, so the same run can be replayed or attached to a bug report
+            const seedInfo = document.createElement('div');
+            seedInfo.className = 'run-seed';
+            seedInfo.textContent = 'Seed: ';
+            const seedLink = document.createElement('a');
+            seedLink.href = `?seed=${this.rng.seed}`;
+            seedLink.textContent = this.rng.seed;
+            seedLink.title = 'Play this seed again';
+            seedInfo.appendChild(seedLink);
+            scoreDisplay.appendChild(seedInfo);
+
+            // Replay verification / replay actions
+            if (this.replayPlayer) {
+                const verification = document.createElement('div');
+                verification.className = 'replay-verification';
+                if (this.replayResultMatches === null) {
+                    verification.textContent = 'This replay has no recorded result to verify against';
+                } else {
+                    verification.textContent = this.replayResultMatches ?
+                        'Replay verified: same result as the recorded run' :
+                        'Replay diverged from the recorded run';
+                    verification.classList.add(this.replayResultMatches ? 'verified' : 'diverged');
+                }
+                scoreDisplay.appendChild(verification);
+            } else if (this.lastReplay) {
+                const replayActions = document.createElement('div');
+                replayActions.className = 'replay-actions';
+
+                const watchButton = document.createElement('button');
+                watchButton.className = 'secondary-button';
+                watchButton.textContent = 'Watch Replay';
+                watchButton.addEventListener('click', () => {
+                    endScreen.classList.add('hidden');
+                    overlay.classList.add('hidden');
+                    overlay.style.display = 'none';
+                    this.startReplay(this.lastReplay);
+                });
+
+                const downloadButton = document.createElement('button');
+                downloadButton.className = 'secondary-button';
+                downloadButton.textContent = 'Download Replay';
+                downloadButton.addEventListener('click', () => this.downloadReplay(this.lastReplay));
+
+                replayActions.appendChild(watchButton);
+                replayActions.appendChild(downloadButton);
+                scoreDisplay.appendChild(replayActions);
+            }
+
+            // Campaign level result, and the way on to the next level
+            if (this.level) {
+                this.showLevelResult(scoreDisplay, stars);
+            }
+
+            // XP and level-ups from the profile server
+            if (profileUpdate) {
+                this.showProfileProgress(scoreDisplay, profileUpdate);
+            }
 
             // Display player ranking
             this.displayPlayerRanking(scoreDisplay);
@@ -1778,18 +912,18 @@ export class Game {
         }
 
         // Update path visualization visibility only in debug mode
-        if (this.map && this.map.pathVisualization) {
-            this.map.pathVisualization.visible = this.debugMode;
+        if (this.renderer.pathVisualization) {
+            this.renderer.pathVisualization.visible = this.debugMode;
 
             // Update raycasting on path visualization
-            if (this.map.pathVisualization.raycast) {
+            if (this.renderer.pathVisualization.raycast) {
                 if (this.debugMode) {
                     // Store original raycaster and disable it
-                    this.map.pathVisualization.userData.originalRaycast = this.map.pathVisualization.raycast;
-                    this.map.pathVisualization.raycast = function() {};
-                } else if (this.map.pathVisualization.userData.originalRaycast) {
+                    this.renderer.pathVisualization.userData.originalRaycast = this.renderer.pathVisualization.raycast;
+                    this.renderer.pathVisualization.raycast = function() {};
+                } else if (this.renderer.pathVisualization.userData.originalRaycast) {
                     // Restore original raycaster
-                    this.map.pathVisualization.raycast = this.map.pathVisualization.userData.originalRaycast;
+                    this.renderer.pathVisualization.raycast = this.renderer.pathVisualization.userData.originalRaycast;
                 }
             }
         }
@@ -1841,6 +975,13 @@ export class Game {
             slider.min = key.includes('enemy') ? '0.5' : '0.2';
             slider.max = key.includes('enemy') ? '3.0' : '5.0';
             slider.step = '0.1';
+
+            // Refund is a fraction of the tower cost, so keep it between 0% and 100%
+            if (key === 'towerSellRefund') {
+                slider.min = '0.0';
+                slider.max = '1.0';
+                slider.step = '0.05';
+            }
             slider.value = this.difficultySettings[key];
 
             // Add event listener to update difficulty when slider changes
@@ -1873,7 +1014,8 @@ export class Game {
                 spawnIntervalMultiplier: 1.0,
                 randomFactorMultiplier: 0.2,
                 bossHealthMultiplier: 3.0,
-                bossSpeedMultiplier: 0.7
+                bossSpeedMultiplier: 0.7,
+                towerSellRefund: 0.7
             });
         });
 
@@ -2083,11 +1225,86 @@ export class Game {
         }
     }
 
+    // The map saved from the map editor, or null to play the default map
+    loadCustomMap() {
+        try {
+            const layout = JSON.parse(localStorage.getItem('customMap'));
+            return layout && GameMap.validateLayout(layout).length === 0 ? layout : null;
+        } catch (e) {
+            console.error('Failed to load custom map:', e);
+            return null;
+        }
+    }
+
+    saveCustomMap(layout) {
+        try {
+            if (layout) {
+                localStorage.setItem('customMap', JSON.stringify(layout));
+            } else {
+                localStorage.removeItem('customMap');
+            }
+            return true;
+        } catch (e) {
+            console.error('Failed to save custom map:', e);
+            return false;
+        }
+    }
+
+    saveRun() {
+        if (!this.gameStarted || this.gameOver || this.replayPlayer || this.multiplayer) return false;
+
+        try {
+            localStorage.setItem('savedRun', JSON.stringify(this.serializeRunState()));
+            return true;
+        } catch (e) {
+            console.error('Failed to save run:', e);
+            return false;
+        }
+    }
+
+    loadSavedRun() {
+        try {
+            const savedRun = JSON.parse(localStorage.getItem('savedRun'));
+            return savedRun && savedRun.version === 1 ? savedRun : null;
+        } catch (e) {
+            console.error('Failed to load saved run:', e);
+            return null;
+        }
+    }
+
+    hasSavedRun() {
+        return this.loadSavedRun() !== null;
+    }
+
+    clearSavedRun() {
+        localStorage.removeItem('savedRun');
+        this.updateResumeButton();
+    }
+
+    // Show the start menu's resume button only when there is a run to resume
+    updateResumeButton() {
+        const resumeButton = document.getElementById('resume-button');
+        if (!resumeButton) return;
+
+        const savedRun = this.loadSavedRun();
+        resumeButton.classList.toggle('hidden', !savedRun);
+        if (savedRun) {
+            resumeButton.textContent = savedRun.endless ?
+                `Resume Endless Run (Wave ${savedRun.currentWave})` :
+                `Resume Run (Wave ${savedRun.currentWave}/${this.maxWaves})`;
+        }
+    }
+
+    async resumeSavedRun() {
+        const savedRun = this.loadSavedRun();
+        if (!savedRun) return false;
+
+        await this.start(savedRun.username, { seed: savedRun.seed, savedRun });
+        return true;
+    }
+
     exportSettings() {
-        const settings = {
-            globalSettings: this.difficultySettings,
-            waveSettings: this.waveSettings
-        };
+        const settings = this.getSettingsSnapshot();
 
         // Create a data URL for the settings
         const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(settings, null, 2));
@@ -2145,32 +1362,6 @@ export class Game {
         fileInput.click();
     }
 
-    // Update difficulty settings
-    updateDifficultySettings(settings) {
-        // Update difficulty settings
-        for (const key in settings) {
-            if (this.difficultySettings.hasOwnProperty(key)) {
-                this.difficultySettings[key] = settings[key];
-            }
-        }
-
-        // Apply to existing enemies by rebuilding their stats
-        this.enemies.forEach(enemy => {
-            const oldHealth = enemy.health;
-            const oldMaxHealth = enemy.maxHealth;
-            const healthPercent = oldHealth / oldMaxHealth;
-
-            // Reset and reapply stats with new multipliers
-            enemy.setStats();
-
-            // Keep same health percentage
-            enemy.health = enemy.maxHealth * healthPercent;
-        });
-
-        // Update UI if there's a difficulty UI display
-        this.updateDifficultyUI();
-    }
-
     // Update difficulty UI elements
     updateDifficultyUI() {
         // Update each slider if it exists
@@ -2193,36 +1384,36 @@ export class Game {
         // If enabling card debug mode
         if (this.cardDebugMode && this.tcgIntegration) {
             // Give player infinite mana
-            this.tcgIntegration.mana = this.tcgIntegration.absoluteMaxMana;
-            this.tcgIntegration.maxMana = this.tcgIntegration.absoluteMaxMana;
+            this.cards.mana = this.cards.absoluteMaxMana;
+            this.cards.maxMana = this.cards.absoluteMaxMana;
 
             // Increase max cards in hand for debug mode
-            this.tcgIntegration.maxCardsInHand = 20;
+            this.cards.maxCardsInHand = 20;
 
             // Clear current hand
-            this.tcgIntegration.hand = [];
+            this.cards.hand = [];
 
             // Draw all available cards (one of each type)
-            const allCards = this.tcgIntegration.cardCatalog.getAllCards();
+            const allCards = this.cards.cardCatalog.getAllCards();
 
             // Add all tower cards
             for (const towerCard of allCards.towers) {
-                if (this.tcgIntegration.hand.length < this.tcgIntegration.maxCardsInHand) {
-                    this.tcgIntegration.hand.push(towerCard);
+                if (this.cards.hand.length < this.cards.maxCardsInHand) {
+                    this.cards.hand.push(towerCard);
                 }
             }
 
             // Add all spell cards
             for (const spellCard of allCards.spells) {
-                if (this.tcgIntegration.hand.length < this.tcgIntegration.maxCardsInHand) {
-                    this.tcgIntegration.hand.push(spellCard);
+                if (this.cards.hand.length < this.cards.maxCardsInHand) {
+                    this.cards.hand.push(spellCard);
                 }
             }
 
             // Add power cards
-            for (const powerCard of this.tcgIntegration.powerCards) {
-                if (this.tcgIntegration.hand.length < this.tcgIntegration.maxCardsInHand) {
-                    this.tcgIntegration.hand.push(powerCard);
+            for (const powerCard of this.cards.powerCards) {
+                if (this.cards.hand.length < this.cards.maxCardsInHand) {
+                    this.cards.hand.push(powerCard);
                 }
             }
 
@@ -2248,14 +1439,14 @@ export class Game {
             // When disabling, reset to normal state
             if (this.tcgIntegration) {
                 // Reset mana to normal
-                this.tcgIntegration.mana = 5;
-                this.tcgIntegration.maxMana = 5;
+                this.cards.mana = 5;
+                this.cards.maxMana = 5;
 
                 // Reset max cards in hand
-                this.tcgIntegration.maxCardsInHand = 5;
+                this.cards.maxCardsInHand = 5;
 
                 // Draw a normal hand
-                this.tcgIntegration.drawInitialHand();
+                this.cards.drawInitialHand();
 
                 // Hide debug panel
                 document.getElementById('toggle-debug-panel').classList.add('hidden');
@@ -2323,6 +1514,28 @@ export class Game {
             { type: ElementTypes.SHADOW, displayName: 'Shadow' }
         ];
 
+        const createSpawnButton = (enemyType, elementType) => {
+            const spawnBtn = document.createElement('button');
+            spawnBtn.textContent = 'Spawn';
+            spawnBtn.style.marginTop = '5px';
+            spawnBtn.style.padding = '2px 5px';
+            spawnBtn.style.fontSize = '10px';
+            spawnBtn.style.backgroundColor = '#3498db';
+            spawnBtn.style.border = 'none';
+            spawnBtn.style.borderRadius = '3px';
+            spawnBtn.style.cursor = 'pointer';
+
+            // Set data attributes for spawning
+            spawnBtn.dataset.enemyType = enemyType;
+            spawnBtn.dataset.elementType = elementType;
+
+            // Add click event to spawn this enemy
+            spawnBtn.addEventListener('click', () => {
+                this.debugSpawnEnemy(enemyType, elementType);
+            });
+            return spawnBtn;
+        };
+
         // Generate cards for each enemy type and element combination
         enemyTypes.forEach(enemy => {
             elementTypes.forEach(element => {
@@ -2386,32 +1599,52 @@ export class Game {
                 card.appendChild(attributes);
 
                 // Add spawn button
-                const spawnBtn = document.createElement('button');
-                spawnBtn.textContent = 'Spawn';
-                spawnBtn.style.marginTop = '5px';
-                spawnBtn.style.padding = '2px 5px';
-                spawnBtn.style.fontSize = '10px';
-                spawnBtn.style.backgroundColor = '#3498db';
-                spawnBtn.style.border = 'none';
-                spawnBtn.style.borderRadius = '3px';
-                spawnBtn.style.cursor = 'pointer';
-
-                // Set data attributes for spawning
-                spawnBtn.dataset.enemyType = enemy.type;
-                spawnBtn.dataset.elementType = element.type;
-
-                // Add click event to spawn this enemy
-                spawnBtn.addEventListener('click', () => {
-                    this.debugSpawnEnemy(enemy.type, element.type);
-                });
-
-                card.appendChild(spawnBtn);
+                card.appendChild(createSpawnButton(enemy.type, element.type));
 
                 // Add to container
                 container.appendChild(card);
             });
         });
 
+        // One card per enemy type with abilities (data/units.json)
+        Object.entries(getUnits().enemies)
+            .filter(([, definition]) => definition.abilities)
+            .forEach(([type, definition]) => {
+                const card = document.createElement('div');
+                card.className = 'enemy-card';
+                card.style.borderColor = this.getElementColor(definition.element);
+
+                const title = document.createElement('div');
+                title.className = 'enemy-card-title';
+                title.textContent = definition.name;
+                card.appendChild(title);
+
+                const attributes = document.createElement('div');
+                attributes.className = 'enemy-attributes';
+
+                const stats = document.createElement('span');
+                stats.textContent = `Health: ${definition.health} · Speed: ${definition.speed}`;
+                attributes.appendChild(stats);
+
+                if (definition.armor || definition.magicResist) {
+                    const defenses = document.createElement('span');
+                    defenses.textContent = `Armor: ${definition.armor || 0} · Resist: ${definition.magicResist || 0}`;
+                    attributes.appendChild(defenses);
+                }
+
+                Enemy.describeAbilities(definition.abilities).forEach(line => {
+                    const ability = document.createElement('span');
+                    ability.className = 'enemy-ability';
+                    ability.textContent = line;
+                    attributes.appendChild(ability);
+                });
+                card.appendChild(attributes);
+
+                // Full type ids spawn as they are
+                card.appendChild(createSpawnButton(type, ElementTypes.NEUTRAL));
+                container.appendChild(card);
+            });
+
         // Show the showcase
         document.querySelector('.debug-enemy-showcase').classList.remove('hidden');
     }
@@ -2431,17 +1664,12 @@ export class Game {
         if (!this.cardDebugMode) return;
 
         // Find a valid entry point
-        const validEntryPoints = [];
-        for (let x = 0; x < this.map.gridWidth; x++) {
-            if (this.map.grid[0][x] === 1) {
-                validEntryPoints.push({ x, z: 0 });
-            }
-        }
+        const validEntryPoints = this.map.getEntryPoints();
 
         if (validEntryPoints.length === 0) return;
 
         // Choose a random entry point
-        const randomEntryIndex = Math.floor(Math.random() * validEntryPoints.length);
+        const randomEntryIndex = Math.floor(this.rng.next() * validEntryPoints.length);
         const startGridPoint = validEntryPoints[randomEntryIndex];
 
         // Convert grid position to world position
@@ -2455,7 +1683,7 @@ export class Game {
 
         // Create and add enemy
         const enemy = new Enemy(this, fullEnemyType, startWorldPoint);
-        this.enemies.push(enemy);
+        this.addEnemy(enemy);
 
         // Status log removed
     }
@@ -2464,13 +1692,7 @@ export class Game {
         if (!this.cardDebugMode || !this.waveInProgress) return;
 
         // Remove all existing enemies
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-            const enemy = this.enemies[i];
-            if (enemy.mesh) {
-                this.renderer.scene.remove(enemy.mesh);
-            }
-            this.enemies.splice(i, 1);
-        }
+        [...this.enemies].forEach(enemy => this.removeEnemy(enemy));
 
         // Set wave progress to completion
         this.enemiesSpawned = this.enemiesPerWave[this.currentWave - 1];
@@ -2488,7 +1710,7 @@ export class Game {
         }
 
         // After a short delay, start the next wave (even if the current wave completes)
-        setTimeout(() => {
+        this.clock.setTimeout(() => {
             this.startWave();
             // Status log removed
         }, 300);
@@ -2504,57 +1726,19 @@ export class Game {
         this.currentWave = 5;
 
         // Update UI with current wave
-        document.getElementById('wave-number').textContent = `${this.currentWave}/${this.maxWaves}`;
+        document.getElementById('wave-number').textContent = this.getWaveLabel();
 
         // Give extra resources for testing
         this.player.gold = 500;
         this.updateUI();
 
         // Start the wave
-        setTimeout(() => {
+        this.clock.setTimeout(() => {
             this.startWave();
             // Status log removed
         }, 300);
     }
 
-    calculateDistance(pos1, pos2) {
-        const dx = pos2.x - pos1.x;
-        const dz = pos2.z - pos1.z;
-        return Math.sqrt(dx * dx + dz * dz);
-    }
-
-    findClosestEnemyInRange(position, range) {
-        // Similar to findTarget but with explicitly passed position and range
-        let closestEnemy = null;
-        let closestDistance = Infinity;
-
-        for (const enemy of this.enemies) {
-            // Skip enemies that have reached the end or are dead
-            if (enemy.reachedEnd || enemy.health <= 0) continue;
-
-            const distance = this.calculateDistance(position, enemy.position);
-            if (distance <= range && distance < closestDistance) {
-                closestEnemy = enemy;
-                closestDistance = distance;
-            }
-        }
-
-        return closestEnemy;
-    }
-
-    getRandomElement() {
-        // Return a random element type (excluding NEUTRAL)
-        const elements = [
-            ElementTypes.FIRE,
-            ElementTypes.WATER,
-            ElementTypes.EARTH,
-            ElementTypes.AIR,
-            ElementTypes.SHADOW
-        ];
-
-        return elements[Math.floor(Math.random() * elements.length)];
-    }
-
     showDifficultyIncreaseMessage() {
         // Create a visual message for difficulty increase
         if (!this.renderer) return;
@@ -2603,17 +1787,17 @@ export class Game {
         this.renderer.scene.add(sprite);
 
         // Animation data
-        const startTime = performance.now();
+        const startTime = this.clock.now();
         const duration = 4000; // 4 seconds
 
         // Add to the centralized animation system
         this.addAnimationEffect({
             startTime,
             duration,
-            update: (progress) => {
+            update: (progress, currentTime) => {
                 // Add shaking effect for warning
                 if (progress < 0.7) {
-                    const elapsed = performance.now() - startTime;
+                    const elapsed = currentTime - startTime;
                     sprite.position.x = Math.sin(elapsed * 0.02) * 0.3;
 
                     // Pulse size
@@ -2792,7 +1976,7 @@ export class Game {
         this.renderer.scene.add(sprite);
 
         // Animate floating up and fading out
-        const startTime = performance.now();
+        const startTime = this.clock.now();
         const duration = 1000; // 1 second
 
         this.addAnimationEffect({
@@ -2820,6 +2004,103 @@ export class Game {
         });
     }
 
+    // A few quick particles where an area projectile ran out
+    createProjectileExplosionEffect(projectile) {
+        if (!this.renderer || this.lowQualityMode && Math.random() > 0.6) {
+            return; // Skip creating any particles
+        }
+
+        // Get color based on element
+        let color = 0xFF6600;
+        if (projectile.element && ElementStyles[projectile.element]) {
+            color = ElementStyles[projectile.element].color;
+        }
+
+        // Create a very simple explosion (just a few particles)
+        const particleCount = 6; // Very few particles
+        const explosionGroup = new THREE.Group();
+        explosionGroup.position.set(projectile.position.x, projectile.position.y + 0.1, projectile.position.z);
+        explosionGroup.renderOrder = 10;
+
+        // Create a few simple particles
+        for (let i = 0; i < particleCount; i++) {
+            // Simpler geometry with fewer vertices
+            const particleGeometry = new THREE.SphereGeometry(0.1 + Math.random() * 0.1, 4, 4);
+
+            // Simple material without special effects
+            const particleMaterial = new THREE.MeshBasicMaterial({
+                color: color,
+                transparent: true,
+                opacity: 0.3
+            });
+
+            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+
+            // Random position within smaller explosion radius
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.random() * Math.PI;
+            const radius = 0.2 + Math.random() * 0.4;
+
+            particle.position.x = radius * Math.sin(phi) * Math.cos(theta);
+            particle.position.y = 0.1 + radius * Math.sin(phi) * Math.sin(theta);
+            particle.position.z = radius * Math.cos(phi);
+
+            // Store initial scale for animation
+            const initialScale = 0.2 + Math.random() * 0.2;
+            const finalScale = initialScale * (1.2 + Math.random() * 0.5);
+
+            particle.scale.set(initialScale, initialScale, initialScale);
+
+            // Store animation parameters
+            particle.userData = {
+                initialScale: initialScale,
+                finalScale: finalScale,
+                speed: 0.5 + Math.random() * 0.5
+            };
+
+            explosionGroup.add(particle);
+        }
+
+        this.renderer.scene.add(explosionGroup);
+
+        // Very short animation
+        const startTime = this.clock.now();
+        const duration = 300; // Just 0.3 seconds
+
+        // Add to game's animation system instead of creating a new loop
+        this.addAnimationEffect({
+            startTime: startTime,
+            duration: duration,
+            update: (progress) => {
+                explosionGroup.children.forEach(particle => {
+                    const { initialScale, finalScale, speed } = particle.userData;
+
+                    // Simple scale change
+                    const currentScale = initialScale + (finalScale - initialScale) * progress;
+                    particle.scale.set(currentScale, currentScale, currentScale);
+
+                    // Simple fade out
+                    particle.material.opacity = 0.3 * (1 - progress);
+                });
+
+                // When complete
+                if (progress >= 1) {
+                    // Quick cleanup
+                    while (explosionGroup.children.length > 0) {
+                        const particle = explosionGroup.children[0];
+                        explosionGroup.remove(particle);
+                        if (particle.geometry) particle.geometry.dispose();
+                        if (particle.material) particle.material.dispose();
+                    }
+
+                    this.renderer.scene.remove(explosionGroup);
+                    return true; // Animation complete
+                }
+                return false; // Animation still running
+            }
+        });
+    }
+
     createMoneyWinEffect(enemy) {
         // Skip if no enemy
         if (!enemy || !enemy.position) return;
@@ -2887,36 +2168,37 @@ export class Game {
 
     // Player ranking system methods
     savePlayerScore(isVictory) {
+        this.scoreSubmission = null;
+
         if (!this.player.username || this.player.username === 'Player') {
             // Status log removed
             return;
         }
 
         try {
-            // Calculate game duration in seconds
-            const gameEndTime = performance.now();
-            const gameDuration = Math.round((gameEndTime - this.gameStartTime) / 1000);
-
             // Prepare score data for both local storage and server
             const gameScore = {
                 username: this.player.username,
                 score: this.player.score,
                 wave: this.currentWave,
                 victory: isVictory,
+                category: this.getScoreCategory(),
                 date: new Date().toISOString(),
-                duration: gameDuration,
+                ...this.getRunReport(),
                 gameData: {
                     waveTimes: this.waveStartTimes,
                     wavesCompleted: this.wavesCompleted,
-                    activeWaves: this.activeWaves
+                    activeWaves: this.activeWaves,
+                    towerStats: this.getTowerTierStats(),
+                    seed: this.rng.seed
                 }
             };
 
             // Save to localStorage as fallback
             this.saveScoreToLocalStorage(gameScore);
 
-            // Save to server database
-            this.saveScoreToServer(gameScore);
+            // Save to server database (the ranking on the end screen waits for this)
+            this.scoreSubmission = this.saveScoreToServer(gameScore);
 
             // Status log removed
         } catch (err) {
@@ -2948,7 +2230,60 @@ export class Game {
         }
     }
 
+    // Run token, duration and compact run summary the server checks scores and run results against
+    getRunReport() {
+        // Game duration in seconds (simulated time, so speed settings don't skew it)
+        const duration = Math.round((this.clock.now() - this.gameStartTime) / 1000);
+
+        return {
+            duration,
+            runToken: this.runToken,
+            summary: {
+                wavesCleared: this.wavesCompleted,
+                kills: this.runStats.enemiesDefeated,
+                goldEarned: this.runStats.goldEarned,
+                duration
+            }
+        };
+    }
+
+    // Leaderboard the run's score goes to: standard runs rank by score, endless runs by highest wave
+    getScoreCategory() {
+        return this.endless ? 'endless' : 'standard';
+    }
+
+    // Ask the server for a signed token identifying this run (and its leaderboard
+    // category). Without one the score is only kept locally.
+    async requestRunToken(seed, category) {
+        try {
+            const response = await fetch('/api/runs', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ seed, category })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const { token } = await response.json();
+            // Ignore late responses for a run that has since been replaced
+            if (this.rng.seed === seed && !this.replayPlayer) {
+                this.runToken = token;
+            }
+        } catch (err) {
+            console.error("Error requesting run token:", err);
+        }
+    }
+
+    // Resolves to the server's response ({ rank, total } on the all-time board) or null
     saveScoreToServer(gameScore) {
+        if (!gameScore.runToken) {
+            console.warn("No run token - score saved locally only");
+            return Promise.resolve(null);
+        }
+
         try {
             // API endpoint (adjust if needed)
             const apiUrl = '/api/scores';
@@ -2957,7 +2292,7 @@ export class Game {
             const scoreData = { ...gameScore };
 
             // Make POST request to server
-            fetch(apiUrl, {
+            return fetch(apiUrl, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -2970,24 +2305,46 @@ export class Game {
                 }
                 return response.json();
             })
-            .then(data => {
-                // Status log removed
-            })
             .catch(error => {
                 console.error("Error saving score to server:", error);
-                // Status log removed
+                return null;
             });
         } catch (err) {
             console.error("Error in server score saving:", err);
+            return Promise.resolve(null);
+        }
+    }
+
+    async showProfileProgress(scoreDisplay, profileUpdate) {
+        const progress = await profileUpdate;
+        const player = this.cards.player;
+        if (!progress || !player) return;
+
+        const progressDisplay = document.createElement('div');
+        progressDisplay.className = 'profile-progress';
+        progressDisplay.textContent = `+${progress.xpGained} XP · Level ${player.level} (${player.xp}/${player.getXpToNextLevel()} XP)`;
+
+        if (progress.levelsGained > 0) {
+            const levelUp = document.createElement('div');
+            levelUp.className = 'profile-level-up';
+            levelUp.textContent = 'Level up!';
+            progressDisplay.appendChild(levelUp);
         }
+
+        // Sit right under the score, above the rankings
+        scoreDisplay.insertBefore(progressDisplay, scoreDisplay.children[0] || null);
     }
 
     displayPlayerRanking(scoreDisplay) {
         try {
-            // First try to get scores from the server
-            this.fetchScoresFromServer().then(serverScores => {
+            // Wait for this run's submission first: it carries the run's rank even
+            // when it lands outside the top 20
+            Promise.resolve(this.scoreSubmission)
+            .then(submission => this.fetchScoresFromServer().then(serverScores => {
                 if (serverScores && serverScores.length > 0) {
-                    this.renderRankings(scoreDisplay, serverScores, "Global Rankings");
+                    this.renderRankings(scoreDisplay, serverScores,
+                        this.endless ? "Endless Rankings" : "Global Rankings", submission);
+                    this.displayPersonalBest(scoreDisplay);
                 } else {
                     // Fallback to localStorage if server fails
                     const localScores = JSON.parse(localStorage.getItem('towerDefenseHighScores') || '[]');
@@ -2995,7 +2352,7 @@ export class Game {
                         this.renderRankings(scoreDisplay, localScores, "Player Rankings");
                     }
                 }
-            }).catch(err => {
+            })).catch(err => {
                 console.error("Error fetching server scores:", err);
                 // Fallback to localStorage
                 const localScores = JSON.parse(localStorage.getItem('towerDefenseHighScores') || '[]');
@@ -3010,7 +2367,7 @@ export class Game {
 
     fetchScoresFromServer() {
         return new Promise((resolve, reject) => {
-            fetch('/api/scores?limit=20')
+            fetch(`/api/scores?category=${this.getScoreCategory()}&limit=20`)
                 .then(response => {
                     if (!response.ok) {
                         throw new Error(`HTTP error! status: ${response.status}`);
@@ -3028,7 +2385,33 @@ export class Game {
         });
     }
 
-    renderRankings(scoreDisplay, scores, title) {
+    // Player's best run on the all-time board of this run's category, from the server
+    displayPersonalBest(scoreDisplay) {
+        const username = this.player.username;
+        if (!username || username === 'Player') return;
+
+        fetch(`/api/scores/player/${encodeURIComponent(username)}?category=${this.getScoreCategory()}`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                if (!data.best) return;
+
+                const personalBest = document.createElement('div');
+                personalBest.className = 'personal-best';
+                const best = this.endless ? `Wave ${data.best.wave}, ${data.best.score}` : data.best.score;
+                personalBest.textContent = `Personal best: ${best} (Rank ${data.rank} of ${data.total})`;
+                scoreDisplay.appendChild(personalBest);
+            })
+            .catch(error => {
+                console.error("Error fetching personal best:", error);
+            });
+    }
+
+    renderRankings(scoreDisplay, scores, title, submission = null) {
         // If no scores, don't show anything
         if (scores.length === 0) {
             return;
@@ -3046,7 +2429,9 @@ export class Game {
         rankingInfo.style.marginTop = '10px';
         rankingInfo.style.color = '#4CAF50';
 
-        if (playerRank !== -1) {
+        if (submission && submission.rank) {
+            rankingInfo.textContent = `${title}: Rank ${submission.rank} of ${submission.total}`;
+        } else if (playerRank !== -1) {
             rankingInfo.textContent = `${title}: Rank ${playerRank + 1} of ${scores.length}`;
         } else {
             rankingInfo.textContent = `${title}: ${scores.length} total players`;
@@ -3213,89 +2598,4 @@ export class Game {
             console.log(`High animation count: ${this.animations.length}`);
         }
     }
-
-    // Add this method to get a projectile from the pool or create a new one
-    getProjectileFromPool(type, startPosition, target, damage, areaOfEffect = 0, element = 'neutral') {
-        // Check if there's a matching projectile in the pool
-        if (this.projectilePool && this.projectilePool.length > 0) {
-            for (let i = 0; i < this.projectilePool.length; i++) {
-                const pooledProjectile = this.projectilePool[i];
-                if (pooledProjectile.type === type) {
-                    // Remove from pool
-                    const projectile = this.projectilePool.splice(i, 1)[0];
-
-                    // Reset and update properties
-                    projectile.position = { ...startPosition };
-                    projectile.target = target;
-                    projectile.damage = damage;
-                    projectile.areaOfEffect = areaOfEffect;
-                    projectile.element = element;
-                    projectile.timeAlive = 0;
-                    projectile.hit = false;
-
-                    // Update mesh position
-                    if (projectile.mesh) {
-                        projectile.mesh.position.set(startPosition.x, startPosition.y, startPosition.z);
-                        projectile.mesh.visible = true;
-                    } else {
-                        // If mesh somehow got lost, recreate it
-                        projectile.mesh = this.renderer.createProjectile(projectile);
-                    }
-
-                    // Recalculate direction to target
-                    projectile.calculateDirection();
-
-                    // Add to active projectiles array
-                    this.projectiles.push(projectile);
-
-                    return projectile;
-                }
-            }
-        }
-
-        // Create a new projectile if none was found in the pool
-        const projectile = new Projectile(this, type, startPosition, target, damage, areaOfEffect, element);
-        this.projectiles.push(projectile);
-
-        return projectile;
-    }
-
-    // Method to return a projectile to the pool
-    returnProjectileToPool(projectile) {
-        if (!projectile) return;
-
-        // Remove from active projectiles
-        const index = this.projectiles.indexOf(projectile);
-        if (index !== -1) {
-            this.projectiles.splice(index, 1);
-        }
-
-        // Hide the mesh but keep it for reuse
-        if (projectile.mesh) {
-            projectile.mesh.visible = false;
-        }
-
-        // Initialize pool if it doesn't exist
-        if (!this.projectilePool) {
-            this.projectilePool = [];
-        }
-
-        // Add to pool if it's not at max capacity
-        if (this.projectilePool.length < this.maxPoolSize) {
-            this.projectilePool.push(projectile);
-        } else {
-            // Dispose of the projectile completely if pool is full
-            if (projectile.mesh) {
-                this.renderer.scene.remove(projectile.mesh);
-                if (projectile.mesh.geometry) projectile.mesh.geometry.dispose();
-                if (projectile.mesh.material) {
-                    if (Array.isArray(projectile.mesh.material)) {
-                        projectile.mesh.material.forEach(m => m.dispose());
-                    } else {
-                        projectile.mesh.material.dispose();
-                    }
-                }
-            }
-        }
-    }
-}
\ No newline at end of file
+}
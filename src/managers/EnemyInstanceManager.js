@@ -29,6 +29,16 @@ export class EnemyInstanceManager {
         this._scaleMatrix = new THREE.Matrix4();
         this._positionMatrix = new THREE.Matrix4();
 
+        // Flyers bob up and down over a shadow on the ground, so their altitude reads clearly
+        this.hoverAmplitude = 0.15;
+        this.flyerShadowGeometry = new THREE.CircleGeometry(0.3, 16);
+        this.flyerShadowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x000000,
+            transparent: true,
+            opacity: 0.3,
+            depthWrite: false
+        });
+
         // Animation performance tracking
         this._animatedTypes = {}; // Track which types need matrix updates
         this._lastBatchUpdateTime = 0;
@@ -249,6 +259,7 @@ export class EnemyInstanceManager {
             instanceIndex,
             healthBar: healthBarData,
             position: new THREE.Vector3(enemy.position.x, enemy.position.y, enemy.position.z),
+            flying: !!enemy.flying,
             // Additional effects - these need individual meshes
             effectMeshes: {},
             // Reference to original enemy
@@ -262,6 +273,10 @@ export class EnemyInstanceManager {
             this.addElementalEffects(enemyInstance);
         }
 
+        if (enemyInstance.flying) {
+            this.addFlyerShadow(enemyInstance);
+        }
+
         // Store instance
         this.enemyInstances.push(enemyInstance);
 
@@ -269,6 +284,14 @@ export class EnemyInstanceManager {
         return enemyInstance;
     }
 
+    addFlyerShadow(enemyInstance) {
+        const shadow = new THREE.Mesh(this.flyerShadowGeometry, this.flyerShadowMaterial);
+        shadow.rotation.x = -Math.PI / 2;
+        shadow.position.set(enemyInstance.position.x, 0.02, enemyInstance.position.z);
+        this.scene.add(shadow);
+        enemyInstance.groundShadow = shadow;
+    }
+
     getNextInstanceIndex(baseType, elementType) {
         if (!this.availableIndices[baseType] ||
             !this.availableIndices[baseType][elementType] ||
@@ -546,6 +569,12 @@ export class EnemyInstanceManager {
                 enemyInstance.healthBar = null;
             }
 
+            // Remove a flyer's shadow (geometry and material are shared)
+            if (enemyInstance.groundShadow) {
+                this.scene.remove(enemyInstance.groundShadow);
+                enemyInstance.groundShadow = null;
+            }
+
             // Remove effect meshes
             for (const type in enemyInstance.effectMeshes) {
                 if (enemyInstance.effectMeshes[type]) {
@@ -627,6 +656,11 @@ export class EnemyInstanceManager {
                     );
                 }
 
+                // Keep a flyer's shadow under it
+                if (enemy.enemyInstance.groundShadow) {
+                    enemy.enemyInstance.groundShadow.position.set(position.x, 0.02, position.z);
+                }
+
                 // Update effect meshes positions
                 for (const type in enemy.enemyInstance.effectMeshes) {
                     if (enemy.enemyInstance.effectMeshes[type]) {
@@ -685,6 +719,11 @@ export class EnemyInstanceManager {
             this._animatedTypes[enemyInstance.baseType] = {};
         }
 
+        // Flyers hover around their altitude, each on its own beat
+        const y = enemyInstance.flying ?
+            enemyInstance.position.y + this.hoverAmplitude * Math.sin(currentTime * 3 + enemyInstance.instanceIndex) :
+            enemyInstance.position.y;
+
         // Animation logic by type
         switch (enemyInstance.baseType) {
             case 'simple':
@@ -700,7 +739,7 @@ export class EnemyInstanceManager {
                 // Add translation using position matrix
                 this._positionMatrix.identity().setPosition(
                     enemyInstance.position.x,
-                    enemyInstance.position.y,
+                    y,
                     enemyInstance.position.z
                 );
 
@@ -723,7 +762,7 @@ export class EnemyInstanceManager {
                 this._rotationMatrix.identity().makeRotationY(rotationY);
                 this._positionMatrix.identity().setPosition(
                     enemyInstance.position.x,
-                    enemyInstance.position.y,
+                    y,
                     enemyInstance.position.z
                 );
 
@@ -747,7 +786,7 @@ export class EnemyInstanceManager {
                 this._rotationMatrix.identity().makeRotationY(enemyInstance.rotation);
                 this._positionMatrix.identity().setPosition(
                     enemyInstance.position.x,
-                    enemyInstance.position.y,
+                    y,
                     enemyInstance.position.z
                 );
 
@@ -770,7 +809,7 @@ export class EnemyInstanceManager {
                 this._scaleMatrix.identity().makeScale(scale, scale, scale);
                 this._positionMatrix.identity().setPosition(
                     enemyInstance.position.x,
-                    enemyInstance.position.y,
+                    y,
                     enemyInstance.position.z
                 );
 
@@ -862,6 +901,9 @@ export class EnemyInstanceManager {
             }
         }
 
+        this.flyerShadowGeometry.dispose();
+        this.flyerShadowMaterial.dispose();
+
         // Clear references
         this.enemyMeshes = {};
         this.availableIndices = {};
@@ -895,6 +937,9 @@ export class EnemyInstanceManager {
         this._animatedTypes = {};
 
         // Clear all enemy instances but don't dispose the meshes
+        for (const enemyInstance of this.enemyInstances) {
+            if (enemyInstance.groundShadow) this.scene.remove(enemyInstance.groundShadow);
+        }
         this.enemyInstances = [];
 
         // Make all instances invisible by moving them far away
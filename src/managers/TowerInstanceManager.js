@@ -21,7 +21,9 @@ export class TowerInstanceManager {
             'default': this.geometries.defaultTop,
             'arrow': this.geometries.arrowTopBase,
             'doubleArrow': this.geometries.doubleArrowTopCone,
-            'cannon': this.geometries.cannonTopSphere
+            'cannon': this.geometries.cannonTopSphere,
+            'tier2': this.geometries.tier2Top,
+            'tier3': this.geometries.tier3Top
         };
 
         // Instance tracking
@@ -395,6 +397,25 @@ export class TowerInstanceManager {
             Math.max(this.towerTops[elementKey][`${topType}_nose`].count, index + 1);
     }
 
+    // Hide a single top type (and its nose) for an instance, e.g. when a tower changes tier
+    hideTop(elementKey, index, topType) {
+        if (!this.towerTops[elementKey] || !this.towerTops[elementKey][topType]) {
+            return;
+        }
+
+        const hiddenMatrix = new THREE.Matrix4();
+        hiddenMatrix.setPosition(10000, 10000, 10000);
+
+        this.towerTops[elementKey][topType].setMatrixAt(index, hiddenMatrix);
+        this.towerTops[elementKey][topType].instanceMatrix.needsUpdate = true;
+
+        const noseKey = `${topType}_nose`;
+        if (this.towerTops[elementKey][noseKey]) {
+            this.towerTops[elementKey][noseKey].setMatrixAt(index, hiddenMatrix);
+            this.towerTops[elementKey][noseKey].instanceMatrix.needsUpdate = true;
+        }
+    }
+
     hideInstance(elementKey, index, shadowIndex) {
         // Move far away to hide
         const hiddenMatrix = new THREE.Matrix4();
@@ -1,52 +1,93 @@
 import { EasyStarPathfinding } from './easyStarPathfinding.js';
-import * as THREE from 'three';
+import { GameEvents } from './simulation/events.js';
+
+// Limits for map sizes made in the editor
+export const MAP_MIN_SIZE = 5;
+export const MAP_MAX_SIZE = 40;
 
 export class Map {
+    // The standard map: an open field entered along the top row and left along
+    // the bottom one, with no towers allowed in the 3 rows before the exit.
+    // Layouts list cells as { x, z } grid positions (see the map editor).
+    static createDefaultLayout(width = 15, height = 25) {
+        const row = z => Array.from({ length: width }, (_, x) => ({ x, z }));
+
+        return {
+            width,
+            height,
+            obstacles: [],
+            noBuild: [height - 4, height - 3, height - 2].flatMap(row),
+            entries: row(0),
+            exits: row(height - 1)
+        };
+    }
+
+    // List the problems with a layout's shape (empty when it's usable).
+    // Whether enemies can get through is checked by findBlockedEntries().
+    static validateLayout(layout) {
+        if (!layout || typeof layout !== 'object') return ['Map is not an object'];
+
+        const errors = [];
+        const { width, height } = layout;
+        const sizeValid = Number.isInteger(width) && Number.isInteger(height) &&
+            width >= MAP_MIN_SIZE && width <= MAP_MAX_SIZE && height >= MAP_MIN_SIZE && height <= MAP_MAX_SIZE;
+        if (!sizeValid) {
+            return [`Map size must be whole numbers from ${MAP_MIN_SIZE} to ${MAP_MAX_SIZE}`];
+        }
+
+        const inBounds = cell => cell && Number.isInteger(cell.x) && Number.isInteger(cell.z) &&
+            cell.x >= 0 && cell.x < width && cell.z >= 0 && cell.z < height;
+
+        for (const list of ['obstacles', 'noBuild', 'entries', 'exits']) {
+            if (!Array.isArray(layout[list])) {
+                errors.push(`${list} must be a list of cells`);
+            } else if (!layout[list].every(inBounds)) {
+                errors.push(`${list} has cells outside the map`);
+            }
+        }
+        if (errors.length > 0) return errors;
+
+        if (layout.entries.length === 0) errors.push('Map needs at least one entry');
+        if (layout.exits.length === 0) errors.push('Map needs at least one exit');
+
+        const obstacles = new Set(layout.obstacles.map(cell => `${cell.x},${cell.z}`));
+        if ([...layout.entries, ...layout.exits].some(cell => obstacles.has(`${cell.x},${cell.z}`))) {
+            errors.push('Entries and exits can\'t be on obstacles');
+        }
+
+        return errors;
+    }
+
     constructor(game) {
         this.game = game;
 
+        // Layout the grid is built from (Map.createDefaultLayout() unless the editor set one)
+        this.layout = Map.createDefaultLayout();
+
         // Grid dimensions
-        this.gridWidth = 15;
-        this.gridHeight = 25;
-        this.originalGridWidth = this.gridWidth; // Store original dimensions for reset
-        this.originalGridHeight = this.gridHeight;
+        this.gridWidth = this.layout.width;
+        this.gridHeight = this.layout.height;
 
         // Grid cell types
-        // 0: Empty (placeable)
-        // 1: Path
+        // 1: Walkable (towers can go here unless it's an entry, exit or no-build cell)
         // 2: Water/obstacle
         // 3: Occupied by tower
         this.grid = [];
-        this.originalGrid = []; // Store original grid for reset
+        this.entryPoints = []; // Grid cells enemies spawn on
+        this.exitPoints = []; // Grid cells enemies leave through
+        this.noBuildCells = new Set(); // "x,z" keys of walkable cells towers can't use
 
         // Path waypoints (for enemy movement)
         this.pathWaypoints = [];
 
-        // Path visualization
-        this.pathHelper = null;
-
         // Pathfinding system
         this.pathfindingHelper = new EasyStarPathfinding(this);
-
-        // 3D representation
-        this.mapMesh = null;
-        this.mapGroup = null;
     }
 
     async initialize() {
-        console.log("Initializing map...");
         // Create grid data
         this.createGridData();
 
-        // Create 3D representation
-        this.mapGroup = this.game.renderer.createMap(this.grid, {
-            width: this.gridWidth,
-            height: this.gridHeight
-        });
-
-        // Store for easy access
-        this.mapMesh = this.mapGroup;
-
         // Build the pathfinding navmesh
         this.pathfindingHelper.buildNavMesh();
 
@@ -55,47 +96,17 @@ export class Map {
 
         // Explicitly set the path property
         this.path = this.worldPathWaypoints;
-        console.log("Path initialized with", this.path ? this.path.length : 0, "waypoints");
-
-        // Create path visualization
-        this.createPathVisualization();
-
-        // Add key bindings for debug mode
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'n' && this.game.debugMode) {
-                // Toggle navmesh visibility when in debug mode
-                this.pathfindingHelper.toggleNavMeshVisibility();
-            }
-        });
 
-        // Store a copy of the original grid for reset
-        this.originalGrid = this.grid.map(row => [...row]);
+        // Let the renderer build the 3D map and path line
+        this.game.events?.emit(GameEvents.MAP_RESET, { map: this });
+        this.game.events?.emit(GameEvents.PATH_CHANGED, { map: this });
 
-        console.log("Map initialization complete");
         return this.path;
     }
 
     async reset() {
-        console.log("Resetting map...");
-        // Reset the grid dimensions to original values
-        if (this.gridWidth !== this.originalGridWidth || this.gridHeight !== this.originalGridHeight) {
-            console.log(`Resetting grid dimensions from ${this.gridWidth}x${this.gridHeight} to ${this.originalGridWidth}x${this.originalGridHeight}`);
-            this.gridWidth = this.originalGridWidth;
-            this.gridHeight = this.originalGridHeight;
-        }
-
-        // Clear the current grid completely
-        this.grid = [];
-
-        // Reset the grid to its original state
-        if (this.originalGrid.length > 0) {
-            console.log("Restoring grid from original");
-            this.grid = this.originalGrid.map(row => [...row]);
-        } else {
-            // If we don't have an original grid, recreate it
-            console.log("Recreating grid data");
-            this.createGridData();
-        }
+        // Rebuild the grid from the layout (clears towers, picks up a new layout)
+        this.createGridData();
 
         // Clear any existing paths
         this.pathWaypoints = [];
@@ -103,29 +114,14 @@ export class Map {
         this.path = null;
 
         // Rebuild the pathfinding navmesh
-        console.log("Rebuilding navmesh");
         this.pathfindingHelper.buildNavMesh();
 
         // Recreate path waypoints
-        console.log("Recreating path waypoints");
         await this.recreatePathWaypoints();
 
-        // Check if we need to recreate the 3D map representation
-        if (!this.mapGroup || !this.game.renderer.scene.children.includes(this.mapGroup)) {
-            console.log("3D map representation missing, recreating...");
-            this.mapGroup = this.game.renderer.createMap(this.grid, {
-                width: this.gridWidth,
-                height: this.gridHeight
-            });
-
-            // Store for easy access
-            this.mapMesh = this.mapGroup;
+        // The renderer recreates the 3D map if it was removed from the scene
+        this.game.events?.emit(GameEvents.MAP_RESET, { map: this });
 
-            // Recreate path visualization
-            this.createPathVisualization();
-        }
-
-        console.log("Map reset complete. Path has", this.path ? this.path.length : 0, "waypoints");
         return this.path;
     }
 
@@ -136,19 +132,12 @@ export class Map {
         this.path = null;
 
         try {
-            // Use the center of the top row as start point
             const startPoint = this.getStartPoint();
-
-            // Use the center of the bottom row as end point
             const endPoint = this.getEndPoint();
 
-            console.log("Finding path from", startPoint, "to", endPoint);
-
             // Calculate path waypoints (in grid coordinates) using proper pathfinding
             this.pathWaypoints = await this.pathfindingHelper.findPath(startPoint, endPoint);
 
-            console.log("Recreated pathWaypoints:", this.pathWaypoints);
-
             if (!this.pathWaypoints || this.pathWaypoints.length === 0) {
                 console.error("Failed to create valid path with pathfinder - falling back to direct line");
                 // Fallback to simple direct path if pathfinding fails
@@ -163,10 +152,7 @@ export class Map {
             // Set the path property that the game uses for enemy movement
             this.path = this.worldPathWaypoints;
 
-            console.log("Recreated path with", this.path ? this.path.length : 0, "waypoints");
-
-            // Recreate path visualization if needed
-            this.createPathVisualization();
+            this.game.events?.emit(GameEvents.PATH_CHANGED, { map: this });
 
             return this.path;
         } catch (error) {
@@ -183,72 +169,50 @@ export class Map {
         }
     }
 
-    createGridData() {
-        // Make sure we're using the correct dimensions
-        const gridWidth = this.gridWidth;
-        const gridHeight = this.gridHeight;
-
-        // Clear the grid first to prevent duplication
-        this.grid = [];
-
-        // Initialize grid with all path cells (walkable)
-        for (let z = 0; z < gridHeight; z++) {
-            const row = [];
-            for (let x = 0; x < gridWidth; x++) {
-                // Make the entire map walkable (1)
-                row.push(1); // Everything is walkable by default
-            }
-            this.grid.push(row);
+    // Use a different layout from the next reset() on (null for the default map)
+    setLayout(layout) {
+        const errors = layout ? Map.validateLayout(layout) : [];
+        if (errors.length > 0) {
+            throw new Error(`Invalid map: ${errors.join(', ')}`);
         }
 
-        // Add all cells along the top as entry points (z=0)
-        for (let x = 0; x < gridWidth; x++) {
-            this.grid[0][x] = 1; // Mark as path
-        }
+        this.layout = layout ? JSON.parse(JSON.stringify(layout)) : Map.createDefaultLayout();
+    }
 
-        // Add all cells along the bottom as exit points (z=gridHeight-1)
-        for (let x = 0; x < gridWidth; x++) {
-            this.grid[gridHeight - 1][x] = 1; // Mark as path
-        }
+    createGridData() {
+        const layout = this.layout;
+        this.gridWidth = layout.width;
+        this.gridHeight = layout.height;
 
-        // Add restricted rows at the bottom (last 3 rows before the very bottom)
-        for (let z = gridHeight - 4; z < gridHeight - 1; z++) {
-            for (let x = 0; x < gridWidth; x++) {
-                // Set cells as path (1) but we'll prevent tower placement in the game logic
-                if (x > 0 && x < gridWidth - 1) {
-                    this.grid[z][x] = 1;
-                }
-            }
+        // Everything is walkable except the obstacles - towers are the other obstacles
+        this.grid = [];
+        for (let z = 0; z < this.gridHeight; z++) {
+            this.grid.push(new Array(this.gridWidth).fill(1));
         }
+        layout.obstacles.forEach(cell => {
+            this.grid[cell.z][cell.x] = 2;
+        });
 
-        // No obstacles - the field is now completely clear except for borders
-        // Towers will be the only obstacles
-
-        // Ensure there's at least one valid path from top to bottom
-        const startPoint = this.getStartPoint();
-        const endPoint = this.getEndPoint();
+        // Entries are listed row by row, left to right, so spawn patterns can pick sides
+        const byPosition = (a, b) => a.z - b.z || a.x - b.x;
+        this.entryPoints = layout.entries.map(cell => ({ x: cell.x, z: cell.z })).sort(byPosition);
+        this.exitPoints = layout.exits.map(cell => ({ x: cell.x, z: cell.z })).sort(byPosition);
+        this.noBuildCells = new Set(layout.noBuild.map(cell => `${cell.x},${cell.z}`));
 
         // Initialize pathfinding
         this.pathfindingHelper.buildNavMesh();
     }
 
     async createPathWaypoints() {
-        // Use the center of the top row as start point
-        const startPoint = { x: Math.floor(this.gridWidth / 2), z: 0 };
-
-        // Use the center of the bottom row as end point
-        const endPoint = { x: Math.floor(this.gridWidth / 2), z: this.gridHeight - 1 };
-
-        console.log("Finding path from", startPoint, "to", endPoint);
+        const startPoint = this.getStartPoint();
+        const endPoint = this.getEndPoint();
 
         // Calculate path waypoints (in grid coordinates)
         this.pathWaypoints = await this.pathfindingHelper.findPath(startPoint, endPoint);
 
-        console.log("Path finding complete, path length:", this.pathWaypoints ? this.pathWaypoints.length : 0);
-
         // If pathfinding failed, create a simple direct line
         if (!this.pathWaypoints || this.pathWaypoints.length === 0) {
-            console.warn("Pathfinding failed to create a valid path - using direct line fallback");
+            console.error("Pathfinding failed to create a valid path - using direct line fallback");
             this.pathWaypoints = [startPoint, endPoint];
         }
 
@@ -259,53 +223,68 @@ export class Map {
 
         // Explicitly set the path property that enemies use for movement
         this.path = this.worldPathWaypoints;
-        console.log("Created path with", this.path.length, "waypoints");
 
         return this.pathWaypoints;
     }
 
-    createPathVisualization() {
-        // Remove old visualization
-        if (this.pathVisualization) {
-            this.game.renderer.scene.remove(this.pathVisualization);
-            // Dispose of geometry and material to prevent memory leaks
-            if (this.pathVisualization.geometry) this.pathVisualization.geometry.dispose();
-            if (this.pathVisualization.material) this.pathVisualization.material.dispose();
-            this.pathVisualization = null;
-        }
+    getPathWaypoints() {
+        return this.pathWaypoints;
+    }
 
-        // Convert grid waypoints to world positions if not already converted
-        if (!this.worldPathWaypoints) {
-            this.worldPathWaypoints = this.pathWaypoints.map(point => {
-                return this.gridToWorld(point.x, point.z);
-            });
-        }
+    // Whether a tower may stand on a cell (ignoring what's on it now)
+    isBuildable(gridX, gridY) {
+        const key = `${gridX},${gridY}`;
+        return !this.noBuildCells.has(key) &&
+            !this.entryPoints.some(cell => cell.x === gridX && cell.z === gridY) &&
+            !this.exitPoints.some(cell => cell.x === gridX && cell.z === gridY);
+    }
+
+    // Ask EasyStar for a path between two cells of a grid. Returns a function so
+    // several checks on the same what-if grid share one pathfinder.
+    createPathCheck(grid) {
+        const pathfinder = new EasyStarPathfinding(this);
+        pathfinder.easystar.setGrid(grid);
+        pathfinder.easystar.setAcceptableTiles([1]);
+
+        return (from, to) => new Promise(resolve => {
+            pathfinder.easystar.findPath(
+                from.x, from.z,
+                to.x, to.z,
+                path => resolve(path !== null && path.length > 0)
+            );
+            pathfinder.easystar.calculate();
+        });
+    }
 
-        // For the minimalist design, we'll skip creating the actual visualization line
-        // This creates an empty object that can be toggled in debug mode but won't show anything
-        // Only when explicitly requested we'll create a visible line
-        if (this.game.debugMode) {
-            // Create a line to visualize the path
-            const points = this.worldPathWaypoints.map(p => {
-                return new THREE.Vector3(p.x, 0.2, p.z); // Slightly above ground
-            });
-
-            const geometry = new THREE.BufferGeometry().setFromPoints(points);
-            const material = new THREE.LineBasicMaterial({ color: 0xFFFF00, linewidth: 2 });
-
-            this.pathVisualization = new THREE.Line(geometry, material);
-            this.pathVisualization.visible = this.game.debugMode; // Only visible in debug mode
-            this.game.renderer.scene.add(this.pathVisualization);
-        } else {
-            // Create an empty group as a placeholder (won't be visible)
-            this.pathVisualization = new THREE.Group();
-            this.pathVisualization.visible = false;
-            this.game.renderer.scene.add(this.pathVisualization);
+    // Whether some exit can be reached from a cell, trying the closest exits first
+    async canReachExit(pathExists, cell) {
+        const exits = [...this.exitPoints].sort((a, b) =>
+            Math.hypot(a.x - cell.x, a.z - cell.z) - Math.hypot(b.x - cell.x, b.z - cell.z));
+
+        for (const exit of exits) {
+            if (await pathExists(cell, exit)) return true;
         }
+        return false;
     }
 
-    getPathWaypoints() {
-        return this.pathWaypoints;
+    // Entries with no way to any exit on a grid (the current one by default)
+    async findBlockedEntries(grid = this.grid) {
+        const pathExists = this.createPathCheck(grid);
+        const open = [];
+        const blocked = [];
+
+        for (const entry of this.entryPoints) {
+            // Entries are always walkable, so one next to an open entry is open too
+            const nextToOpen = open.some(cell => Math.abs(cell.x - entry.x) + Math.abs(cell.z - entry.z) === 1);
+
+            if (nextToOpen || await this.canReachExit(pathExists, entry)) {
+                open.push(entry);
+            } else {
+                blocked.push(entry);
+            }
+        }
+
+        return blocked;
     }
 
     async canPlaceTower(gridX, gridY) {
@@ -321,15 +300,9 @@ export class Map {
             return false;
         }
 
-        // Check if in entry or exit rows
-        if (gridY === 0 || gridY === this.gridHeight - 1) {
-            // console.log('Tower placement failed: Cannot place towers in entry/exit areas');
-            return false;
-        }
-
-        // Check if in restricted area (last 3 rows before the bottom)
-        if (gridY >= this.gridHeight - 4 && gridY < this.gridHeight - 1) {
-            // console.log('Tower placement failed: Cannot place towers in the restricted area (end zone)');
+        // Check if on an entry, exit or no-build cell
+        if (!this.isBuildable(gridX, gridY)) {
+            // console.log('Tower placement failed: Cannot place towers in entry/exit or no-build areas');
             return false;
         }
 
@@ -337,74 +310,19 @@ export class Map {
         const tempGrid = this.grid.map(row => [...row]);
         tempGrid[gridY][gridX] = 3; // Mark as tower temporarily
 
-        // If no enemies yet, only check for a path between any entry and exit
-        if (!this.game.enemies || this.game.enemies.length === 0) {
-            // Find a single entry and exit point for basic path check
-            const entryPoint = this.getStartPoint();
-            const exitPoint = this.getEndPoint();
-
-            if (!entryPoint || !exitPoint) {
-                // console.log('Tower placement failed: No entry or exit point found');
-                return false;
-            }
-
-            // Create a temporary EasyStar instance with the modified grid
-            const tempEasyStar = new this.pathfindingHelper.constructor(this);
-            tempEasyStar.easystar.setGrid(tempGrid);
-            tempEasyStar.easystar.setAcceptableTiles([1]);
-
-            // Check if a path exists from entry to exit
-            const pathExists = await new Promise(resolve => {
-                tempEasyStar.easystar.findPath(
-                    entryPoint.x, entryPoint.z,
-                    exitPoint.x, exitPoint.z,
-                    path => resolve(path !== null && path.length > 0)
-                );
-                tempEasyStar.easystar.calculate();
-            });
-
-            if (!pathExists) {
-                // console.log('Tower placement failed: No valid path from entry to exit');
-                return false;
-            }
-
-            return true;
+        // Every entry has to keep a way out
+        const blockedEntries = await this.findBlockedEntries(tempGrid);
+        if (blockedEntries.length > 0) {
+            // console.log('Tower placement failed: No valid path from entry to exit');
+            return false;
         }
 
-        // If there are enemies, check if this placement would block any enemy paths
-        const tempEasyStar = new this.pathfindingHelper.constructor(this);
-        tempEasyStar.easystar.setGrid(tempGrid);
-        tempEasyStar.easystar.setAcceptableTiles([1]);
-
-        // Only check active enemies that haven't reached the end
-        const activeEnemies = this.game.enemies.filter(enemy => !enemy.reachedEnd);
-
-        // If no active enemies, check a basic path
-        if (activeEnemies.length === 0) {
-            const entryPoint = this.getStartPoint();
-            const exitPoint = this.getEndPoint();
-
-            if (!entryPoint || !exitPoint) return true; // No need for a path if no enemies
-
-            const pathExists = await new Promise(resolve => {
-                tempEasyStar.easystar.findPath(
-                    entryPoint.x, entryPoint.z,
-                    exitPoint.x, exitPoint.z,
-                    path => resolve(path !== null && path.length > 0)
-                );
-                tempEasyStar.easystar.calculate();
-            });
-
-            if (!pathExists) {
-                // console.log('Tower placement failed: No valid path from entry to exit');
-                return false;
-            }
-
-            return true;
-        }
+        // Only check active walkers that haven't reached the end (flyers never need a path)
+        const activeEnemies = (this.game.enemies || []).filter(enemy => !enemy.reachedEnd && !enemy.flying);
+        if (activeEnemies.length === 0) return true;
 
-        // For active enemies, check if each can still reach the exit
-        const exitPoint = this.getEndPoint();
+        // For active enemies, check if each can still reach an exit
+        const pathExists = this.createPathCheck(tempGrid);
         let allEnemiesHavePaths = true;
 
         // Only check a sample of enemies to improve performance
@@ -412,45 +330,25 @@ export class Map {
         const enemiesToCheck = activeEnemies.slice(0, maxEnemiesToCheck);
 
         for (const enemy of enemiesToCheck) {
-            // Skip enemies that are too close to their target
-            if (enemy.reachedEnd) continue;
-
             // Get validated grid position for the enemy
             const enemyWorldPos = enemy.ensurePositionInBounds ?
                 enemy.ensurePositionInBounds() : enemy.position;
             const enemyGridPos = this.worldToGrid(enemyWorldPos.x, enemyWorldPos.z);
 
-            // Skip if enemy is at or very near the exit
-            if (Math.abs(enemyGridPos.x - exitPoint.x) <= 1 &&
-                Math.abs(enemyGridPos.y - exitPoint.z) <= 1) {
-                continue;
-            }
-
-            // Make sure enemy position is valid for pathfinding
-            if (enemyGridPos.x < 0 || enemyGridPos.x >= this.gridWidth ||
-                enemyGridPos.y < 0 || enemyGridPos.y >= this.gridHeight) {
-                // console.log('Tower placement: Enemy position out of bounds', enemyGridPos);
-                continue; // Skip this enemy
-            }
+            // Skip if enemy is at or very near an exit
+            const nearExit = this.exitPoints.some(exit =>
+                Math.abs(enemyGridPos.x - exit.x) <= 1 && Math.abs(enemyGridPos.y - exit.z) <= 1);
+            if (nearExit) continue;
 
-            // Check if there's a path from the enemy to the exit
-            const pathExists = await new Promise(resolve => {
-                tempEasyStar.easystar.findPath(
-                    enemyGridPos.x, enemyGridPos.y,
-                    exitPoint.x, exitPoint.z,
-                    path => resolve(path !== null && path.length > 0)
-                );
-                tempEasyStar.easystar.calculate();
-            });
-
-            if (!pathExists) {
+            // Check if there's a path from the enemy to an exit
+            if (!await this.canReachExit(pathExists, { x: enemyGridPos.x, z: enemyGridPos.y })) {
                 // console.log('Tower placement failed: Would block enemy path to exit');
                 allEnemiesHavePaths = false;
                 break;
             }
         }
 
-        return allEnemiesHavePaths; // Allow placement if all enemies can still reach the exit
+        return allEnemiesHavePaths; // Allow placement if all enemies can still reach an exit
     }
 
     placeTower(gridX, gridY) {
@@ -459,22 +357,10 @@ export class Map {
 
         // Update the pathfinding grid
         this.pathfindingHelper.updateGrid();
-
-        // Force all enemies to recalculate their paths
-        if (this.game.enemies) {
-            // Clear the path cache since the grid has changed
-            if (typeof this.game.clearPathCache === 'function') {
-                this.game.clearPathCache();
-            }
-
-            // Mark last path update time to force recalculation for all enemies
-            this.game.lastPathUpdate = performance.now();
-        }
     }
 
     removeTower(gridX, gridY) {
         // Find the tower at this grid position
-        const worldPos = this.gridToWorld(gridX, gridY);
         const towersAtPosition = this.game.towers.filter(tower =>
             tower.gridPosition &&
             tower.gridPosition.gridX === gridX &&
@@ -483,28 +369,17 @@ export class Map {
 
         // Remove the tower if found
         for (const tower of towersAtPosition) {
-            // Call the tower cleanup method
-            if (tower.cleanup) {
-                tower.cleanup();
-            } else if (tower.towerInstance) {
-                this.game.renderer.removeTower(tower.towerInstance);
-            } else if (tower.mesh) {
-                // Fallback for compatibility with old tower system
-                this.game.renderer.scene.remove(tower.mesh);
-            }
-
-            // Remove from the game's towers array
-            const index = this.game.towers.indexOf(tower);
-            if (index !== -1) {
-                this.game.towers.splice(index, 1);
-            }
+            this.game.removeTower(tower);
         }
 
         // Mark cell as walkable again
         this.grid[gridY][gridX] = 1;
 
+        // Update the pathfinding grid
+        this.pathfindingHelper.updateGrid();
+
         // Recalculate path
-        this.updatePathfinding();
+        return this.updatePathfinding();
     }
 
     async updatePathfinding() {
@@ -520,26 +395,32 @@ export class Map {
             return this.gridToWorld(point.x, point.z);
         });
 
-        // Update path visualization
-        if (this.pathVisualization) {
-            this.game.renderer.scene.remove(this.pathVisualization);
-        }
-
-        // Create new path visualization
-        this.createPathVisualization();
+        this.game.events?.emit(GameEvents.PATH_CHANGED, { map: this });
+    }
 
-        // Force path recalculation for all enemies
-        if (this.game.enemies) {
-            // Clear path cache
-            if (typeof this.game.clearPathCache === 'function') {
-                this.game.clearPathCache();
-            }
+    // Grid snapshot for saved runs
+    serialize() {
+        return {
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            layout: this.layout,
+            grid: this.grid.map(row => [...row])
+        };
+    }
 
-            // Mark last path update time to force recalculation for all enemies
-            if (this.game.lastPathUpdate !== undefined) {
-                this.game.lastPathUpdate = performance.now();
-            }
+    // Restore a grid saved with serialize() and rebuild the enemy path. Returns false and
+    // keeps the current map when the save doesn't match the grid size.
+    // The saved layout has to be set (see Game.start) before the map is reset.
+    async restore(data) {
+        if (!data || data.gridWidth !== this.gridWidth || data.gridHeight !== this.gridHeight) {
+            return false;
         }
+
+        this.grid = data.grid.map(row => [...row]);
+        this.pathfindingHelper.updateGrid();
+        await this.updatePathfinding();
+
+        return true;
     }
 
     gridToWorld(gridX, gridZ) {
@@ -556,25 +437,42 @@ export class Map {
         const gridX = Math.floor(worldX + this.gridWidth / 2);
         const gridZ = Math.floor(worldZ + this.gridHeight / 2);
 
-        // Ensure coordinates are within bounds
+        // Clamp positions off the edge of the map to the nearest cell
         const boundedX = Math.max(0, Math.min(this.gridWidth - 1, gridX));
         const boundedZ = Math.max(0, Math.min(this.gridHeight - 1, gridZ));
 
-        // If coordinates were clamped, log a warning
-        if (boundedX !== gridX || boundedZ !== gridZ) {
-            console.log(`worldToGrid: Coordinates out of bounds - clamping (${gridX},${gridZ}) to (${boundedX},${boundedZ})`);
-        }
-
         return { x: boundedX, y: boundedZ }; // Note: y is used for the z coordinate in grid space
     }
 
+    getEntryPoints() {
+        return this.entryPoints;
+    }
+
+    getExitPoints() {
+        return this.exitPoints;
+    }
+
+    // Whether a world position has made it into an exit cell (or right up to it
+    // from the side it's entered from)
+    isAtExit(position) {
+        return this.exitPoints.some(exit => {
+            const center = this.gridToWorld(exit.x, exit.z);
+            const dx = Math.abs(position.x - center.x);
+            const dz = Math.abs(position.z - center.z);
+
+            return (dx <= 0.5 && dz < 1) || (dz <= 0.5 && dx < 1);
+        });
+    }
+
     getStartPoint() {
-        // Use center point of top row
-        return { x: Math.floor(this.gridWidth / 2), z: 0 };
+        // Use the middle entry (center of the top row on the default map)
+        const entry = this.entryPoints[Math.floor(this.entryPoints.length / 2)];
+        return entry ? { ...entry } : { x: Math.floor(this.gridWidth / 2), z: 0 };
     }
 
     getEndPoint() {
-        // Use center point of bottom row
-        return { x: Math.floor(this.gridWidth / 2), z: this.gridHeight - 1 };
+        // Use the middle exit (center of the bottom row on the default map)
+        const exit = this.exitPoints[Math.floor(this.exitPoints.length / 2)];
+        return exit ? { ...exit } : { x: Math.floor(this.gridWidth / 2), z: this.gridHeight - 1 };
     }
 }
\ No newline at end of file
@@ -0,0 +1,332 @@
+import { Map as GameMap, MAP_MIN_SIZE, MAP_MAX_SIZE } from './map.js';
+
+// What a cell can be painted as, and how it's drawn in the editor
+const MapTools = {
+    ground: { label: 'Ground', color: '#1a6b30' },
+    obstacle: { label: 'Obstacle', color: '#5b5f66' },
+    noBuild: { label: 'No Build', color: '#a8503f' },
+    entry: { label: 'Entry', color: '#4169E1' },
+    exit: { label: 'Exit', color: '#9932CC' }
+};
+
+const MAX_CANVAS_WIDTH = 520;
+const MAX_CANVAS_HEIGHT = 420;
+
+// Pre-game map editor: paint obstacles, no-build zones, entries and exits, check
+// that enemies can get through and pick the map single-player runs are played on
+export class MapEditor {
+    constructor(game) {
+        this.game = game;
+        this.name = '';
+        this.cells = []; // cells[z][x] is one of the MapTools keys
+        this.tool = 'obstacle';
+        this.painting = false;
+        this.blockedEntries = []; // Entries the last check found no way out from
+
+        this.screen = document.getElementById('map-editor-screen');
+        if (!this.screen) return;
+
+        this.canvas = document.getElementById('map-editor-canvas');
+        this.context = this.canvas.getContext('2d');
+
+        this.setupTools();
+        this.setupControls();
+    }
+
+    open() {
+        this.load(this.game.loadCustomMap() || GameMap.createDefaultLayout());
+
+        document.getElementById('start-screen').classList.add('hidden');
+        this.screen.classList.remove('hidden');
+    }
+
+    close() {
+        this.screen.classList.add('hidden');
+        document.getElementById('start-screen').classList.remove('hidden');
+    }
+
+    get width() {
+        return this.cells[0].length;
+    }
+
+    get height() {
+        return this.cells.length;
+    }
+
+    // Paint a layout into the editor's cells
+    load(layout) {
+        this.name = layout.name || '';
+        this.cells = [];
+        for (let z = 0; z < layout.height; z++) {
+            this.cells.push(new Array(layout.width).fill('ground'));
+        }
+
+        const paint = kind => cell => {
+            this.cells[cell.z][cell.x] = kind;
+        };
+        layout.noBuild.forEach(paint('noBuild'));
+        layout.obstacles.forEach(paint('obstacle'));
+        layout.entries.forEach(paint('entry'));
+        layout.exits.forEach(paint('exit'));
+
+        this.blockedEntries = [];
+        this.render();
+        this.setStatus(this.describeActiveMap());
+    }
+
+    // The editor's cells as a layout (see Map.createDefaultLayout)
+    toLayout() {
+        const layout = {
+            width: this.width,
+            height: this.height,
+            obstacles: [],
+            noBuild: [],
+            entries: [],
+            exits: []
+        };
+        const lists = { obstacle: 'obstacles', noBuild: 'noBuild', entry: 'entries', exit: 'exits' };
+
+        this.cells.forEach((row, z) => row.forEach((kind, x) => {
+            if (lists[kind]) layout[lists[kind]].push({ x, z });
+        }));
+
+        const name = this.name.trim();
+        return name ? { name, ...layout } : layout;
+    }
+
+    // Keep what fits when the map is resized; new cells are ground
+    resize(width, height) {
+        const clamp = value => Math.max(MAP_MIN_SIZE, Math.min(MAP_MAX_SIZE, value || 0));
+        width = clamp(width);
+        height = clamp(height);
+
+        this.cells = Array.from({ length: height }, (_, z) =>
+            Array.from({ length: width }, (_, x) => (this.cells[z] && this.cells[z][x]) || 'ground'));
+
+        this.afterEdit();
+    }
+
+    setupTools() {
+        const tools = document.getElementById('map-editor-tools');
+
+        Object.entries(MapTools).forEach(([tool, { label, color }]) => {
+            const button = document.createElement('button');
+            button.className = 'map-editor-tool secondary-button';
+            button.dataset.tool = tool;
+            button.style.borderLeftColor = color;
+            button.textContent = label;
+            button.classList.toggle('active', tool === this.tool);
+            button.addEventListener('click', () => {
+                this.tool = tool;
+                tools.querySelectorAll('.map-editor-tool').forEach(other =>
+                    other.classList.toggle('active', other === button));
+            });
+            tools.appendChild(button);
+        });
+    }
+
+    setupControls() {
+        // Paint with the mouse or a finger, dragging across cells
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.painting = true;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.paintAt(e);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.painting) this.paintAt(e);
+        });
+        this.canvas.addEventListener('pointerup', () => {
+            this.painting = false;
+        });
+
+        document.getElementById('map-name-input').addEventListener('change', (e) => {
+            this.name = e.target.value;
+        });
+        document.getElementById('map-width-input').addEventListener('change', (e) => {
+            this.resize(parseInt(e.target.value, 10), this.height);
+        });
+        document.getElementById('map-height-input').addEventListener('change', (e) => {
+            this.resize(this.width, parseInt(e.target.value, 10));
+        });
+
+        document.getElementById('map-validate-button').addEventListener('click', () => {
+            this.validate();
+        });
+        document.getElementById('map-export-button').addEventListener('click', () => {
+            this.exportMap();
+        });
+        document.getElementById('map-import-button').addEventListener('click', () => {
+            this.importMap();
+        });
+        document.getElementById('map-default-button').addEventListener('click', () => {
+            this.load(GameMap.createDefaultLayout());
+        });
+
+        document.getElementById('use-map-button').addEventListener('click', async () => {
+            if (!await this.validate()) return;
+
+            // The default map is stored as no custom map, so its runs stay ranked
+            const layout = this.toLayout();
+            const isDefault = JSON.stringify({ ...layout, name: undefined }) ===
+                JSON.stringify(GameMap.createDefaultLayout());
+            this.game.saveCustomMap(isDefault ? null : layout);
+            this.setStatus(this.describeActiveMap());
+        });
+
+        document.getElementById('map-editor-back-button').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    paintAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.floor((event.clientX - rect.left) / rect.width * this.width);
+        const z = Math.floor((event.clientY - rect.top) / rect.height * this.height);
+        if (x < 0 || x >= this.width || z < 0 || z >= this.height) return;
+        if (this.cells[z][x] === this.tool) return;
+
+        this.cells[z][x] = this.tool;
+        this.afterEdit();
+    }
+
+    afterEdit() {
+        this.blockedEntries = [];
+        this.render();
+        this.setStatus('');
+    }
+
+    // Check the layout's shape, then ask the pathfinder whether every entry reaches an exit
+    async validate() {
+        const layout = this.toLayout();
+        const errors = GameMap.validateLayout(layout);
+
+        if (errors.length === 0) {
+            const map = new GameMap({ enemies: [] });
+            map.setLayout(layout);
+            map.createGridData();
+
+            this.blockedEntries = await map.findBlockedEntries();
+            if (this.blockedEntries.length > 0) {
+                errors.push(`${this.blockedEntries.length} entr${this.blockedEntries.length === 1 ? 'y has' : 'ies have'} no path to an exit`);
+            }
+        }
+
+        this.render();
+        if (errors.length > 0) {
+            this.setStatus(errors.join('. '), true);
+            return false;
+        }
+
+        this.setStatus(`Map is playable: ${layout.entries.length} entries, ${layout.exits.length} exits`);
+        return true;
+    }
+
+    describeActiveMap() {
+        const active = this.game.loadCustomMap();
+        if (!active) return 'Single-player runs use the default map';
+        return `Single-player runs use ${active.name ? `"${active.name}"` : 'a custom map'} (not ranked)`;
+    }
+
+    setStatus(message, isError = false) {
+        const status = document.getElementById('map-editor-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    exportMap() {
+        const layout = this.toLayout();
+        const fileName = (layout.name || 'map').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+        // Create a data URL for the map
+        const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(layout, null, 2));
+
+        // Create download link
+        const downloadLink = document.createElement('a');
+        downloadLink.setAttribute("href", dataStr);
+        downloadLink.setAttribute("download", `${fileName}.json`);
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+    }
+
+    importMap() {
+        // Create a file input element
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json';
+        fileInput.style.display = 'none';
+
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const layout = JSON.parse(e.target.result);
+                    const errors = GameMap.validateLayout(layout);
+                    if (errors.length > 0) {
+                        alert(`Error importing map: ${errors.join(', ')}`);
+                        return;
+                    }
+
+                    this.load(layout);
+                    this.validate();
+                } catch (error) {
+                    console.error('Error importing map:', error);
+                    alert('Error importing map. Please check the file format.');
+                }
+            };
+
+            reader.readAsText(file);
+            document.body.removeChild(fileInput);
+        });
+
+        document.body.appendChild(fileInput);
+        fileInput.click();
+    }
+
+    render() {
+        document.getElementById('map-name-input').value = this.name;
+        document.getElementById('map-width-input').value = this.width;
+        document.getElementById('map-height-input').value = this.height;
+
+        const cellSize = Math.max(8, Math.floor(Math.min(MAX_CANVAS_WIDTH / this.width, MAX_CANVAS_HEIGHT / this.height)));
+        this.canvas.width = this.width * cellSize;
+        this.canvas.height = this.height * cellSize;
+
+        const ctx = this.context;
+        this.cells.forEach((row, z) => row.forEach((kind, x) => {
+            ctx.fillStyle = MapTools[kind].color;
+            ctx.fillRect(x * cellSize, z * cellSize, cellSize, cellSize);
+        }));
+
+        // Grid lines
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.lineWidth = 1;
+        for (let x = 0; x <= this.width; x++) {
+            ctx.beginPath();
+            ctx.moveTo(x * cellSize + 0.5, 0);
+            ctx.lineTo(x * cellSize + 0.5, this.canvas.height);
+            ctx.stroke();
+        }
+        for (let z = 0; z <= this.height; z++) {
+            ctx.beginPath();
+            ctx.moveTo(0, z * cellSize + 0.5);
+            ctx.lineTo(this.canvas.width, z * cellSize + 0.5);
+            ctx.stroke();
+        }
+
+        // Cross out entries the last check found blocked
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        this.blockedEntries.forEach(({ x, z }) => {
+            ctx.beginPath();
+            ctx.moveTo(x * cellSize + 2, z * cellSize + 2);
+            ctx.lineTo((x + 1) * cellSize - 2, (z + 1) * cellSize - 2);
+            ctx.moveTo((x + 1) * cellSize - 2, z * cellSize + 2);
+            ctx.lineTo(x * cellSize + 2, (z + 1) * cellSize - 2);
+            ctx.stroke();
+        });
+    }
+}
@@ -0,0 +1,199 @@
+// Multiplayer client for the server's WebSocket (/ws)
+// Each player runs their own simulation of the match seed. In versus the server
+// relays enemy cards and decides who won; in co-op it owns the shared grid, so
+// tower placements are only applied once the server accepts them.
+
+export const MatchModes = {
+    VERSUS: 'versus',
+    COOP: 'coop'
+};
+
+export class MultiplayerClient {
+    constructor(game) {
+        this.game = game;
+        this.socket = null;
+        this.mode = null;
+        this.playerId = null; // Our id in the match (tower owner in co-op)
+        this.otherPlayer = null; // Opponent's / partner's username once matched
+        this.otherStatus = null; // Last { lives, wave, score, finished } reported by the other player
+        this.otherLeft = false; // Co-op partner disconnected (the match goes on)
+        this.result = null; // { winner, youWon, draw, reason } once the server ends the match
+        this.lastStatus = null;
+
+        // Co-op placements waiting for the server, by request id
+        this.pendingPlacements = {};
+        this.nextRequestId = 1;
+
+        // Set by the start menu
+        this.onWaiting = null;
+        this.onMatchStart = null; // ({ seed, otherPlayer, mode }) => void
+        this.onDisconnect = null; // Connection lost before a match started
+    }
+
+    get inMatch() {
+        return !!this.otherPlayer && !this.result;
+    }
+
+    get isCoop() {
+        return this.mode === MatchModes.COOP;
+    }
+
+    connect(mode, username) {
+        this.leave();
+
+        this.mode = mode;
+        this.playerId = null;
+        this.otherPlayer = null;
+        this.otherStatus = null;
+        this.otherLeft = false;
+        this.result = null;
+        this.lastStatus = null;
+
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        const socket = new WebSocket(`${protocol}://${window.location.host}/ws`);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.send({ type: 'join', mode, username });
+        });
+        socket.addEventListener('message', (event) => {
+            try {
+                this.handleMessage(JSON.parse(event.data));
+            } catch (err) {
+                console.error('Bad multiplayer message:', err);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket === socket) {
+                this.handleClose();
+            }
+        });
+    }
+
+    // Close the connection (leaves the queue, or the running match)
+    leave() {
+        this.rejectPendingPlacements();
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'waiting':
+                this.onWaiting?.();
+                break;
+
+            case 'matchStart':
+                this.playerId = message.playerId;
+                this.otherPlayer = message.otherPlayer;
+                this.onMatchStart?.(message);
+                break;
+
+            case 'otherStatus':
+                this.otherStatus = {
+                    lives: message.lives,
+                    wave: message.wave,
+                    score: message.score,
+                    finished: message.finished
+                };
+                this.game.ui?.updateMatchPanel();
+                break;
+
+            case 'otherLeft':
+                this.otherLeft = true;
+                this.game.ui?.updateMatchPanel();
+                this.game.ui?.showMatchMessage(`${this.otherPlayer} left - keep defending!`);
+                break;
+
+            case 'incomingEnemy':
+                this.game.queueSentEnemy(message.cardId, message.from);
+                break;
+
+            case 'placementResult': {
+                const resolve = this.pendingPlacements[message.requestId];
+                delete this.pendingPlacements[message.requestId];
+                resolve?.(message.ok);
+                break;
+            }
+
+            case 'towerPlaced':
+                this.game.placePartnerTower(message);
+                break;
+
+            case 'towerAction':
+                this.game.applyPartnerTowerAction(message);
+                break;
+
+            case 'matchOver':
+                this.result = message;
+                this.leave();
+                this.game.onMatchOver(this.result);
+                break;
+        }
+    }
+
+    handleClose() {
+        this.socket = null;
+        this.rejectPendingPlacements();
+
+        if (this.inMatch) {
+            // Lost the connection mid-match
+            this.result = { winner: null, youWon: false, draw: false, reason: 'disconnected' };
+            this.game.onMatchOver(this.result);
+        } else if (!this.otherPlayer) {
+            this.onDisconnect?.();
+        }
+    }
+
+    sendEnemyCard(cardId) {
+        this.send({ type: 'enemyCard', cardId });
+    }
+
+    // Ask the server for a cell on the shared co-op grid. Resolves true if the
+    // tower can be placed; the partner is told about it by the server.
+    // The request stays pending until the server answers (it always does while
+    // connected), so a slow answer can't leave us out of step with the shared grid.
+    // Losing the connection rejects it, and the match ends with it.
+    requestPlacement(gridX, gridY, { towerType, cardId = null }) {
+        if (!this.inMatch) return Promise.resolve(false);
+
+        const requestId = this.nextRequestId++;
+        return new Promise(resolve => {
+            this.pendingPlacements[requestId] = resolve;
+            this.send({ type: 'placeTower', requestId, gridX, gridY, towerType, cardId });
+        });
+    }
+
+    rejectPendingPlacements() {
+        Object.values(this.pendingPlacements).forEach(resolve => resolve(false));
+        this.pendingPlacements = {};
+    }
+
+    // Share a sell / upgrade / targeting change of one of our co-op towers
+    sendTowerAction(action, { gridX, gridY, mode }) {
+        this.send({ type: 'towerAction', action, gridX, gridY, mode });
+    }
+
+    // Report lives and wave to the server (only when they change)
+    sendStatus({ lives, wave, score }) {
+        if (!this.inMatch) return;
+        if (this.lastStatus && this.lastStatus.lives === lives && this.lastStatus.wave === wave) return;
+
+        this.lastStatus = { lives, wave, score };
+        this.send({ type: 'status', lives, wave, score });
+    }
+
+    // Cleared every wave: the server decides once the other player is done too
+    sendFinished({ lives, wave, score }) {
+        this.send({ type: 'finished', lives, wave, score });
+    }
+}
@@ -1,5 +1,11 @@
 import { Deck } from './cards.js';
 
+// localStorage key for the player's profile (decks and stats) between runs.
+// The server copy is authoritative; this one is the offline fallback.
+const PROFILE_STORAGE_KEY = 'playerProfile';
+// localStorage key for the id of the player's profile on the server
+const PROFILE_ID_STORAGE_KEY = 'playerProfileId';
+
 // Player class for managing player data, inventory, and collection
 export class Player {
     constructor(id, username) {
@@ -39,6 +45,21 @@ export class Player {
         return this.decks[this.currentDeckIndex] || null;
     }
 
+    removeDeck(index) {
+        const deck = this.decks[index];
+        if (!deck || deck.locked) return false;
+
+        this.decks.splice(index, 1);
+
+        // Keep pointing at the same deck, or fall back to the first one
+        if (this.currentDeckIndex === index) {
+            this.currentDeckIndex = 0;
+        } else if (this.currentDeckIndex > index) {
+            this.currentDeckIndex--;
+        }
+        return true;
+    }
+
     addCardToCollection(cardId) {
         this.collection.push(cardId);
     }
@@ -47,19 +68,23 @@ export class Player {
         return this.collection.includes(cardId);
     }
 
+    // Simple leveling formula: 100 * current level XP to level up
+    getXpToNextLevel() {
+        return 100 * this.level;
+    }
+
+    // Add XP, levelling up as many times as it covers. Returns the number of levels gained.
     addXp(amount) {
         this.xp += amount;
-        
-        // Simple leveling formula: 100 * current level XP to level up
-        const xpToNextLevel = 100 * this.level;
-        
-        if (this.xp >= xpToNextLevel) {
-            this.xp -= xpToNextLevel;
+
+        let levelsGained = 0;
+        while (this.xp >= this.getXpToNextLevel()) {
+            this.xp -= this.getXpToNextLevel();
             this.level++;
-            return true; // Return true if leveled up
+            levelsGained++;
         }
-        
-        return false;
+
+        return levelsGained;
     }
 
     addGold(amount) {
@@ -106,6 +131,7 @@ export class Player {
             currentDeckIndex: this.currentDeckIndex,
             decks: this.decks.map(deck => ({
                 name: deck.name,
+                locked: deck.locked,
                 towerCards: deck.towerCards.map(card => card.id),
                 spellCards: deck.spellCards.map(card => card.id),
                 enemyCards: deck.enemyCards.map(card => card.id)
@@ -127,6 +153,7 @@ export class Player {
         // Reconstruct decks
         data.decks.forEach(deckData => {
             const deck = new Deck(deckData.name);
+            deck.locked = !!deckData.locked;
             
             // Add tower cards
             deckData.towerCards.forEach(cardId => {
@@ -151,4 +178,161 @@ export class Player {
 
         return player;
     }
+
+    // New player with just the starter deck
+    static createDefault(id, username, cardCatalog) {
+        const player = new Player(id, username);
+        player.addDeck(Deck.createStarterDeck(cardCatalog));
+        return player;
+    }
+
+    // Played decks must stay valid; fall back to the starter deck otherwise
+    ensurePlayableDeck() {
+        const deck = this.getCurrentDeck();
+        if (!deck || deck.validate().length > 0) {
+            this.currentDeckIndex = 0;
+        }
+    }
+
+    // Load the profile from the server, then the local copy, then start a new one
+    static async loadOrCreate(cardCatalog, username) {
+        const player = await Player.fetchProfile(cardCatalog, username) ||
+            Player.loadProfile(cardCatalog) ||
+            Player.createDefault('player1', username, cardCatalog);
+
+        if (player.username !== username) {
+            player.username = username;
+            player.saveProfile();
+        }
+        return player;
+    }
+
+    // Load the locally saved profile, or null if there is none
+    static loadProfile(cardCatalog) {
+        try {
+            const data = localStorage.getItem(PROFILE_STORAGE_KEY);
+            if (!data) return null;
+
+            const player = Player.deserialize(JSON.parse(data), cardCatalog);
+            if (player.decks.length === 0) return null;
+
+            player.ensurePlayableDeck();
+            return player;
+        } catch (err) {
+            console.error('Failed to load player profile:', err);
+            return null;
+        }
+    }
+
+    // Fetch the profile from the server, creating it there on first use.
+    // Resolves to null when the server can't be reached.
+    static async fetchProfile(cardCatalog, username) {
+        try {
+            const profileId = localStorage.getItem(PROFILE_ID_STORAGE_KEY);
+            if (profileId) {
+                const response = await fetch(`/api/players/${encodeURIComponent(profileId)}`);
+                if (response.ok) {
+                    return Player.fromServer(await response.json(), cardCatalog);
+                }
+                if (response.status !== 404) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+            }
+
+            // No profile on the server yet: upload the local one so offline decks carry over
+            const local = Player.loadProfile(cardCatalog) || Player.createDefault(null, username, cardCatalog);
+            const { decks, currentDeckIndex } = local.serialize();
+            const response = await fetch('/api/players', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ username, decks, currentDeckIndex })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            localStorage.setItem(PROFILE_ID_STORAGE_KEY, data.id);
+            return Player.fromServer(data, cardCatalog);
+        } catch (err) {
+            console.error('Failed to load player profile from server:', err);
+            return null;
+        }
+    }
+
+    static fromServer(data, cardCatalog) {
+        const player = Player.deserialize(data, cardCatalog);
+        player.ensurePlayableDeck();
+        player.saveLocalProfile();
+        return player;
+    }
+
+    // Save locally and push the editable parts (name, decks) to the server
+    saveProfile() {
+        this.saveLocalProfile();
+        this.syncProfile();
+    }
+
+    saveLocalProfile() {
+        try {
+            localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(this.serialize()));
+            return true;
+        } catch (err) {
+            console.error('Failed to save player profile:', err);
+            return false;
+        }
+    }
+
+    async syncProfile() {
+        const profileId = localStorage.getItem(PROFILE_ID_STORAGE_KEY);
+        if (!profileId) return false;
+
+        try {
+            const { username, decks, currentDeckIndex } = this.serialize();
+            const response = await fetch(`/api/players/${encodeURIComponent(profileId)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ username, decks, currentDeckIndex })
+            });
+            return response.ok;
+        } catch (err) {
+            console.error('Failed to sync player profile:', err);
+            return false;
+        }
+    }
+
+    // Report a finished run; the server updates stats and awards XP.
+    // Resolves to { xpGained, levelsGained } or null when offline.
+    async recordRunResult(result) {
+        const profileId = localStorage.getItem(PROFILE_ID_STORAGE_KEY);
+        if (!profileId) return null;
+
+        try {
+            const response = await fetch(`/api/players/${encodeURIComponent(profileId)}/results`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(result)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const { xpGained, levelsGained, profile } = await response.json();
+            this.level = profile.level;
+            this.xp = profile.xp;
+            this.stats = { ...profile.stats };
+            this.saveLocalProfile();
+
+            return { xpGained, levelsGained };
+        } catch (err) {
+            console.error('Failed to record run result:', err);
+            return null;
+        }
+    }
 }
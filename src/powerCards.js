@@ -1,115 +1,73 @@
 import * as THREE from 'three';
+import { GameEvents } from './simulation/events.js';
 
+// Visuals for power cards and spells. The gameplay side (cooldowns, damage,
+// heroes) lives in the simulation's PowerCardState; this follows its events.
 export class PowerCards {
     constructor(game) {
         this.game = game;
         this.activeEffects = [];
+        this.heroMeshes = new Map(); // hero -> mesh
 
-        // Power card cooldowns
-        this.cooldowns = {
-            meteor: false,
-            freeze: false,
-            hero: false,
-            gold: false,
-            empower: false
-        };
+        this.subscribeToSimulation(game.events);
+    }
 
-        // Cooldown times in milliseconds
-        this.cooldownTimes = {
-            meteor: 45000,   // 45 seconds
-            freeze: 60000,   // 60 seconds
-            hero: 90000,     // 90 seconds
-            gold: 30000,     // 30 seconds
-            empower: 75000   // 75 seconds
-        };
+    subscribeToSimulation(events) {
+        events.on(GameEvents.POWER_CARD_ACTIVATED, ({ cardType }) => {
+            switch (cardType) {
+                case 'freeze':
+                    // Center of the map
+                    this.activeEffects.push(this.createFreezeEffect({ x: 0, y: 0, z: 0 }));
+                    break;
+                case 'gold':
+                    this.activeEffects.push(this.game.renderer.createSpecialEffect('goldRush', { x: 0, y: 1, z: 0 }));
+                    break;
+                case 'empower':
+                    this.activeEffects.push(this.game.renderer.createSpecialEffect('empower', { x: 0, y: 0, z: 0 }));
+                    break;
+            }
+        });
+
+        events.on(GameEvents.METEOR_LAUNCHED, ({ position }) => {
+            this.activeEffects.push(this.createMeteorEffect(position));
+        });
+
+        events.on(GameEvents.DRAIN_ZONE_CREATED, ({ position, duration }) => {
+            this.activeEffects.push(this.createDrainEffect(position, duration));
+        });
+
+        events.on(GameEvents.HERO_SUMMONED, ({ hero }) => this.createHeroMesh(hero));
+        events.on(GameEvents.HERO_REMOVED, ({ hero }) => {
+            const heroMesh = this.heroMeshes.get(hero);
+            if (heroMesh) {
+                this.game.renderer.scene.remove(heroMesh);
+                this.heroMeshes.delete(hero);
+            }
+        });
     }
 
-    update(deltaTime) {
+    update() {
         // Update active effects
         for (let i = this.activeEffects.length - 1; i >= 0; i--) {
             const effect = this.activeEffects[i];
-            const completed = effect.update(performance.now());
+            const completed = effect.update(this.game.clock.now());
 
             if (completed) {
                 this.activeEffects.splice(i, 1);
             }
         }
-    }
-
-    activate(cardType) {
-        // Check cooldown
-        if (this.cooldowns[cardType]) {
-            return false;
-        }
-
-        // Activate card effect
-        switch (cardType) {
-            case 'meteor':
-                this.activateMeteorStrike();
-                break;
-            case 'freeze':
-                this.activateFreezeWave();
-                break;
-            case 'hero':
-                this.activateSummonHero();
-                break;
-            case 'gold':
-                this.activateGoldRush();
-                break;
-            case 'empower':
-                this.activateTowerEmpowerment();
-                break;
-            default:
-                return false;
-        }
 
-        // Start cooldown
-        this.startCooldown(cardType);
-
-        return true;
-    }
-
-    startCooldown(cardType) {
-        this.cooldowns[cardType] = true;
-
-        // Reset cooldown after time
-        setTimeout(() => {
-            this.cooldowns[cardType] = false;
-        }, this.cooldownTimes[cardType]);
+        // Heroes walk toward enemies
+        this.heroMeshes.forEach((heroMesh, hero) => {
+            heroMesh.position.set(hero.position.x, heroMesh.position.y, hero.position.z);
+        });
     }
 
-    activateMeteorStrike() {
-        const numberOfMeteors = 3;
-        const staggerDelay = 300; // ms between each meteor
-        const spreadRadius = 2.0; // How far meteors can spread from the center target
-
-        // Target the initial impact zone
-        const initialTargetPosition = this.findBestMeteorTarget();
-
-        for (let i = 0; i < numberOfMeteors; i++) {
-            const launchDelay = i * staggerDelay;
-
-            // Calculate slightly randomized position for this meteor
-            const randomOffsetX = (Math.random() - 0.5) * spreadRadius * 2;
-            const randomOffsetZ = (Math.random() - 0.5) * spreadRadius * 2;
-            const currentMeteorPos = {
-                x: initialTargetPosition.x + randomOffsetX,
-                y: initialTargetPosition.y, // Keep Y the same for ground impact
-                z: initialTargetPosition.z + randomOffsetZ
-            };
-
-            // Schedule the launch of this meteor
-            setTimeout(() => {
-                // Create meteor strike visual effect
-                const meteorEffect = this.createMeteorEffect(currentMeteorPos);
-                this.activeEffects.push(meteorEffect);
-
-                // Schedule damage for this meteor's impact
-                setTimeout(() => {
-                    this.applyMeteorDamage(currentMeteorPos);
-                }, 1000); // 1000ms impact delay relative to this meteor's launch
-            }, launchDelay);
-        }
+    // Drop effects left over from a previous run
+    reset() {
+        this.activeEffects = [];
+        this.heroMeshes.forEach(heroMesh => this.game.renderer.scene.remove(heroMesh));
+        this.heroMeshes.clear();
     }
 
     /**
@@ -131,7 +89,7 @@ export class PowerCards {
         shield.position.set(position.x, position.y, position.z);
         this.game.renderer.scene.add(shield);
 
-        const startTime = performance.now();
+        const startTime = this.game.clock.now();
         const duration = 5000; // 5 seconds
 
         // Return effect object with update method
@@ -199,7 +157,7 @@ export class PowerCards {
 
         this.game.renderer.scene.add(particles);
 
-        const startTime = performance.now();
+        const startTime = this.game.clock.now();
         const duration = 4000; // 4 seconds
 
         // Return effect object with update method
@@ -240,14 +198,10 @@ export class PowerCards {
         };
     }
 
-    createDrainEffect(position) {
+    createDrainEffect(position, duration = 3000) {
         // Create void drain visual effect
-        // const THREE = this.game.renderer.THREE; // Removed - using direct import
-
         const particleCount = 15;
         const particles = new THREE.Group();
-        const drainRadius = 2.0; // Radius within which enemies are damaged
-        const damagePerSecond = 5; // Damage dealt per second to enemies in radius
 
         for (let i = 0; i < particleCount; i++) {
             const particleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
@@ -282,9 +236,7 @@ export class PowerCards {
 
         this.game.renderer.scene.add(particles);
 
-        const startTime = performance.now();
-        const duration = 3000; // 3 seconds
-        let lastUpdateTime = startTime; // For calculating deltaTime
+        const startTime = this.game.clock.now();
 
         // Return effect object with update method
         return {
@@ -292,28 +244,12 @@ export class PowerCards {
                 const elapsed = currentTime - startTime;
                 const progress = elapsed / duration;
 
-                // Calculate deltaTime for damage calculation
-                const deltaTime = (currentTime - lastUpdateTime) / 1000.0; // seconds
-                lastUpdateTime = currentTime;
-
                 if (progress >= 1.0) {
                     // Remove effect when done
                     this.game.renderer.scene.remove(particles);
                     return true;
                 }
 
-                // --- Damage Drain Logic ---
-                if (deltaTime > 0) { // Avoid division by zero or large damage spikes on first frame
-                    const frameDamage = damagePerSecond * deltaTime;
-                    this.game.enemies.forEach(enemy => {
-                        const distance = this.game.calculateDistance(position, enemy.position);
-                        if (distance <= drainRadius) {
-                            enemy.takeDamage(frameDamage, true); // Apply damage over time
-                        }
-                    });
-                }
-                // --- End Damage Drain Logic ---
-
                 // Move particles toward center in a spiral
                 particles.children.forEach((particle) => {
                     // Get closer to target (converge)
@@ -375,7 +311,7 @@ export class PowerCards {
         this.game.renderer.scene.add(particles);
 
         // Create effect object with update method
-        const startTime = performance.now();
+        const startTime = this.game.clock.now();
         const impactTime = startTime + 1000; // 1 second to impact
 
         return {
@@ -447,74 +383,6 @@ export class PowerCards {
         };
     }
 
-    findBestMeteorTarget() {
-        const enemies = this.game.enemies;
-
-        if (enemies.length === 0) {
-            // If no enemies, target the center of the map
-            return { x: 0, y: 0, z: 0 };
-        }
-
-        // Simple strategy: target the group with most enemies
-        const meteorRadius = 5;
-        let bestTarget = null;
-        let maxEnemiesHit = 0;
-
-        for (const enemy of enemies) {
-            let enemiesHit = 0;
-
-            // Count how many enemies would be hit if we target this enemy
-            for (const otherEnemy of enemies) {
-                const distance = this.game.calculateDistance(enemy.position, otherEnemy.position);
-                if (distance <= meteorRadius) {
-                    enemiesHit++;
-                }
-            }
-
-            if (enemiesHit > maxEnemiesHit) {
-                maxEnemiesHit = enemiesHit;
-                bestTarget = enemy.position;
-            }
-        }
-
-        return bestTarget || enemies[0].position;
-    }
-
-    applyMeteorDamage(position) {
-        const enemies = this.game.enemies;
-        const meteorRadius = 5;
-        const meteorDamage = 100;
-
-        for (const enemy of enemies) {
-            const distance = this.game.calculateDistance(position, enemy.position);
-
-            if (distance <= meteorRadius) {
-                // Deal damage based on distance from center of impact
-                const damageMultiplier = 1 - (distance / meteorRadius);
-                const damage = Math.floor(meteorDamage * damageMultiplier);
-
-                enemy.takeDamage(damage);
-            }
-        }
-    }
-
-    activateFreezeWave() {
-        // Center of the map
-        const centerPosition = { x: 0, y: 0, z: 0 };
-
-        // Create freeze effect
-        const freezeEffect = this.createFreezeEffect(centerPosition);
-        this.activeEffects.push(freezeEffect);
-
-        // Apply slow effect to all enemies
-        for (const enemy of this.game.enemies) {
-            enemy.applyStatusEffect('slow', {
-                duration: 10,
-                speedModifier: 0.5 // 50% slow for 10 seconds
-            });
-        }
-    }
-
     createFreezeEffect(position) {
         // Create a freeze wave visual effect
         const waveRadius = 0.5;
@@ -545,7 +413,7 @@ export class PowerCards {
         this.game.renderer.scene.add(particles);
 
         // Create effect object with update method
-        const startTime = performance.now();
+        const startTime = this.game.clock.now();
 
         return {
             update: (currentTime) => {
@@ -595,131 +463,16 @@ export class PowerCards {
         };
     }
 
-    activateSummonHero() {
-        // Find position for hero near the start of the path
-        const spawnPosition = { ...this.game.map.getStartPoint() };
-        spawnPosition.x += 1; // Slight offset from path
-
-        // Create hero entity (a specialized enemy that fights for the player)
-        this.createHero(spawnPosition);
-    }
-
-    createHero(position) {
-        // Hero is implemented as a special enemy type that targets other enemies
-        const hero = {
-            position: { ...position },
-            health: 500,
-            maxHealth: 500,
-            damage: 40,
-            attackRadius: 3,
-            attackInterval: 1,
-            lastAttackTime: 0,
-            lifespan: 30, // 30 seconds
-            creationTime: performance.now(),
-
-            update: (deltaTime) => {
-                // Check if hero's lifespan is over
-                const now = performance.now();
-                if (now - hero.creationTime > hero.lifespan * 1000) {
-                    return true; // Hero should be removed
-                }
-
-                // Find closest enemy to attack
-                let closestEnemy = null;
-                let closestDistance = Infinity;
-
-                for (const enemy of this.game.enemies) {
-                    const distance = this.game.calculateDistance(hero.position, enemy.position);
-
-                    if (distance < closestDistance) {
-                        closestDistance = distance;
-                        closestEnemy = enemy;
-                    }
-                }
-
-                // Attack enemy if in range and attack is off cooldown
-                if (closestEnemy && closestDistance <= hero.attackRadius) {
-                    if (now - hero.lastAttackTime > hero.attackInterval * 1000) {
-                        // Attack enemy
-                        closestEnemy.takeDamage(hero.damage);
-                        hero.lastAttackTime = now;
-                    }
-                } else if (closestEnemy) {
-                    // Move towards closest enemy
-                    const direction = {
-                        x: closestEnemy.position.x - hero.position.x,
-                        z: closestEnemy.position.z - hero.position.z
-                    };
-
-                    // Normalize direction
-                    const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
-                    direction.x /= length;
-                    direction.z /= length;
-
-                    // Move hero
-                    const moveSpeed = 5 * deltaTime;
-                    hero.position.x += direction.x * moveSpeed;
-                    hero.position.z += direction.z * moveSpeed;
-
-                    // Update hero mesh position
-                    if (hero.mesh) {
-                        hero.mesh.position.set(hero.position.x, hero.position.y, hero.position.z);
-                    }
-                }
-
-                return false; // Hero should stay active
-            }
-        };
-
+    createHeroMesh(hero) {
         // Create hero visual representation
         const geometry = new THREE.SphereGeometry(0.4, 16, 16);
         const material = new THREE.MeshStandardMaterial({ color: 0xFFD700 }); // Gold color
         const heroMesh = new THREE.Mesh(geometry, material);
 
-        heroMesh.position.set(position.x, 0.4, position.z);
+        heroMesh.position.set(hero.position.x, 0.4, hero.position.z);
         heroMesh.castShadow = true;
 
         this.game.renderer.scene.add(heroMesh);
-        hero.mesh = heroMesh;
-
-        // Add hero to active effects
-        this.activeEffects.push({
-            update: (currentTime) => {
-                const result = hero.update(this.game.deltaTime);
-
-                if (result) {
-                    // Hero's lifespan is over, remove mesh
-                    this.game.renderer.scene.remove(hero.mesh);
-                    return true;
-                }
-
-                return false;
-            }
-        });
-    }
-
-    activateGoldRush() {
-        // Center of the map
-        const centerPosition = { x: 0, y: 1, z: 0 };
-
-        // Create gold rush effect
-        const goldRushEffect = this.game.renderer.createSpecialEffect('goldRush', centerPosition);
-        this.activeEffects.push(goldRushEffect);
-
-        // Give player gold
-        this.game.player.gold += 50;
-        this.game.updateUI();
-    }
-
-    activateTowerEmpowerment() {
-        // Create empowerment effect for all towers
-        const centerPosition = { x: 0, y: 0, z: 0 };
-        const empowerEffect = this.game.renderer.createSpecialEffect('empower', centerPosition);
-        this.activeEffects.push(empowerEffect);
-
-        // Boost all towers
-        for (const tower of this.game.towers) {
-            tower.applyEmpowerment(2, 15); // Double damage for 15 seconds
-        }
+        this.heroMeshes.set(hero, heroMesh);
     }
-}
\ No newline at end of file
+}
@@ -3,6 +3,8 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { ElementTypes, ElementStyles } from './elements.js';
 import { TowerInstanceManager } from './managers/TowerInstanceManager.js';
 import { EnemyInstanceManager } from './managers/EnemyInstanceManager.js';
+import { GameEvents } from './simulation/events.js';
+import { DamageTypes } from './damage.js';
 
 // Tower instance manager to handle instanced meshes
 // Tower instance manager to handle instanced meshes
@@ -231,6 +233,10 @@ export class Renderer {
             cannonBarrel: new THREE.CylinderGeometry(0.2, 0.2, 0.6, 12),
             defaultTop: new THREE.BoxGeometry(0.4, 0.4, 0.4),
 
+            // Upgrade tier tops
+            tier2Top: new THREE.OctahedronGeometry(0.38, 0),
+            tier3Top: new THREE.IcosahedronGeometry(0.42, 0),
+
             // Projectile Geometry
             projectileSphere: new THREE.SphereGeometry(0.1, 8, 8),
 
@@ -352,6 +358,187 @@ export class Renderer {
 
         // Keep a reference to the game instance
         this.game = game;
+
+        // Debug line along the enemy path
+        this.pathVisualization = null;
+
+        // Links between towers with an active synergy
+        this.synergyLinks = null;
+        this.synergyLinkGeometry = new THREE.BoxGeometry(0.12, 0.04, 1); // Stretched to each link's length
+
+        this.subscribeToSimulation(game.events);
+    }
+
+    // Create and remove visuals as the simulation adds and removes entities
+    subscribeToSimulation(events) {
+        events.on(GameEvents.ENEMY_SPAWNED, ({ enemy }) => {
+            enemy.enemyInstance = this.createEnemy(enemy);
+
+            // Log an error if enemy instance couldn't be created
+            if (!enemy.enemyInstance) {
+                console.error(`Failed to create enemy instance for type: ${enemy.type}`);
+            } else if (enemy.scale) {
+                enemy.enemyInstance.scale = enemy.scale;
+            }
+        });
+        events.on(GameEvents.ENEMY_REMOVED, ({ enemy }) => this.removeEnemy(enemy));
+        events.on(GameEvents.ENEMY_DAMAGED, ({ enemy, amount, damageType }) => {
+            this.createDamageNumber(enemy.position, amount, damageType);
+        });
+
+        events.on(GameEvents.TOWER_PLACED, ({ tower }) => {
+            tower.towerInstance = this.createTower(tower);
+
+            if (!tower.towerInstance) {
+                console.error(`Failed to create tower instance for type: ${tower.type}`);
+            }
+        });
+        events.on(GameEvents.TOWER_UPGRADED, ({ tower }) => this.updateTowerTier(tower.towerInstance, tower));
+        events.on(GameEvents.TOWER_REMOVED, ({ tower }) => {
+            if (tower.towerInstance) {
+                this.removeTower(tower.towerInstance);
+                tower.towerInstance = null;
+            }
+        });
+
+        events.on(GameEvents.PROJECTILE_FIRED, ({ projectile }) => {
+            projectile.mesh = this.createProjectile(projectile);
+            projectile.mesh.position.set(projectile.position.x, projectile.position.y, projectile.position.z);
+        });
+        events.on(GameEvents.PROJECTILE_REMOVED, ({ projectile }) => this.removeProjectile(projectile));
+
+        events.on(GameEvents.MAP_RESET, ({ map }) => {
+            // Rebuild the 3D map when the run is played on a different layout
+            const layoutKey = JSON.stringify(map.layout);
+            if (this.mapGroup && this.mapGroup.userData.layoutKey !== layoutKey) {
+                this.removeMap();
+            }
+
+            // Recreate the 3D map if it isn't in the scene (first run, or cleaned up on restart)
+            if (!this.mapGroup || !this.scene.children.includes(this.mapGroup)) {
+                this.mapGroup = this.createMap(map);
+                this.mapGroup.userData.layoutKey = layoutKey;
+            }
+        });
+        events.on(GameEvents.PATH_CHANGED, ({ map }) => this.drawPathVisualization(map));
+        events.on(GameEvents.SYNERGIES_CHANGED, ({ links }) => this.drawSynergyLinks(links));
+    }
+
+    // Move entity visuals to where the simulation put them
+    syncEntities(game) {
+        const enemyUpdates = [];
+        for (const enemy of game.enemies) {
+            if (!enemy.enemyInstance) continue;
+
+            enemyUpdates.push({ enemy, position: enemy.position });
+            this.updateHealth(enemy, enemy.health / enemy.maxHealth);
+        }
+        if (enemyUpdates.length > 0) {
+            this.enemyInstanceManager.batchUpdatePositions(enemyUpdates);
+        }
+
+        // Turn turrets toward the enemy they're tracking
+        for (const tower of game.towers) {
+            if (tower.currentTarget && tower.towerInstance) {
+                this.rotateTowerToTarget(tower.towerInstance, tower.currentTarget.position);
+            }
+        }
+
+        for (const projectile of game.projectiles) {
+            const mesh = projectile.mesh;
+            if (!mesh) continue;
+
+            mesh.position.set(projectile.position.x, projectile.position.y, projectile.position.z);
+
+            // Spin and pulse so small projectiles stay noticeable
+            mesh.rotation.x += 5 * game.deltaTime;
+            mesh.rotation.y += 7 * game.deltaTime;
+            mesh.rotation.z += 3 * game.deltaTime;
+
+            const pulseScale = 1 + 0.3 * Math.sin(projectile.timeAlive * 10);
+            mesh.scale.set(pulseScale, pulseScale, pulseScale);
+        }
+    }
+
+    removeProjectile(projectile) {
+        const mesh = projectile.mesh;
+        if (!mesh) return;
+
+        this.scene.remove(mesh);
+
+        // Immediately dispose resources
+        if (mesh.geometry) {
+            mesh.geometry.dispose();
+        }
+        if (mesh.material) {
+            if (Array.isArray(mesh.material)) {
+                mesh.material.forEach(m => m.dispose());
+            } else {
+                mesh.material.dispose();
+            }
+        }
+
+        projectile.mesh = null;
+    }
+
+    drawPathVisualization(map) {
+        // Remove old visualization
+        if (this.pathVisualization) {
+            this.scene.remove(this.pathVisualization);
+            // Dispose of geometry and material to prevent memory leaks
+            if (this.pathVisualization.geometry) this.pathVisualization.geometry.dispose();
+            if (this.pathVisualization.material) this.pathVisualization.material.dispose();
+            this.pathVisualization = null;
+        }
+
+        // For the minimalist design, we'll skip creating the actual visualization line
+        // This creates an empty object that can be toggled in debug mode but won't show anything
+        // Only when explicitly requested we'll create a visible line
+        if (this.game.debugMode && map.worldPathWaypoints) {
+            // Create a line to visualize the path
+            const points = map.worldPathWaypoints.map(p => {
+                return new THREE.Vector3(p.x, 0.2, p.z); // Slightly above ground
+            });
+
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const material = new THREE.LineBasicMaterial({ color: 0xFFFF00, linewidth: 2 });
+
+            this.pathVisualization = new THREE.Line(geometry, material);
+            this.pathVisualization.visible = this.game.debugMode; // Only visible in debug mode
+        } else {
+            // Create an empty group as a placeholder (won't be visible)
+            this.pathVisualization = new THREE.Group();
+            this.pathVisualization.visible = false;
+        }
+        this.scene.add(this.pathVisualization);
+    }
+
+    // Glowing strips along the ground between towers that boost each other,
+    // in the color of the tower that gets the bonus
+    drawSynergyLinks(links) {
+        if (this.synergyLinks) {
+            this.scene.remove(this.synergyLinks);
+            this.synergyLinks.children.forEach(link => link.material.dispose());
+        }
+
+        this.synergyLinks = new THREE.Group();
+        links.forEach(({ tower, partner }) => {
+            const dx = partner.position.x - tower.position.x;
+            const dz = partner.position.z - tower.position.z;
+            const style = ElementStyles[tower.element] || ElementStyles[ElementTypes.NEUTRAL];
+
+            const material = new THREE.MeshBasicMaterial({
+                color: style.particleColor,
+                transparent: true,
+                opacity: 0.7
+            });
+            const link = new THREE.Mesh(this.synergyLinkGeometry, material);
+            link.position.set(tower.position.x + dx / 2, 0.08, tower.position.z + dz / 2);
+            link.rotation.y = Math.atan2(dx, dz);
+            link.scale.z = Math.hypot(dx, dz);
+            this.synergyLinks.add(link);
+        });
+        this.scene.add(this.synergyLinks);
     }
 
     setupLights() {
@@ -417,6 +604,8 @@ export class Renderer {
     }
 
     render(game) {
+        this.syncEntities(game);
+
         // Update camera controls
         if (this.controls) {
             this.controls.update();
@@ -554,12 +743,12 @@ export class Renderer {
         // 2. First pass: render only the ground to set up stencil buffer
         // Find the ground objects
         let groundObjects = [];
-        if (game.map && game.map.mapGroup) {
-            if (game.map.mapGroup.userData.ground) {
-                groundObjects.push(game.map.mapGroup.userData.ground);
+        if (this.mapGroup) {
+            if (this.mapGroup.userData.ground) {
+                groundObjects.push(this.mapGroup.userData.ground);
             }
-            if (game.map.mapGroup.userData.bottomCover) {
-                groundObjects.push(game.map.mapGroup.userData.bottomCover);
+            if (this.mapGroup.userData.bottomCover) {
+                groundObjects.push(this.mapGroup.userData.bottomCover);
             }
         }
 
@@ -601,8 +790,9 @@ export class Renderer {
         }
     }
 
-    createMap(mapData, gridSize) {
+    createMap(map) {
         const mapGroup = new THREE.Group();
+        const gridSize = { width: map.gridWidth, height: map.gridHeight };
 
         // Create a single seamless ground plane - no segments to avoid the middle line
         const groundGeometry = new THREE.PlaneGeometry(gridSize.width, gridSize.height, 1, 1); // Use just 1 segment
@@ -787,12 +977,38 @@ export class Renderer {
             brightness: 0.7
         };
 
-        // This material definition is unused now that we're using strips
+        // Only create special indicator tiles for entry, exit, restricted and obstacle cells.
+        // Neighbouring cells in a row share one strip instead of individual tiles.
+        const addStrips = (cells, material) => {
+            const rows = {};
+            cells.forEach(cell => {
+                (rows[cell.z] = rows[cell.z] || []).push(cell.x);
+            });
+
+            Object.entries(rows).forEach(([z, columns]) => {
+                columns.sort((a, b) => a - b);
+
+                let runStart = 0;
+                for (let i = 1; i <= columns.length; i++) {
+                    if (i < columns.length && columns[i] === columns[i - 1] + 1) continue;
+
+                    const length = columns[i - 1] - columns[runStart] + 1;
+                    const center = map.gridToWorld(columns[runStart] + (length - 1) / 2, Number(z));
+                    const strip = new THREE.Mesh(new THREE.BoxGeometry(length, 0.05, 1), material);
+                    strip.position.set(
+                        center.x,
+                        0.03, // Very close to ground
+                        center.z
+                    );
+                    strip.receiveShadow = true;
+                    mapGroup.add(strip);
 
-        // Only create special indicator tiles for entry, exit and restricted areas
-        // Create horizontal strips for entry and exit points instead of individual tiles
+                    runStart = i;
+                }
+            });
+        };
 
-        // Entry strip (top)
+        // Entry cells (the top row on the default map)
         const entryMaterial = new THREE.MeshStandardMaterial({
             color: 0x4169E1, // Royal Blue
             transparent: true,
@@ -800,19 +1016,9 @@ export class Renderer {
             roughness: 0.7,
             metalness: 0.1
         });
+        addStrips(map.getEntryPoints(), entryMaterial);
 
-        // Create a single horizontal strip for the entry area
-        const entryStripGeometry = new THREE.BoxGeometry(gridSize.width, 0.05, 1);
-        const entryStrip = new THREE.Mesh(entryStripGeometry, entryMaterial);
-        entryStrip.position.set(
-            0, // Centered horizontally
-            0.03, // Very close to ground
-            -gridSize.height / 2 + 0.5 // Top of the grid
-        );
-        entryStrip.receiveShadow = true;
-        mapGroup.add(entryStrip);
-
-        // Exit strip (bottom)
+        // Exit cells (the bottom row on the default map)
         const exitMaterial = new THREE.MeshStandardMaterial({
             color: 0x9932CC, // Dark Orchid
             transparent: true,
@@ -820,19 +1026,9 @@ export class Renderer {
             roughness: 0.7,
             metalness: 0.1
         });
+        addStrips(map.getExitPoints(), exitMaterial);
 
-        // Create a single horizontal strip for the exit area
-        const exitStripGeometry = new THREE.BoxGeometry(gridSize.width, 0.05, 1);
-        const exitStrip = new THREE.Mesh(exitStripGeometry, exitMaterial);
-        exitStrip.position.set(
-            0, // Centered horizontally
-            0.03, // Very close to ground
-            gridSize.height / 2 - 0.5 // Bottom of the grid
-        );
-        exitStrip.receiveShadow = true;
-        mapGroup.add(exitStrip);
-
-        // Restricted area - create a strip for each row in the restricted zone instead of individual tiles
+        // Restricted area (the last 3 rows before the bottom on the default map)
         const restrictedZoneMaterial = new THREE.MeshStandardMaterial({
             color: 0xFF6347, // Tomato red
             transparent: true,
@@ -840,24 +1036,46 @@ export class Renderer {
             roughness: 0.7,
             metalness: 0.1
         });
+        const markedCells = new Set([...map.getEntryPoints(), ...map.getExitPoints()]
+            .map(cell => `${cell.x},${cell.z}`));
+        addStrips(map.layout.noBuild.filter(cell => !markedCells.has(`${cell.x},${cell.z}`)), restrictedZoneMaterial);
+
+        // Obstacles - rocks nothing can walk through or build on
+        const obstacleCells = map.layout.obstacles;
+        if (obstacleCells.length > 0) {
+            const obstacleGeometry = new THREE.BoxGeometry(0.9, 0.6, 0.9);
+            const obstacleMaterial = new THREE.MeshStandardMaterial({
+                color: 0x5b5f66, // Slate gray
+                roughness: 0.9,
+                metalness: 0.1
+            });
 
-        // Create strips for each row in the restricted area (last 3 rows before the bottom)
-        for (let i = 1; i <= 3; i++) {
-            const restrictedStripGeometry = new THREE.BoxGeometry(gridSize.width, 0.05, 1);
-            const restrictedStrip = new THREE.Mesh(restrictedStripGeometry, restrictedZoneMaterial);
-            restrictedStrip.position.set(
-                0, // Centered horizontally
-                0.03, // Very close to ground
-                gridSize.height / 2 - 0.5 - i // Position from bottom (skipping bottom row which is exit)
-            );
-            restrictedStrip.receiveShadow = true;
-            mapGroup.add(restrictedStrip);
+            const obstacles = new THREE.InstancedMesh(obstacleGeometry, obstacleMaterial, obstacleCells.length);
+            const matrix = new THREE.Matrix4();
+            obstacleCells.forEach((cell, index) => {
+                const position = map.gridToWorld(cell.x, cell.z);
+                matrix.makeTranslation(position.x, 0.3, position.z);
+                obstacles.setMatrixAt(index, matrix);
+            });
+            obstacles.castShadow = true;
+            obstacles.receiveShadow = true;
+            mapGroup.add(obstacles);
         }
 
         this.scene.add(mapGroup);
         return mapGroup;
     }
 
+    // Take the 3D map out of the scene so the next MAP_RESET builds a new one
+    removeMap() {
+        this.scene.remove(this.mapGroup);
+        this.mapGroup.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.mapGroup = null;
+    }
+
     createEnemy(enemy) {
         // Ensure instance managers are initialized
         if (!this.enemyInstanceManager) {
@@ -1032,14 +1250,7 @@ export class Renderer {
         this.towerInstanceManager.updateFoundationPosition(elementKey, instanceIndex, tower.position);
 
         // Add top based on tower type
-        let topType = 'default';
-        if (tower.type.includes('cannon')) {
-            topType = 'cannon';
-        } else if (tower.type.includes('double')) {
-            topType = 'doubleArrow';
-        } else if (tower.type.includes('arrow')) {
-            topType = 'arrow';
-        }
+        const topType = this.getTowerTopType(tower);
 
         this.towerInstanceManager.updateTopPosition(elementKey, instanceIndex, tower.position, topType);
 
@@ -1052,6 +1263,32 @@ export class Renderer {
         };
     }
 
+    // Pick the turret model for a tower - upgraded towers use their tier's top
+    getTowerTopType(tower) {
+        if (tower.level > 1) {
+            return `tier${tower.level}`;
+        }
+
+        if (tower.type.includes('cannon')) {
+            return 'cannon';
+        } else if (tower.type.includes('double')) {
+            return 'doubleArrow';
+        } else if (tower.type.includes('arrow')) {
+            return 'arrow';
+        }
+        return 'default';
+    }
+
+    // Replace a tower's top after an upgrade
+    updateTowerTier(towerInstance, tower) {
+        const topType = this.getTowerTopType(tower);
+        if (!towerInstance || towerInstance.topType === topType) return;
+
+        this.towerInstanceManager.hideTop(towerInstance.elementKey, towerInstance.instanceIndex, towerInstance.topType);
+        this.towerInstanceManager.updateTopPosition(towerInstance.elementKey, towerInstance.instanceIndex, towerInstance.position, topType);
+        towerInstance.topType = topType;
+    }
+
     createProjectile(projectile) {
         // Create extremely simple, high-visibility projectiles
         // Get element style if projectile has an element
@@ -1810,7 +2047,7 @@ export class Renderer {
         // Animation data
         const animation = {
             group: group,
-            startTime: performance.now(),
+            startTime: this.game.clock.now(),
             duration: 1000,
             impactTime: 0,
             hasImpacted: false,
@@ -1869,7 +2106,7 @@ export class Renderer {
         // Animation data
         const animation = {
             group: group,
-            startTime: performance.now(),
+            startTime: this.game.clock.now(),
             duration: 1000,
             update: (currentTime) => {
                 const elapsed = currentTime - animation.startTime;
@@ -1921,7 +2158,7 @@ export class Renderer {
         // Animation data
         const animation = {
             particles: particles,
-            startTime: performance.now(),
+            startTime: this.game.clock.now(),
             duration: 2000,
             update: (currentTime) => {
                 const elapsed = currentTime - animation.startTime;
@@ -1993,7 +2230,7 @@ export class Renderer {
         const animation = {
             group: group,
             coins: group.children,
-            startTime: performance.now(),
+            startTime: this.game.clock.now(),
             duration: 3000,
             update: (currentTime) => {
                 const elapsed = currentTime - animation.startTime;
@@ -2073,7 +2310,7 @@ export class Renderer {
         // Animation data
         const animation = {
             effects: empowerEffects,
-            startTime: performance.now(),
+            startTime: this.game.clock.now(),
             duration: 15000, // 15 seconds of empowerment
             update: (currentTime) => {
                 const elapsed = currentTime - animation.startTime;
@@ -2290,11 +2527,11 @@ export class Renderer {
     removeTower(towerInstance) {
         if (!towerInstance) return;
 
-        // Release instance index
-        this.towerManager.releaseIndex(towerInstance.elementKey, towerInstance.instanceIndex);
+        // Release instance index (towers are created through towerInstanceManager)
+        this.towerInstanceManager.releaseIndex(towerInstance.elementKey, towerInstance.instanceIndex);
 
         // Hide instanced parts
-        this.towerManager.hideInstance(towerInstance.elementKey, towerInstance.instanceIndex, towerInstance.shadowIndex);
+        this.towerInstanceManager.hideInstance(towerInstance.elementKey, towerInstance.instanceIndex, towerInstance.shadowIndex);
 
         // Remove top group from scene
         if (towerInstance.topGroup) {
@@ -2652,26 +2889,17 @@ export class Renderer {
         // Set the text content to the damage amount
         damageEl.textContent = Math.floor(amount);
 
-        // Add elemental styling based on damageType
+        // Color by damage type: physical, magical, or white for true damage (powers)
         if (damageType) {
             damageEl.classList.add(`damage-${damageType}`);
 
             // Apply specific color based on damage type
             switch(damageType) {
-                case 'fire':
-                    damageEl.style.color = '#FF5722';
-                    break;
-                case 'water':
-                    damageEl.style.color = '#2196F3';
-                    break;
-                case 'earth':
-                    damageEl.style.color = '#795548';
-                    break;
-                case 'air':
-                    damageEl.style.color = '#ECEFF1';
+                case DamageTypes.PHYSICAL:
+                    damageEl.style.color = '#FFB74D';
                     break;
-                case 'shadow':
-                    damageEl.style.color = '#673AB7';
+                case DamageTypes.MAGICAL:
+                    damageEl.style.color = '#B388FF';
                     break;
                 default:
                     damageEl.style.color = '#FFF';
@@ -0,0 +1,95 @@
+// Replay recording and playback
+// A replay is the run's seed, its difficulty/wave settings, the level or endless mode, map
+// and deck it was played with and a log of every player command stamped with the simulation step it took effect on.
+
+export const ReplayCommands = {
+    PLACE_TOWER: 'placeTower',            // { towerType, gridX, gridY }
+    SELL_TOWER: 'sellTower',              // { gridX, gridY }
+    UPGRADE_TOWER: 'upgradeTower',        // { gridX, gridY }
+    SET_TARGETING: 'setTargeting',        // { gridX, gridY, mode }
+    SEND_WAVE: 'sendWave',                // {}
+    PLAY_CARD: 'playCard',                // { cardId, gridX?, gridY?, target? }
+    ACTIVATE_POWER_CARD: 'activatePowerCard' // { cardType, cost, target? }
+};
+
+export const REPLAY_VERSION = 1;
+
+export class ReplayRecorder {
+    constructor(seed, username, settings, { level = null, endless = false, map = null } = {}) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed,
+            username,
+            settings,
+            level, // Campaign level id, null for a standard run
+            endless, // Waves kept coming after the standard ones
+            map, // Map editor layout, null for the default map
+            deck: null, // Card ids in deck order before the run's shuffle
+            recordedAt: new Date().toISOString(),
+            commands: [],
+            result: null
+        };
+    }
+
+    setDeck(deck) {
+        this.replay.deck = deck.getAllCards().map(card => card.id);
+    }
+
+    record(step, type, payload) {
+        this.replay.commands.push({
+            step,
+            type,
+            payload: JSON.parse(JSON.stringify(payload))
+        });
+    }
+
+    // Stamp the final result so playback can check it reproduced the same run
+    finish(result) {
+        this.replay.result = { ...result };
+        return this.replay;
+    }
+}
+
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.nextCommandIndex = 0;
+        this.pending = false; // A command's promise has not settled yet
+    }
+
+    static isValid(replay) {
+        return !!replay && replay.version === REPLAY_VERSION && Array.isArray(replay.commands);
+    }
+
+    // Start the next command recorded up to the current step. Returns false while a
+    // command is still resolving, in which case the simulation should not step yet.
+    applyDueCommands(game) {
+        if (this.pending) return false;
+
+        const command = this.replay.commands[this.nextCommandIndex];
+        if (!command || command.step > game.clock.stepCount) return true;
+
+        // Commands return promises (paths are found synchronously, so they settle
+        // before the next frame); run one at a time and hold the simulation until it lands
+        this.nextCommandIndex++;
+        this.pending = true;
+        Promise.resolve(game.executeCommand(command.type, { ...command.payload }))
+            .catch(err => console.error(`Replay command ${command.type} failed:`, err))
+            .finally(() => {
+                this.pending = false;
+            });
+
+        return false;
+    }
+
+    // Whether the replayed run ended the same way as the recorded one
+    matchesResult(result) {
+        const expected = this.replay.result;
+        if (!expected) return null;
+
+        return expected.score === result.score &&
+            expected.wave === result.wave &&
+            expected.lives === result.lives &&
+            expected.victory === result.victory;
+    }
+}
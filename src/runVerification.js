@@ -0,0 +1,151 @@
+import { Map } from './map.js';
+import { getUnits } from './units.js';
+import {
+    STANDARD_MAX_WAVES, STANDARD_WAVE_SETTINGS, STANDARD_WAVE_BONUSES, SPAWN_INTERVAL, MIN_BATCH_SPAWN_FACTOR, generateEndlessWave
+} from './simulation/waves.js';
+
+// Server-side checks that a submitted run could have happened, from the same wave
+// settings and unit data the simulation plays with.
+
+// Upper bounds for a legitimate run, on top of the wave limits below. Rewards follow
+// Simulation.spawnEnemy/defeatEnemy/completeWave; client debug tweaks aren't trusted.
+export const RUN_LIMITS = {
+    maxWaves: STANDARD_MAX_WAVES,
+    maxEndlessWaves: 100,
+    maxEnemyReward: 50,       // Richest enemy type
+    maxTimeMultiplier: 1.5,   // Fastest-clear bonus on wave rewards (score only)
+    maxGameSpeed: 3,
+    slack: 1.1                // Headroom for rounding and difficulty adjustments
+};
+
+// Adds an authored boss can call in across its phases
+function countBossAdds(boss) {
+    return boss.phases.reduce((sum, phase) =>
+        sum + (phase.ability?.type === 'spawnAdds' ? phase.ability.count : 0), 0);
+}
+
+// Most minions one enemy can bring along: its split on death plus every summon it is
+// allowed (minions can't split or summon themselves, see ABILITY_FIELDS in units.js)
+const countMinions = ({ abilities = {} }) => (abilities.split?.count || 0) + (abilities.summon?.max || 0);
+const MAX_MINIONS_PER_ENEMY = Math.max(0, ...Object.values(getUnits().enemies).map(countMinions));
+
+// Every enemy of a wave, boss adds included, may turn out to be the one with the most minions
+function countWaveEnemies({ enemyCount, adds = 0 }) {
+    return (enemyCount + adds) * (1 + MAX_MINIONS_PER_ENEMY);
+}
+
+// Enemy count, gold multiplier, bonus and bosses of each wave a run can reach: the
+// standard waves, then endless waves from the default growth curve. Waves with an
+// authored boss (`boss` in the wave settings) carry its definition.
+function getWaveLimits(wave, index) {
+    const boss = getUnits().bosses[wave.boss] || null;
+    return {
+        enemyCount: wave.enemyCount,
+        goldMultiplier: wave.goldMultiplier,
+        waveBonus: wave.waveBonus ?? STANDARD_WAVE_BONUSES[index],
+        bossCount: wave.spawnBoss || boss ? wave.bossCount || 1 : 0,
+        boss,
+        adds: boss ? countBossAdds(boss) : 0
+    };
+}
+
+const WAVE_SETTINGS = [...STANDARD_WAVE_SETTINGS];
+while (WAVE_SETTINGS.length < RUN_LIMITS.maxEndlessWaves) {
+    WAVE_SETTINGS.push(generateEndlessWave(WAVE_SETTINGS[WAVE_SETTINGS.length - 1], WAVE_SETTINGS.length + 1));
+}
+const WAVE_LIMITS = WAVE_SETTINGS.map(getWaveLimits);
+
+// Fastest an enemy can move: the quickest enemy type, or a boss sped up by all its phases
+const MAX_ENEMY_SPEED = Math.max(
+    ...Object.values(getUnits().enemies).map(enemy => enemy.speed),
+    ...Object.values(getUnits().bosses).map(boss =>
+        boss.phases.reduce((speed, phase) => speed * (phase.speedMultiplier || 1), boss.speed))
+);
+
+// Ranked runs play the default map, entered along the top row and left along the bottom one
+const MIN_PATH_LENGTH = Map.createDefaultLayout().height - 1;
+
+// Shortest time a wave can last: all its enemies spawned at the quickest spawn rate,
+// then the last one crossing the map at the fastest enemy speed
+function getMinWaveSeconds(wave) {
+    const spawnGap = SPAWN_INTERVAL * (wave.batchSpawning ? MIN_BATCH_SPAWN_FACTOR : 1) / 1000;
+    return wave.enemyCount * spawnGap + MIN_PATH_LENGTH / (MAX_ENEMY_SPEED * wave.enemySpeed);
+}
+
+// Shortest game time a run clearing this many of the waves it reached can take. Sending
+// the next wave early starts it alongside the ones still running, so the cleared waves may
+// all overlap: the run lasts at least as long as the longest of them, and at best they
+// were the quickest ones of the waves reached.
+export function getMinRunSeconds(wavesCleared, wave = wavesCleared) {
+    if (wavesCleared <= 0) return 0;
+
+    const quickestFirst = WAVE_SETTINGS.slice(0, Math.max(wave, wavesCleared))
+        .map(getMinWaveSeconds)
+        .sort((a, b) => a - b);
+    return quickestFirst[wavesCleared - 1];
+}
+
+// Most gold a run can earn from kills and wave bonuses by the given wave
+export function getMaxGoldEarned(wave) {
+    let gold = 0;
+    WAVE_LIMITS.slice(0, wave).forEach((limits, index) => {
+        const { goldMultiplier, waveBonus, bossCount, boss } = limits;
+        // The wave gold multiplier is applied at spawn and again on defeat
+        const killReward = RUN_LIMITS.maxEnemyReward * goldMultiplier * goldMultiplier;
+        const bossMultiplier = (index + 1) * bossCount; // 4x/5x/6x boss rewards, growing with endless waves
+
+        gold += countWaveEnemies(limits) * killReward;
+        gold += boss ? boss.reward * goldMultiplier * goldMultiplier : bossMultiplier * killReward;
+        gold += waveBonus * goldMultiplier;
+    });
+    return gold * RUN_LIMITS.slack;
+}
+
+// Check a submitted score (or run result) against its run summary and the payload of its
+// run token. Returns an error message or null.
+export function verifyRunSummary({ score, wave, victory, duration, category }, summary, tokenPayload) {
+    const wavesCleared = parseInt(summary.wavesCleared, 10);
+    const kills = parseInt(summary.kills, 10);
+    const goldEarned = parseInt(summary.goldEarned, 10);
+
+    if ([wavesCleared, kills, goldEarned].some(value => isNaN(value) || value < 0)) {
+        return 'Invalid run summary';
+    }
+    const maxWaves = category === 'endless' ? RUN_LIMITS.maxEndlessWaves : RUN_LIMITS.maxWaves;
+    if (wave > maxWaves || wavesCleared > wave) {
+        return 'Impossible wave count';
+    }
+    if (victory && (category === 'endless' || wavesCleared < RUN_LIMITS.maxWaves)) {
+        return 'Victory without clearing every wave';
+    }
+
+    const maxKills = WAVE_LIMITS.slice(0, wave).reduce((sum, limits) => sum + countWaveEnemies(limits) + 1, 0);
+    if (kills > maxKills * RUN_LIMITS.slack) {
+        return 'Too many kills for the waves reached';
+    }
+    if (goldEarned > getMaxGoldEarned(wave)) {
+        return 'Too much gold for the waves reached';
+    }
+
+    // Score is the gold from kills and wave bonuses plus the fast-clear bonus
+    if (score < goldEarned || score > goldEarned * RUN_LIMITS.maxTimeMultiplier) {
+        return 'Score does not match the gold earned';
+    }
+
+    const minRunSeconds = getMinRunSeconds(wavesCleared, wave);
+    if (duration < minRunSeconds) {
+        return 'Run too short for the waves cleared';
+    }
+
+    // Game time can't run faster than the top speed setting since the token was issued,
+    // so clearing those waves takes a matching minimum of real time
+    const realSeconds = (Date.now() - tokenPayload.issuedAt) / 1000;
+    if (realSeconds * RUN_LIMITS.maxGameSpeed * RUN_LIMITS.slack < minRunSeconds) {
+        return 'Run finished faster than the top game speed allows';
+    }
+    if (duration > realSeconds * RUN_LIMITS.maxGameSpeed * RUN_LIMITS.slack + 30) {
+        return 'Run duration exceeds the time since it started';
+    }
+
+    return null;
+}
@@ -0,0 +1,580 @@
+import { CardCatalog, CardType, DECK_SIZE, shuffleCards } from '../cards.js';
+import { Player } from '../player.js';
+import { GameEvents } from './events.js';
+import { getUnits } from '../units.js';
+
+// Card side of the simulation: deck piles, hand, mana and what playing a card does.
+// TCGIntegration draws the hand and mana bar from this state and follows it through the events.
+export class CardState {
+    constructor(game) {
+        this.game = game;
+        this.cardCatalog = new CardCatalog();
+        this.player = null;
+        this.hand = []; // Cards currently in hand
+        this.drawPile = []; // Shuffled cards from the current deck, drawn from the end
+        this.discardPile = []; // Played cards, reshuffled into the draw pile when it runs out
+        this.deckSize = DECK_SIZE; // Standard deck size
+        this.maxCardsInHand = 5; // Maximum cards in hand
+        this.mana = 8; // Starting mana (increased from 5)
+        this.maxMana = 8; // Starting maximum mana (increased from 5)
+        this.absoluteMaxMana = 12; // Maximum possible mana cap (increased from 10)
+        this.lastManaRegenTime = 0; // Track last mana regeneration time
+        this.manaRegenInterval = 15000; // Regenerate mana every 15 seconds
+        this.manaRegenAmount = 1; // Amount of mana regenerated
+        this.currentTurn = 0;
+
+        // Initial state for reset
+        this.initialMana = 8;
+        this.initialMaxMana = 8;
+
+        // Power cards integration
+        this.powerCards = [];
+        this.powerCardChance = 0.15; // 15% chance to get a power card when drawing
+
+        this.initializePowerCards();
+    }
+
+    initializePowerCards() {
+        // Create spell-like cards for each power that can be drawn (data/units.json)
+        this.powerCards = Object.entries(getUnits().powerCards)
+            .filter(([, power]) => power.card)
+            .map(([effect, power]) => ({
+                id: `${effect}_power`,
+                name: power.name,
+                type: 'spell',
+                rarity: power.card.rarity,
+                element: power.card.element,
+                cost: 0, // Uses gold instead of mana
+                goldCost: power.goldCost || 0,
+                description: power.card.description,
+                effect,
+                duration: power.card.duration,
+                radius: power.card.radius,
+                getAdjustedStats: function() {
+                    return {
+                        effect: this.effect,
+                        duration: this.duration,
+                        radius: this.radius,
+                        element: this.element
+                    };
+                }
+            }));
+    }
+
+    // Shuffle a copy of the current deck into a fresh draw pile and empty the discard pile.
+    // The saved deck keeps its order, which is also what the replay records.
+    resetPiles() {
+        this.discardPile = [];
+        this.drawPile = [];
+
+        const deck = this.player?.getCurrentDeck();
+        if (!deck) return;
+
+        this.game.replayRecorder?.setDeck(deck);
+
+        // Enemy cards are sent to the opponent, so they're only drawn in versus matches
+        this.drawPile = shuffleCards(
+            deck.getAllCards().filter(card => this.game.isMultiplayer || card.type !== CardType.ENEMY),
+            () => this.game.rng.next()
+        );
+    }
+
+    reshuffleDiscardPile() {
+        this.drawPile = shuffleCards(this.discardPile, () => this.game.rng.next());
+        this.discardPile = [];
+    }
+
+    drawInitialHand() {
+        // Reset hand and piles
+        this.hand = [];
+        this.resetPiles();
+
+        // Draw 4 cards
+        for (let i = 0; i < 4; i++) {
+            this.drawCard();
+        }
+
+        this.notifyHandChanged();
+    }
+
+    drawCard() {
+        // Nothing is drawn into a full hand
+        if (this.hand.length >= this.maxCardsInHand) {
+            return null;
+        }
+
+        // Chance to draw a power card (these come on top of the deck, not from it)
+        const powerCards = this.powerCards.filter(card => this.game.isPowerAvailable(card.effect));
+        if (this.game.rng.next() < this.powerCardChance && powerCards.length > 0) {
+            // Draw a random power card
+            const powerCard = powerCards[Math.floor(this.game.rng.next() * powerCards.length)];
+            this.hand.push(powerCard);
+            return powerCard;
+        }
+
+        // Out of cards: shuffle the discard pile back in
+        if (this.drawPile.length === 0) {
+            if (this.discardPile.length === 0) {
+                return null;
+            }
+            this.reshuffleDiscardPile();
+        }
+
+        const card = this.drawPile.pop();
+        this.hand.push(card);
+        return card;
+    }
+
+    // Play a card from the hand. Called through executeCommand so the play
+    // (and any target picked for it) ends up in the replay.
+    async playCard(payload) {
+        const card = this.hand.find(handCard => handCard.id === payload.cardId);
+        if (!card) return false;
+
+        // Power cards cost gold
+        if (card.goldCost !== undefined) {
+            if (this.game.player.gold < card.goldCost) return false;
+
+            if (card.effect === 'meteor' && !payload.target) {
+                const { x, y, z } = this.game.powers.findBestMeteorTarget();
+                payload.target = { x, y, z };
+            }
+            return this.activatePowerCard(card, payload.target);
+        }
+
+        if (this.mana < card.cost) return false;
+
+        switch (card.type) {
+            case 'tower':
+                return this.placeTowerCard(card, payload.gridX, payload.gridY);
+
+            case 'spell':
+                return this.castSpell(card);
+
+            case 'enemy':
+                return this.sendEnemyCard(card);
+
+            default:
+                return false;
+        }
+    }
+
+    // Spend mana to spawn the enemy in the opponent's next wave
+    sendEnemyCard(card) {
+        if (!this.game.multiplayer?.inMatch) return false;
+
+        this.game.multiplayer.sendEnemyCard(card.id);
+        this.spendMana(card.cost);
+        this.removeCardFromHand(card);
+
+        this.game.events.emit(GameEvents.ENEMY_CARD_SENT, { card });
+        return true;
+    }
+
+    activatePowerCard(card, target = null) {
+        // Activate the power card through the power card state
+        const cardType = card.effect; // meteor, freeze, hero, gold, empower
+        const success = this.game.activatePowerCard(cardType, card.goldCost, target);
+
+        if (success) {
+            this.removeCardFromHand(card);
+        }
+
+        return success;
+    }
+
+    // Build a tower card on the grid. Card towers cost mana instead of gold.
+    async placeTowerCard(card, gridX, gridY) {
+        const towerType = card.towerType;
+
+        // Campaign levels can rule out some towers
+        if (!this.game.isTowerAllowed(towerType)) {
+            return false;
+        }
+
+        // Check if placement is valid
+        if (!await this.game.map.canPlaceTower(gridX, gridY)) {
+            return false;
+        }
+
+        // Co-op: the server has the final say on the shared grid
+        if (!await this.game.claimCell(gridX, gridY, { towerType, cardId: card.id })) {
+            return false;
+        }
+
+        const tower = this.game.createTower(towerType, gridX, gridY);
+        this.applyCardStats(tower, card);
+        tower.owner = this.game.multiplayer?.playerId || null;
+
+        this.spendMana(card.cost);
+        this.removeCardFromHand(card);
+        this.game.runStats.towersPlaced++;
+        this.game.events.emit(GameEvents.STATS_CHANGED);
+
+        return true;
+    }
+
+    // Turn a tower built from a card into that card's tower
+    applyCardStats(tower, card) {
+        const stats = card.getAdjustedStats();
+
+        // Make sure element is properly set (might be an array for dual-element cards)
+        if (Array.isArray(card.element)) {
+            tower.element = card.element[0]; // Use primary element
+        } else {
+            tower.element = card.element;
+        }
+
+        // Apply card stats
+        tower.damage = stats.damage;
+        tower.range = stats.range;
+        tower.fireRate = stats.fireRate;
+        tower.specialAbility = stats.specialAbility;
+
+        // Remember the source card - card towers upgrade with mana
+        tower.cardId = card.id;
+
+        // Apply any element-specific properties
+        tower.setAdditionalStats();
+    }
+
+    castSpell(card) {
+        // Get spell effect details
+        const spellStats = card.getAdjustedStats();
+
+        // Each cast returns what the visuals need to know, or null when nothing was hit
+        let result = null;
+
+        switch (card.effect) {
+            case 'damage':
+                // Deal damage to all enemies in area
+                result = this.castDamageSpell(spellStats);
+                break;
+
+            case 'freeze':
+                // Freeze all enemies
+                result = this.castFreezeSpell(spellStats);
+                break;
+
+            case 'shield':
+                // Stone Shield: Apply protective shields to towers
+                result = this.castShieldSpell(spellStats);
+                break;
+
+            case 'haste':
+                // Wind Rush: Increase attack speed of towers
+                result = this.castHasteSpell(spellStats);
+                break;
+
+            case 'drain':
+                // Void Drain: Weakens enemies and restores mana
+                result = this.castDrainSpell(spellStats);
+                break;
+        }
+
+        if (!result) return false;
+
+        this.spendMana(card.cost);
+        this.game.runStats.spellsCast++;
+        this.removeCardFromHand(card);
+
+        this.game.events.emit(GameEvents.SPELL_CAST, { card, stats: spellStats, ...result });
+        return true;
+    }
+
+    castDamageSpell(spellStats) {
+        // Deal damage to all enemies
+        const damage = 20 * this.getRarityMultiplier(spellStats.rarity);
+
+        // Apply damage to all enemies
+        let hitCount = 0;
+        for (const enemy of this.game.enemies) {
+            enemy.takeDamage(damage);
+            hitCount++;
+        }
+
+        // Aim the visual effect at the center of the enemy group
+        return hitCount > 0 ? { target: this.findBestMeteorTarget() } : null;
+    }
+
+    // Helper method to find the best target position for area spells
+    findBestMeteorTarget() {
+        const enemies = this.game.enemies;
+
+        if (enemies.length === 0) {
+            // If no enemies, target the center of the map
+            return { x: 0, y: 0.5, z: 0 };
+        }
+
+        // Simple strategy: target the group with most enemies
+        const meteorRadius = 5;
+        let bestTarget = null;
+        let maxEnemiesHit = 0;
+
+        for (const enemy of enemies) {
+            let enemiesHit = 0;
+
+            // Count how many enemies would be hit if we target this enemy
+            for (const otherEnemy of enemies) {
+                const distance = this.game.calculateDistance(enemy.position, otherEnemy.position);
+                if (distance <= meteorRadius) {
+                    enemiesHit++;
+                }
+            }
+
+            if (enemiesHit > maxEnemiesHit) {
+                maxEnemiesHit = enemiesHit;
+                bestTarget = enemy.position;
+            }
+        }
+
+        return bestTarget || { x: enemies[0].position.x, y: 0.5, z: enemies[0].position.z };
+    }
+
+    castFreezeSpell(spellStats) {
+        // Freeze all enemies
+        let hitCount = 0;
+        for (const enemy of this.game.enemies) {
+            enemy.applyStatusEffect('slow', {
+                duration: spellStats.duration,
+                speedModifier: 0.3 // 70% slow
+            });
+            hitCount++;
+        }
+
+        return hitCount > 0 ? {} : null;
+    }
+
+    castShieldSpell(spellStats) {
+        // Apply shield effect to towers
+        const duration = spellStats.duration || 10; // Default 10 seconds if not specified
+        const damageReduction = 0.5; // 50% damage reduction
+
+        for (const tower of this.game.towers) {
+            tower.applyEffect('shield', damageReduction, duration);
+        }
+
+        // Succeeds if any towers were affected
+        return this.game.towers.length > 0 ? {} : null;
+    }
+
+    castHasteSpell(spellStats) {
+        // Apply haste effect to towers (increased attack speed)
+        const duration = spellStats.duration || 10; // Default 10 seconds if not specified
+        const speedMultiplier = 1.5; // 50% faster attacks
+
+        for (const tower of this.game.towers) {
+            tower.applyEffect('haste', speedMultiplier, duration);
+        }
+
+        // Succeeds if any towers were affected
+        return this.game.towers.length > 0 ? {} : null;
+    }
+
+    castDrainSpell(spellStats) {
+        // Apply drain effect to enemies (weakens them) and restore mana
+        const duration = spellStats.duration || 10; // Default 10 seconds if not specified
+        const weakenAmount = 0.5; // 50% increased damage taken
+        const manaRestored = Math.min(3, this.absoluteMaxMana - this.mana); // Restore up to 3 mana
+
+        // Apply weaken effect to all enemies
+        let affectedCount = 0;
+        for (const enemy of this.game.enemies) {
+            enemy.applyStatusEffect('weaken', {
+                duration: duration,
+                damageModifier: 1.0 + weakenAmount // Take 50% more damage
+            });
+
+            // Leave a drain zone on each enemy
+            this.game.powers.createDrainZone({
+                x: enemy.position.x,
+                y: enemy.position.y + 0.5,
+                z: enemy.position.z
+            });
+
+            affectedCount++;
+        }
+
+        if (affectedCount === 0) return null;
+
+        // Restore mana if enemies were affected
+        this.addMana(manaRestored, this.absoluteMaxMana);
+
+        return { manaRestored };
+    }
+
+    removeCardFromHand(card) {
+        const index = this.hand.indexOf(card);
+        if (index !== -1) {
+            this.hand.splice(index, 1);
+
+            // Deck cards are discarded; power cards are one-off bonuses
+            if (card.goldCost === undefined) {
+                this.discardPile.push(card);
+            }
+            this.notifyHandChanged();
+        }
+    }
+
+    startTurn() {
+        this.currentTurn++;
+
+        // Increase max mana based on current wave
+        this.updateMaxManaByWave();
+
+        // Refresh mana (up to max)
+        this.mana = this.maxMana;
+
+        // Refill hand to maintain 5 cards
+        this.refillHand();
+
+        // Reset mana regeneration timer
+        this.lastManaRegenTime = this.game.clock.now();
+
+        this.notifyHandChanged();
+        this.notifyManaChanged();
+    }
+
+    refillHand() {
+        // Fill hand back up to max (typically 5 cards)
+        const cardsNeeded = this.maxCardsInHand - this.hand.length;
+
+        for (let i = 0; i < cardsNeeded; i++) {
+            this.drawCard();
+        }
+    }
+
+    updateMaxManaByWave() {
+        const currentWave = this.game.currentWave;
+
+        // Set max mana based on current wave - more gradual progression
+        switch (currentWave) {
+            case 1:
+                this.maxMana = 8;
+                break;
+            case 2:
+                this.maxMana = 9;
+                break;
+            case 3:
+                this.maxMana = 10;
+                break;
+            case 4:
+                this.maxMana = 11;
+                break;
+            case 5:
+            case 6:
+            default:
+                this.maxMana = this.absoluteMaxMana; // 12
+                break;
+        }
+
+        // Also give a small mana bonus for wave completion
+        const manaBonus = currentWave; // 1, 2, or 3 mana bonus
+        this.mana = Math.min(this.maxMana, this.mana + manaBonus);
+    }
+
+    // Regenerate mana over time
+    update(now) {
+        if (now - this.lastManaRegenTime >= this.manaRegenInterval) {
+            // Regenerate mana if below max
+            if (this.mana < this.maxMana) {
+                this.addMana(this.manaRegenAmount);
+            }
+            // Reset timer
+            this.lastManaRegenTime = now;
+        }
+    }
+
+    addMana(amount, cap = this.maxMana) {
+        this.mana = Math.min(cap, this.mana + amount);
+        this.notifyManaChanged();
+    }
+
+    spendMana(amount) {
+        this.mana -= amount;
+        this.notifyManaChanged();
+    }
+
+    reset() {
+        // Reset mana to initial values
+        this.mana = this.initialMana;
+        this.maxMana = this.initialMaxMana;
+
+        // Reset turn counter
+        this.currentTurn = 0;
+
+        // Reset last mana regen time
+        this.lastManaRegenTime = 0;
+
+        // Draw a new initial hand
+        this.drawInitialHand();
+
+        this.notifyManaChanged();
+    }
+
+    // Card state for saved runs (deck and collection come from Player.serialize)
+    serialize() {
+        return {
+            player: this.player.serialize(),
+            hand: this.hand.map(card => card.id),
+            drawPile: this.drawPile.map(card => card.id),
+            discardPile: this.discardPile.map(card => card.id),
+            mana: this.mana,
+            maxMana: this.maxMana,
+            currentTurn: this.currentTurn,
+            lastManaRegenTime: this.lastManaRegenTime
+        };
+    }
+
+    restore(data) {
+        this.player = Player.deserialize(data.player, this.cardCatalog);
+
+        // Hand may hold power cards, which are not part of the catalog
+        this.hand = data.hand
+            .map(id => this.powerCards.find(card => card.id === id) || this.cardCatalog.getCardById(id))
+            .filter(card => card);
+
+        if (data.drawPile) {
+            const toCards = ids => ids.map(id => this.cardCatalog.getCardById(id)).filter(card => card);
+            this.drawPile = toCards(data.drawPile);
+            this.discardPile = toCards(data.discardPile || []);
+        } else {
+            // Saves from before piles existed: rebuild them minus the cards in hand
+            this.resetPiles();
+            this.hand.forEach(card => {
+                const index = this.drawPile.indexOf(card);
+                if (index !== -1) {
+                    this.drawPile.splice(index, 1);
+                }
+            });
+        }
+
+        this.mana = data.mana;
+        this.maxMana = data.maxMana;
+        this.currentTurn = data.currentTurn;
+        this.lastManaRegenTime = data.lastManaRegenTime;
+
+        this.notifyHandChanged();
+        this.notifyManaChanged();
+    }
+
+    getRarityMultiplier(rarity) {
+        // Simple multiplier based on rarity
+        switch (rarity) {
+            case 'common': return 1;
+            case 'uncommon': return 1.2;
+            case 'rare': return 1.5;
+            case 'epic': return 1.8;
+            case 'legendary': return 2.2;
+            default: return 1;
+        }
+    }
+
+    notifyManaChanged() {
+        this.game.events.emit(GameEvents.MANA_CHANGED, { mana: this.mana, maxMana: this.maxMana });
+    }
+
+    notifyHandChanged() {
+        this.game.events.emit(GameEvents.HAND_CHANGED);
+    }
+}
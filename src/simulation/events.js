@@ -0,0 +1,75 @@
+// Events the simulation emits so the renderer, UI and audio can follow along
+// without the gameplay code knowing about them. Payloads are listed next to each type.
+
+export const GameEvents = {
+    ENEMY_SPAWNED: 'enemySpawned',             // { enemy }
+    ENEMY_REMOVED: 'enemyRemoved',             // { enemy } - defeated, leaked or cleared
+    ENEMY_DEFEATED: 'enemyDefeated',           // { enemy, reward, manaBonus }
+    ENEMY_REACHED_END: 'enemyReachedEnd',      // { enemy, lifeLost }
+    ENEMY_DAMAGED: 'enemyDamaged',             // { enemy, amount, damageType, isFromEffect } - after armor/resistance
+    BOSS_SPAWNED: 'bossSpawned',               // { boss }
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged',    // { boss, phase } - phases entered so far
+    BOSS_ABILITY_TELEGRAPHED: 'bossAbilityTelegraphed', // { boss, ability, position, delay } - delay in seconds
+    BOSS_ABILITY_USED: 'bossAbilityUsed',      // { boss, ability, position, towers } - towers it disabled
+    BOSS_DEFEATED: 'bossDefeated',             // { boss, reward, manaReward }
+    TOWER_PLACED: 'towerPlaced',               // { tower }
+    TOWER_UPGRADED: 'towerUpgraded',           // { tower }
+    TOWER_REMOVED: 'towerRemoved',             // { tower }
+    TOWER_SOLD: 'towerSold',                   // { tower, refund, currency } - card towers refund mana
+    TOWER_FIRED: 'towerFired',                 // { tower, target }
+    SYNERGIES_CHANGED: 'synergiesChanged',     // { links } - tower pairs with an active synergy, see findSynergies
+    PROJECTILE_FIRED: 'projectileFired',       // { projectile }
+    PROJECTILE_EXPIRED: 'projectileExpired',   // { projectile } - flew out of range without a hit
+    PROJECTILE_REMOVED: 'projectileRemoved',   // { projectile }
+    MAP_RESET: 'mapReset',                     // { map }
+    PATH_CHANGED: 'pathChanged',               // { map }
+    WAVE_STARTED: 'waveStarted',               // { waveNumber }
+    WAVE_COMPLETED: 'waveCompleted',           // { waveNumber, bonus }
+    DIFFICULTY_INCREASED: 'difficultyIncreased', // {}
+    RUN_CHECKPOINT: 'runCheckpoint',           // {} - between waves, a good time to save
+    STATS_CHANGED: 'statsChanged',             // {} - gold, lives, score, wave or a tower changed
+    GAME_OVER: 'gameOver',                     // { victory }
+    MANA_CHANGED: 'manaChanged',               // { mana, maxMana }
+    HAND_CHANGED: 'handChanged',               // {}
+    SPELL_CAST: 'spellCast',                   // { card, stats, target, manaRestored }
+    ENEMY_CARD_SENT: 'enemyCardSent',          // { card }
+    ENEMY_CARD_RECEIVED: 'enemyCardReceived',  // { card, from }
+    POWER_CARD_ACTIVATED: 'powerCardActivated', // { cardType, target }
+    POWER_CARD_READY: 'powerCardReady',        // { cardType } - cooldown over
+    METEOR_LAUNCHED: 'meteorLaunched',         // { position }
+    DRAIN_ZONE_CREATED: 'drainZoneCreated',    // { position, radius, duration }
+    HERO_SUMMONED: 'heroSummoned',             // { hero }
+    HERO_REMOVED: 'heroRemoved'                // { hero }
+};
+
+export class EventEmitter {
+    constructor() {
+        this.handlers = {};
+    }
+
+    // Returns a function that removes the handler again
+    on(type, handler) {
+        (this.handlers[type] ||= []).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers[type];
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    emit(type, payload = {}) {
+        const handlers = this.handlers[type];
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while being called
+        for (const handler of [...handlers]) {
+            handler(payload);
+        }
+    }
+}
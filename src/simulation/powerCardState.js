@@ -0,0 +1,312 @@
+import { GameEvents } from './events.js';
+import { getUnits } from '../units.js';
+
+// Gameplay side of the power cards: cooldowns, damage, heroes and gold.
+// The visuals live in PowerCards, which follows along through the events.
+export class PowerCardState {
+    constructor(game) {
+        this.game = game;
+        this.effects = []; // Running effects (heroes, drain zones) - update() returns true when done
+
+        // Power card cooldowns, and how long they last in milliseconds (data/units.json)
+        const powers = getUnits().powerCards;
+        this.cooldowns = {};
+        this.cooldownTimes = {};
+        Object.entries(powers).forEach(([cardType, power]) => {
+            this.cooldowns[cardType] = false;
+            this.cooldownTimes[cardType] = power.cooldown;
+        });
+    }
+
+    update() {
+        const now = this.game.clock.now();
+        for (let i = this.effects.length - 1; i >= 0; i--) {
+            if (this.effects[i].update(now)) {
+                this.effects.splice(i, 1);
+            }
+        }
+    }
+
+    // Clear cooldowns and effects left over from a previous run
+    reset() {
+        this.effects = [];
+        Object.keys(this.cooldowns).forEach(cardType => {
+            this.cooldowns[cardType] = false;
+        });
+    }
+
+    // target optionally fixes where targeted powers (meteor) land, e.g. when replaying
+    activate(cardType, target = null) {
+        // Check cooldown
+        if (this.cooldowns[cardType]) {
+            return false;
+        }
+
+        // Activate card effect
+        switch (cardType) {
+            case 'meteor':
+                this.activateMeteorStrike(target);
+                break;
+            case 'freeze':
+                this.activateFreezeWave();
+                break;
+            case 'hero':
+                this.activateSummonHero();
+                break;
+            case 'gold':
+                this.activateGoldRush();
+                break;
+            case 'empower':
+                this.activateTowerEmpowerment();
+                break;
+            default:
+                return false;
+        }
+
+        // Start cooldown
+        this.startCooldown(cardType);
+        this.game.events.emit(GameEvents.POWER_CARD_ACTIVATED, { cardType, target });
+
+        return true;
+    }
+
+    startCooldown(cardType) {
+        this.cooldowns[cardType] = true;
+
+        // Reset cooldown after time
+        this.game.clock.setTimeout(() => {
+            this.cooldowns[cardType] = false;
+            this.game.events.emit(GameEvents.POWER_CARD_READY, { cardType });
+        }, this.cooldownTimes[cardType]);
+    }
+
+    activateMeteorStrike(targetPosition = null) {
+        const numberOfMeteors = 3;
+        const staggerDelay = 300; // ms between each meteor
+        const spreadRadius = 2.0; // How far meteors can spread from the center target
+
+        // Target the initial impact zone
+        const initialTargetPosition = targetPosition || this.findBestMeteorTarget();
+
+        for (let i = 0; i < numberOfMeteors; i++) {
+            const launchDelay = i * staggerDelay;
+
+            // Calculate slightly randomized position for this meteor
+            const randomOffsetX = (this.game.rng.next() - 0.5) * spreadRadius * 2;
+            const randomOffsetZ = (this.game.rng.next() - 0.5) * spreadRadius * 2;
+            const currentMeteorPos = {
+                x: initialTargetPosition.x + randomOffsetX,
+                y: initialTargetPosition.y, // Keep Y the same for ground impact
+                z: initialTargetPosition.z + randomOffsetZ
+            };
+
+            // Schedule the launch of this meteor
+            this.game.clock.setTimeout(() => {
+                this.game.events.emit(GameEvents.METEOR_LAUNCHED, { position: currentMeteorPos });
+
+                // Schedule damage for this meteor's impact
+                this.game.clock.setTimeout(() => {
+                    this.applyMeteorDamage(currentMeteorPos);
+                }, 1000); // 1000ms impact delay relative to this meteor's launch
+            }, launchDelay);
+        }
+    }
+
+    findBestMeteorTarget() {
+        const enemies = this.game.enemies;
+
+        if (enemies.length === 0) {
+            // If no enemies, target the center of the map
+            return { x: 0, y: 0, z: 0 };
+        }
+
+        // Simple strategy: target the group with most enemies
+        const meteorRadius = 5;
+        let bestTarget = null;
+        let maxEnemiesHit = 0;
+
+        for (const enemy of enemies) {
+            let enemiesHit = 0;
+
+            // Count how many enemies would be hit if we target this enemy
+            for (const otherEnemy of enemies) {
+                const distance = this.game.calculateDistance(enemy.position, otherEnemy.position);
+                if (distance <= meteorRadius) {
+                    enemiesHit++;
+                }
+            }
+
+            if (enemiesHit > maxEnemiesHit) {
+                maxEnemiesHit = enemiesHit;
+                bestTarget = enemy.position;
+            }
+        }
+
+        return bestTarget || enemies[0].position;
+    }
+
+    applyMeteorDamage(position) {
+        const enemies = this.game.enemies;
+        const meteorRadius = 5;
+        const meteorDamage = 100;
+
+        for (const enemy of enemies) {
+            const distance = this.game.calculateDistance(position, enemy.position);
+
+            if (distance <= meteorRadius) {
+                // Deal damage based on distance from center of impact
+                const damageMultiplier = 1 - (distance / meteorRadius);
+                const damage = Math.floor(meteorDamage * damageMultiplier);
+
+                enemy.takeDamage(damage);
+            }
+        }
+    }
+
+    activateFreezeWave() {
+        // Apply slow effect to all enemies
+        for (const enemy of this.game.enemies) {
+            enemy.applyStatusEffect('slow', {
+                duration: 10,
+                speedModifier: 0.5 // 50% slow for 10 seconds
+            });
+        }
+    }
+
+    activateSummonHero() {
+        // Find position for hero near the start of the path
+        const spawnPosition = { ...this.game.map.getStartPoint() };
+        spawnPosition.x += 1; // Slight offset from path
+
+        // Create hero entity (a specialized enemy that fights for the player)
+        this.createHero(spawnPosition);
+    }
+
+    createHero(position) {
+        // Hero is implemented as a special enemy type that targets other enemies
+        const hero = {
+            position: { ...position },
+            health: 500,
+            maxHealth: 500,
+            damage: 40,
+            attackRadius: 3,
+            attackInterval: 1,
+            lastAttackTime: 0,
+            lifespan: 30, // 30 seconds
+            creationTime: this.game.clock.now(),
+
+            update: (deltaTime) => {
+                // Check if hero's lifespan is over
+                const now = this.game.clock.now();
+                if (now - hero.creationTime > hero.lifespan * 1000) {
+                    return true; // Hero should be removed
+                }
+
+                // Find closest enemy to attack
+                let closestEnemy = null;
+                let closestDistance = Infinity;
+
+                for (const enemy of this.game.enemies) {
+                    const distance = this.game.calculateDistance(hero.position, enemy.position);
+
+                    if (distance < closestDistance) {
+                        closestDistance = distance;
+                        closestEnemy = enemy;
+                    }
+                }
+
+                // Attack enemy if in range and attack is off cooldown
+                if (closestEnemy && closestDistance <= hero.attackRadius) {
+                    if (now - hero.lastAttackTime > hero.attackInterval * 1000) {
+                        // Attack enemy
+                        closestEnemy.takeDamage(hero.damage);
+                        hero.lastAttackTime = now;
+                    }
+                } else if (closestEnemy) {
+                    // Move towards closest enemy
+                    const direction = {
+                        x: closestEnemy.position.x - hero.position.x,
+                        z: closestEnemy.position.z - hero.position.z
+                    };
+
+                    // Normalize direction
+                    const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+                    direction.x /= length;
+                    direction.z /= length;
+
+                    // Move hero
+                    const moveSpeed = 5 * deltaTime;
+                    hero.position.x += direction.x * moveSpeed;
+                    hero.position.z += direction.z * moveSpeed;
+                }
+
+                return false; // Hero should stay active
+            }
+        };
+
+        this.effects.push({
+            update: () => {
+                if (hero.update(this.game.deltaTime)) {
+                    this.game.events.emit(GameEvents.HERO_REMOVED, { hero });
+                    return true;
+                }
+                return false;
+            }
+        });
+
+        this.game.events.emit(GameEvents.HERO_SUMMONED, { hero });
+        return hero;
+    }
+
+    // Void Drain leaves a zone that keeps hurting enemies standing in it
+    createDrainZone(position) {
+        const radius = 2.0; // Radius within which enemies are damaged
+        const damagePerSecond = 5; // Damage dealt per second to enemies in radius
+        const duration = 3000; // 3 seconds
+
+        const startTime = this.game.clock.now();
+        let lastUpdateTime = startTime; // For calculating deltaTime
+
+        this.effects.push({
+            update: (currentTime) => {
+                const progress = (currentTime - startTime) / duration;
+
+                // Calculate deltaTime for damage calculation
+                const deltaTime = (currentTime - lastUpdateTime) / 1000.0; // seconds
+                lastUpdateTime = currentTime;
+
+                if (progress >= 1.0) {
+                    return true;
+                }
+
+                // Avoid damage spikes on the first update
+                if (deltaTime > 0) {
+                    const frameDamage = damagePerSecond * deltaTime;
+                    this.game.enemies.forEach(enemy => {
+                        const distance = this.game.calculateDistance(position, enemy.position);
+                        if (distance <= radius) {
+                            enemy.takeDamage(frameDamage, true); // Apply damage over time
+                        }
+                    });
+                }
+
+                return false;
+            }
+        });
+
+        this.game.events.emit(GameEvents.DRAIN_ZONE_CREATED, { position, radius, duration });
+    }
+
+    activateGoldRush() {
+        // Give player gold
+        this.game.player.gold += 50;
+        this.game.events.emit(GameEvents.STATS_CHANGED);
+    }
+
+    activateTowerEmpowerment() {
+        // Boost all towers
+        for (const tower of this.game.towers) {
+            tower.applyEmpowerment(2, 15); // Double damage for 15 seconds
+        }
+    }
+}
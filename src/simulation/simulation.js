@@ -0,0 +1,1796 @@
+import { Map } from '../map.js';
+import { Enemy } from '../entities/enemy.js';
+import { Boss } from '../entities/boss.js';
+import { Tower, TargetingModes } from '../entities/tower.js';
+import { Projectile } from '../entities/projectile.js';
+import { findSynergies } from '../synergies.js';
+import { ElementTypes, ElementalAdvantages } from '../elements.js';
+import { SimulationClock, SIMULATION_STEP_MS } from '../simulationClock.js';
+import { SeededRandom } from '../random.js';
+import { ReplayCommands } from '../replay.js';
+import { GameEvents, EventEmitter } from './events.js';
+import { CardState } from './cardState.js';
+import { PowerCardState } from './powerCardState.js';
+import { STANDARD_MAX_WAVES, STANDARD_WAVE_SETTINGS, STANDARD_WAVE_BONUSES, SPAWN_INTERVAL, ENDLESS_CURVE, generateEndlessWave } from './waves.js';
+
+// Standard run rules. Campaign levels bring their own (see campaign.js).
+const STARTING_GOLD = 100;
+const STARTING_LIVES = 10;
+
+// The game rules without any rendering or DOM: grid, pathing, waves, combat,
+// economy and cards. Game extends it with the renderer and UI, which follow
+// along through `events`; on its own it runs headlessly (tests, servers, bots).
+export class Simulation {
+    constructor() {
+        this.events = new EventEmitter();
+        this.map = new Map(this);
+        this.enemies = [];
+        this.towers = [];
+        this.projectiles = [];
+        this.powers = new PowerCardState(this);
+        this.cards = new CardState(this);
+
+        // Simulation clock drives all gameplay timing (pause / speed controls)
+        this.clock = new SimulationClock();
+
+        // Seeded RNG for all gameplay rolls so runs can be reproduced from their seed
+        this.rng = new SeededRandom();
+
+        // Maximum number of entities to keep performance stable
+        this.maxActiveProjectiles = 100; // Reduced limit to prevent visual clutter
+        this.maxActiveEnemies = 150;
+
+        // Game state
+        this.player = {
+            username: '',
+            gold: STARTING_GOLD,
+            lives: STARTING_LIVES,
+            score: 0
+        };
+
+        // Campaign level being played (see campaign.js), null for a standard run
+        this.level = null;
+        this.startingLives = STARTING_LIVES; // Lives the run started with (star ratings)
+
+        // Endless mode: waves past the standard ones are generated until the lives run out
+        this.endless = false;
+        this.endlessCurve = { ...ENDLESS_CURVE };
+
+        // Game timing tracking for score multiplier
+        this.gameStartTime = 0;
+        this.waveStartTimes = {};
+
+        this.currentWave = 1;
+        this.maxWaves = STANDARD_MAX_WAVES;
+        this.waveInProgress = false;
+        this.gameStarted = false;
+        this.gameOver = false;
+        this.debugMode = false;
+        this.cardDebugMode = false; // New debug mode for testing cards
+        this.infiniteLives = false; // Debug: enemies reaching the end cost no lives
+        this.isMultiplayer = false; // Enemy cards can only be played in versus matches
+        this.multiplayer = null; // MultiplayerClient of the running match
+        this.pendingSentEnemies = []; // Enemy card ids sent by the opponent, spawned with the next wave
+
+        // Progressive difficulty tracking
+        this.consecutiveWavesWithoutLosses = 0; // Track waves completed without losing lives
+        this.initialLives = STARTING_LIVES; // Store initial lives value
+        this.difficultyIncreaseActive = false; // Track if difficulty has been increased
+
+        // Game balance settings
+        this.difficultySettings = {
+            enemyHealthMultiplier: 1.0,    // Base multiplier for enemy health
+            enemySpeedMultiplier: 1.0,     // Base multiplier for enemy speed
+            goldMultiplier: 1.0,           // Base multiplier for gold rewards
+            towerDamageMultiplier: 1.0,    // Base multiplier for tower damage
+            waveSpeedMultiplier: 1.0,       // Base multiplier for spawn rate
+            spawnIntervalMultiplier: 1.0,  // Controls time between enemy spawns
+            randomFactorMultiplier: 0.2,   // Random variation in enemy stats (0-1)
+            bossHealthMultiplier: 3.0,     // Base multiplier for boss health
+            bossSpeedMultiplier: 0.7,      // Base multiplier for boss speed (slower but tougher)
+            lateStageBossBonus: 2.0,       // Additional multiplier for bosses in waves 4-6
+            towerSellRefund: 0.7           // Fraction of the tower cost refunded when selling
+        };
+
+        // Per-wave difficulty settings
+        this.waveSettings = STANDARD_WAVE_SETTINGS.map(wave => ({ ...wave }));
+
+        // Game timing
+        this.deltaTime = 0;
+        this.enemySpawnInterval = SPAWN_INTERVAL; // ms
+        this.lastEnemySpawnTime = 0;
+        // Enemy counts now defined in waveSettings
+        this.enemiesSpawned = 0;
+        this.enemiesDefeated = 0;
+
+        // Track active waves for multi-wave support
+        this.activeWaves = [];
+        this.wavesCompleted = 0;
+
+        // Tower upgrades bought this run (reported in score stats)
+        this.towerUpgradesPurchased = 0;
+
+        // Counters added to the player's profile stats when the run ends
+        // (goldEarned is the gold from kills and wave bonuses, sent with the score)
+        this.runStats = { towersPlaced: 0, enemiesDefeated: 0, spellsCast: 0, goldEarned: 0 };
+
+        // Signed token from the server, required to submit this run's score
+        this.runToken = null;
+
+        // Bind methods
+        this.startWave = this.startWave.bind(this);
+    }
+
+    // Start a run on a fresh Simulation without any UI: seed it, build the map and deal the first hand.
+    // player is a Player with a deck; without one the run is played with towers bought for gold only.
+    // level is a campaign level (see campaign.js) whose rules replace the current ones.
+    // layout is a map from the map editor (see Map.createDefaultLayout); null plays the default map.
+    // endless keeps generating waves after the standard ones (not with a level).
+    async startRun({ seed = null, username = 'Bot', player = null, level = null, layout = null, endless = false } = {}) {
+        this.player.username = username;
+        this.rng.setSeed(seed !== null ? SeededRandom.parseSeed(seed) : SeededRandom.generateSeed());
+        this.gameStartTime = this.clock.now();
+        this.waveStartTimes = {};
+
+        if (level) {
+            this.applyLevel(level);
+        } else {
+            this.map.setLayout(layout);
+        }
+        this.setEndless(endless && !level);
+        await this.prepareMap();
+
+        this.cards.player = player;
+        this.cards.reset();
+        this.gameStarted = true;
+    }
+
+    // Set up the rules of the next run: a campaign level's map, waves, gold, lives,
+    // towers and powers, or the standard ones when level is null
+    applyLevel(level) {
+        this.level = level;
+        this.waveSettings = (level ? level.waves : STANDARD_WAVE_SETTINGS).map(wave => ({ ...wave }));
+        this.endless = false;
+        this.maxWaves = level ? level.waves.length : STANDARD_MAX_WAVES;
+        this.map.setLayout(level ? level.layout : null);
+        this.resetPlayer();
+    }
+
+    // Endless runs have no last wave; the others end with the last of their wave settings
+    setEndless(endless) {
+        this.endless = endless;
+        this.maxWaves = endless ? Infinity : (this.level ? this.level.waves.length : STANDARD_MAX_WAVES);
+    }
+
+    // Generate endless waves up to waveNumber
+    extendEndlessWaves(waveNumber) {
+        if (!this.endless) return;
+
+        while (this.waveSettings.length < waveNumber) {
+            const previousWave = this.waveSettings[this.waveSettings.length - 1];
+            this.waveSettings.push(generateEndlessWave(previousWave, this.waveSettings.length + 1, this.endlessCurve));
+        }
+    }
+
+    // Starting gold and lives for the run's rules
+    resetPlayer() {
+        this.startingLives = this.level ? this.level.startingLives : STARTING_LIVES;
+        this.initialLives = this.startingLives;
+        this.player.gold = this.level ? this.level.startingGold : STARTING_GOLD;
+        this.player.lives = this.startingLives;
+    }
+
+    // Campaign levels can limit the towers that can be built (from gold or cards)
+    isTowerAllowed(towerType) {
+        return !this.level || !this.level.allowedTowers || this.level.allowedTowers.includes(towerType);
+    }
+
+    // ...and the power cards on offer
+    isPowerAvailable(cardType) {
+        return !this.level || !this.level.powerCards || this.level.powerCards.includes(cardType);
+    }
+
+    // Build the map for a new run, retrying the path if the first attempt found none
+    async prepareMap() {
+        let mapPath = null;
+
+        try {
+            // reset() creates the grid the first time too
+            await this.map.reset();
+            mapPath = this.map.path;
+
+            if (!mapPath || !Array.isArray(mapPath) || mapPath.length === 0) {
+                console.error("Map initialization failed to create valid path - retrying");
+                // Force recreate the path
+                mapPath = await this.map.recreatePathWaypoints();
+            }
+        } catch (err) {
+            console.error("Error initializing map:", err);
+        }
+
+        return mapPath;
+    }
+
+    // Advance the run by one fixed step
+    step() {
+        this.clock.step();
+        this.deltaTime = SIMULATION_STEP_MS / 1000; // convert to seconds
+        this.updateSimulation(this.clock.now());
+    }
+
+    // Run up to `steps` fixed steps (or until the game ends) as fast as possible
+    advance(steps) {
+        for (let i = 0; i < steps && !this.gameOver; i++) {
+            this.step();
+        }
+    }
+
+    // Advance all gameplay systems by one simulation step (now = simulated ms)
+    updateSimulation(now) {
+        // Spawn enemies for active waves
+        if (this.waveInProgress) {
+            // Spawning fell behind with few enemies left on the field: catch up
+            if (this.lastEnemySpawnTime + this.enemySpawnInterval*2 < now &&
+                this.enemiesSpawned < this.waveSettings[this.currentWave - 1].enemyCount &&
+                this.enemies.length < 5) {
+                this.lastEnemySpawnTime = now - this.enemySpawnInterval;
+            }
+
+            // Process each active wave
+            for (let i = 0; i < this.activeWaves.length; i++) {
+                const waveInfo = this.activeWaves[i];
+
+                // Skip waves that are already complete
+                if (waveInfo.completed) continue;
+
+                const waveIndex = waveInfo.waveNumber - 1;
+                if (waveIndex < this.waveSettings.length) {
+                    const waveSettings = this.waveSettings[waveIndex];
+                    const enemyCount = waveSettings.enemyCount;
+
+                    // Enemies sent by the opponent come in alongside the wave
+                    if (waveInfo.sentEnemies?.length > 0 &&
+                        now - waveInfo.lastSentSpawnTime > this.enemySpawnInterval) {
+                        this.spawnSentEnemy(waveInfo.sentEnemies.shift(), waveInfo);
+                        waveInfo.lastSentSpawnTime = now;
+                    }
+
+                    if (waveInfo.enemiesSpawned < enemyCount) {
+                        // Determine if this is one of the final enemies in the wave and it should be a boss
+                        // (endless waves can bring more than one)
+                        const isBossSpawn = (waveSettings.spawnBoss || !!waveSettings.boss) &&
+                            waveInfo.enemiesSpawned >= enemyCount - (waveSettings.bossCount || 1);
+
+                        // Adjust spawn interval based on difficulty settings and batch logic
+                        let adjustedInterval = this.enemySpawnInterval / this.difficultySettings.waveSpeedMultiplier;
+
+                        // Apply spawn interval multiplier (additional control)
+                        adjustedInterval = adjustedInterval / this.difficultySettings.spawnIntervalMultiplier;
+
+                        // Apply batch spawning logic if enabled for this wave
+                        if (waveSettings.batchSpawning) {
+                            // For waves 4-6, use enhanced challenging batch spawning
+                            if (waveInfo.waveNumber >= 3) {
+                                // More intense spawning patterns for higher waves (endless waves spawn like wave 6)
+                                const waveIntensity = Math.min(waveInfo.waveNumber - 3, 3); // 1 for wave 4, 2 for wave 5, 3 for wave 6
+
+                                // Larger batch sizes for higher waves with random variation
+                                const baseBatchSize = 5 + waveIntensity; // 6, 7, 8 for waves 4, 5, 6
+                                const randomVariation = Math.floor(this.rng.next() * 3); // 0, 1, or 2
+                                const batchSize = baseBatchSize + randomVariation;
+
+                                const batchPosition = waveInfo.enemiesSpawned % (batchSize + Math.ceil(waveIntensity * 0.5));
+
+                                if (batchPosition < batchSize) {
+                                    // Near-simultaneous spawning - extremely fast within batch
+                                    adjustedInterval = adjustedInterval * (0.15 - (waveIntensity * 0.03)); // 0.15, 0.12, 0.09
+                                } else {
+                                    // Longer delay between batches to create distinct waves of enemies
+                                    adjustedInterval = adjustedInterval * (2.5 + (waveIntensity * 0.5)); // 3.0, 3.5, 4.0
+                                }
+
+                                // Every ~3 batches, add a surprise burst (1 in 3 chance when between batches)
+                                if (batchPosition >= batchSize && this.rng.next() < 0.3) {
+                                    // Surprise burst - no delay
+                                    adjustedInterval = 0;
+                                }
+                            } else {
+                                // Original logic for waves 1-3
+                                const batchSize = 6;
+                                const batchPosition = waveInfo.enemiesSpawned % (batchSize + 1);
+
+                                if (batchPosition < batchSize) {
+                                    // Within a batch - spawn quickly
+                                    adjustedInterval = adjustedInterval * 0.25; // Even faster spawns within a batch
+                                } else {
+                                    // Between batches - longer delay
+                                    adjustedInterval = adjustedInterval * 2.5; // Longer delay between batches
+                                }
+                            }
+                        }
+
+                        // Skip delay for boss spawn to make it more dramatic (regardless of batch settings)
+                        if (isBossSpawn) {
+                            adjustedInterval = adjustedInterval * 2.5; // Dramatic pause before boss
+                        }
+
+                        // For waves after the first active wave, add a small additional delay
+                        if (i > 0) {
+                            adjustedInterval *= 1.2;
+                        }
+
+                        if (now - waveInfo.lastSpawnTime > adjustedInterval) {
+                            this.spawnEnemy(isBossSpawn, waveInfo);
+                            waveInfo.lastSpawnTime = now;
+
+                            // Also update the global last spawn time for backward compatibility
+                            if (waveInfo.waveNumber === this.currentWave) {
+                                this.lastEnemySpawnTime = now;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // Check completion of all active waves
+        if (this.waveInProgress) {
+            // The individual enemy updates will trigger checkWaveCompletion
+            // We'll also check if all active waves are complete
+            if (this.activeWaves.length > 0 &&
+                this.activeWaves.every(w => w.completed ||
+                    (w.enemiesSpawned >= this.waveSettings[w.waveNumber - 1]?.enemyCount && w.enemiesAlive === 0 && !w.extrasAlive))) {
+
+                // If all waves are done, update game state
+                if (this.activeWaves.every(w => w.completed)) {
+                    this.waveInProgress = false;
+
+                    // If current wave is the max wave and all are complete, trigger victory
+                    if (this.currentWave >= this.maxWaves) {
+                        this.victory();
+                    }
+                }
+            }
+        }
+
+        // Update game entities
+        this.updateEnemies();
+        this.updateTowers();
+        this.updateProjectiles();
+        this.powers.update();
+
+        // Regenerate mana
+        this.cards.update(now);
+    }
+
+    startWave(forceSend = false) {
+        // If forceSend is true, we'll start the next wave even if a wave is in progress
+        // If a wave is already in progress and forceSend is false, we don't start another wave
+        if (this.waveInProgress && !forceSend) return;
+
+        // If we're already on the max wave and have sent all waves, don't allow more
+        const nextWaveNumber = forceSend && this.waveInProgress ?
+            this.currentWave + 1 : this.currentWave;
+
+        if (nextWaveNumber > this.maxWaves) {
+            // Status log removed
+            return;
+        }
+
+        // Endless runs generate this wave, and the next one so it's known once this one is cleared
+        this.extendEndlessWaves(nextWaveNumber + 1);
+
+        // Record wave start time for scoring
+        const now = this.clock.now();
+        this.waveStartTimes[nextWaveNumber] = now;
+
+        // Set up wave tracking info
+        const waveInfo = {
+            waveNumber: nextWaveNumber,
+            enemiesSpawned: 0,
+            enemiesAlive: 0,
+            extrasAlive: 0, // Minions and enemy cards, which come on top of enemyCount
+            enemiesDefeated: 0,
+            startTime: now,
+            lastSpawnTime: now,
+            sentEnemies: this.pendingSentEnemies.splice(0), // Enemy cards from the opponent
+            lastSentSpawnTime: now,
+            completed: false
+        };
+
+        // Add this wave to active waves
+        this.activeWaves.push(waveInfo);
+
+        // If we're force-sending and there's a wave in progress, increment the current wave
+        if (forceSend && this.waveInProgress) {
+            this.currentWave = nextWaveNumber;
+            // Manually trigger TCG turn start when forcing next wave
+            this.cards.startTurn();
+        }
+
+        // Initialize tracking variables for the new wave
+        this.waveInProgress = true;
+        this.enemiesSpawned = 0;
+        this.enemiesDefeated = 0;
+        this.lastEnemySpawnTime = now;
+
+        this.events.emit(GameEvents.WAVE_STARTED, { waveNumber: nextWaveNumber });
+    }
+
+    // Check if a specific wave is complete
+    checkWaveCompletion(waveNumber) {
+        const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
+        if (!waveInfo || waveInfo.completed) return;
+
+        const waveIndex = waveInfo.waveNumber - 1;
+        if (waveIndex >= this.waveSettings.length) return;
+
+        const enemyCount = this.waveSettings[waveIndex].enemyCount;
+
+        // Add extensive debug logging to track wave completion
+        // console.log(`[WAVE DEBUG] Checking completion for wave ${waveNumber}:
+        // - Enemies spawned: ${waveInfo.enemiesSpawned}/${enemyCount}
+        // - Enemies still alive: ${waveInfo.enemiesAlive}
+        // - Enemies defeated: ${waveInfo.enemiesDefeated}
+        // - Enemies reached end: ${waveInfo.enemiesSpawned - waveInfo.enemiesAlive - waveInfo.enemiesDefeated}
+        // - Wave already completed: ${waveInfo.completed}`);
+
+        // Check if all enemies for this wave have been spawned and defeated/reached end
+        if (waveInfo.enemiesSpawned >= enemyCount && waveInfo.enemiesAlive === 0 && !waveInfo.extrasAlive &&
+            !waveInfo.sentEnemies?.length) {
+            // Status log removed
+
+            // Record wave completion time for scoring
+            const waveCompletionTime = this.clock.now();
+            const waveStartTime = this.waveStartTimes[waveNumber] || this.gameStartTime;
+            const waveDuration = waveCompletionTime - waveStartTime;
+            // Status log removed
+
+            // Mark wave as completed
+            waveInfo.completed = true;
+            waveInfo.completionTime = waveCompletionTime;
+            waveInfo.duration = waveDuration;
+            this.wavesCompleted++;
+
+            // Call completeWave to give rewards
+            this.completeWave(waveInfo.waveNumber);
+
+            // If this completed wave is the current wave and not the last wave,
+            // prepare to start the next wave if no waves were force-sent
+            if (waveInfo.waveNumber === this.currentWave && waveInfo.waveNumber < this.maxWaves) {
+                // Status log removed
+                // Start next wave after delay, but only if no other uncompleted waves
+                const nextWave = this.currentWave + 1;
+                this.currentWave = nextWave;
+
+                // Check if we should auto-start the next wave
+                const shouldAutoStart = this.activeWaves.length <= 1 ||
+                                       this.activeWaves.every(w => w.completed);
+
+                if (shouldAutoStart) {
+                    // Status log removed
+                    this.clock.setTimeout(() => {
+                        // Double-check we're not already in progress when timeout fires
+                        if (!this.waveInProgress) {
+                            this.startWave();
+                        } else {
+                            // Status log removed
+                        }
+                    }, 5000);
+                } else {
+                    // Status log removed
+                }
+            }
+        }
+    }
+
+    completeWave(waveNumber = this.currentWave) {
+        // Find wave info object
+        const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
+        if (!waveInfo) return;
+
+        // If all active waves are completed, set waveInProgress to false
+        if (this.activeWaves.every(w => w.completed)) {
+            this.waveInProgress = false;
+        }
+
+        // Determine wave index
+        const waveIndex = waveNumber - 1;
+        if (waveIndex >= this.waveSettings.length) return;
+
+        // Reward player for completing the wave, more for later waves
+        // (endless waves carry their bonus from the growth curve)
+        const baseWaveBonus = this.waveSettings[waveIndex].waveBonus ??
+            STANDARD_WAVE_BONUSES[waveIndex] ?? waveNumber * 50;
+
+        // Calculate time-based speed bonus multiplier
+        let timeMultiplier = 1.0;
+
+        // Calculate wave duration in seconds
+        const now = this.clock.now();
+        const waveStartTime = this.waveStartTimes[waveNumber] || this.gameStartTime;
+        const waveDuration = (now - waveStartTime) / 1000; // in seconds
+
+        // Calculate expected time to complete wave based on enemy count and base stats
+        // This is a rough estimation, adjust based on your game balance
+        const enemyCount = this.waveSettings[waveIndex].enemyCount;
+        const expectedSeconds = 45 + (enemyCount * 1.5); // Base time + time per enemy
+
+        if (waveDuration < expectedSeconds * 0.7) {
+            // Very fast completion (30% faster than expected) - 50% bonus
+            timeMultiplier = 1.5;
+            // Status log removed
+        } else if (waveDuration < expectedSeconds * 0.85) {
+            // Fast completion (15% faster than expected) - 25% bonus
+            timeMultiplier = 1.25;
+            // Status log removed
+        } else if (waveDuration < expectedSeconds) {
+            // Better than expected completion - 10% bonus
+            timeMultiplier = 1.1;
+            // Status log removed
+        }
+
+        // Apply gold multipliers
+        let waveBonus = baseWaveBonus;
+
+        // Apply per-wave gold multiplier if available
+        if (this.waveSettings[waveIndex].goldMultiplier) {
+            waveBonus = Math.round(waveBonus * this.waveSettings[waveIndex].goldMultiplier);
+        }
+
+        // Apply global gold multiplier
+        waveBonus = Math.round(waveBonus * this.difficultySettings.goldMultiplier);
+
+        // Apply time multiplier to score (not gold)
+        const timeBonus = Math.round(waveBonus * timeMultiplier) - waveBonus;
+
+        // Add rewards
+        this.player.gold += waveBonus;
+        this.player.score += waveBonus + timeBonus;
+        this.runStats.goldEarned += waveBonus;
+
+        // Store time data for final scoring
+        waveInfo.timeBonus = timeBonus;
+        waveInfo.timeMultiplier = timeMultiplier;
+
+        this.events.emit(GameEvents.WAVE_COMPLETED, { waveNumber, bonus: waveBonus });
+
+        // Track consecutive waves without life loss and increase difficulty
+        // Check if player lost lives during this wave
+        if (this.player.lives === this.initialLives) {
+            // No life lost this wave
+            this.consecutiveWavesWithoutLosses++;
+            // Status log removed
+
+            // If player completed 2 consecutive waves without losing lives, increase difficulty
+            if (this.consecutiveWavesWithoutLosses >= 2 && !this.difficultyIncreaseActive) {
+                this.difficultyIncreaseActive = true;
+
+                // Increase enemy health and speed for next wave only
+                const originalHealthMultiplier = this.difficultySettings.enemyHealthMultiplier;
+                const originalSpeedMultiplier = this.difficultySettings.enemySpeedMultiplier;
+
+                // Apply stronger bonuses
+                this.difficultySettings.enemyHealthMultiplier *= 1.33; // 33% more health
+                this.difficultySettings.enemySpeedMultiplier *= 1.15; // 15% more speed
+
+                // Status log removed
+
+                this.events.emit(GameEvents.DIFFICULTY_INCREASED);
+            }
+        } else {
+            // Reset consecutive wave counter if lives were lost
+            if (this.difficultyIncreaseActive) {
+                // Reset difficulty if it was increased
+                this.difficultySettings.enemyHealthMultiplier /= 1.5;
+                this.difficultySettings.enemySpeedMultiplier /= 1.2;
+                // Status log removed
+                this.difficultyIncreaseActive = false;
+            }
+            this.consecutiveWavesWithoutLosses = 0;
+            // Status log removed
+
+            // Update initial lives count for next wave
+            this.initialLives = this.player.lives;
+        }
+
+        this.events.emit(GameEvents.STATS_CHANGED);
+
+        // Start a new TCG turn (refresh mana, draw a card)
+        // Only do this for the current wave, not for force-sent waves that complete
+        if (waveNumber === this.currentWave) {
+            this.cards.startTurn();
+        }
+
+        // Check if all waves completed
+        if (waveNumber >= this.maxWaves && this.activeWaves.every(w => w.completed)) {
+            this.victory();
+        } else {
+            // Between waves is a good moment to autosave
+            this.events.emit(GameEvents.RUN_CHECKPOINT);
+        }
+    }
+
+    spawnEnemy(isBoss = false, waveInfo = null) {
+        // Determine enemy type based on wave and add elemental enemies in later waves
+        let enemyType;
+        let elementType = ElementTypes.NEUTRAL;
+        let isSpecialEnemy = false; // Track if this is a special enemy (boss or elemental)
+
+        // In card debug mode, spawn a variety of enemies to test against
+        if (this.cardDebugMode) {
+            // During debug mode, cycle through all enemy types to see them all
+            const enemyTypes = ['simple', 'elephant', 'pirate', 'golem'];
+            const totalEnemies = this.enemies.length + this.enemiesSpawned;
+            enemyType = enemyTypes[totalEnemies % enemyTypes.length];
+
+            // Also cycle through elements
+            const elements = [
+                ElementTypes.FIRE,
+                ElementTypes.WATER,
+                ElementTypes.EARTH,
+                ElementTypes.AIR,
+                ElementTypes.SHADOW
+            ];
+
+            // Apply elements to every other enemy
+            if (totalEnemies % 2 === 0) {
+                elementType = elements[Math.floor(totalEnemies / 2) % elements.length];
+            }
+        }
+        // Normal enemy spawning logic
+        else {
+            // Determine enemy type based on wave
+            if (this.currentWave === 1) {
+                enemyType = 'simple';
+            } else if (this.currentWave === 2) {
+                enemyType = this.rng.next() > 0.5 ? 'simple' : 'elephant';
+
+                // 20% chance for elemental enemy at wave 2
+                if (this.rng.next() < 0.2) {
+                    elementType = this.getRandomElement();
+                }
+            } else if (this.currentWave === 3) {
+                // Wave 3 - mix of all base enemy types
+                const rand = this.rng.next();
+                if (rand < 0.3) enemyType = 'simple';
+                else if (rand < 0.7) enemyType = 'elephant';
+                else enemyType = 'pirate';
+
+                // 35% chance for elemental enemy at wave 3
+                if (this.rng.next() < 0.35) {
+                    elementType = this.getRandomElement();
+                }
+            } else if (this.currentWave === 4) {
+                // Wave 4 - mainly stronger enemies
+                const rand = this.rng.next();
+                if (rand < 0.2) enemyType = 'simple';
+                else if (rand < 0.6) enemyType = 'elephant';
+                else enemyType = 'pirate';
+
+                // 50% chance for elemental enemy at wave 4
+                if (this.rng.next() < 0.5) {
+                    elementType = this.getRandomElement();
+                }
+            } else if (this.currentWave === 5) {
+                // Wave 5 - stronger enemies with elementals
+                const rand = this.rng.next();
+                if (rand < 0.1) enemyType = 'simple';
+                else if (rand < 0.5) enemyType = 'elephant';
+                else enemyType = 'pirate';
+
+                // 75% chance for elemental enemy at wave 5
+                if (this.rng.next() < 0.75) {
+                    elementType = this.getRandomElement();
+
+                    // 25% chance to spawn a golem (special enemy)
+                    if (this.rng.next() < 0.25) {
+                        enemyType = 'golem';
+                    }
+                }
+            } else {
+                // Wave 6 (final wave) and endless waves - mostly powerful enemies,
+                // more golems and elementals the further an endless run goes
+                const waveSettings = this.waveSettings[this.currentWave - 1];
+                const golemChance = waveSettings?.golemChance ?? ENDLESS_CURVE.golemChance;
+                const elementalChance = waveSettings?.elementalChance ?? ENDLESS_CURVE.elementalChance;
+
+                const rand = this.rng.next();
+                if (rand < 0.1) enemyType = 'elephant';
+                else if (rand < 1 - golemChance) enemyType = 'pirate';
+                else enemyType = 'golem';
+
+                // 90% chance for elemental enemy at wave 6
+                if (this.rng.next() < elementalChance) {
+                    elementType = this.getRandomElement();
+                }
+            }
+        }
+
+        // If it's an elemental enemy, add the element type to the name
+        if (elementType !== ElementTypes.NEUTRAL) {
+            enemyType = `${elementType}_${enemyType}`;
+        }
+
+        // Waves with a flyingChance send some air wisps over the maze instead
+        const flyingChance = this.waveSettings[this.currentWave - 1]?.flyingChance;
+        if (!this.cardDebugMode && !isBoss && flyingChance && this.rng.next() < flyingChance) {
+            enemyType = 'air_wisp';
+            elementType = ElementTypes.AIR;
+        }
+
+        // If this is a boss, override the enemy type and make it special
+        if (isBoss) {
+            enemyType = 'golem'; // Use golem as base boss type
+            isSpecialEnemy = true;
+
+            // Always give boss an element
+            if (elementType === ElementTypes.NEUTRAL) {
+                elementType = this.getRandomElement();
+            }
+        }
+
+        // Entry points run left to right along the top on the default map
+        const validEntryPoints = this.map.getEntryPoints();
+
+        let startGridPoint;
+
+        // Enhanced spawn patterns for waves 4-6
+        if (waveInfo && waveInfo.waveNumber >= 4) {
+            // Get the number of entry points available
+            const numEntryPoints = validEntryPoints.length;
+
+            // For later waves, we want to bias spawns toward the edges to make defense harder
+            const waveIntensity = waveInfo.waveNumber - 3; // 1 for wave 4, 2 for wave 5, 3 for wave 6
+
+            // Different spawn patterns for each late-game wave
+            if (waveInfo.waveNumber === 4) {
+                // Wave 4: Favor left/right sides and sometimes center
+                const spawnPattern = waveInfo.enemiesSpawned % 5; // 0,1,2,3,4
+
+                if (spawnPattern === 0) {
+                    // Left side
+                    const leftIndex = Math.floor(numEntryPoints * 0.25);
+                    startGridPoint = validEntryPoints[leftIndex];
+                } else if (spawnPattern === 1) {
+                    // Right side
+                    const rightIndex = Math.floor(numEntryPoints * 0.75);
+                    startGridPoint = validEntryPoints[rightIndex];
+                } else {
+                    // Random but weighted toward edges
+                    const useEdge = this.rng.next() < 0.6;
+                    if (useEdge) {
+                        // Choose left or right edge
+                        const useLeft = this.rng.next() < 0.5;
+                        const edgeIndex = useLeft ?
+                            Math.floor(numEntryPoints * 0.1) :
+                            Math.floor(numEntryPoints * 0.9);
+                        startGridPoint = validEntryPoints[edgeIndex];
+                    } else {
+                        // Use center-ish
+                        const centerIndex = Math.floor(numEntryPoints * 0.5) + Math.floor(this.rng.next() * 3) - 1;
+                        startGridPoint = validEntryPoints[Math.min(Math.max(0, centerIndex), numEntryPoints - 1)];
+                    }
+                }
+            } else if (waveInfo.waveNumber === 5) {
+                // Wave 5: Create groups from multiple entry points simultaneously
+                // Divide enemies into groups of 4
+                const groupSize = 4;
+                const groupNumber = Math.floor(waveInfo.enemiesSpawned / groupSize);
+                const positionInGroup = waveInfo.enemiesSpawned % groupSize;
+
+                // Each group gets its own spawn point
+                if (positionInGroup === 0) {
+                    // Start of a new group - select a spawn point based on sequence
+                    const spawnSequence = groupNumber % 3; // 0,1,2
+
+                    if (spawnSequence === 0) {
+                        // Left side
+                        const leftIndex = Math.floor(numEntryPoints * 0.2);
+                        waveInfo.currentSpawnPoint = validEntryPoints[leftIndex];
+                    } else if (spawnSequence === 1) {
+                        // Right side
+                        const rightIndex = Math.floor(numEntryPoints * 0.8);
+                        waveInfo.currentSpawnPoint = validEntryPoints[rightIndex];
+                    } else {
+                        // Center
+                        const centerIndex = Math.floor(numEntryPoints * 0.5);
+                        waveInfo.currentSpawnPoint = validEntryPoints[centerIndex];
+                    }
+                }
+
+                // Use the group's spawn point for all enemies in the group
+                startGridPoint = waveInfo.currentSpawnPoint;
+            } else { // Wave 6
+                // Wave 6: Complete chaos - true multi-point spawning
+                // Group size decreases as wave progresses to create more chaos
+                const initialGroupSize = 3;
+                const spawnedRatio = waveInfo.enemiesSpawned / this.waveSettings[waveInfo.waveNumber - 1].enemyCount;
+                const adaptiveGroupSize = Math.max(1, Math.floor(initialGroupSize * (1 - spawnedRatio)));
+
+                const groupNumber = Math.floor(waveInfo.enemiesSpawned / adaptiveGroupSize);
+                const positionInGroup = waveInfo.enemiesSpawned % adaptiveGroupSize;
+
+                if (positionInGroup === 0) {
+                    // Calculate a new spawn point for this group
+                    // As wave progresses, make spawn points more random to overwhelm player
+                    if (spawnedRatio < 0.3) {
+                        // Early wave 6: Mainly from sides
+                        const useLeft = this.rng.next() < 0.5;
+                        const edgeIndex = useLeft ?
+                            Math.floor(numEntryPoints * 0.15) :
+                            Math.floor(numEntryPoints * 0.85);
+                        waveInfo.currentSpawnPoint = validEntryPoints[edgeIndex];
+                    } else if (spawnedRatio < 0.7) {
+                        // Mid wave 6: From all areas, but more from unexpected places
+                        const rand = this.rng.next();
+                        let index;
+                        if (rand < 0.3) {
+                            // Left third
+                            index = Math.floor(this.rng.next() * (numEntryPoints / 3));
+                        } else if (rand < 0.6) {
+                            // Right third
+                            index = Math.floor((numEntryPoints * 2/3) + this.rng.next() * (numEntryPoints / 3));
+                        } else {
+                            // Center
+                            index = Math.floor((numEntryPoints / 3) + this.rng.next() * (numEntryPoints / 3));
+                        }
+                        waveInfo.currentSpawnPoint = validEntryPoints[Math.min(index, numEntryPoints - 1)];
+                    } else {
+                        // Late wave 6: Complete chaos - totally random
+                        const index = Math.floor(this.rng.next() * numEntryPoints);
+                        waveInfo.currentSpawnPoint = validEntryPoints[index];
+                    }
+                }
+
+                // Use the group's spawn point
+                startGridPoint = waveInfo.currentSpawnPoint;
+            }
+        } else {
+            // For waves 1-3, use simple random entry point
+            const randomEntryIndex = Math.floor(this.rng.next() * validEntryPoints.length);
+            startGridPoint = validEntryPoints[randomEntryIndex];
+        }
+
+        // Convert grid position to world position
+        const startWorldPoint = this.map.gridToWorld(startGridPoint.x, startGridPoint.z);
+
+        // Determine which wave this enemy belongs to
+        const waveNumber = waveInfo ? waveInfo.waveNumber : this.currentWave;
+        const waveIndex = waveNumber - 1;
+
+        // Waves can name an authored boss (data/units.json) to send instead of a generic one
+        const bossId = isBoss ? this.waveSettings[waveIndex]?.boss : null;
+
+        // Create and add enemy - with destination set to the bottom of the map
+        const enemy = bossId ?
+            new Boss(this, bossId, startWorldPoint) :
+            new Enemy(this, enemyType, startWorldPoint, elementType);
+
+        // Associate enemy with its wave
+        enemy.waveNumber = waveNumber;
+
+        // Apply boss stats if this is a generic boss (authored ones bring their own)
+        if (isBoss && !bossId) {
+            // Apply boss stat multipliers
+            let healthMultiplier = this.difficultySettings.bossHealthMultiplier;
+            let rewardMultiplier = 3; // Base reward multiplier for bosses
+
+            // Apply additional late stage boss bonus for waves 4-6
+            if (waveNumber >= 4) {
+                healthMultiplier *= this.difficultySettings.lateStageBossBonus;
+
+                // Each wave gets progressively harder
+                const extraWaveScaling = (waveNumber - 3) * 0.5; // 0.5 for wave 4, 1.0 for wave 5, 1.5 for wave 6
+                healthMultiplier *= (1.0 + extraWaveScaling);
+
+                // More gold for late game bosses
+                rewardMultiplier = 3 + (waveNumber - 3); // 4x for wave 4, 5x for wave 5, 6x for wave 6
+
+                // Bigger visual size for late-game bosses
+                // Scale increases with wave number: 1.8x for wave 4, 2.1x for wave 5, 2.4x for wave 6 and later
+                enemy.scale = 1.5 + (Math.min(waveNumber - 3, 3) * 0.3);
+            } else {
+                // Normal boss size for early waves
+                enemy.scale = 1.5;
+            }
+
+            // Apply final multipliers
+            enemy.maxHealth *= healthMultiplier;
+            enemy.health = enemy.maxHealth;
+            enemy.baseSpeed *= this.difficultySettings.bossSpeedMultiplier;
+            enemy.reward *= rewardMultiplier;
+        }
+
+        // Apply randomness to enemy stats if enabled
+        if (this.difficultySettings.randomFactorMultiplier > 0 && !isBoss) {
+            const randomRange = this.difficultySettings.randomFactorMultiplier;
+
+            // Generate random variation within the range [-randomRange/2, +randomRange]
+            // This creates more positive than negative variation for a slight challenge increase
+            const healthVariation = 1.0 + (this.rng.next() * randomRange - randomRange/3);
+            const speedVariation = 1.0 + (this.rng.next() * randomRange - randomRange/3);
+
+            // Apply random variations
+            enemy.maxHealth *= healthVariation;
+            enemy.health = enemy.maxHealth;
+            enemy.baseSpeed *= speedVariation;
+        }
+
+        // Apply per-wave gold multiplier based on the enemy's wave number
+        const enemyWaveIndex = waveNumber - 1;
+        if (enemyWaveIndex < this.waveSettings.length) {
+            const waveGoldMultiplier = this.waveSettings[enemyWaveIndex].goldMultiplier;
+            enemy.reward = Math.ceil(enemy.reward * waveGoldMultiplier * this.difficultySettings.goldMultiplier);
+        }
+
+        this.addEnemy(enemy);
+        if (bossId) {
+            this.events.emit(GameEvents.BOSS_SPAWNED, { boss: enemy });
+        }
+
+        // Update wave info
+        if (waveInfo) {
+            waveInfo.enemiesSpawned++;
+            waveInfo.enemiesAlive++;
+        } else {
+            this.enemiesSpawned++;
+        }
+
+        return enemy;
+    }
+
+    // Queue an enemy card played by the opponent for this player's next wave
+    queueSentEnemy(cardId, from = 'Opponent') {
+        const card = this.cards.cardCatalog.enemies[cardId];
+        if (!card || !this.gameStarted || this.gameOver) return;
+
+        // No next wave after the last one: send it into the last wave instead
+        const lastWave = this.activeWaves.find(w => w.waveNumber === this.maxWaves && !w.completed);
+        if (lastWave) {
+            lastWave.sentEnemies.push(card.id);
+        } else {
+            this.pendingSentEnemies.push(card.id);
+        }
+
+        this.events.emit(GameEvents.ENEMY_CARD_RECEIVED, { card, from });
+    }
+
+    spawnSentEnemy(cardId, waveInfo) {
+        const card = this.cards.cardCatalog.enemies[cardId];
+
+        const validEntryPoints = this.map.getEntryPoints();
+        const startGridPoint = validEntryPoints[Math.floor(this.rng.next() * validEntryPoints.length)];
+        const startWorldPoint = this.map.gridToWorld(startGridPoint.x, startGridPoint.z);
+
+        // Card enemies use their enemy type stats (scaled by wave), toughened by rarity
+        const enemy = new Enemy(this, card.enemyType, startWorldPoint, card.element);
+        enemy.waveNumber = waveInfo.waveNumber;
+        enemy.maxHealth *= card.getRarityMultiplier();
+        enemy.health = enemy.maxHealth;
+        enemy.isExtra = true;
+
+        this.addEnemy(enemy);
+        waveInfo.extrasAlive = (waveInfo.extrasAlive || 0) + 1;
+
+        return enemy;
+    }
+
+    // Co-op: the server owns the shared grid, so a cell is only ours once it accepts.
+    // Always true outside co-op.
+    async claimCell(gridX, gridY, tower) {
+        if (!this.multiplayer?.isCoop) return true;
+        return this.multiplayer.requestPlacement(gridX, gridY, tower);
+    }
+
+    // Co-op: players can only sell, upgrade and retarget their own towers
+    canControlTower(tower) {
+        return !this.multiplayer?.isCoop || !tower.owner || tower.owner === this.multiplayer.playerId;
+    }
+
+    // Co-op: build a tower the partner placed (the server already accepted the cell)
+    placePartnerTower({ gridX, gridY, towerType, cardId, owner, ownerName }) {
+        if (!this.gameStarted || this.gameOver || this.getTowerAt(gridX, gridY)) return;
+
+        const tower = this.createTower(towerType, gridX, gridY);
+        tower.owner = owner;
+        tower.ownerName = ownerName;
+
+        const card = cardId && this.cards.cardCatalog.towers[cardId];
+        if (card) {
+            this.cards.applyCardStats(tower, card);
+        }
+    }
+
+    // Co-op: mirror a sell / upgrade / targeting change the partner made to their tower
+    async applyPartnerTowerAction({ action, gridX, gridY, mode }) {
+        const tower = this.getTowerAt(gridX, gridY);
+        if (!tower || this.gameOver) return;
+
+        switch (action) {
+            case ReplayCommands.SELL_TOWER:
+                await this.map.removeTower(gridX, gridY);
+                this.enemies.forEach(enemy => {
+                    if (!enemy.reachedEnd && enemy.health > 0) {
+                        enemy.calculatePath();
+                    }
+                });
+                break;
+
+            case ReplayCommands.UPGRADE_TOWER:
+                if (tower.getNextTier()) {
+                    tower.upgrade();
+                }
+                break;
+
+            case ReplayCommands.SET_TARGETING:
+                if (Object.values(TargetingModes).includes(mode)) {
+                    tower.targetingMode = mode;
+                }
+                break;
+        }
+
+        this.events.emit(GameEvents.STATS_CHANGED);
+    }
+
+    updateEnemies() {
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+
+            enemy.update(this.deltaTime);
+
+            // Check if enemy reached the end
+            if (enemy.reachedEnd) {
+                const lifeLost = !this.infiniteLives;
+                if (lifeLost) {
+                    this.player.lives -= 1;
+                }
+
+                this.events.emit(GameEvents.ENEMY_REACHED_END, { enemy, lifeLost });
+
+                // Update wave info
+                const waveNumber = enemy.waveNumber || this.currentWave;
+                const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
+
+                if (waveInfo) {
+                    this.countEnemyGone(waveInfo, enemy);
+                }
+
+                this.removeEnemy(enemy);
+                this.events.emit(GameEvents.STATS_CHANGED);
+
+                // Check wave completion
+                this.checkWaveCompletion(waveNumber);
+
+                // Check if game over (skip if infinite lives enabled)
+                if (this.player.lives <= 0 && lifeLost) {
+                    this.gameOver = true;
+                    this.events.emit(GameEvents.GAME_OVER, { victory: false });
+                }
+            }
+        }
+    }
+
+    // Handle enemy defeat (called from enemy.takeDamage)
+    defeatEnemy(enemy) {
+        // Ensure the enemy exists and isn't already processed
+        if (!enemy || enemy.isDefeated) return;
+        enemy.isDefeated = true;
+
+        // Calculate reward (with all multipliers)
+        let baseReward = Math.round(enemy.reward || 10);
+
+        // Apply wave gold multiplier
+        const waveIndex = this.currentWave - 1;
+        let finalReward = baseReward;
+        if (waveIndex < this.waveSettings.length && this.waveSettings[waveIndex].goldMultiplier) {
+            finalReward = Math.round(finalReward * this.waveSettings[waveIndex].goldMultiplier);
+        }
+
+        // Apply global gold multiplier
+        if (this.difficultySettings && this.difficultySettings.goldMultiplier) {
+            finalReward = Math.round(finalReward * this.difficultySettings.goldMultiplier);
+        }
+
+        // Add the gold reward
+        const oldGold = this.player.gold;
+        this.player.gold += finalReward;
+        this.player.score += finalReward;
+        this.runStats.goldEarned += finalReward;
+
+        // Ensure the gold is a valid number
+        if (isNaN(this.player.gold)) {
+            console.error("[GOLD DEBUG] Gold became NaN! Resetting to previous value");
+            this.player.gold = oldGold;
+        }
+
+        // Track enemy defeat
+        this.enemiesDefeated++;
+        this.runStats.enemiesDefeated++;
+
+        // TCG mana bonus for special enemies
+        let manaBonus = 0;
+        if (
+            enemy.type.includes('elemental') ||
+            enemy.type.includes('fire') ||
+            enemy.type.includes('water') ||
+            enemy.type.includes('earth') ||
+            enemy.type.includes('air') ||
+            enemy.type.includes('shadow') ||
+            enemy.type.includes('golem')
+        ) {
+            // Special enemy defeated - give mana bonus
+            manaBonus = 2;
+            this.cards.addMana(manaBonus);
+        }
+
+        // Update wave info
+        const waveNumber = enemy.waveNumber || this.currentWave;
+        const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
+
+        if (waveInfo) {
+            this.countEnemyGone(waveInfo, enemy);
+            waveInfo.enemiesDefeated++;
+        }
+
+        // Authored bosses pay a mana bounty on top of their gold
+        if (enemy instanceof Boss) {
+            this.cards.addMana(enemy.manaReward);
+            this.events.emit(GameEvents.BOSS_DEFEATED, { boss: enemy, reward: finalReward, manaReward: enemy.manaReward });
+        }
+
+        this.events.emit(GameEvents.ENEMY_DEFEATED, { enemy, reward: finalReward, manaBonus });
+
+        // Splitters break into smaller enemies where they fell
+        const split = enemy.abilities?.split;
+        if (split) {
+            this.spawnMinions(enemy, split.into, split.count);
+        }
+
+        this.removeEnemy(enemy);
+        this.events.emit(GameEvents.STATS_CHANGED);
+
+        // Check wave completion
+        this.checkWaveCompletion(waveNumber);
+    }
+
+    addEnemy(enemy) {
+        this.enemies.push(enemy);
+        this.events.emit(GameEvents.ENEMY_SPAWNED, { enemy });
+    }
+
+    // Enemies called up by an ability (splits, summons) join their parent's wave where it stands
+    spawnMinions(parent, enemyType, count) {
+        const waveNumber = parent.waveNumber || this.currentWave;
+        const waveInfo = this.activeWaves.find(w => w.waveNumber === waveNumber);
+
+        for (let i = 0; i < count; i++) {
+            const minion = new Enemy(this, enemyType, parent.position);
+            minion.waveNumber = waveNumber;
+            minion.isExtra = true;
+
+            this.addEnemy(minion);
+            if (waveInfo) {
+                waveInfo.extrasAlive = (waveInfo.extrasAlive || 0) + 1;
+            }
+        }
+    }
+
+    // A defeated or leaked enemy leaves its wave. Extras (minions, enemy cards) are
+    // counted apart from the wave's own spawns so a resumed run knows which to resend.
+    countEnemyGone(waveInfo, enemy) {
+        if (enemy.isExtra) {
+            waveInfo.extrasAlive--;
+        } else {
+            waveInfo.enemiesAlive--;
+        }
+    }
+
+    // Take an enemy off the field (defeated, leaked or cleared)
+    removeEnemy(enemy) {
+        const index = this.enemies.indexOf(enemy);
+        if (index !== -1) {
+            this.enemies.splice(index, 1);
+            this.events.emit(GameEvents.ENEMY_REMOVED, { enemy });
+        }
+    }
+
+    updateTowers() {
+        for (const tower of this.towers) {
+            tower.update(this.deltaTime);
+
+            // Pick the target once per step: the renderer turns the turret toward it,
+            // and the tower shoots it when off cooldown
+            tower.currentTarget = this.findTarget(tower);
+            if (tower.currentTarget && tower.canFire()) {
+                tower.fire(tower.currentTarget);
+            }
+        }
+    }
+
+    updateProjectiles() {
+        // Enforce maximum projectiles limit for performance
+        if (this.projectiles.length > this.maxActiveProjectiles) {
+            // Remove oldest projectiles when there are too many
+            const excessCount = this.projectiles.length - this.maxActiveProjectiles;
+            for (let i = 0; i < excessCount; i++) {
+                // Mark oldest projectiles as hit to be removed
+                if (i < this.projectiles.length) {
+                    this.projectiles[i].hit = true;
+                }
+            }
+        }
+
+        // Update all projectiles
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+
+            // Skip updates for invalid projectiles
+            if (!projectile) {
+                this.projectiles.splice(i, 1);
+                continue;
+            }
+
+            // Update projectile position and state
+            projectile.update(this.deltaTime);
+
+            // Check if projectile hit a target or is out of bounds
+            if (projectile.hit || projectile.isOutOfBounds()) {
+                this.projectiles.splice(i, 1);
+                this.events.emit(GameEvents.PROJECTILE_REMOVED, { projectile });
+            }
+        }
+    }
+
+    spawnProjectile(type, startPosition, target, damage, areaOfEffect = 0, element = ElementTypes.NEUTRAL, damageType = null) {
+        const projectile = new Projectile(this, type, startPosition, target, damage, areaOfEffect, element, damageType);
+        this.projectiles.push(projectile);
+        this.events.emit(GameEvents.PROJECTILE_FIRED, { projectile });
+
+        return projectile;
+    }
+
+    findTarget(tower) {
+        // Collect enemies in range
+        const candidates = [];
+        for (const enemy of this.enemies) {
+            if (enemy.reachedEnd || enemy.health <= 0) continue;
+            if (!tower.canTarget(enemy)) continue; // Ground-only towers can't reach flyers
+
+            const distance = this.calculateDistance(tower.position, enemy.position);
+            if (distance <= tower.range) {
+                candidates.push({ enemy, distance });
+            }
+        }
+
+        if (candidates.length === 0) return null;
+
+        // Score each candidate by the tower's targeting mode - lowest score wins
+        let score;
+        switch (tower.targetingMode) {
+            case TargetingModes.FIRST:
+                score = c => c.enemy.getRemainingPathDistance();
+                break;
+            case TargetingModes.LAST:
+                score = c => -c.enemy.getRemainingPathDistance();
+                break;
+            case TargetingModes.STRONGEST:
+                score = c => -c.enemy.health;
+                break;
+            case TargetingModes.WEAKEST:
+                score = c => c.enemy.health;
+                break;
+            case TargetingModes.ELEMENTAL: {
+                // Highest damage multiplier first, closest breaks ties
+                const advantages = ElementalAdvantages[tower.element] || {};
+                score = c => -(advantages[c.enemy.element] || 1.0) * 1000 + c.distance;
+                break;
+            }
+            default:
+                score = c => c.distance;
+        }
+
+        let best = candidates[0];
+        let bestScore = score(best);
+        for (let i = 1; i < candidates.length; i++) {
+            const candidateScore = score(candidates[i]);
+            if (candidateScore < bestScore) {
+                best = candidates[i];
+                bestScore = candidateScore;
+            }
+        }
+
+        return best.enemy;
+    }
+
+    async placeTower(towerType, gridX, gridY, skipGoldCost = false) {
+        if (!this.isTowerAllowed(towerType)) return false;
+
+        // Check if cell is empty and tower can be placed
+        if (!await this.map.canPlaceTower(gridX, gridY)) {
+            // Status log removed
+            return false;
+        }
+
+        const cost = Tower.getCost(towerType);
+
+        // Check if player has enough gold (when not skipping cost check)
+        if (!skipGoldCost && this.player.gold < cost) {
+            // Status log removed
+            return false;
+        }
+
+        if (!await this.claimCell(gridX, gridY, { towerType })) {
+            return false;
+        }
+
+        const tower = this.createTower(towerType, gridX, gridY);
+        tower.owner = this.multiplayer?.playerId || null;
+
+        // Deduct gold (when not skipping cost) with debug logging
+        if (!skipGoldCost) {
+            const oldGold = this.player.gold;
+            this.player.gold -= cost;
+
+            // Status log removed
+            // Status log removed
+
+            // Ensure gold is a valid number
+            if (isNaN(this.player.gold)) {
+                console.error("[GOLD DEBUG] Gold became NaN during tower placement! Resetting to previous value");
+                this.player.gold = oldGold;
+            }
+        }
+
+        this.runStats.towersPlaced++;
+        this.events.emit(GameEvents.STATS_CHANGED);
+
+        // Status log removed
+        return true;
+    }
+
+    // Build a tower on a grid cell and mark the cell as occupied
+    createTower(towerType, gridX, gridY) {
+        const element = Tower.getDefinition(towerType)?.element || ElementTypes.NEUTRAL;
+        const position = this.map.gridToWorld(gridX, gridY);
+        const tower = new Tower(this, towerType, position, { gridX, gridY }, element);
+
+        // Update map grid and game state
+        this.map.placeTower(gridX, gridY);
+        this.addTower(tower);
+
+        return tower;
+    }
+
+    addTower(tower) {
+        this.towers.push(tower);
+        this.events.emit(GameEvents.TOWER_PLACED, { tower });
+        this.refreshSynergies();
+    }
+
+    // Take a tower off the field (the map frees its cell, see Map.removeTower)
+    removeTower(tower) {
+        const index = this.towers.indexOf(tower);
+        if (index !== -1) {
+            this.towers.splice(index, 1);
+            this.events.emit(GameEvents.TOWER_REMOVED, { tower });
+            this.refreshSynergies();
+        }
+    }
+
+    // Work out which towers boost each other after one was built or taken away
+    refreshSynergies() {
+        const { active, links } = findSynergies(this.towers);
+        this.towers.forEach(tower => tower.setSynergies(active.get(tower)));
+        this.events.emit(GameEvents.SYNERGIES_CHANGED, { links });
+    }
+
+    // Find the tower occupying a grid cell, if any
+    getTowerAt(gridX, gridY) {
+        return this.towers.find(tower =>
+            tower.gridPosition &&
+            tower.gridPosition.gridX === gridX &&
+            tower.gridPosition.gridY === gridY
+        ) || null;
+    }
+
+    // Returned to the player when selling a tower, including what went into upgrades. Card
+    // towers cost mana and give mana back (see Tower.getCurrency), the others gold.
+    getTowerSellValue(tower) {
+        const refundRate = this.difficultySettings.towerSellRefund;
+        const invested = tower.getCurrency() === 'mana'
+            ? (this.cards.cardCatalog.towers[tower.cardId]?.cost || 0) + tower.upgradeManaSpent
+            : Tower.getCost(tower.type) + (tower.upgradeGoldSpent || 0);
+        return Math.floor(invested * refundRate);
+    }
+
+    upgradeTower(tower) {
+        if (!tower || this.gameOver || !this.towers.includes(tower) || !this.canControlTower(tower)) return false;
+
+        const tier = tower.getNextTier();
+        if (!tier) return false;
+
+        // Pay with mana for card towers, gold otherwise
+        if (tower.getCurrency() === 'mana') {
+            if (this.cards.mana < tier.manaCost) return false;
+
+            this.cards.spendMana(tier.manaCost);
+            tower.upgradeManaSpent += tier.manaCost;
+        } else {
+            if (this.player.gold < tier.goldCost) return false;
+
+            this.player.gold -= tier.goldCost;
+            tower.upgradeGoldSpent += tier.goldCost;
+        }
+
+        tower.upgrade();
+        this.towerUpgradesPurchased++;
+        this.events.emit(GameEvents.STATS_CHANGED);
+
+        return true;
+    }
+
+    // Tower tier breakdown for score stats
+    getTowerTierStats() {
+        const towersByTier = {};
+        let highestTier = 0;
+
+        this.towers.forEach(tower => {
+            const level = tower.level || 1;
+            towersByTier[level] = (towersByTier[level] || 0) + 1;
+            highestTier = Math.max(highestTier, level);
+        });
+
+        return {
+            towersBuilt: this.towers.length,
+            towersByTier,
+            highestTier,
+            upgradesPurchased: this.towerUpgradesPurchased
+        };
+    }
+
+    async sellTower(tower) {
+        if (!tower || this.gameOver || !this.towers.includes(tower) || !this.canControlTower(tower)) return false;
+
+        const refund = this.getTowerSellValue(tower);
+        const { gridX, gridY } = tower.gridPosition;
+
+        // Frees the cell, releases the instanced mesh and rebuilds the main path
+        await this.map.removeTower(gridX, gridY);
+
+        // Let live enemies take advantage of the opened cell
+        this.enemies.forEach(enemy => {
+            if (!enemy.reachedEnd && enemy.health > 0) {
+                enemy.calculatePath();
+            }
+        });
+
+        const currency = tower.getCurrency();
+        if (currency === 'mana') {
+            this.cards.addMana(refund);
+        } else {
+            this.player.gold += refund;
+        }
+        this.events.emit(GameEvents.TOWER_SOLD, { tower, refund, currency });
+        this.events.emit(GameEvents.STATS_CHANGED);
+
+        return true;
+    }
+
+    activatePowerCard(cardType, cost, target = null) {
+        if (this.player.gold < cost || !this.isPowerAvailable(cardType)) return false;
+
+        // Attempt to activate the power card
+        const success = this.powers.activate(cardType, target);
+
+        if (success) {
+            // Deduct gold
+            this.player.gold -= cost;
+            this.runStats.spellsCast++;
+            this.events.emit(GameEvents.STATS_CHANGED);
+        }
+
+        return success;
+    }
+
+    // Apply a command (from the player or from a replay). Targets picked here are
+    // written back into the payload so the replay reuses them.
+    async executeCommand(type, payload) {
+        switch (type) {
+            case ReplayCommands.PLACE_TOWER:
+                return this.placeTower(payload.towerType, payload.gridX, payload.gridY);
+
+            case ReplayCommands.SELL_TOWER:
+                return this.sellTower(this.getTowerAt(payload.gridX, payload.gridY));
+
+            case ReplayCommands.UPGRADE_TOWER:
+                return this.upgradeTower(this.getTowerAt(payload.gridX, payload.gridY));
+
+            case ReplayCommands.SET_TARGETING: {
+                const tower = this.getTowerAt(payload.gridX, payload.gridY);
+                if (!tower || !this.canControlTower(tower) ||
+                    !Object.values(TargetingModes).includes(payload.mode)) return false;
+
+                tower.targetingMode = payload.mode;
+                return true;
+            }
+
+            case ReplayCommands.SEND_WAVE:
+                this.startWave(true);
+                return true;
+
+            case ReplayCommands.PLAY_CARD:
+                return this.cards.playCard(payload);
+
+            case ReplayCommands.ACTIVATE_POWER_CARD:
+                if (payload.cardType === 'meteor' && !payload.target) {
+                    const { x, y, z } = this.powers.findBestMeteorTarget();
+                    payload.target = { x, y, z };
+                }
+                return this.activatePowerCard(payload.cardType, payload.cost, payload.target);
+
+            default:
+                // Unknown command, e.g. from a replay of a newer version
+                return false;
+        }
+    }
+
+    victory() {
+        this.gameOver = true;
+        this.events.emit(GameEvents.GAME_OVER, { victory: true });
+    }
+
+    resetGameState() {
+        // Clear all game entities
+        this.clearAllEntities();
+
+        // Reset player stats (to the level's when playing one)
+        this.resetPlayer();
+        this.player.score = 0;
+
+        // Reset wave counters
+        this.currentWave = 1;
+        this.waveInProgress = false;
+        this.enemiesSpawned = 0;
+        this.enemiesDefeated = 0;
+        this.activeWaves = [];
+        this.wavesCompleted = 0;
+        this.towerUpgradesPurchased = 0;
+        this.runStats = { towersPlaced: 0, enemiesDefeated: 0, spellsCast: 0, goldEarned: 0 };
+
+        // Reset game flags
+        this.gameOver = false;
+        this.gameStarted = false;
+        this.clock.reset();
+        this.powers.reset();
+
+        this.events.emit(GameEvents.STATS_CHANGED);
+
+        // Reset the map
+        this.map.reset();
+
+        // Reset the cards
+        this.cards.reset();
+    }
+
+    clearAllEntities() {
+        // Removal events let the renderer release each entity's visuals
+        [...this.enemies].forEach(enemy => this.removeEnemy(enemy));
+        [...this.towers].forEach(tower => this.removeTower(tower));
+
+        for (const projectile of this.projectiles.splice(0)) {
+            this.events.emit(GameEvents.PROJECTILE_REMOVED, { projectile });
+        }
+    }
+
+    // Snapshot of everything needed to resume the current run
+    serializeRunState() {
+        return {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            username: this.player.username,
+            level: this.level ? this.level.id : null,
+            endless: this.endless,
+            seed: this.rng.seed,
+            rngState: this.rng.state,
+            clockTime: this.clock.now(),
+            clockSteps: this.clock.stepCount,
+            player: {
+                gold: this.player.gold,
+                lives: this.player.lives,
+                score: this.player.score
+            },
+            currentWave: this.currentWave,
+            activeWaves: this.activeWaves.map(waveInfo => ({ ...waveInfo })),
+            wavesCompleted: this.wavesCompleted,
+            gameStartTime: this.gameStartTime,
+            waveStartTimes: { ...this.waveStartTimes },
+            towerUpgradesPurchased: this.towerUpgradesPurchased,
+            runStats: { ...this.runStats },
+            runToken: this.runToken,
+            difficulty: {
+                settings: { ...this.difficultySettings },
+                waveSettings: this.waveSettings.map(wave => ({ ...wave })),
+                consecutiveWavesWithoutLosses: this.consecutiveWavesWithoutLosses,
+                difficultyIncreaseActive: this.difficultyIncreaseActive,
+                initialLives: this.initialLives,
+                startingLives: this.startingLives
+            },
+            map: this.map.serialize(),
+            towers: this.towers.map(tower => tower.serialize()),
+            // Enemies still on the field, bosses with their phase and pending abilities
+            enemies: this.enemies
+                .filter(enemy => enemy.health > 0 && !enemy.reachedEnd)
+                .map(enemy => enemy.serialize()),
+            tcg: this.cards.player ? this.cards.serialize() : null
+        };
+    }
+
+    // Apply a snapshot from serializeRunState() on top of a freshly started run
+    async restoreRunState(state) {
+        this.clock.time = state.clockTime;
+        this.clock.stepCount = state.clockSteps;
+
+        this.player.gold = state.player.gold;
+        this.player.lives = state.player.lives;
+        this.player.score = state.player.score;
+
+        Object.assign(this.difficultySettings, state.difficulty.settings);
+        this.waveSettings = state.difficulty.waveSettings;
+        this.consecutiveWavesWithoutLosses = state.difficulty.consecutiveWavesWithoutLosses;
+        this.difficultyIncreaseActive = state.difficulty.difficultyIncreaseActive;
+        this.initialLives = state.difficulty.initialLives;
+        this.startingLives = state.difficulty.startingLives ?? this.startingLives;
+
+        this.currentWave = state.currentWave;
+        this.wavesCompleted = state.wavesCompleted;
+        this.gameStartTime = state.gameStartTime;
+        this.waveStartTimes = state.waveStartTimes;
+        this.towerUpgradesPurchased = state.towerUpgradesPurchased;
+        // Older saves lack goldEarned; score is the closest stand-in
+        this.runStats = {
+            towersPlaced: 0,
+            enemiesDefeated: 0,
+            spellsCast: 0,
+            goldEarned: state.player.score,
+            ...state.runStats
+        };
+        this.runToken = state.runToken || null;
+
+        // Saves from before enemies were kept lack them: their unfinished waves send them again
+        this.activeWaves = state.activeWaves.map(waveInfo => {
+            if (!state.enemies && !waveInfo.completed) {
+                waveInfo.enemiesSpawned -= waveInfo.enemiesAlive;
+                waveInfo.enemiesAlive = 0;
+                waveInfo.extrasAlive = 0;
+            }
+            return waveInfo;
+        });
+        this.waveInProgress = this.activeWaves.some(waveInfo => !waveInfo.completed);
+
+        const currentWaveInfo = this.activeWaves.find(w => w.waveNumber === this.currentWave);
+        this.enemiesSpawned = currentWaveInfo ? currentWaveInfo.enemiesSpawned : 0;
+        this.enemiesDefeated = currentWaveInfo ? currentWaveInfo.enemiesDefeated : 0;
+        this.lastEnemySpawnTime = this.clock.now();
+
+        // Grid first (it already marks tower cells), then the towers on top of it
+        const gridRestored = await this.map.restore(state.map);
+        state.towers.forEach(towerData => {
+            const tower = Tower.deserialize(this, towerData);
+            if (!gridRestored) {
+                this.map.placeTower(tower.gridPosition.gridX, tower.gridPosition.gridY);
+            }
+            this.addTower(tower);
+        });
+
+        // Enemies pick up where they were, after the grid they walk on
+        (state.enemies || []).forEach(enemyData => this.restoreEnemy(enemyData));
+
+        if (state.tcg) {
+            this.cards.restore(state.tcg);
+        }
+
+        // Last, since rebuilding enemies draws from the generator
+        this.rng.state = state.rngState;
+
+        this.events.emit(GameEvents.STATS_CHANGED);
+    }
+
+    // Put a saved enemy back on the field. Bosses bring back their health bar and
+    // the warnings of abilities still to go off.
+    restoreEnemy(data) {
+        const enemy = data.bossId ? Boss.deserialize(this, data) : Enemy.deserialize(this, data);
+        this.addEnemy(enemy);
+        if (!data.bossId) return;
+
+        this.events.emit(GameEvents.BOSS_SPAWNED, { boss: enemy });
+        enemy.telegraphs.forEach(({ ability, position, remaining }) => {
+            this.events.emit(GameEvents.BOSS_ABILITY_TELEGRAPHED, { boss: enemy, ability, position, delay: remaining });
+        });
+    }
+
+    // Copy of the difficulty and wave settings (export format, also stored in replays)
+    getSettingsSnapshot() {
+        return JSON.parse(JSON.stringify({
+            globalSettings: this.difficultySettings,
+            waveSettings: this.waveSettings,
+            endlessCurve: this.endlessCurve
+        }));
+    }
+
+    // Apply a settings snapshot for this run only (nothing is written to localStorage)
+    applySettingsSnapshot(settings) {
+        if (!settings) return;
+
+        if (settings.globalSettings) {
+            this.updateDifficultySettings(settings.globalSettings);
+        }
+        if (settings.waveSettings) {
+            this.waveSettings = settings.waveSettings.map(wave => ({ ...wave }));
+        }
+        if (settings.endlessCurve) {
+            Object.assign(this.endlessCurve, settings.endlessCurve);
+        }
+    }
+
+    // Update difficulty settings
+    updateDifficultySettings(settings) {
+        // Update difficulty settings
+        for (const key in settings) {
+            if (this.difficultySettings.hasOwnProperty(key)) {
+                this.difficultySettings[key] = settings[key];
+            }
+        }
+
+        // Apply to existing enemies by rebuilding their stats
+        this.enemies.forEach(enemy => {
+            const oldHealth = enemy.health;
+            const oldMaxHealth = enemy.maxHealth;
+            const healthPercent = oldHealth / oldMaxHealth;
+
+            // Reset and reapply stats with new multipliers
+            enemy.setStats();
+
+            // Keep same health percentage
+            enemy.health = enemy.maxHealth * healthPercent;
+        });
+    }
+
+    calculateDistance(pos1, pos2) {
+        const dx = pos2.x - pos1.x;
+        const dz = pos2.z - pos1.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    findClosestEnemyInRange(position, range) {
+        // Similar to findTarget but with explicitly passed position and range
+        let closestEnemy = null;
+        let closestDistance = Infinity;
+
+        for (const enemy of this.enemies) {
+            // Skip enemies that have reached the end or are dead
+            if (enemy.reachedEnd || enemy.health <= 0) continue;
+
+            const distance = this.calculateDistance(position, enemy.position);
+            if (distance <= range && distance < closestDistance) {
+                closestEnemy = enemy;
+                closestDistance = distance;
+            }
+        }
+
+        return closestEnemy;
+    }
+
+    getRandomElement() {
+        // Return a random element type (excluding NEUTRAL)
+        const elements = [
+            ElementTypes.FIRE,
+            ElementTypes.WATER,
+            ElementTypes.EARTH,
+            ElementTypes.AIR,
+            ElementTypes.SHADOW
+        ];
+
+        return elements[Math.floor(this.rng.next() * elements.length)];
+    }
+}
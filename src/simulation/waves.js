@@ -0,0 +1,67 @@
+// Wave definitions shared by the simulation, the balance simulator and the server's score checks
+
+export const STANDARD_MAX_WAVES = 6; // Increased from 3 to 6 waves
+
+// Time between two spawns of a wave before difficulty settings and batching adjust it
+export const SPAWN_INTERVAL = 1000; // ms
+
+// Batched waves send a batch in quick succession (down to 9% of the interval on wave 6
+// and later) with surprise bursts between batches; no batched wave averages faster than this
+export const MIN_BATCH_SPAWN_FACTOR = 0.07;
+
+// Gold for clearing each standard wave, before its gold multiplier
+export const STANDARD_WAVE_BONUSES = [50, 100, 150, 220, 300, 400];
+
+// Per-wave difficulty settings of a standard run. `boss` names an authored boss from
+// the bosses section of data/units.json to send in place of a generic one.
+export const STANDARD_WAVE_SETTINGS = [
+    { enemyHealth: 1.0, enemySpeed: 1.0, enemyCount: 15, goldMultiplier: 1.0, spawnBoss: false, batchSpawning: false },  // Wave 1
+    { enemyHealth: 1.2, enemySpeed: 1.0, enemyCount: 30, goldMultiplier: 1.2, spawnBoss: false, batchSpawning: false },  // Wave 2
+    { enemyHealth: 1.75, enemySpeed: 1.25, enemyCount: 50, goldMultiplier: 1.4, spawnBoss: false, batchSpawning: true, boss: 'stone_warden' },   // Wave 3 - First authored boss
+    { enemyHealth: 4.5, enemySpeed: 1.4, enemyCount: 70, goldMultiplier: 1.5, spawnBoss: true, batchSpawning: true },    // Wave 4 - Much higher health, more enemies
+    { enemyHealth: 4.5, enemySpeed: 1.4, enemyCount: 90, goldMultiplier: 1.6, spawnBoss: true, batchSpawning: true },    // Wave 5 - Significantly increased health and count
+    { enemyHealth: 5.0, enemySpeed: 1.4, enemyCount: 110, goldMultiplier: 1.6, spawnBoss: true, batchSpawning: true, boss: 'shadow_tyrant' }     // Wave 6 - Massive wave with very tough enemies and the final boss
+];
+
+// Growth curve for endless mode: each wave after the last standard one grows from the
+// wave before it. Multipliers compound, steps add up, and every value has a ceiling.
+export const ENDLESS_CURVE = {
+    healthGrowth: 1.15,         // Enemy health multiplier per wave
+    countGrowth: 1.05,          // Enemy count per wave
+    maxEnemyCount: 200,
+    speedStep: 0.02,            // Added to enemy speed per wave
+    maxEnemySpeed: 2.0,
+    goldStep: 0.05,             // Added to the gold multiplier per wave
+    maxGoldMultiplier: 2.5,
+    baseWaveBonus: STANDARD_WAVE_BONUSES[STANDARD_MAX_WAVES - 1], // Grown from for later waves
+    waveBonusGrowth: 1.1,
+    golemChance: 0.4,           // Share of golems on wave 6...
+    golemStep: 0.03,            // ...grows by this much per wave
+    maxGolemChance: 0.75,
+    elementalChance: 0.9,       // Share of elemental enemies on wave 6...
+    elementalStep: 0.02,        // ...grows by this much per wave
+    flyingChance: 0.05,         // Share of flyers on wave 6 (none in a standard run)...
+    flyingStep: 0.01,           // ...grows by this much per wave
+    maxFlyingChance: 0.2,
+    extraBossEvery: 3           // Every this many waves past wave 6 brings one more boss
+};
+
+// Settings for endless wave waveNumber, grown from the wave before it
+export function generateEndlessWave(previousWave, waveNumber, curve = ENDLESS_CURVE) {
+    const wavesPastStandard = waveNumber - STANDARD_MAX_WAVES;
+    const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+    return {
+        enemyHealth: round(previousWave.enemyHealth * curve.healthGrowth),
+        enemySpeed: round(Math.min(curve.maxEnemySpeed, previousWave.enemySpeed + curve.speedStep)),
+        enemyCount: Math.min(curve.maxEnemyCount, Math.round(previousWave.enemyCount * curve.countGrowth)),
+        goldMultiplier: round(Math.min(curve.maxGoldMultiplier, previousWave.goldMultiplier + curve.goldStep)),
+        spawnBoss: true,
+        batchSpawning: true,
+        bossCount: 1 + Math.floor(wavesPastStandard / curve.extraBossEvery),
+        waveBonus: Math.round((previousWave.waveBonus ?? curve.baseWaveBonus) * curve.waveBonusGrowth),
+        golemChance: round(Math.min(curve.maxGolemChance, (previousWave.golemChance ?? curve.golemChance) + curve.golemStep)),
+        elementalChance: round(Math.min(1, (previousWave.elementalChance ?? curve.elementalChance) + curve.elementalStep)),
+        flyingChance: round(Math.min(curve.maxFlyingChance, (previousWave.flyingChance ?? curve.flyingChance) + curve.flyingStep))
+    };
+}
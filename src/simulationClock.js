@@ -0,0 +1,104 @@
+// Game-time clock used by every gameplay system.
+// Advances only while the game is running, scaled by the current speed,
+// so cooldowns, spawns, status effects and animations pause/accelerate together.
+
+export const GameSpeeds = [0.5, 1, 2, 3];
+
+// Fixed simulation step, so a run plays out the same at any frame rate or speed
+export const SIMULATION_STEP_MS = 1000 / 60;
+
+export class SimulationClock {
+    constructor() {
+        this.time = 0; // Simulated milliseconds since the run started
+        this.stepCount = 0; // Fixed steps taken since the run started
+        this.speed = 1;
+        this.paused = false;
+        this.timers = [];
+        this.timerIdCounter = 0;
+    }
+
+    // Current simulated time in ms (use instead of performance.now() for gameplay)
+    now() {
+        return this.time;
+    }
+
+    // Advance by one fixed simulation step
+    step() {
+        this.stepCount++;
+        this.advance(SIMULATION_STEP_MS);
+    }
+
+    // Advance by an already-scaled simulated delta (ms) and fire due timers
+    advance(simDeltaMs) {
+        this.time += simDeltaMs;
+
+        // Fire due timers in order; callbacks may schedule new ones
+        let due = this.timers.filter(timer => timer.dueTime <= this.time);
+        while (due.length > 0) {
+            due.sort((a, b) => a.dueTime - b.dueTime);
+            for (const timer of due) {
+                // Skip timers cleared by an earlier callback in this batch
+                if (!this.timers.includes(timer)) continue;
+
+                if (timer.interval) {
+                    timer.dueTime += timer.interval;
+                } else {
+                    this.timers = this.timers.filter(t => t.id !== timer.id);
+                }
+                timer.callback();
+            }
+            due = this.timers.filter(timer => timer.dueTime <= this.time && !timer.interval);
+        }
+    }
+
+    // Same contract as window.setTimeout, but in simulated time
+    setTimeout(callback, delay = 0) {
+        const id = ++this.timerIdCounter;
+        this.timers.push({ id, callback, dueTime: this.time + delay, interval: 0 });
+        return id;
+    }
+
+    // Same contract as window.setInterval, but in simulated time
+    setInterval(callback, interval) {
+        const id = ++this.timerIdCounter;
+        this.timers.push({ id, callback, dueTime: this.time + interval, interval: Math.max(1, interval) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    clearInterval(id) {
+        this.clearTimeout(id);
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        return this.paused;
+    }
+
+    setSpeed(speed) {
+        if (GameSpeeds.includes(speed)) {
+            this.speed = speed;
+        }
+        return this.speed;
+    }
+
+    // Start a fresh run: drop pending timers and rewind to zero
+    // (speed is a player preference and survives restarts)
+    reset() {
+        this.time = 0;
+        this.stepCount = 0;
+        this.paused = false;
+        this.timers = [];
+    }
+}
@@ -0,0 +1,90 @@
+import { getUnits } from './units.js';
+import { ElementTypes } from './elements.js';
+
+// Tower adjacency bonuses from the synergies section of data/units.json. A tower gets a
+// synergy's bonus while enough partner towers stand in the eight cells around it.
+
+// Bonus of a tower without active synergies
+export const NO_SYNERGY_BONUS = {
+    damage: 1,
+    armorShred: 0,
+    burnSpread: 0,
+    slowDuration: 1
+};
+
+// Bonuses that multiply rather than add up
+const MULTIPLIED_BONUSES = ['damage', 'slowDuration'];
+
+// Whether the synergy can apply to this tower at all (neutral towers have no element to match)
+function givesBonusTo(synergy, tower) {
+    if (synergy.tower === 'any') return tower.element !== ElementTypes.NEUTRAL;
+    return tower.element === synergy.tower;
+}
+
+function isPartner(synergy, tower, other) {
+    if (synergy.partner === 'same') return other.element === tower.element;
+    return other.element === synergy.partner;
+}
+
+// Towers in the eight cells around this one
+export function getNeighbours(tower, towers) {
+    const { gridX, gridY } = tower.gridPosition;
+    return towers.filter(other => other !== tower &&
+        Math.abs(other.gridPosition.gridX - gridX) <= 1 &&
+        Math.abs(other.gridPosition.gridY - gridY) <= 1
+    );
+}
+
+// Active synergies of every tower. Returns { active, links }: active maps each tower to
+// its [{ id, synergy, partners }], links lists each { tower, partner, id } pair once.
+export function findSynergies(towers) {
+    const synergies = Object.entries(getUnits().synergies);
+    const active = new Map();
+    const links = [];
+    const linked = new Set();
+
+    for (const tower of towers) {
+        const neighbours = getNeighbours(tower, towers);
+        const towerSynergies = [];
+
+        for (const [id, synergy] of synergies) {
+            if (!givesBonusTo(synergy, tower)) continue;
+
+            const partners = neighbours.filter(other => isPartner(synergy, tower, other));
+            if (partners.length < (synergy.count || 1)) continue;
+
+            towerSynergies.push({ id, synergy, partners });
+
+            // Towers of a set link each other both ways, so draw each pair once
+            partners.forEach(partner => {
+                const pair = [towers.indexOf(tower), towers.indexOf(partner)].sort((a, b) => a - b);
+                const key = `${pair.join('-')}:${id}`;
+                if (!linked.has(key)) {
+                    linked.add(key);
+                    links.push({ tower, partner, id });
+                }
+            });
+        }
+
+        active.set(tower, towerSynergies);
+    }
+
+    return { active, links };
+}
+
+// One bonus for all of a tower's active synergies
+export function combineSynergyBonuses(towerSynergies) {
+    const bonus = { ...NO_SYNERGY_BONUS };
+
+    towerSynergies.forEach(({ synergy }) => {
+        Object.entries(synergy.bonus).forEach(([field, amount]) => {
+            if (MULTIPLIED_BONUSES.includes(field)) {
+                bonus[field] *= amount;
+            } else {
+                bonus[field] += amount;
+            }
+        });
+    });
+
+    return bonus;
+}
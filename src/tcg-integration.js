@@ -1,33 +1,15 @@
-import { CardCatalog, Deck, CardRarity, CardType } from './cards.js';
+import { Deck } from './cards.js';
 import { ElementTypes } from './elements.js';
 import { Player } from './player.js';
-import { Tower } from './entities/tower.js';
+import { ReplayCommands } from './replay.js';
+import { GameEvents } from './simulation/events.js';
 
-// TCG Integration module - connects TCG systems to the main game
+// TCG Integration module - the card hand, mana and pile display over the
+// simulation's card state (game.cards), and the input that plays cards
 export class TCGIntegration {
     constructor(game) {
         this.game = game;
-        this.cardCatalog = new CardCatalog();
-        this.player = null;
-        this.selectedCard = null;
-        this.hand = []; // Cards currently in hand
-        this.deckSize = 30; // Standard deck size
-        this.maxCardsInHand = 5; // Maximum cards in hand
-        this.mana = 8; // Starting mana (increased from 5)
-        this.maxMana = 8; // Starting maximum mana (increased from 5)
-        this.absoluteMaxMana = 12; // Maximum possible mana cap (increased from 10)
-        this.lastManaRegenTime = 0; // Track last mana regeneration time
-        this.manaRegenInterval = 15000; // Regenerate mana every 15 seconds
-        this.manaRegenAmount = 1; // Amount of mana regenerated
-        this.currentTurn = 0;
-
-        // Initial state for reset
-        this.initialMana = 8;
-        this.initialMaxMana = 8;
-
-        // Power cards integration
-        this.powerCards = [];
-        this.powerCardChance = 0.15; // 15% chance to get a power card when drawing
+        this.selectedCard = null; // Tower card waiting for a grid cell
 
         // UI elements for cards
         this.cardContainer = null;
@@ -37,21 +19,12 @@ export class TCGIntegration {
     }
 
     initialize() {
-        // Create the local player
-        this.player = new Player('player1', this.game.player.username || 'Player');
-
-        // Create a starter deck
-        const starterDeck = Deck.createStarterDeck(this.cardCatalog);
-        this.player.addDeck(starterDeck);
-
-        // Initialize power cards
-        this.initializePowerCards();
+        // The player and their deck are loaded by loadPlayer() and the first
+        // hand is drawn by game.cards.reset() when a run starts
 
         // Set up UI
         this.createCardUI();
-
-        // Initial card draw
-        this.drawInitialHand();
+        this.subscribeToSimulation(this.game.events);
 
         // Add window resize listener to update display
         window.addEventListener('resize', () => {
@@ -59,94 +32,51 @@ export class TCGIntegration {
         });
     }
 
-    initializePowerCards() {
-        // Create spell-like cards for each power
-        this.powerCards = [
-            {
-                id: 'meteor_power',
-                name: 'Meteor Strike',
-                type: 'spell',
-                rarity: CardRarity.RARE,
-                element: ElementTypes.FIRE,
-                cost: 0, // Uses gold instead of mana
-                goldCost: 100,
-                description: 'Rains meteors on all enemies',
-                effect: 'meteor',
-                duration: 3,
-                radius: 5,
-                getAdjustedStats: function() {
-                    return {
-                        effect: this.effect,
-                        duration: this.duration,
-                        radius: this.radius,
-                        element: this.element
-                    };
-                }
-            },
-            {
-                id: 'freeze_power',
-                name: 'Freeze Wave',
-                type: 'spell',
-                rarity: CardRarity.RARE,
-                element: ElementTypes.WATER,
-                cost: 0, // Uses gold instead of mana
-                goldCost: 80,
-                description: 'Freezes all enemies',
-                effect: 'freeze',
-                duration: 4,
-                radius: 5,
-                getAdjustedStats: function() {
-                    return {
-                        effect: this.effect,
-                        duration: this.duration,
-                        radius: this.radius,
-                        element: this.element
-                    };
-                }
-            },
-            {
-                id: 'gold_power',
-                name: 'Gold Rush',
-                type: 'spell',
-                rarity: CardRarity.UNCOMMON,
-                element: ElementTypes.EARTH,
-                cost: 0, // No gold cost for this one (free)
-                goldCost: 0,
-                description: 'Generates extra gold',
-                effect: 'gold',
-                duration: 1,
-                radius: 1,
-                getAdjustedStats: function() {
-                    return {
-                        effect: this.effect,
-                        duration: this.duration,
-                        radius: this.radius,
-                        element: this.element
-                    };
-                }
-            },
-            {
-                id: 'empower_power',
-                name: 'Empower Towers',
-                type: 'spell',
-                rarity: CardRarity.RARE,
-                element: ElementTypes.AIR,
-                cost: 0, // Uses gold instead of mana
-                goldCost: 120,
-                description: 'Empowers all towers',
-                effect: 'empower',
-                duration: 8,
-                radius: 5,
-                getAdjustedStats: function() {
-                    return {
-                        effect: this.effect,
-                        duration: this.duration,
-                        radius: this.radius,
-                        element: this.element
-                    };
-                }
+    subscribeToSimulation(events) {
+        events.on(GameEvents.MANA_CHANGED, () => this.updateManaDisplay());
+
+        events.on(GameEvents.HAND_CHANGED, () => {
+            // A card waiting for placement may have left the hand (e.g. a reset)
+            if (this.selectedCard && !this.game.cards.hand.includes(this.selectedCard)) {
+                this.selectedCard = null;
             }
-        ];
+            this.updateCardUI();
+        });
+
+        events.on(GameEvents.SPELL_CAST, ({ card, stats, target, manaRestored }) => {
+            const powerCards = this.game.powerCards;
+
+            switch (card.effect) {
+                case 'damage':
+                    powerCards.activeEffects.push(powerCards.createMeteorEffect(target, stats.element));
+                    break;
+
+                case 'freeze':
+                    powerCards.activeEffects.push(powerCards.createFreezeEffect({ x: 0, y: 0, z: 0 }));
+                    break;
+
+                case 'drain':
+                    this.showManaGain(manaRestored);
+                    break;
+            }
+        });
+    }
+
+    async loadPlayer() {
+        const cards = this.game.cards;
+        const username = this.game.player.username || 'Player';
+
+        // Replays play with the deck they were recorded with (older ones with the starter deck)
+        const replay = this.game.replayPlayer?.replay;
+        if (replay) {
+            cards.player = new Player('player1', username);
+            cards.player.addDeck(replay.deck ?
+                Deck.fromCardIds('Replay Deck', replay.deck, cards.cardCatalog) :
+                Deck.createStarterDeck(cards.cardCatalog));
+            return;
+        }
+
+        cards.player = await Player.loadOrCreate(cards.cardCatalog, username);
     }
 
     createCardUI() {
@@ -172,8 +102,14 @@ export class TCGIntegration {
             manaDisplay.id = 'mana-display';
             manaDisplay.className = 'mana-display';
 
+            // Draw/discard pile counts
+            const pileDisplay = document.createElement('div');
+            pileDisplay.id = 'deck-piles';
+            pileDisplay.className = 'deck-piles';
+
             // Add elements to the DOM
             containerWrapper.appendChild(manaDisplay);
+            containerWrapper.appendChild(pileDisplay);
             containerWrapper.appendChild(this.cardContainer);
 
             // Add wrapper to document
@@ -250,22 +186,24 @@ export class TCGIntegration {
     }
 
     updateManaDisplay() {
+        const cards = this.game.cards;
+
         // Update the card mana display
         const manaDisplay = document.getElementById('mana-display');
         if (manaDisplay) {
             // Use data attributes for the actual values to avoid conflicting with CSS ::before content
-            manaDisplay.setAttribute('data-current', this.mana);
-            manaDisplay.setAttribute('data-max', this.maxMana);
+            manaDisplay.setAttribute('data-current', cards.mana);
+            manaDisplay.setAttribute('data-max', cards.maxMana);
 
             // On desktop show "Mana: X/Y", on mobile CSS will add the "Mana:" prefix
             if (window.innerWidth > 768) {
-                manaDisplay.textContent = `Mana: ${this.mana}/${this.maxMana}`;
+                manaDisplay.textContent = `Mana: ${cards.mana}/${cards.maxMana}`;
             } else {
-                manaDisplay.textContent = `${this.mana}/${this.maxMana}`;
+                manaDisplay.textContent = `${cards.mana}/${cards.maxMana}`;
             }
 
             // Show regeneration indicator if not at max
-            if (this.mana < this.maxMana) {
+            if (cards.mana < cards.maxMana) {
                 // Add regeneration indicator
                 if (!manaDisplay.classList.contains('regenerating')) {
                     manaDisplay.classList.add('regenerating');
@@ -288,75 +226,14 @@ export class TCGIntegration {
                 // Show infinity symbol for infinite mana
                 manaAmount.textContent = '∞';
                 maxManaAmount.textContent = '∞';
-                this.mana = this.absoluteMaxMana;
+                cards.mana = cards.absoluteMaxMana;
             } else {
-                manaAmount.textContent = this.mana;
-                maxManaAmount.textContent = this.maxMana;
+                manaAmount.textContent = cards.mana;
+                maxManaAmount.textContent = cards.maxMana;
             }
         }
     }
 
-    drawInitialHand() {
-        // Reset hand
-        this.hand = [];
-
-        // Draw 4 cards
-        for (let i = 0; i < 4; i++) {
-            this.drawCard();
-        }
-
-        // Update UI
-        this.updateCardUI();
-    }
-
-    drawCard() {
-        // Check if hand is full
-        if (this.hand.length >= this.maxCardsInHand) {
-            console.log('Hand is full, cannot draw more cards');
-            return null;
-        }
-
-        // Get current deck
-        const deck = this.player.getCurrentDeck();
-        if (!deck) {
-            console.log('No deck available');
-            return null;
-        }
-
-        // Chance to draw a power card
-        if (Math.random() < this.powerCardChance && this.powerCards.length > 0) {
-            // Draw a random power card
-            const powerCard = this.powerCards[Math.floor(Math.random() * this.powerCards.length)];
-            this.hand.push(powerCard);
-            return powerCard;
-        }
-
-        // For simplicity, just draw a random card from the catalog
-        // In a real implementation, this would draw from the player's shuffled deck
-        const allCards = this.cardCatalog.getAllCards();
-
-        // Prioritize tower cards (70% chance)
-        let card;
-        const rand = Math.random();
-        if (rand < 0.8) {
-            // Draw tower card (increased chance to 80%)
-            const towerCards = allCards.towers;
-            card = towerCards[Math.floor(Math.random() * towerCards.length)];
-        } else {
-            // Draw spell card (20% chance)
-            const spellCards = allCards.spells;
-            card = spellCards[Math.floor(Math.random() * spellCards.length)];
-        }
-        // Enemy cards removed since they're not useful yet
-
-        if (card) {
-            this.hand.push(card);
-            return card;
-        }
-
-        return null;
-    }
-
     updateCardUI() {
         // Clear existing cards
         this.cardContainer.innerHTML = '';
@@ -368,10 +245,12 @@ export class TCGIntegration {
         // We'll use CSS styles from main.css
         this.cardContainer.appendChild(manaDisplay);
         this.updateManaDisplay();
+        this.updatePileDisplay();
 
         // Add cards
-        for (let i = 0; i < this.hand.length; i++) {
-            const card = this.hand[i];
+        const hand = this.game.cards.hand;
+        for (let i = 0; i < hand.length; i++) {
+            const card = hand[i];
             this.createCardElement(card, i);
         }
     }
@@ -419,8 +298,9 @@ export class TCGIntegration {
             // Add a gold border for power cards
             cardElement.style.boxShadow = '0 0 10px gold';
         } else {
-            // For regular cards, check if player has enough mana
-            canPlay = this.mana >= card.cost;
+            // For regular cards, check if player has enough mana (and the level allows the tower)
+            canPlay = this.game.cards.mana >= card.cost &&
+                (!card.towerType || this.game.isTowerAllowed(card.towerType));
         }
 
         if (!canPlay) {
@@ -566,8 +446,8 @@ export class TCGIntegration {
     }
 
     selectCard(index) {
-        const card = this.hand[index];
-        if (!card) return;
+        const card = this.game.cards.hand[index];
+        if (!card || this.game.replayPlayer) return;
 
         // Check if card is a power card
         const isPowerCard = card.goldCost !== undefined;
@@ -580,17 +460,16 @@ export class TCGIntegration {
             }
 
             // Handle power card
-            this.selectedCard = card;
             console.log(`Selected power card: ${card.name}`);
 
             // Activate power card immediately
-            this.activatePowerCard(card);
+            this.game.dispatchCommand(ReplayCommands.PLAY_CARD, { cardId: card.id });
             return;
         }
 
         // Regular mana-based card
         // Check if player has enough mana
-        if (this.mana < card.cost) {
+        if (this.game.cards.mana < card.cost) {
             console.log('Not enough mana to play this card');
             return;
         }
@@ -601,13 +480,30 @@ export class TCGIntegration {
         // Handle card based on type
         switch (card.type) {
             case 'tower':
-                // Enable tower placement mode
-                this.game.ui.setTowerPlacementMode(true, this.onTowerPlaced.bind(this));
+                // Enable tower placement mode; the placement itself is a recorded command
+                this.game.ui.setTowerPlacementMode(true, async (success, gridPosition) => {
+                    if (!success) {
+                        return this.endTowerPlacement();
+                    }
+
+                    const placed = await this.game.dispatchCommand(ReplayCommands.PLAY_CARD, {
+                        cardId: card.id,
+                        gridX: gridPosition.x,
+                        gridY: gridPosition.y
+                    });
+
+                    // A blocked cell keeps placement mode on so the player can pick another
+                    if (placed) {
+                        this.endTowerPlacement();
+                    }
+                    return placed;
+                });
                 break;
 
             case 'spell':
                 // Cast spell immediately
-                this.castSpell(card);
+                this.game.dispatchCommand(ReplayCommands.PLAY_CARD, { cardId: card.id });
+                this.selectedCard = null;
                 break;
 
             case 'enemy':
@@ -617,607 +513,38 @@ export class TCGIntegration {
                     this.selectedCard = null;
                     return;
                 }
-                break;
-        }
-    }
-
-    activatePowerCard(card) {
-        // Activate the power card using the existing PowerCards system
-        const cardType = card.effect; // meteor, freeze, hero, gold, empower
-        const success = this.game.activatePowerCard(cardType, card.goldCost);
-
-        if (success) {
-            // Remove card from hand
-            this.removeCardFromHand(card);
-
-            // Update UI
-            this.updateCardUI();
-        }
-
-        // Reset selected card
-        this.selectedCard = null;
-    }
-
-    async onTowerPlaced(success, gridPosition) {
-        if (success && this.selectedCard) {
-            // Convert tower card to tower entity
-            const worldPosition = this.game.map.gridToWorld(gridPosition.x, gridPosition.y);
-
-            // Get adjusted stats from card
-            const stats = this.selectedCard.getAdjustedStats();
-
-            // Create tower with elemental properties
-            // Note: We're adapting the existing tower types based on the card's stats
-            // In the future, we'll need to create proper mappings between card IDs and tower types
-            let towerType = 'arrow'; // Default type
-
-            // Map card's element to appropriate tower type more accurately
-            // This determines what kind of tower we create based on the card's element and rarity
-            if (this.selectedCard.id.includes('fire')) {
-                towerType = 'fire_' + (this.selectedCard.rarity === CardRarity.COMMON ? 'basic' : 'advanced');
-            } else if (this.selectedCard.id.includes('water')) {
-                towerType = 'water_' + (this.selectedCard.rarity === CardRarity.COMMON ? 'basic' : 'advanced');
-            } else if (this.selectedCard.id.includes('earth')) {
-                towerType = 'earth_' + (this.selectedCard.rarity === CardRarity.COMMON ? 'basic' : 'advanced');
-            } else if (this.selectedCard.id.includes('air')) {
-                towerType = 'air_' + (this.selectedCard.rarity === CardRarity.COMMON ? 'basic' : 'advanced');
-            } else if (this.selectedCard.id.includes('shadow')) {
-                towerType = 'shadow_' + (this.selectedCard.rarity === CardRarity.COMMON ? 'basic' : 'advanced');
-            } else {
-                // Fallback to generic types for non-elemental cards
-                towerType = this.selectedCard.rarity === CardRarity.COMMON ? 'arrow' : 'doubleArrow';
-            }
-
-            // For TCG cards, we need to make sure the player has enough mana to cast
-            if (this.mana >= this.selectedCard.cost) {
-                // Instead of calling game.placeTower which handles gold costs, we'll place the tower directly
-                // This completely bypasses the gold cost mechanism in game.placeTower
-
-                // Check if placement is valid
-                const canPlace = await this.game.map.canPlaceTower(gridPosition.x, gridPosition.y);
-                if (!canPlace) {
-                    console.log("Tower placement failed: canPlaceTower returned false");
-                    return false;
-                }
-
-                // Get world position
-                const position = this.game.map.gridToWorld(gridPosition.x, gridPosition.y);
-
-                // Create tower with appropriate element
-                let element = ElementTypes.NEUTRAL;
-                if (towerType.startsWith('fire_')) {
-                    element = ElementTypes.FIRE;
-                } else if (towerType.startsWith('water_')) {
-                    element = ElementTypes.WATER;
-                } else if (towerType.startsWith('earth_')) {
-                    element = ElementTypes.EARTH;
-                } else if (towerType.startsWith('air_')) {
-                    element = ElementTypes.AIR;
-                } else if (towerType.startsWith('shadow_')) {
-                    element = ElementTypes.SHADOW;
-                }
-
-                // Debug gold before TCG tower placement
-                const oldGold = this.game.player.gold;
-                console.log(`[GOLD DEBUG] TCG tower placement before: Gold=${oldGold}, TowerType=${towerType}, ManaCost=${this.selectedCard.cost}`);
-
-                // Create and add tower directly
-                const tower = new Tower(this.game, towerType, position, { gridX: gridPosition.x, gridY: gridPosition.y }, element);
-                this.game.map.placeTower(gridPosition.x, gridPosition.y);
-                this.game.towers.push(tower);
-
-                // Debug gold after TCG tower placement
-                console.log(`[GOLD DEBUG] TCG tower placement after: Gold=${this.game.player.gold}, Difference=${this.game.player.gold - oldGold}`);
-
-                // Mark placement as successful
-                const placementSuccess = true;
-
-                if (placementSuccess) {
-                    // Get the tower that was just placed (it should be the last one in the array)
-                    const tower = this.game.towers[this.game.towers.length - 1];
-
-                    // Set tower properties based on card
-                    if (tower) {
-                        // Make sure element is properly set (might be an array for dual-element cards)
-                        if (Array.isArray(this.selectedCard.element)) {
-                            tower.element = this.selectedCard.element[0]; // Use primary element
-                        } else {
-                            tower.element = this.selectedCard.element;
-                        }
-
-                        // Apply card stats
-                        tower.damage = stats.damage;
-                        tower.range = stats.range;
-                        tower.fireRate = stats.fireRate;
-                        tower.specialAbility = stats.specialAbility;
-
-                        // Apply any element-specific properties
-                        tower.setAdditionalStats();
-                    }
-
-                    // Deduct mana (gold is already deducted in game.placeTower)
-                    this.mana -= this.selectedCard.cost;
-
-                    // Remove card from hand
-                    this.removeCardFromHand(this.selectedCard);
-
-                    // Update UI
-                    this.updateCardUI();
-                    this.updateManaDisplay();
-                }
-            }
-
-            // Reset selected card
-            this.selectedCard = null;
-        } else {
-            // Tower placement failed or canceled
-            this.selectedCard = null;
-        }
-
-        // Exit tower placement mode
-        this.game.ui.setTowerPlacementMode(false);
-    }
-
-    castSpell(card) {
-        // Get spell effect details
-        const spellStats = card.getAdjustedStats();
-
-        // Apply spell effect based on type
-        let success = false;
-
-        switch (card.effect) {
-            case 'damage':
-                // Deal damage to all enemies in area
-                success = this.castDamageSpell(spellStats);
-                break;
-
-            case 'freeze':
-                // Freeze all enemies
-                success = this.castFreezeSpell(spellStats);
-                break;
-
-            case 'shield':
-                // Stone Shield: Apply protective shields to towers
-                success = this.castShieldSpell(spellStats);
-                break;
-
-            case 'haste':
-                // Wind Rush: Increase attack speed of towers
-                success = this.castHasteSpell(spellStats);
-                break;
-
-            case 'drain':
-                // Void Drain: Weakens enemies and restores mana
-                success = this.castDrainSpell(spellStats);
-                break;
-        }
-
-        if (success) {
-            // Deduct mana
-            this.mana -= card.cost;
-
-            // Remove card from hand
-            this.removeCardFromHand(card);
-
-            // Update UI
-            this.updateCardUI();
-            this.updateManaDisplay();
-        }
-
-        // Reset selected card
-        this.selectedCard = null;
-    }
-
-    castDamageSpell(spellStats) {
-        // Deal damage to all enemies
-        const damage = 20 * this.getRarityMultiplier(spellStats.rarity);
-
-        // Apply damage to all enemies
-        let hitCount = 0;
-        for (const enemy of this.game.enemies) {
-            enemy.takeDamage(damage);
-            hitCount++;
-        }
-
-        // Find the best target position for visual effect (center of enemy group)
-        const targetPosition = this.findBestMeteorTarget();
-
-        // Create visual effect
-        const effect = this.game.powerCards.createMeteorEffect(targetPosition, spellStats.element);
-        // Add effect to active effects list
-        this.game.powerCards.activeEffects.push(effect);
-
-        return hitCount > 0;
-    }
-
-    // Helper method to find the best target position for area spells
-    findBestMeteorTarget() {
-        const enemies = this.game.enemies;
-
-        if (enemies.length === 0) {
-            // If no enemies, target the center of the map
-            return { x: 0, y: 0.5, z: 0 };
-        }
-
-        // Simple strategy: target the group with most enemies
-        const meteorRadius = 5;
-        let bestTarget = null;
-        let maxEnemiesHit = 0;
-
-        for (const enemy of enemies) {
-            let enemiesHit = 0;
-
-            // Count how many enemies would be hit if we target this enemy
-            for (const otherEnemy of enemies) {
-                const distance = this.game.calculateDistance(enemy.position, otherEnemy.position);
-                if (distance <= meteorRadius) {
-                    enemiesHit++;
-                }
-            }
-
-            if (enemiesHit > maxEnemiesHit) {
-                maxEnemiesHit = enemiesHit;
-                bestTarget = enemy.position;
-            }
-        }
-
-        return bestTarget || { x: enemies[0].position.x, y: 0.5, z: enemies[0].position.z };
-    }
-
-    castFreezeSpell(spellStats) {
-        // Freeze all enemies
-        let hitCount = 0;
-        for (const enemy of this.game.enemies) {
-            enemy.applyStatusEffect('slow', {
-                duration: spellStats.duration,
-                speedModifier: 0.3 // 70% slow
-            });
-            hitCount++;
-        }
-
-        // Create visual effect
-        const effect = this.game.powerCards.createFreezeEffect({ x: 0, y: 0, z: 0 });
-        // Add effect to active effects list
-        this.game.powerCards.activeEffects.push(effect);
-
-        return hitCount > 0;
-    }
-
-    castShieldSpell(spellStats) {
-        // Apply shield effect to towers
-        const duration = spellStats.duration || 10; // Default 10 seconds if not specified
-        const damageReduction = 0.5; // 50% damage reduction
-
-        // Apply shield effect to all towers
-        let affectedCount = 0;
-
-        for (const tower of this.game.towers) {
-            // Apply the effect to the tower
-            tower.applyEffect('shield', damageReduction, duration);
-            console.log(`Applied shield effect to tower at (${tower.position.x}, ${tower.position.z}) for ${duration} seconds`);
-
-            // Visual effect on tower
-            if (tower.mesh) {
-                const effectPosition = {
-                    x: tower.position.x,
-                    y: tower.position.y + 0.5,
-                    z: tower.position.z
-                };
-
-                try {
-                    const effect = this.game.powerCards.createShieldEffect(effectPosition);
-                    if (effect) {
-                        this.game.powerCards.activeEffects.push(effect);
-                    }
-                } catch (err) {
-                    console.error("Error creating shield effect:", err);
-                }
-            }
-            affectedCount++;
-        }
-
-        // Return true if any towers were affected
-        return affectedCount > 0;
-    }
-
-    castHasteSpell(spellStats) {
-        // Apply haste effect to towers (increased attack speed)
-        const duration = spellStats.duration || 10; // Default 10 seconds if not specified
-        const speedMultiplier = 1.5; // 50% faster attacks
-
-        // Apply effect to all towers
-        let affectedCount = 0;
-
-        for (const tower of this.game.towers) {
-            // Apply the effect to the tower
-            tower.applyEffect('haste', speedMultiplier, duration);
-            console.log(`Applied haste effect to tower at (${tower.position.x}, ${tower.position.z}) for ${duration} seconds`);
-
-            // Visual effect
-            if (tower.mesh) {
-                const effectPosition = {
-                    x: tower.position.x,
-                    y: tower.position.y + 0.5,
-                    z: tower.position.z
-                };
-
-                try {
-                    // Create wind effect (Air/Wind effect)
-                    // Directly create the effect since createWindEffect might not exist
-                    const particleCount = 20;
-                    const particles = [];
-
-                    // Create particles manually
-                    for (let i = 0; i < particleCount; i++) {
-                        const particle = document.createElement('div');
-                        particle.className = 'wind-particle';
-                        particle.style.width = '5px';
-                        particle.style.height = '5px';
-                        particle.style.backgroundColor = 'rgba(255, 255, 255, 0.7)';
-                        particle.style.position = 'absolute';
-                        particle.style.borderRadius = '50%';
-                        document.body.appendChild(particle);
-                        particles.push(particle);
-                    }
-
-                    // Add visual animation for wind effect
-                    // This is a basic effect that can be enhanced
-                    const startTime = performance.now();
-                    const duration = 2000; // 2 seconds for animation
-
-                    const animateParticles = () => {
-                        const elapsed = performance.now() - startTime;
-                        const progress = Math.min(elapsed / duration, 1);
-
-                        if (progress < 1) {
-                            particles.forEach(particle => {
-                                // Animate particle movement
-                                // This is just a simple animation
-                                const angle = Math.random() * Math.PI * 2;
-                                const distance = Math.random() * 50;
-                                particle.style.left = `calc(50% + ${Math.cos(angle) * distance}px)`;
-                                particle.style.top = `calc(50% + ${Math.sin(angle) * distance}px)`;
-                            });
-
-                            requestAnimationFrame(animateParticles);
-                        } else {
-                            // Remove particles when animation completes
-                            particles.forEach(particle => {
-                                document.body.removeChild(particle);
-                            });
-                        }
-                    };
-
-                    requestAnimationFrame(animateParticles);
-                } catch (err) {
-                    console.error("Error creating wind effect:", err);
-                }
-            }
-            affectedCount++;
-        }
-
-        // Return true if any towers were affected
-        return affectedCount > 0;
-    }
-
-    castDrainSpell(spellStats) {
-        // Apply drain effect to enemies (weakens them) and restore mana
-        const duration = spellStats.duration || 10; // Default 10 seconds if not specified
-        const weakenAmount = 0.5; // 50% increased damage taken
-        const manaRestored = Math.min(3, this.absoluteMaxMana - this.mana); // Restore up to 3 mana
-
-        // Apply weaken effect to all enemies
-        let affectedCount = 0;
-        for (const enemy of this.game.enemies) {
-            // Apply weaken status effect to the enemy
-            try {
-                // Use simpler form to apply weaken effect
-            if (typeof enemy.applyStatusEffect === 'function') {
-                enemy.applyStatusEffect('weaken', {
-                    duration: duration,
-                    damageModifier: 1.0 + weakenAmount // Take 50% more damage
-                });
-            } else if (enemy.health) {
-                // Direct damage if no status effect system
-                // Take 10% of current health as immediate damage
-                const drainDamage = Math.max(1, Math.floor(enemy.health * 0.1));
-                enemy.takeDamage(drainDamage);
-                console.log(`Direct drain damage applied: ${drainDamage} to enemy with ${enemy.health} health`);
-            }
-
-                console.log(`Applied weaken effect to enemy at (${enemy.position.x}, ${enemy.position.z}) for ${duration} seconds`);
-
-                // Create visual effect on each enemy
-                const effectPosition = {
-                    x: enemy.position.x,
-                    y: enemy.position.y + 0.5,
-                    z: enemy.position.z
-                };
-
-                // Create a simple visual effect if the createDrainEffect function doesn't exist
-                if (this.game.powerCards.createDrainEffect) {
-                    const effect = this.game.powerCards.createDrainEffect(effectPosition);
-                    if (effect) {
-                        this.game.powerCards.activeEffects.push(effect);
-                    }
-                } else {
-                    // Create a simple visual effect using DOM elements
-                    const particle = document.createElement('div');
-                    particle.className = 'drain-particle';
-                    particle.style.width = '10px';
-                    particle.style.height = '10px';
-                    particle.style.backgroundColor = 'rgba(128, 0, 128, 0.7)'; // Purple for void/shadow
-                    particle.style.position = 'absolute';
-                    particle.style.borderRadius = '50%';
-                    particle.style.left = '50%';
-                    particle.style.top = '50%';
-                    document.body.appendChild(particle);
-
-                    // Animate and remove after animation completes
-                    setTimeout(() => {
-                        document.body.removeChild(particle);
-                    }, 2000);
-                }
-
-                affectedCount++;
-            } catch (err) {
-                console.error("Error applying weaken effect:", err);
-            }
-        }
-
-        // Restore mana if enemies were affected
-        if (affectedCount > 0) {
-            this.mana = Math.min(this.absoluteMaxMana, this.mana + manaRestored);
-            this.updateManaDisplay();
-            console.log(`Restored ${manaRestored} mana from Void Drain`);
-
-
-            // Show mana gain UI effect
-            const manaGainMessage = document.createElement('div');
-            manaGainMessage.className = 'mana-gain-message';
-            manaGainMessage.textContent = `+${manaRestored} Mana`;
-            document.getElementById('game-container').appendChild(manaGainMessage);
-
-            // Animate and remove
-            setTimeout(() => {
-                manaGainMessage.style.opacity = '0';
-                setTimeout(() => manaGainMessage.remove(), 1000);
-            }, 1500);
-        }
-
-        // Return true if any enemies were affected
-        return affectedCount > 0;
-    }
-
-    removeCardFromHand(card) {
-        const index = this.hand.indexOf(card);
-        if (index !== -1) {
-            this.hand.splice(index, 1);
-        }
-    }
-
-    startTurn() {
-        this.currentTurn++;
-
-        // Increase max mana based on current wave
-        this.updateMaxManaByWave();
-
-        // Refresh mana (up to max)
-        this.mana = this.maxMana;
-
-        // Refill hand to maintain 5 cards
-        this.refillHand();
-
-        // Update UI
-        this.updateCardUI();
-
-        // Reset mana regeneration timer
-        this.lastManaRegenTime = performance.now();
-    }
-
-    refillHand() {
-        // Fill hand back up to max (typically 5 cards)
-        const cardsNeeded = this.maxCardsInHand - this.hand.length;
-
-        for (let i = 0; i < cardsNeeded; i++) {
-            this.drawCard();
-        }
 
-        console.log(`Refilled hand with ${cardsNeeded} new cards. Hand size: ${this.hand.length}`);
-    }
-
-    updateMaxManaByWave() {
-        const currentWave = this.game.currentWave;
-
-        // Set max mana based on current wave - more gradual progression
-        switch (currentWave) {
-            case 1:
-                this.maxMana = 8;
-                break;
-            case 2:
-                this.maxMana = 9;
-                break;
-            case 3:
-                this.maxMana = 10;
-                break;
-            case 4:
-                this.maxMana = 11;
-                break;
-            case 5:
-            case 6:
-            default:
-                this.maxMana = this.absoluteMaxMana; // 12
+                // Send it to the opponent's next wave
+                this.game.dispatchCommand(ReplayCommands.PLAY_CARD, { cardId: card.id });
+                this.selectedCard = null;
                 break;
         }
-
-        // Also give a small mana bonus for wave completion
-        const manaBonus = currentWave; // 1, 2, or 3 mana bonus
-        this.mana = Math.min(this.maxMana, this.mana + manaBonus);
     }
 
-    reset() {
-        // Reset mana to initial values
-        this.mana = this.initialMana;
-        this.maxMana = this.initialMaxMana;
-
-        // Reset turn counter
-        this.currentTurn = 0;
-
-        // Reset last mana regen time
-        this.lastManaRegenTime = 0;
-
-        // Reset selected card
+    // Leave tower placement mode after a tower card was placed or the placement canceled
+    endTowerPlacement() {
         this.selectedCard = null;
-
-        // Clear hand
-        this.hand = [];
-
-        // Reset card UI
-        this.updateCardUI();
-
-        // Draw a new initial hand
-        this.drawInitialHand();
-
-        // Update mana display
-        this.updateManaDisplay();
+        this.game.ui.setTowerPlacementMode(false);
     }
 
-    getRarityMultiplier(rarity) {
-        // Simple multiplier based on rarity
-        switch (rarity) {
-            case 'common': return 1;
-            case 'uncommon': return 1.2;
-            case 'rare': return 1.5;
-            case 'epic': return 1.8;
-            case 'legendary': return 2.2;
-            default: return 1;
-        }
+    // Show mana gain UI effect
+    showManaGain(amount) {
+        const manaGainMessage = document.createElement('div');
+        manaGainMessage.className = 'mana-gain-message';
+        manaGainMessage.textContent = `+${amount} Mana`;
+        document.getElementById('game-container').appendChild(manaGainMessage);
+
+        // Animate and remove
+        setTimeout(() => {
+            manaGainMessage.style.opacity = '0';
+            setTimeout(() => manaGainMessage.remove(), 1000);
+        }, 1500);
     }
 
-    update(deltaTime) {
-        // Check if it's time to regenerate mana
-        const now = performance.now();
-        if (now - this.lastManaRegenTime >= this.manaRegenInterval) {
-            // Regenerate mana if below max
-            if (this.mana < this.maxMana) {
-                this.mana = Math.min(
-                    this.maxMana,
-                    this.mana + this.manaRegenAmount
-                );
-                // Update the UI
-                this.updateManaDisplay();
-            }
-            // Reset timer
-            this.lastManaRegenTime = now;
-        }
+    updatePileDisplay() {
+        const pileDisplay = document.getElementById('deck-piles');
+        if (!pileDisplay) return;
 
-        // Update card animations
-        if (this.hand) {
-            for (const card of this.hand) {
-                if (card.update) {
-                    card.update(deltaTime);
-                }
-            }
-        }
+        pileDisplay.innerHTML = `Draw: <span>${this.game.cards.drawPile.length}</span> | Discard: <span>${this.game.cards.discardPile.length}</span>`;
     }
-}
\ No newline at end of file
+}
@@ -1,3 +1,18 @@
+import { Tower, TargetingModes, TargetLayers } from './entities/tower.js';
+import { ReplayCommands } from './replay.js';
+import { GameEvents } from './simulation/events.js';
+import { getUnits } from './units.js';
+
+// Labels for the tower panel targeting selector
+const TargetingLabels = {
+    [TargetingModes.FIRST]: 'First',
+    [TargetingModes.LAST]: 'Last',
+    [TargetingModes.STRONGEST]: 'Strongest',
+    [TargetingModes.WEAKEST]: 'Weakest',
+    [TargetingModes.CLOSEST]: 'Closest',
+    [TargetingModes.ELEMENTAL]: 'Elemental Advantage'
+};
+
 export class UI {
     constructor(game) {
         this.game = game;
@@ -6,6 +21,7 @@ export class UI {
         this.isValidPlacement = false;
         this.towerPlacementCallback = null;
         this.isTowerPlacementMode = false;
+        this.inspectedTower = null; // Placed tower shown in the tower panel
 
         // Touch controls state
         this.touchState = {
@@ -23,6 +39,9 @@ export class UI {
         this.towerOptions = document.querySelectorAll('.tower-option');
         this.powerCards = document.querySelectorAll('.power-card');
 
+        // Prices shown on the tower and power card buttons
+        this.showUnitCosts();
+
         // Configure the raycaster for tower placement
         this.setupRaycaster();
 
@@ -32,9 +51,52 @@ export class UI {
         // Setup touch controls for mobile
         this.setupTouchControls();
 
+        // Context panel for placed towers (sell, stats)
+        this.setupTowerPanel();
+
+        // Pause and game speed buttons
+        this.setupSpeedControls();
+
+        // Power card buttons grey out while their power recharges
+        this.setupPowerCardCooldowns();
+
         // Note: Keyboard shortcuts are now handled in main.js only
     }
 
+    // Costs come from data/units.json, so the buttons are priced from it
+    // rather than from the numbers written in the page
+    showUnitCosts() {
+        this.towerOptions.forEach(element => {
+            const cost = Tower.getCost(element.getAttribute('data-tower'));
+            element.setAttribute('data-cost', cost);
+
+            const price = element.querySelector('span');
+            if (price) price.textContent = `${cost}g`;
+        });
+
+        const powers = getUnits().powerCards;
+        this.powerCards.forEach(element => {
+            const power = powers[element.getAttribute('data-card')];
+            if (power) element.setAttribute('data-cost', power.goldCost || 0);
+        });
+    }
+
+    // Campaign levels can limit the towers and power cards on offer
+    showLevelRules() {
+        this.towerOptions.forEach(element => {
+            element.classList.toggle('hidden', !this.game.isTowerAllowed(element.getAttribute('data-tower')));
+        });
+        this.powerCards.forEach(element => {
+            element.classList.toggle('hidden', !this.game.isPowerAvailable(element.getAttribute('data-card')));
+        });
+
+        // Swap a tower this level doesn't allow for the first one it does
+        if (this.selectedTower && !this.game.isTowerAllowed(this.selectedTower)) {
+            const firstAllowed = Array.from(this.towerOptions).find(element => !element.classList.contains('hidden'));
+            this.selectTower(firstAllowed ? firstAllowed.getAttribute('data-tower') : this.selectedTower);
+        }
+    }
+
     setupRaycaster() {
         const renderer = this.game.renderer;
         const canvas = renderer.canvas;
@@ -262,6 +324,14 @@ export class UI {
 
                 // Reset tower placement state
                 this.touchState.towerPlacementActive = false;
+            } else if (!this.touchState.isDragging && event.changedTouches.length === 1) {
+                // Plain tap without a tower selected - may open the tower panel
+                const touch = event.changedTouches[0];
+                const rect = canvas.getBoundingClientRect();
+                this.handleCanvasClick(
+                    (touch.clientX - rect.left) / canvas.clientWidth,
+                    (touch.clientY - rect.top) / canvas.clientHeight
+                );
             }
 
             // Reset touch state
@@ -406,8 +476,6 @@ export class UI {
     }
 
     async handleCanvasClick(normalizedX, normalizedY) {
-        if (!this.selectedTower) return;
-
         // Check if camera is rotating - abort tower placement if it is
         if (this.game.renderer.isRotating) {
             // console.log("Camera is rotating, aborting tower placement");
@@ -447,6 +515,19 @@ export class UI {
         const gridCoords = map.worldToGrid(target.x, target.z);
         const { x: gridX, y: gridY } = gridCoords;
 
+        // Clicking a placed tower opens its panel instead of trying to build on it
+        const clickedTower = this.game.getTowerAt(gridX, gridY);
+        if (clickedTower && !this.isTowerPlacementMode) {
+            this.showTowerPanel(clickedTower);
+            return;
+        }
+
+        // Clicking anywhere else closes the panel
+        this.hideTowerPanel();
+
+        // Replays are watch-only
+        if (!this.selectedTower || this.game.replayPlayer) return;
+
         // console.log(`Mouse click at world: (${target.x.toFixed(2)}, ${target.z.toFixed(2)}), grid: (${gridX}, ${gridY})`);
 
         // Check the placement validity again (in case it changed since last move)
@@ -464,7 +545,11 @@ export class UI {
                 console.log("TCG tower placement callback called");
             } else {
                 // Normal tower placement
-                const success = await this.game.placeTower(this.selectedTower, gridX, gridY);
+                const success = await this.game.dispatchCommand(ReplayCommands.PLACE_TOWER, {
+                    towerType: this.selectedTower,
+                    gridX,
+                    gridY
+                });
 
                 if (success) {
                     // Tower placed successfully
@@ -497,36 +582,259 @@ export class UI {
         }
     }
 
-    activatePowerCard(cardType, cost) {
-        // Attempt to activate power card
-        const success = this.game.activatePowerCard(cardType, cost);
+    setupSpeedControls() {
+        this.pauseButton = document.getElementById('pause-button');
+        this.speedButtons = document.querySelectorAll('.speed-button[data-speed]');
+        this.pausedIndicator = document.getElementById('paused-indicator');
+        if (!this.pauseButton) return;
 
-        if (success) {
-            // Find the card element
-            const cardElement = Array.from(this.powerCards).find(
-                element => element.getAttribute('data-card') === cardType
-            );
+        this.pauseButton.addEventListener('click', () => {
+            this.game.togglePause();
+        });
 
-            if (cardElement) {
-                // Apply cooldown effect
-                cardElement.classList.add('cooldown');
-
-                // Remove cooldown after appropriate delay
-                const cooldowns = {
-                    'meteor': 45000,
-                    'freeze': 60000,
-                    'hero': 90000,
-                    'gold': 30000,
-                    'empower': 75000
-                };
-
-                setTimeout(() => {
-                    cardElement.classList.remove('cooldown');
-                }, cooldowns[cardType] || 60000);
-            }
+        this.speedButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.game.setGameSpeed(parseFloat(button.dataset.speed));
+            });
+        });
+
+        this.updateSpeedControls();
+    }
+
+    updateSpeedControls() {
+        if (!this.pauseButton) return;
+
+        const { paused, speed } = this.game.clock;
+
+        this.pauseButton.classList.toggle('active', paused);
+        this.pauseButton.innerHTML = paused ? '&#9654;' : '&#10074;&#10074;';
+        this.pauseButton.title = paused ? 'Resume (P)' : 'Pause (P)';
+
+        this.speedButtons.forEach(button => {
+            button.classList.toggle('active', parseFloat(button.dataset.speed) === speed);
+        });
+
+        this.pausedIndicator.classList.toggle('hidden', !paused);
+    }
+
+    // Show which run is being replayed while in viewer mode
+    updateReplayBanner() {
+        const banner = document.getElementById('replay-banner');
+        if (!banner) return;
+
+        const replayPlayer = this.game.replayPlayer;
+        banner.classList.toggle('hidden', !replayPlayer);
+        if (replayPlayer) {
+            const { seed, username } = replayPlayer.replay;
+            banner.textContent = `Replay — ${username || 'Player'} · seed ${seed}`;
         }
+    }
+
+    // Opponent's / partner's lives and wave during a multiplayer match
+    updateMatchPanel() {
+        const panel = document.getElementById('match-panel');
+        if (!panel) return;
+
+        const multiplayer = this.game.multiplayer;
+        panel.classList.toggle('hidden', !multiplayer);
+        if (!multiplayer) return;
+
+        const status = multiplayer.otherStatus;
+        panel.classList.toggle('coop', multiplayer.isCoop);
+        document.getElementById('match-panel-label').textContent = multiplayer.isCoop ? 'with' : 'vs';
+        document.getElementById('match-other-name').textContent = multiplayer.otherPlayer;
+        document.getElementById('match-other-lives').textContent = status ? status.lives : '-';
+        document.getElementById('match-other-wave').textContent = multiplayer.otherLeft ? 'Left' :
+            status ? (status.finished ? 'Cleared' : `${status.wave}/${this.game.maxWaves}`) : '-';
+    }
+
+    showMatchMessage(text) {
+        const message = document.createElement('div');
+        message.className = 'match-message';
+        message.textContent = text;
+        document.body.appendChild(message);
+
+        setTimeout(() => message.remove(), 3000);
+    }
+
+    setupTowerPanel() {
+        this.towerPanel = document.getElementById('tower-panel');
+        if (!this.towerPanel) return;
 
-        return success;
+        document.getElementById('tower-panel-close').addEventListener('click', () => {
+            this.hideTowerPanel();
+        });
+
+        const targetingSelect = document.getElementById('tower-targeting-select');
+        for (const mode in TargetingLabels) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = TargetingLabels[mode];
+            targetingSelect.appendChild(option);
+        }
+
+        targetingSelect.addEventListener('change', (e) => {
+            const tower = this.inspectedTower;
+            if (!tower) return;
+
+            this.game.dispatchCommand(ReplayCommands.SET_TARGETING, {
+                gridX: tower.gridPosition.gridX,
+                gridY: tower.gridPosition.gridY,
+                mode: e.target.value
+            }).then(() => {
+                // Snap the selector back if the change was rejected (e.g. during a replay)
+                if (this.inspectedTower === tower) {
+                    e.target.value = tower.targetingMode;
+                }
+            });
+        });
+
+        document.getElementById('upgrade-tower-button').addEventListener('click', async () => {
+            const tower = this.inspectedTower;
+            if (!tower) return;
+
+            await this.game.dispatchCommand(ReplayCommands.UPGRADE_TOWER, {
+                gridX: tower.gridPosition.gridX,
+                gridY: tower.gridPosition.gridY
+            });
+            this.updateTowerPanel();
+        });
+
+        document.getElementById('sell-tower-button').addEventListener('click', async () => {
+            const tower = this.inspectedTower;
+            if (!tower) return;
+
+            this.hideTowerPanel();
+            await this.game.dispatchCommand(ReplayCommands.SELL_TOWER, {
+                gridX: tower.gridPosition.gridX,
+                gridY: tower.gridPosition.gridY
+            });
+        });
+    }
+
+    showTowerPanel(tower) {
+        if (!this.towerPanel) return;
+
+        this.inspectedTower = tower;
+        this.updateTowerPanel();
+        this.towerPanel.classList.remove('hidden');
+    }
+
+    hideTowerPanel() {
+        this.inspectedTower = null;
+        if (this.towerPanel) {
+            this.towerPanel.classList.add('hidden');
+        }
+    }
+
+    updateTowerPanel() {
+        const tower = this.inspectedTower;
+        if (!tower || !this.towerPanel) return;
+
+        // Close the panel if the tower was removed by something else (restart, etc.)
+        if (!this.game.towers.includes(tower)) {
+            this.hideTowerPanel();
+            return;
+        }
+
+        const maxLevel = Tower.getMaxLevel(tower.type);
+        document.getElementById('tower-panel-name').textContent =
+            `${this.getTowerDisplayName(tower.type)} · Lv ${tower.level}`;
+
+        const stats = [
+            ['Level', `${tower.level}/${maxLevel}`],
+            ['Element', tower.element],
+            ['Damage', `${Math.round(tower.damage)} ${tower.damageType}`],
+            ['Range', tower.range.toFixed(1)],
+            ['Fire Rate', `${tower.fireRate.toFixed(2)}/s`],
+            ['Targets', tower.targets === TargetLayers.BOTH ? 'ground & air' : tower.targets]
+        ];
+
+        const armorShred = tower.armorShred + tower.synergyBonus.armorShred;
+        if (armorShred > 0) {
+            stats.push(['Armor Shred', armorShred]);
+        }
+
+        // Bonuses from the towers around it
+        tower.synergies.forEach(({ synergy }) => {
+            stats.push(['Synergy', `${synergy.name} - ${synergy.description}`]);
+        });
+
+        // Switched off by a boss ability
+        if (tower.isDisabled()) {
+            const seconds = Math.ceil((tower.disabledUntil - this.game.clock.now()) / 1000);
+            stats.push(['Status', `Disabled (${seconds}s)`]);
+        }
+
+        // Co-op: partner towers can be inspected but not changed
+        const canControl = this.game.canControlTower(tower);
+        if (!canControl) {
+            stats.push(['Owner', tower.ownerName || 'Partner']);
+        }
+
+        const statsContainer = document.getElementById('tower-panel-stats');
+        statsContainer.innerHTML = '';
+        stats.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'tower-panel-stat';
+            row.innerHTML = `<span>${label}</span><span>${value}</span>`;
+            statsContainer.appendChild(row);
+        });
+
+        const targetingSelect = document.getElementById('tower-targeting-select');
+        targetingSelect.value = tower.targetingMode;
+        targetingSelect.disabled = !canControl;
+
+        // Upgrade button shows the next tier's price in the tower's currency
+        const upgradeButton = document.getElementById('upgrade-tower-button');
+        const nextTier = tower.getNextTier();
+        if (!nextTier) {
+            upgradeButton.textContent = 'Max Level';
+            upgradeButton.disabled = true;
+        } else if (tower.getCurrency() === 'mana') {
+            const mana = this.game.cards.mana;
+            upgradeButton.textContent = `Upgrade to Lv ${nextTier.level} (${nextTier.manaCost} mana)`;
+            upgradeButton.disabled = this.game.gameOver || !canControl || mana < nextTier.manaCost;
+        } else {
+            upgradeButton.textContent = `Upgrade to Lv ${nextTier.level} (${nextTier.goldCost}g)`;
+            upgradeButton.disabled = this.game.gameOver || !canControl || this.game.player.gold < nextTier.goldCost;
+        }
+
+        // Card towers are sold back for mana, like they are bought and upgraded
+        const refundPercent = Math.round(this.game.difficultySettings.towerSellRefund * 100);
+        const refund = this.game.getTowerSellValue(tower);
+        const sellButton = document.getElementById('sell-tower-button');
+        document.getElementById('sell-tower-value').textContent =
+            tower.getCurrency() === 'mana' ? `${refund} mana` : `${refund}g`;
+        sellButton.title = `Refunds ${refundPercent}% of the tower cost`;
+        sellButton.disabled = this.game.gameOver || !canControl;
+    }
+
+    // Turn tower type ids like 'doubleArrow' or 'fire_basic' into readable names
+    getTowerDisplayName(towerType) {
+        return towerType
+            .replace(/_/g, ' ')
+            .replace(/([A-Z])/g, ' $1')
+            .replace(/\b\w/g, char => char.toUpperCase())
+            .trim() + ' Tower';
+    }
+
+    async activatePowerCard(cardType, cost) {
+        // Attempt to activate power card (the cooldown shows through the power card events)
+        return this.game.dispatchCommand(ReplayCommands.ACTIVATE_POWER_CARD, { cardType, cost });
+    }
+
+    setupPowerCardCooldowns() {
+        const findCardElement = cardType => Array.from(this.powerCards).find(
+            element => element.getAttribute('data-card') === cardType
+        );
+
+        this.game.events.on(GameEvents.POWER_CARD_ACTIVATED, ({ cardType }) => {
+            findCardElement(cardType)?.classList.add('cooldown');
+        });
+        this.game.events.on(GameEvents.POWER_CARD_READY, ({ cardType }) => {
+            findCardElement(cardType)?.classList.remove('cooldown');
+        });
     }
 
     // Method for TCG integration - enables tower placement mode for cards
@@ -0,0 +1,347 @@
+import unitData from './data/units.json' with { type: 'json' };
+import { ElementTypes } from './elements.js';
+import { CardRarity } from './cards.js';
+
+// Field rules for each section of data/units.json. Every section maps an id to an
+// entry; fields marked optional may be left out, anything not listed is rejected.
+//   number   - finite number (min sets a lower bound)
+//   element  - one of ElementTypes, elements also allows a list of them
+//   ref      - id of an entry in another section
+//   abilities - enemy ability kits, see ABILITY_FIELDS
+//   phases   - boss phases, see PHASE_ABILITY_FIELDS
+//   synergyBonus - tower adjacency bonuses, see SYNERGY_BONUS_FIELDS
+export const UnitSchema = {
+    towers: {
+        name: { type: 'string' },
+        element: { type: 'element' },
+        goldCost: { type: 'number', min: 0 },
+        damage: { type: 'number', min: 0 },
+        range: { type: 'number', min: 0 },
+        fireRate: { type: 'number', min: 0 },
+        height: { type: 'number', min: 0 },
+        projectileType: { type: 'string' },
+        areaOfEffect: { type: 'boolean' },
+        aoeRadius: { type: 'number', min: 0 },
+        specialAbility: { type: 'string', nullable: true },
+        targets: { type: 'string', values: ['ground', 'air', 'both'] }, // Enemies it can shoot, see TargetLayers
+        damageType: { type: 'string', values: ['physical', 'magical'] }, // See DamageTypes
+        armorShred: { type: 'number', min: 0, optional: true }, // Armor its hits crack for a while (left out: none)
+        upgrades: { type: 'tiers', optional: true } // Left out: priced from goldCost, see Tower.getUpgradeTiers
+    },
+    towerCards: {
+        tower: { type: 'ref', section: 'towers' },
+        name: { type: 'string' },
+        rarity: { type: 'rarity' },
+        element: { type: 'elements' },
+        manaCost: { type: 'number', min: 0 },
+        description: { type: 'string' },
+        damage: { type: 'number', min: 0, optional: true }, // Left out: the tower's own stats
+        range: { type: 'number', min: 0, optional: true },
+        fireRate: { type: 'number', min: 0, optional: true },
+        specialAbility: { type: 'string', nullable: true, optional: true }
+    },
+    synergies: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        tower: { type: 'string', values: [...Object.values(ElementTypes), 'any'] }, // Element that gets the bonus (any: every elemental tower)
+        partner: { type: 'string', values: [...Object.values(ElementTypes), 'same'] }, // Element it needs next to it (same: its own)
+        count: { type: 'number', min: 1, optional: true }, // Partners needed in the surrounding cells (left out: 1)
+        bonus: { type: 'synergyBonus' }
+    },
+    enemies: {
+        name: { type: 'string' },
+        element: { type: 'element' },
+        health: { type: 'number', min: 1 },
+        speed: { type: 'number', min: 0 },
+        reward: { type: 'number', min: 1 },
+        armor: { type: 'number', min: 0, optional: true }, // Softens physical damage (left out: 0)
+        magicResist: { type: 'number', min: 0, optional: true }, // Softens magical damage (left out: 0)
+        flying: { type: 'boolean', optional: true }, // Flies straight to an exit over the maze
+        abilities: { type: 'abilities', optional: true } // Left out: no abilities
+    },
+    bosses: {
+        name: { type: 'string' },
+        element: { type: 'element' },
+        health: { type: 'number', min: 1 },
+        speed: { type: 'number', min: 0 },
+        reward: { type: 'number', min: 1 },
+        manaReward: { type: 'number', min: 0 }, // Bounty on top of the gold
+        armor: { type: 'number', min: 0, optional: true },
+        magicResist: { type: 'number', min: 0, optional: true },
+        scale: { type: 'number', min: 0 },
+        telegraph: { type: 'number', min: 0 }, // Seconds of warning before a phase ability goes off
+        phases: { type: 'phases' }
+    },
+    enemyCards: {
+        enemy: { type: 'ref', section: 'enemies' },
+        rarity: { type: 'rarity' },
+        manaCost: { type: 'number', min: 0 },
+        description: { type: 'string' }
+    },
+    spells: {
+        name: { type: 'string' },
+        rarity: { type: 'rarity' },
+        element: { type: 'element' },
+        manaCost: { type: 'number', min: 0 },
+        description: { type: 'string' },
+        effect: { type: 'string', values: ['damage', 'freeze', 'shield', 'haste', 'drain'] },
+        duration: { type: 'number', min: 0 },
+        radius: { type: 'number', min: 0 }
+    },
+    powerCards: {
+        name: { type: 'string' },
+        goldCost: { type: 'number', min: 0, optional: true }, // Left out: free
+        cooldown: { type: 'number', min: 0 }, // ms
+        card: { type: 'powerCard', optional: true } // Left out: never drawn into the hand
+    }
+};
+
+// Powers are code (see PowerCardState.activate), so only these ids can be tuned here
+const POWER_IDS = ['meteor', 'freeze', 'hero', 'gold', 'empower'];
+
+const TIER_FIELDS = ['level', 'damage', 'range', 'fireRate', 'goldCost', 'manaCost'];
+const POWER_CARD_FIELDS = {
+    rarity: 'rarity',
+    element: 'element',
+    description: 'string',
+    duration: 'number',
+    radius: 'number'
+};
+
+// Enemy ability kits and their settings (intervals are in seconds)
+//   heal   - restores percent of their max health to allies within radius every interval
+//   shield - soaks up the first amount of damage taken
+//   split  - breaks into count enemies of type into when defeated
+//   summon - calls count enemies of type minion every interval, up to max in all
+// Minions (split.into, summon.minion) can't split or summon themselves, which keeps the
+// number of enemies a wave can bring bounded (the server's score checks rely on it).
+const ABILITY_FIELDS = {
+    heal: {
+        radius: { type: 'number', min: 0 },
+        percent: { type: 'number', min: 0 },
+        interval: { type: 'number', min: 0.1 }
+    },
+    shield: {
+        amount: { type: 'number', min: 0 }
+    },
+    split: {
+        into: { type: 'ref', section: 'enemies' },
+        count: { type: 'number', min: 1 }
+    },
+    summon: {
+        minion: { type: 'ref', section: 'enemies' },
+        count: { type: 'number', min: 1 },
+        interval: { type: 'number', min: 0.1 },
+        max: { type: 'number', min: 1 }
+    }
+};
+
+// Boss phases start as health drops to their threshold (a share of max health, highest
+// first). Each one multiplies the boss's speed and can telegraph one of these abilities:
+//   spawnAdds     - count enemies of type enemy appear around the boss
+//   disableTowers - towers within radius of where it was telegraphed stop firing for duration seconds
+const PHASE_ABILITY_FIELDS = {
+    spawnAdds: {
+        enemy: { type: 'ref', section: 'enemies' },
+        count: { type: 'number', min: 1 }
+    },
+    disableTowers: {
+        radius: { type: 'number', min: 0 },
+        duration: { type: 'number', min: 0 }
+    }
+};
+
+// What a synergy can do for the towers it links. Multipliers stack by multiplying,
+// the rest add up (see combineSynergyBonuses)
+//   damage       - multiplies the tower's damage
+//   armorShred   - armor its hits crack, on top of its own
+//   burnSpread   - its burns also catch enemies within this many tiles of the target
+//   slowDuration - multiplies how long its slows last
+const SYNERGY_BONUS_FIELDS = {
+    damage: { type: 'number', min: 0 },
+    armorShred: { type: 'number', min: 0 },
+    burnSpread: { type: 'number', min: 0 },
+    slowDuration: { type: 'number', min: 0 }
+};
+
+// Check one value against a field rule, returning a problem or null
+function checkValue(value, rule, data) {
+    const elements = Object.values(ElementTypes);
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (rule.values && !rule.values.includes(value)) return `must be one of ${rule.values.join(', ')}`;
+            return null;
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+
+        case 'element':
+            return elements.includes(value) ? null : `must be one of ${elements.join(', ')}`;
+
+        case 'elements': {
+            const list = Array.isArray(value) ? value : [value];
+            return list.length > 0 && list.every(element => elements.includes(element)) ?
+                null : 'must be an element or a list of elements';
+        }
+
+        case 'rarity': {
+            const rarities = Object.values(CardRarity);
+            return rarities.includes(value) ? null : `must be one of ${rarities.join(', ')}`;
+        }
+
+        case 'ref':
+            return data[rule.section] && data[rule.section][value] ? null : `must name an entry in ${rule.section}`;
+
+        case 'tiers': {
+            if (!Array.isArray(value)) return 'must be a list of upgrade tiers';
+
+            for (const [index, tier] of value.entries()) {
+                if (tier.level !== index + 2) return `tier ${index + 1} must be level ${index + 2}`;
+
+                const missing = TIER_FIELDS.find(field => typeof tier[field] !== 'number');
+                if (missing) return `tier ${index + 1} needs a number for ${missing}`;
+            }
+            return null;
+        }
+
+        case 'powerCard': {
+            if (!value || typeof value !== 'object') return 'must be an object';
+
+            for (const [field, type] of Object.entries(POWER_CARD_FIELDS)) {
+                const problem = checkValue(value[field], { type, min: 0 }, data);
+                if (problem) return `${field} ${problem}`;
+            }
+            return null;
+        }
+
+        case 'abilities': {
+            if (!value || typeof value !== 'object') return 'must be an object';
+
+            for (const [ability, settings] of Object.entries(value)) {
+                const fields = ABILITY_FIELDS[ability];
+                if (!fields) return `has an unknown ability ${ability}`;
+                if (!settings || typeof settings !== 'object') return `${ability} must be an object`;
+
+                for (const [field, fieldRule] of Object.entries(fields)) {
+                    const problem = checkValue(settings[field], fieldRule, data);
+                    if (problem) return `${ability}.${field} ${problem}`;
+                }
+                const unknown = Object.keys(settings).find(field => !fields[field]);
+                if (unknown) return `${ability}.${unknown} is not a setting`;
+            }
+
+            // Minions that split or summon again would never end
+            const minions = [['split.into', value.split?.into], ['summon.minion', value.summon?.minion]];
+            for (const [field, minion] of minions) {
+                const minionAbilities = minion ? data.enemies[minion].abilities : null;
+                if (minionAbilities?.split || minionAbilities?.summon) {
+                    return `${field} must not split or summon again`;
+                }
+            }
+            return null;
+        }
+
+        case 'phases': {
+            if (!Array.isArray(value) || value.length === 0) return 'must be a list of phases';
+
+            let previousThreshold = 1;
+            for (const [index, phase] of value.entries()) {
+                if (typeof phase.health !== 'number' || phase.health <= 0 || phase.health >= previousThreshold) {
+                    return `phase ${index + 1} needs a health threshold below ${previousThreshold} and above 0`;
+                }
+                previousThreshold = phase.health;
+
+                const speedProblem = checkValue(phase.speedMultiplier, { type: 'number', min: 0 }, data);
+                if (speedProblem) return `phase ${index + 1} speedMultiplier ${speedProblem}`;
+
+                if (phase.ability === undefined) continue;
+                const fields = PHASE_ABILITY_FIELDS[phase.ability?.type];
+                if (!fields) return `phase ${index + 1} ability type must be one of ${Object.keys(PHASE_ABILITY_FIELDS).join(', ')}`;
+
+                for (const [field, fieldRule] of Object.entries(fields)) {
+                    const problem = checkValue(phase.ability[field], fieldRule, data);
+                    if (problem) return `phase ${index + 1} ability ${field} ${problem}`;
+                }
+            }
+            return null;
+        }
+
+        case 'synergyBonus': {
+            if (!value || typeof value !== 'object' || Object.keys(value).length === 0) {
+                return 'must be an object with at least one bonus';
+            }
+
+            for (const [field, amount] of Object.entries(value)) {
+                const fieldRule = SYNERGY_BONUS_FIELDS[field];
+                if (!fieldRule) return `has an unknown bonus ${field}`;
+
+                const problem = checkValue(amount, fieldRule, data);
+                if (problem) return `${field} ${problem}`;
+            }
+            return null;
+        }
+
+        default:
+            return `has an unknown rule type ${rule.type}`;
+    }
+}
+
+// List every problem in a units file (empty when it's valid)
+export function validateUnits(data) {
+    const errors = [];
+
+    for (const [section, fields] of Object.entries(UnitSchema)) {
+        const entries = data[section];
+        if (!entries || typeof entries !== 'object') {
+            errors.push(`${section}: missing section`);
+            continue;
+        }
+
+        for (const [id, entry] of Object.entries(entries)) {
+            if (section === 'powerCards' && !POWER_IDS.includes(id)) {
+                errors.push(`${section}.${id}: unknown power (${POWER_IDS.join(', ')})`);
+            }
+
+            for (const [field, rule] of Object.entries(fields)) {
+                const value = entry[field];
+
+                if (value === undefined) {
+                    if (!rule.optional) errors.push(`${section}.${id}.${field}: required`);
+                    continue;
+                }
+                if (value === null && rule.nullable) continue;
+
+                const problem = checkValue(value, rule, data);
+                if (problem) errors.push(`${section}.${id}.${field}: ${problem}`);
+            }
+
+            Object.keys(entry)
+                .filter(field => !fields[field])
+                .forEach(field => errors.push(`${section}.${id}.${field}: unknown field`));
+        }
+    }
+
+    return errors;
+}
+
+let units = null;
+
+// The unit definitions from data/units.json. Validated on first use (the card
+// catalog asks for them while the game starts up), so a bad file fails right away.
+export function getUnits() {
+    if (!units) {
+        const errors = validateUnits(unitData);
+        if (errors.length > 0) {
+            throw new Error(`Invalid data/units.json:\n  ${errors.join('\n  ')}`);
+        }
+        units = unitData;
+    }
+    return units;
+}
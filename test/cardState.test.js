@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/simulation/simulation.js';
+import { Player } from '../src/player.js';
+import { CardType } from '../src/cards.js';
+
+// A standard run with the starter deck and no power cards in the draws
+async function startRun(seed = 1) {
+    const sim = new Simulation();
+    const player = Player.createDefault('player1', 'Tester', sim.cards.cardCatalog);
+    sim.cards.powerCardChance = 0;
+    await sim.startRun({ seed, player });
+    return sim;
+}
+
+const ids = cards => cards.map(card => card.id);
+
+test('deals from a shuffled copy and keeps the deck order', async () => {
+    const sim = await startRun();
+    const deck = sim.cards.player.getCurrentDeck();
+    const deckOrder = ids(deck.getAllCards());
+
+    sim.cards.resetPiles();
+
+    assert.deepEqual(ids(deck.getAllCards()), deckOrder);
+
+    // Enemy cards stay out of single player piles
+    const playable = deck.getAllCards().filter(card => card.type !== CardType.ENEMY);
+    assert.deepEqual(ids(sim.cards.drawPile).sort(), ids(playable).sort());
+    assert.deepEqual(sim.cards.discardPile, []);
+});
+
+test('shuffles the same way for the same seed', async () => {
+    const [first, second] = [await startRun(42), await startRun(42)];
+    assert.deepEqual(ids(first.cards.hand), ids(second.cards.hand));
+    assert.deepEqual(ids(first.cards.drawPile), ids(second.cards.drawPile));
+});
+
+test('draws from the end of the draw pile into the hand', async () => {
+    const sim = await startRun();
+    const { cards } = sim;
+    const top = cards.drawPile[cards.drawPile.length - 1];
+    const drawPileSize = cards.drawPile.length;
+
+    assert.equal(cards.drawCard(), top);
+    assert.equal(cards.hand[cards.hand.length - 1], top);
+    assert.equal(cards.drawPile.length, drawPileSize - 1);
+});
+
+test('draws nothing into a full hand', async () => {
+    const { cards } = await startRun();
+    while (cards.hand.length < cards.maxCardsInHand) cards.drawCard();
+    const drawPileSize = cards.drawPile.length;
+
+    assert.equal(cards.drawCard(), null);
+    assert.equal(cards.drawPile.length, drawPileSize);
+});
+
+test('discards played deck cards but not power cards', async () => {
+    const { cards } = await startRun();
+    const [card] = cards.hand;
+    const powerCard = cards.powerCards[0];
+    cards.hand.push(powerCard);
+
+    cards.removeCardFromHand(card);
+    cards.removeCardFromHand(powerCard);
+
+    assert.ok(!cards.hand.includes(card));
+    assert.ok(!cards.hand.includes(powerCard));
+    assert.deepEqual(cards.discardPile, [card]);
+});
+
+test('shuffles the discard pile back in when the draw pile runs out', async () => {
+    const { cards } = await startRun();
+    const played = [...cards.hand];
+    played.forEach(card => cards.removeCardFromHand(card));
+    cards.drawPile = [];
+
+    const card = cards.drawCard();
+
+    assert.ok(played.includes(card));
+    assert.deepEqual(cards.discardPile, []);
+    assert.deepEqual([...ids(cards.drawPile), card.id].sort(), ids(played).sort());
+});
+
+test('draws nothing once both piles are empty', async () => {
+    const { cards } = await startRun();
+    cards.hand = [];
+    cards.drawPile = [];
+
+    assert.equal(cards.drawCard(), null);
+    assert.deepEqual(cards.hand, []);
+});
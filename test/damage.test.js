@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFENSE_HALVING_POINT, getDefenseMultiplier } from '../src/damage.js';
+
+test('lets all damage through without defense', () => {
+    assert.equal(getDefenseMultiplier(0), 1);
+});
+
+test('halves damage at the halving point', () => {
+    assert.equal(getDefenseMultiplier(DEFENSE_HALVING_POINT), 0.5);
+    assert.equal(getDefenseMultiplier(3 * DEFENSE_HALVING_POINT), 0.25);
+});
+
+test('treats negative defense as none', () => {
+    assert.equal(getDefenseMultiplier(-50), 1);
+});
+
+test('gives each point of defense a little less than the one before', () => {
+    const blocked = defense => 1 - getDefenseMultiplier(defense);
+    assert.ok(blocked(50) - blocked(0) > blocked(100) - blocked(50));
+    assert.ok(blocked(100) - blocked(50) > blocked(150) - blocked(100));
+});
+
+test('never makes an enemy immune', () => {
+    assert.ok(getDefenseMultiplier(1e6) > 0);
+});
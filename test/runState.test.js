@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/simulation/simulation.js';
+import { Player } from '../src/player.js';
+import { SIMULATION_STEP_MS } from '../src/simulationClock.js';
+
+const STEPS_PER_SECOND = 1000 / SIMULATION_STEP_MS;
+const SEED = 99;
+
+async function startRun() {
+    const sim = new Simulation();
+    const player = Player.createDefault('player1', 'Tester', sim.cards.cardCatalog);
+    await sim.startRun({ seed: SEED, player });
+    return sim;
+}
+
+// A run twelve seconds into wave 1, with enemies walking past a few arrow towers
+async function playIntoWave() {
+    const sim = await startRun();
+    for (const [gridX, gridY] of [[3, 8], [7, 8], [11, 8], [5, 12], [9, 12]]) {
+        await sim.executeCommand('placeTower', { towerType: 'arrow', gridX, gridY });
+    }
+    sim.startWave();
+    sim.advance(12 * STEPS_PER_SECOND);
+    return sim;
+}
+
+// Saves go through JSON on their way to storage
+function saveRun(sim) {
+    return JSON.parse(JSON.stringify(sim.serializeRunState()));
+}
+
+async function resumeRun(state) {
+    const sim = await startRun();
+    await sim.restoreRunState(state);
+    return sim;
+}
+
+function describeRun(sim) {
+    return {
+        player: { gold: sim.player.gold, lives: sim.player.lives, score: sim.player.score },
+        currentWave: sim.currentWave,
+        activeWaves: sim.activeWaves.map(({ enemiesSpawned, enemiesAlive, extrasAlive, completed }) =>
+            ({ enemiesSpawned, enemiesAlive, extrasAlive, completed })),
+        towers: sim.towers.map(tower => [tower.type, tower.gridPosition.gridX, tower.gridPosition.gridY]),
+        enemies: sim.enemies.map(enemy => [enemy.type, enemy.health, enemy.position.x, enemy.position.z]),
+        hand: sim.cards.hand.map(card => card.id)
+    };
+}
+
+test('resumes a mid-wave save with the same enemies and wave counters', async () => {
+    const original = await playIntoWave();
+    assert.ok(original.enemies.length > 0);
+
+    const resumed = await resumeRun(saveRun(original));
+
+    assert.deepEqual(describeRun(resumed), describeRun(original));
+    assert.equal(resumed.waveInProgress, true);
+    assert.equal(resumed.rng.state, original.rng.state);
+});
+
+test('plays on from a save exactly like the run it was saved from', async () => {
+    const original = await playIntoWave();
+    const resumed = await resumeRun(saveRun(original));
+
+    original.advance(30 * STEPS_PER_SECOND);
+    resumed.advance(30 * STEPS_PER_SECOND);
+
+    assert.deepEqual(describeRun(resumed), describeRun(original));
+});
+
+test('sends the enemies of older saves again', async () => {
+    const original = await playIntoWave();
+    const state = saveRun(original);
+    delete state.enemies;
+    const [savedWave] = state.activeWaves;
+    assert.ok(savedWave.enemiesAlive > 0);
+
+    const resumed = await resumeRun(state);
+    const [wave] = resumed.activeWaves;
+
+    assert.deepEqual(resumed.enemies, []);
+    assert.equal(wave.enemiesAlive, 0);
+    assert.equal(wave.extrasAlive, 0);
+    assert.equal(wave.enemiesSpawned, savedWave.enemiesSpawned - savedWave.enemiesAlive);
+    assert.equal(resumed.enemiesSpawned, wave.enemiesSpawned);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RUN_LIMITS, getMaxGoldEarned, getMinRunSeconds, verifyRunSummary } from '../src/runVerification.js';
+
+const MINUTE = 60 * 1000;
+
+// A standard run lost on wave 2 after clearing wave 1, with a token issued ten minutes ago
+function makeRun(overrides = {}) {
+    return {
+        run: { score: 80, wave: 2, victory: false, duration: 120, category: 'standard', ...overrides.run },
+        summary: { wavesCleared: 1, kills: 15, goldEarned: 70, ...overrides.summary },
+        tokenPayload: { issuedAt: Date.now() - 10 * MINUTE, ...overrides.tokenPayload }
+    };
+}
+
+function verify(overrides) {
+    const { run, summary, tokenPayload } = makeRun(overrides);
+    return verifyRunSummary(run, summary, tokenPayload);
+}
+
+test('accepts a plausible run', () => {
+    assert.equal(verify(), null);
+});
+
+test('rejects a malformed summary', () => {
+    assert.equal(verify({ summary: { kills: -1 } }), 'Invalid run summary');
+    assert.equal(verify({ summary: { goldEarned: 'lots' } }), 'Invalid run summary');
+});
+
+test('rejects wave counts the run could not reach', () => {
+    assert.equal(verify({ run: { wave: RUN_LIMITS.maxWaves + 1 } }), 'Impossible wave count');
+    assert.equal(verify({ summary: { wavesCleared: 3 } }), 'Impossible wave count');
+});
+
+test('endless runs may go past the standard waves', () => {
+    const result = verify({ run: { wave: RUN_LIMITS.maxWaves + 1, category: 'endless' } });
+    assert.notEqual(result, 'Impossible wave count');
+});
+
+test('rejects a victory without clearing every wave', () => {
+    assert.equal(verify({ run: { victory: true } }), 'Victory without clearing every wave');
+});
+
+test('rejects more gold than the waves reached can give', () => {
+    const goldEarned = Math.ceil(getMaxGoldEarned(2)) + 1;
+    assert.equal(verify({ run: { score: goldEarned }, summary: { goldEarned } }), 'Too much gold for the waves reached');
+});
+
+test('rejects a score that does not match the gold earned', () => {
+    assert.equal(verify({ run: { score: 60 } }), 'Score does not match the gold earned');
+    assert.equal(verify({ run: { score: 70 * RUN_LIMITS.maxTimeMultiplier + 1 } }), 'Score does not match the gold earned');
+});
+
+test('rejects runs shorter than their cleared waves allow', () => {
+    const duration = Math.floor(getMinRunSeconds(1, 2)) - 1;
+    assert.equal(verify({ run: { duration } }), 'Run too short for the waves cleared');
+});
+
+test('rejects runs finished sooner after the token than the top game speed allows', () => {
+    const issuedAt = Date.now() - 1000;
+    assert.equal(verify({ run: { duration: 100 }, tokenPayload: { issuedAt } }),
+        'Run finished faster than the top game speed allows');
+});
+
+test('rejects game time beyond the real time since the token was issued', () => {
+    const issuedAt = Date.now() - MINUTE;
+    assert.equal(verify({ run: { duration: 600 }, tokenPayload: { issuedAt } }),
+        'Run duration exceeds the time since it started');
+});
+
+test('accepts a run that sent the next wave early', () => {
+    // Wave 2 sent while wave 1 was still running: both cleared 44 s in, 20 s after the token
+    const run = { score: 300, wave: 3, duration: 44 };
+    const summary = { wavesCleared: 2, kills: 45, goldEarned: 250 };
+    const tokenPayload = { issuedAt: Date.now() - 20 * 1000 };
+    assert.equal(verify({ run, summary, tokenPayload }), null);
+});
+
+test('minimum run time never shrinks with more cleared waves', () => {
+    assert.equal(getMinRunSeconds(0), 0);
+    for (let wave = 1; wave <= RUN_LIMITS.maxWaves; wave++) {
+        assert.ok(getMinRunSeconds(wave) >= getMinRunSeconds(wave - 1));
+    }
+});
+
+test('minimum run time never grows with more waves reached', () => {
+    for (let wave = 2; wave <= RUN_LIMITS.maxWaves; wave++) {
+        assert.ok(getMinRunSeconds(2, wave) <= getMinRunSeconds(2, wave - 1));
+    }
+});
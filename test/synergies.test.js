@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ElementTypes } from '../src/elements.js';
+import { NO_SYNERGY_BONUS, combineSynergyBonuses, findSynergies } from '../src/synergies.js';
+
+// Just the fields the synergy rules read
+function makeTower(element, gridX, gridY) {
+    return { element, gridPosition: { gridX, gridY } };
+}
+
+function activeIds(active, tower) {
+    return active.get(tower).map(({ id }) => id).sort();
+}
+
+test('links a fire tower to a diagonal air neighbour', () => {
+    const fire = makeTower(ElementTypes.FIRE, 5, 5);
+    const air = makeTower(ElementTypes.AIR, 6, 6);
+    const { active, links } = findSynergies([fire, air]);
+
+    assert.deepEqual(activeIds(active, fire), ['wildfire']);
+    assert.deepEqual(activeIds(active, air), []);
+    assert.deepEqual(links, [{ tower: fire, partner: air, id: 'wildfire' }]);
+});
+
+test('ignores partners more than one cell away', () => {
+    const fire = makeTower(ElementTypes.FIRE, 5, 5);
+    const air = makeTower(ElementTypes.AIR, 7, 5);
+    const { active, links } = findSynergies([fire, air]);
+
+    assert.deepEqual(activeIds(active, fire), []);
+    assert.deepEqual(links, []);
+});
+
+test('needs three towers of the same element around one for the ring', () => {
+    const centre = makeTower(ElementTypes.WATER, 5, 5);
+    const ring = [makeTower(ElementTypes.WATER, 4, 5), makeTower(ElementTypes.WATER, 6, 5)];
+
+    assert.deepEqual(activeIds(findSynergies([centre, ...ring]).active, centre), []);
+
+    const third = makeTower(ElementTypes.WATER, 5, 4);
+    const towers = [centre, ...ring, third];
+    const { active, links } = findSynergies(towers);
+    assert.deepEqual(activeIds(active, centre), ['elemental_ring']);
+
+    // Each pair is linked once even though the ring works both ways
+    const pairs = links.map(({ tower, partner }) => [towers.indexOf(tower), towers.indexOf(partner)].sort().join('-'));
+    assert.equal(new Set(pairs).size, pairs.length);
+});
+
+test('gives neutral towers no ring', () => {
+    const centre = makeTower(ElementTypes.NEUTRAL, 5, 5);
+    const ring = [[4, 5], [6, 5], [5, 4]].map(([x, y]) => makeTower(ElementTypes.NEUTRAL, x, y));
+    const { active } = findSynergies([centre, ...ring]);
+
+    assert.deepEqual(activeIds(active, centre), []);
+});
+
+test('has no bonus without synergies', () => {
+    assert.deepEqual(combineSynergyBonuses([]), NO_SYNERGY_BONUS);
+});
+
+test('multiplies damage and slow duration and adds the rest', () => {
+    const bonus = combineSynergyBonuses([
+        { synergy: { bonus: { damage: 1.25, armorShred: 10 } } },
+        { synergy: { bonus: { damage: 1.2, burnSpread: 1.5 } } },
+        { synergy: { bonus: { slowDuration: 2, armorShred: 5 } } }
+    ]);
+
+    assert.equal(bonus.damage, 1.5);
+    assert.equal(bonus.slowDuration, 2);
+    assert.equal(bonus.armorShred, 15);
+    assert.equal(bonus.burnSpread, 1.5);
+});
+
+test('combines the bonuses of a fire tower next to air and earth', () => {
+    const fire = makeTower(ElementTypes.FIRE, 5, 5);
+    const towers = [fire, makeTower(ElementTypes.AIR, 4, 5), makeTower(ElementTypes.EARTH, 6, 5)];
+    const { active } = findSynergies(towers);
+
+    assert.deepEqual(activeIds(active, fire), ['magma', 'wildfire']);
+    assert.deepEqual(combineSynergyBonuses(active.get(fire)), { ...NO_SYNERGY_BONUS, armorShred: 10, burnSpread: 1.5 });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/simulation/simulation.js';
+import { Player } from '../src/player.js';
+import { Tower } from '../src/entities/tower.js';
+
+async function startRun() {
+    const sim = new Simulation();
+    const player = Player.createDefault('player1', 'Tester', sim.cards.cardCatalog);
+    await sim.startRun({ seed: 3, player });
+    return sim;
+}
+
+// Play a tower card straight from the catalog onto the grid
+async function playTowerCard(sim, cardId, gridX, gridY) {
+    sim.cards.hand = [sim.cards.cardCatalog.towers[cardId]];
+    assert.ok(await sim.executeCommand('playCard', { cardId, gridX, gridY }));
+    return sim.getTowerAt(gridX, gridY);
+}
+
+test('refunds gold towers in gold', async () => {
+    const sim = await startRun();
+    assert.ok(await sim.executeCommand('placeTower', { towerType: 'arrow', gridX: 3, gridY: 8 }));
+    const tower = sim.getTowerAt(3, 8);
+    const { gold } = sim.player;
+    const mana = sim.cards.mana;
+
+    const refund = Math.floor(Tower.getCost('arrow') * sim.difficultySettings.towerSellRefund);
+    assert.equal(sim.getTowerSellValue(tower), refund);
+    assert.ok(await sim.sellTower(tower));
+    assert.equal(sim.player.gold, gold + refund);
+    assert.equal(sim.cards.mana, mana);
+});
+
+test('refunds card towers in mana, never in gold', async () => {
+    const sim = await startRun();
+    const card = sim.cards.cardCatalog.towers.fire_basic;
+    const tower = await playTowerCard(sim, card.id, 3, 8);
+    const tier = tower.getNextTier();
+    assert.ok(sim.upgradeTower(tower));
+    const { gold } = sim.player;
+    const mana = sim.cards.mana;
+
+    // The card's mana cost plus the mana paid for the upgrade
+    const invested = card.cost + tier.manaCost;
+    const refund = Math.floor(invested * sim.difficultySettings.towerSellRefund);
+    assert.equal(sim.getTowerSellValue(tower), refund);
+    assert.ok(await sim.sellTower(tower));
+    assert.equal(sim.player.gold, gold);
+    assert.equal(sim.cards.mana, mana + refund);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENDLESS_CURVE, STANDARD_MAX_WAVES, STANDARD_WAVE_SETTINGS, generateEndlessWave } from '../src/simulation/waves.js';
+
+// Endless waves up to lastWave, each grown from the one before
+function generateWaves(lastWave) {
+    const waves = [STANDARD_WAVE_SETTINGS[STANDARD_MAX_WAVES - 1]];
+    for (let waveNumber = STANDARD_MAX_WAVES + 1; waveNumber <= lastWave; waveNumber++) {
+        waves.push(generateEndlessWave(waves[waves.length - 1], waveNumber));
+    }
+    return waves.slice(1);
+}
+
+test('grows the first endless wave from the last standard one', () => {
+    const [wave] = generateWaves(STANDARD_MAX_WAVES + 1);
+    assert.deepEqual(wave, {
+        enemyHealth: 5.75,
+        enemySpeed: 1.42,
+        enemyCount: 116,
+        goldMultiplier: 1.65,
+        spawnBoss: true,
+        batchSpawning: true,
+        bossCount: 1,
+        waveBonus: 440,
+        golemChance: 0.43,
+        elementalChance: 0.92,
+        flyingChance: 0.06
+    });
+});
+
+test('adds a boss every few waves', () => {
+    const waves = generateWaves(STANDARD_MAX_WAVES + 2 * ENDLESS_CURVE.extraBossEvery);
+    const bossCounts = waves.map(wave => wave.bossCount);
+    assert.deepEqual(bossCounts, [1, 1, 2, 2, 2, 3]);
+});
+
+test('keeps every value under its ceiling', () => {
+    const waves = generateWaves(100);
+    const last = waves[waves.length - 1];
+
+    assert.equal(last.enemyCount, ENDLESS_CURVE.maxEnemyCount);
+    assert.equal(last.enemySpeed, ENDLESS_CURVE.maxEnemySpeed);
+    assert.equal(last.goldMultiplier, ENDLESS_CURVE.maxGoldMultiplier);
+    assert.equal(last.golemChance, ENDLESS_CURVE.maxGolemChance);
+    assert.equal(last.elementalChance, 1);
+    assert.equal(last.flyingChance, ENDLESS_CURVE.maxFlyingChance);
+
+    // Health and the wave bonus keep growing
+    waves.slice(1).forEach((wave, i) => {
+        assert.ok(wave.enemyHealth > waves[i].enemyHealth);
+        assert.ok(wave.waveBonus > waves[i].waveBonus);
+    });
+});
+
+test('follows a custom curve', () => {
+    const curve = { ...ENDLESS_CURVE, healthGrowth: 2, maxEnemyCount: 50 };
+    const wave = generateEndlessWave(STANDARD_WAVE_SETTINGS[STANDARD_MAX_WAVES - 1], STANDARD_MAX_WAVES + 1, curve);
+    assert.equal(wave.enemyHealth, 10);
+    assert.equal(wave.enemyCount, 50);
+});